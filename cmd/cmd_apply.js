@@ -0,0 +1,37 @@
+/*
+ * File: cmd_apply.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 执行计划命令 - 按顺序执行 --save-plan 保存的操作，不重新遍历和计算文件名
+ * 执行前校验每个源文件的大小和修改时间，变化过的操作会被跳过
+ */
+
+import { DEFAULT_OPTIONS, apply } from "../lib/commands/apply.js"
+import { t } from "../lib/i18n.js"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "apply <plan>"
+const aliases = ["ap"]
+const describe = t("apply.description")
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return (
+        ya
+            .positional("plan", {
+                describe: t("apply.plan"),
+                type: "string",
+            })
+            // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+            .option("doit", {
+                alias: "d",
+                type: "boolean",
+                default: DEFAULT_OPTIONS.doit,
+                description: t("option.common.doit"),
+            })
+    )
+}
+
+const handler = apply
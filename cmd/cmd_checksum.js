@@ -0,0 +1,72 @@
+/*
+ * File: cmd_checksum.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 校验命令 - create 为目录生成或更新校验清单，verify 按清单检查文件
+ * 区分正常编辑、静默损坏、缺少、新增和被 mediac 移动的文件，清单格式见 lib/manifest.js
+ */
+
+import { CHECKSUM_ACTIONS, DEFAULT_OPTIONS, checksum } from "../lib/commands/checksum.js"
+import { t } from "../lib/i18n.js"
+import { MANIFEST_NAME } from "../lib/manifest.js"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "checksum <action> <input>"
+const aliases = ["ck"]
+const describe = t("checksum.description")
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return (
+        ya
+            .positional("action", {
+                describe: t("checksum.action"),
+                type: "string",
+                choices: CHECKSUM_ACTIONS,
+            })
+            .positional("input", {
+                describe: t("option.common.input"),
+                type: "string",
+            })
+            // 清单文件路径，默认为目录中的 .mediac_manifest.json
+            .option("manifest", {
+                alias: "m",
+                type: "string",
+                description: t("checksum.manifest", { name: MANIFEST_NAME }),
+            })
+            // 同时计算 SHA-256，用于和其它工具交换校验值
+            .option("sha256", {
+                type: "boolean",
+                default: DEFAULT_OPTIONS.sha256,
+                description: t("checksum.sha256"),
+            })
+            // 只比较大小和修改时间，不读取文件内容，不能发现静默损坏
+            .option("quick", {
+                type: "boolean",
+                default: DEFAULT_OPTIONS.quick,
+                description: t("checksum.quick"),
+            })
+            // 读取 mediac 的操作日志，跟踪清单更新后移动和重命名的文件
+            .option("journal", {
+                type: "boolean",
+                default: DEFAULT_OPTIONS.journal,
+                description: t("checksum.journal"),
+            })
+            // 保存校验结果，每行一个JSON
+            .option("output", {
+                alias: "o",
+                type: "string",
+                description: t("checksum.output"),
+            })
+            // 并行操作限制，并发数，默认为 CPU 核心数，机械硬盘和网络存储可以设置小一些
+            .option("jobs", {
+                alias: "j",
+                type: "number",
+                description: t("option.common.jobs"),
+            })
+    )
+}
+
+const handler = checksum
@@ -0,0 +1,82 @@
+/*
+ * File: cmd_config.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 配置命令 - 显示用户配置文件合并后的有效配置及每个值的来源
+ */
+
+import chalk from "chalk"
+import fs from "fs-extra"
+import path from "path"
+import { fileURLToPath, pathToFileURL } from "url"
+import config from "../lib/config.js"
+import * as log from "../lib/debug.js"
+import { t } from "../lib/i18n.js"
+import * as jsonOutput from "../lib/json_output.js"
+import * as uc from "../lib/user_config.js"
+
+const LOG_TAG = "Config"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "config [action]"
+const aliases = ["cfg"]
+const describe = t("config.description")
+
+const CONFIG_ACTIONS = ["show", "paths"]
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return ya.positional("action", {
+        describe: t("config.action"),
+        type: "string",
+        choices: CONFIG_ACTIONS,
+        default: "show",
+    })
+}
+
+const handler = cmdConfig
+
+/**
+ * 配置命令处理函数
+ * @param {Object} argv - 命令行参数对象
+ * @param {string} argv.action - show/paths
+ * @returns {Promise<Array>} show 返回配置项列表，paths 返回查找路径列表
+ */
+async function cmdConfig(argv) {
+    const paths = uc.getConfigPaths()
+    log.show(t("config.files"))
+    for (const p of paths) {
+        const exists = await fs.pathExists(p)
+        log.show("  ", exists ? chalk.green(p) : chalk.gray(p))
+    }
+    if (argv.action === "paths") {
+        jsonOutput.setSummary({ paths })
+        return paths
+    }
+    const userConfig = await uc.loadUserConfig(paths)
+    if (userConfig.files.length === 0) {
+        log.logWarn(LOG_TAG, t("config.empty"))
+    }
+    const rows = uc.describeConfig(userConfig, config, await loadCommandModules())
+    for (const { key, value, source } of rows) {
+        const text = value === undefined ? chalk.gray(t("config.not.set")) : JSON.stringify(value)
+        log.show(chalk.cyan(key), "=", text, chalk.gray(`[${source}]`))
+    }
+    jsonOutput.setSummary({ config: rows })
+    return rows
+}
+
+/**
+ * 加载本目录下的命令模块，用于列出各命令选项的默认值
+ * @returns {Promise<Array<Object>>} yargs 命令模块，不含 config 命令
+ */
+async function loadCommandModules() {
+    const dir = path.dirname(fileURLToPath(import.meta.url))
+    const files = (await fs.readdir(dir)).filter((f) => /^cmd_\w+\.js$/.test(f)).sort()
+    const modules = await Promise.all(
+        files.map((f) => import(pathToFileURL(path.join(dir, f)).href)),
+    )
+    return modules.filter((m) => m.command && m.builder && m.handler !== handler)
+}
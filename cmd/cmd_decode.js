@@ -18,11 +18,15 @@ import * as log from "../lib/debug.js"
 import * as enc from "../lib/encoding.js"
 import { ErrorTypes, createError, handleError } from "../lib/errors.js"
 import { t } from "../lib/i18n.js"
+import * as jsonOutput from "../lib/json_output.js"
+import { EntryStatus } from "../lib/json_output.js"
 import * as unicode from "../lib/unicode.js"
 import config from "../lib/config.js"
 
-// 从配置文件获取默认编码列表
-const DEFAULT_ENCODING_LIST = config.ENCODING?.DEFAULT_FROM_ENCODINGS || ["ISO-8859-1", "ISO-8859-2", "UTF8", "UTF-16", "UTF-32", "GBK", "BIG5", "SHIFT_JIS", "EUC-JP", "EUC-KR", "CP949"]
+// 全局配置中没有编码列表时使用
+const FALLBACK_ENCODING_LIST = ["ISO-8859-1", "ISO-8859-2", "UTF8", "UTF-16", "UTF-32", "GBK", "BIG5", "SHIFT_JIS", "EUC-JP", "EUC-KR", "CP949"]
+// 从全局配置获取默认编码列表，用户配置文件可以修改，所以在使用时读取
+const defaultEncodingList = () => config.ENCODING?.DEFAULT_FROM_ENCODINGS || FALLBACK_ENCODING_LIST
 
 export { aliases, builder, command, describe, handler }
 const command = "decode [strings...]"
@@ -104,8 +108,8 @@ const handler = async function cmdDecode(argv) {
         throw createError(ErrorTypes.MISSING_REQUIRED_ARGUMENT, t("decode.text.input.required"))
     }
 
-    const fromEnc = argv.fromEnc?.length > 0 ? [argv.fromEnc] : DEFAULT_ENCODING_LIST
-    const toEnc = argv.toEnc?.length > 0 ? [argv.toEnc] : (config.ENCODING?.DEFAULT_TO_ENCODINGS || DEFAULT_ENCODING_LIST)
+    const fromEnc = argv.fromEnc?.length > 0 ? [argv.fromEnc] : defaultEncodingList()
+    const toEnc = argv.toEnc?.length > 0 ? [argv.toEnc] : (config.ENCODING?.DEFAULT_TO_ENCODINGS || defaultEncodingList())
     const threhold = log.isVerbose() ? 0 : (config.ENCODING?.DEFAULT_THRESHOLD || 50)
     log.show(logTag, `fromEnc:`, JSON.stringify(fromEnc))
     log.show(logTag, `toEnc:`, JSON.stringify(toEnc))
@@ -116,8 +120,10 @@ const handler = async function cmdDecode(argv) {
             const results = decodeText(str, fromEnc, toEnc, threhold)
             results.forEach(showResults)
             log.show(chalk.green(t("decode.input") + ":"), [str, str.length])
-            log.show(chalk.green(t("decode.output") + ":"), results.pop())
+            const bestResult = results.pop()
+            log.show(chalk.green(t("decode.output") + ":"), bestResult)
             log.show()
+            jsonOutput.addEntry({ action: "decode", src: str, status: EntryStatus.DONE, output: bestResult })
         }, { concurrency: config.ENCODING?.CONCURRENCY || 4 })
     }
 
@@ -189,8 +195,10 @@ async function processFiles(files, recursive, fromEnc, toEnc, threhold) {
                 log.show(chalk.green(t("decode.file") + ":"), chalk.green(filePath))
                 log.show(chalk.green(t("decode.output") + ":"), bestResult)
                 log.show()
+                jsonOutput.addEntry({ action: "decode", src: filePath, status: EntryStatus.DONE, output: bestResult })
 
             } catch (error) {
+                jsonOutput.addEntry({ action: "decode", src: filePath, status: EntryStatus.FAILED, error })
                 log.error(chalk.red(logTag), chalk.red(t("decode.error.file", { path: filePath })), chalk.red(error.message))
             } finally {
                 processedFiles++
@@ -206,8 +214,8 @@ async function processFiles(files, recursive, fromEnc, toEnc, threhold) {
 /**
  * 解码文本，尝试不同编码组合
  * @param {string} str - 需要解码的字符串
- * @param {Array<string>} fromEnc - 源编码列表，默认为 DEFAULT_ENCODING_LIST
- * @param {Array<string>} toEnc - 目标编码列表，默认为 DEFAULT_ENCODING_LIST
+ * @param {Array<string>} fromEnc - 源编码列表，默认为全局配置的编码列表
+ * @param {Array<string>} toEnc - 目标编码列表，默认为全局配置的编码列表
  * @param {number} threhold - 置信度阈值，低于此值的结果会被过滤，默认为 50
  * @returns {Array} 解码结果数组（反转顺序，使最佳结果在前）
  *
@@ -215,7 +223,7 @@ async function processFiles(files, recursive, fromEnc, toEnc, threhold) {
  * 该函数调用 enc.tryDecodeText 获取解码结果，然后反转数组顺序，
  * 使质量最高的解码结果排在前面，方便后续处理和显示。
  */
-function decodeText(str, fromEnc = DEFAULT_ENCODING_LIST, toEnc = DEFAULT_ENCODING_LIST, threhold = 50) {
+function decodeText(str, fromEnc = defaultEncodingList(), toEnc = defaultEncodingList(), threhold = 50) {
     // 调用核心解码函数获取解码结果
     let results = enc.tryDecodeText(str, fromEnc, toEnc, threhold)
     // 反转结果数组，使质量最高的结果排在前面
@@ -0,0 +1,71 @@
+/*
+ * File: cmd_dedup.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 去重命令 - 在一个或多个目录中查找内容完全相同的文件
+ * 按保留规则每组保留一个，其余的只报告、安全删除或替换为硬链接，查找过程见 lib/dedup.js
+ */
+
+import { DEFAULT_OPTIONS, dedupFiles } from "../lib/commands/dedup.js"
+import { DedupActions, KeepPolicies } from "../lib/dedup.js"
+import { t } from "../lib/i18n.js"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "dedup <input..>"
+const aliases = ["dd"]
+const describe = t("dedup.description")
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return (
+        ya
+            .positional("input", {
+                describe: t("dedup.input"),
+                type: "string",
+            })
+            // 每组重复文件保留哪一个
+            .option("keep", {
+                alias: "k",
+                type: "string",
+                choices: Object.values(KeepPolicies),
+                default: DEFAULT_OPTIONS.keep,
+                description: t("dedup.keep"),
+            })
+            // 对其余重复文件的操作
+            .option("action", {
+                alias: "a",
+                type: "string",
+                choices: Object.values(DedupActions),
+                default: DEFAULT_OPTIONS.action,
+                description: t("dedup.action"),
+            })
+            // 过滤表达式，如 "ext in (jpg,heic) and size > 2M"，见 lib/where.js
+            .option("where", {
+                type: "string",
+                describe: t("option.common.where"),
+            })
+            // 保存重复文件列表，每行一组JSON
+            .option("output", {
+                alias: "o",
+                type: "string",
+                description: t("dedup.output"),
+            })
+            // 并行操作限制，并发数，默认为 CPU 核心数
+            .option("jobs", {
+                alias: "j",
+                type: "number",
+                description: t("option.common.jobs"),
+            })
+            // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+            .option("doit", {
+                alias: "d",
+                type: "boolean",
+                default: DEFAULT_OPTIONS.doit,
+                description: t("option.common.doit"),
+            })
+    )
+}
+
+const handler = dedupFiles
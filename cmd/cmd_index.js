@@ -0,0 +1,55 @@
+/*
+ * File: cmd_index.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 索引命令 - 建立或增量更新本地媒体索引
+ * 只重新读取新增和变化的文件，其它命令通过 lib/catalog.js 透明使用索引
+ */
+
+import { DEFAULT_OPTIONS, index } from "../lib/commands/index.js"
+import { t } from "../lib/i18n.js"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "index <input>"
+const aliases = ["idx"]
+const describe = t("index.description")
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return (
+        ya
+            .positional("input", {
+                describe: t("option.common.input"),
+                type: "string",
+            })
+            // 同时计算文件内容哈希和图片特征哈希，需要读取完整文件
+            .option("hash", {
+                type: "boolean",
+                default: DEFAULT_OPTIONS.hash,
+                description: t("index.hash"),
+            })
+            // 删除已不存在的文件的条目
+            .option("prune", {
+                type: "boolean",
+                default: DEFAULT_OPTIONS.prune,
+                description: t("index.prune"),
+            })
+            // 忽略已有条目，重新读取所有文件
+            .option("force", {
+                alias: "f",
+                type: "boolean",
+                default: DEFAULT_OPTIONS.force,
+                description: t("index.force"),
+            })
+            // 并行操作限制，并发数，默认为 CPU 核心数
+            .option("jobs", {
+                alias: "j",
+                type: "number",
+                description: t("option.common.jobs"),
+            })
+    )
+}
+
+const handler = index
@@ -0,0 +1,67 @@
+/*
+ * File: cmd_info.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 信息命令 - 显示媒体文件的容器、编码、分辨率、码率、HDR、EXIF日期和型号等信息
+ * 输出表格、CSV或JSON，可以选择列和排序，字段规范化见 lib/media_table.js
+ */
+
+import { DEFAULT_OPTIONS, FORMATS, info } from "../lib/commands/info.js"
+import { t } from "../lib/i18n.js"
+import * as table from "../lib/media_table.js"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "info <input..>"
+const aliases = ["mi"]
+const describe = t("info.description")
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return (
+        ya
+            .positional("input", {
+                describe: t("info.input"),
+                type: "string",
+            })
+            // 显示的列，逗号分隔，all 为全部列
+            .option("columns", {
+                alias: "c",
+                type: "string",
+                description: t("info.columns", { columns: table.INFO_COLUMNS.join(",") }),
+            })
+            // 排序列，逗号分隔，减号开头为降序
+            .option("sort", {
+                alias: "s",
+                type: "string",
+                description: t("info.sort"),
+            })
+            // 输出格式
+            .option("format", {
+                type: "string",
+                choices: FORMATS,
+                default: DEFAULT_OPTIONS.format,
+                description: t("info.format"),
+            })
+            // 输出到文件，默认输出到终端
+            .option("output", {
+                alias: "o",
+                type: "string",
+                description: t("info.output"),
+            })
+            // 过滤表达式，如 "ext in (jpg,heic) and size > 2M"，见 lib/where.js
+            .option("where", {
+                type: "string",
+                describe: t("option.common.where"),
+            })
+            // 并行操作限制，并发数，默认为 CPU 核心数
+            .option("jobs", {
+                alias: "j",
+                type: "number",
+                description: t("option.common.jobs"),
+            })
+    )
+}
+
+const handler = info
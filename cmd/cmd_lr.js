@@ -7,14 +7,8 @@
  * Command: Move JPEG output of RAW files to other folder
  */
 
-import chalk from "chalk"
-import fs from "fs-extra"
-import inquirer from "inquirer"
-import path from "path"
-import * as log from "../lib/debug.js"
-import { ErrorTypes, createError, handleError, withErrorHandling } from "../lib/errors.js"
-import * as mf from "../lib/file.js"
-import { i18n, t } from "../lib/i18n.js"
+import { lrmove } from "../lib/commands/lr.js"
+import { t } from "../lib/i18n.js"
 
 export { aliases, builder, command, describe, handler }
 
@@ -27,105 +21,4 @@ const builder = (ya) => {
     return ya
 }
 
-const handler = async (argv) => {
-    await cmdLRMove(argv)
-}
-
-/**
- * LR移动命令处理函数
- * 移动RAW文件的JPEG输出到其他文件夹
- * @param {Object} argv - 命令行参数对象
- * @param {string} argv.input - 输入目录路径
- * @param {string} argv.output - 输出目录路径（可选）
- * @returns {Promise<void>}
- */
-async function cmdLRMove(argv) {
-    log.show("cmdLRMove", argv)
-    const root = path.resolve(argv.input)
-
-    // 使用新的错误处理系统验证输入
-    if (!root) {
-        throw createError(ErrorTypes.INVALID_ARGUMENT, t("input.path.empty"), null, "ERROR")
-    }
-
-    if (!(await fs.pathExists(root))) {
-        const error = createError(
-            ErrorTypes.FILE_NOT_FOUND,
-            t("input.path.not.exists", { path: root }),
-        )
-        await handleError(error, { command: "lrmove", input: root })
-        return
-    }
-
-    log.show(`LRMove: input:`, root)
-
-    let filenames = await mf.walk(root, { needStats: true, withFiles: false, withDirs: true })
-    filenames = filenames.map((entry) => entry.path).filter((f) => path.basename(f) === "JPEG")
-    log.show("LRMove:", t("commands.lrmove.total.folders", { count: filenames.length }))
-
-    if (filenames.length === 0) {
-        log.showGreen(t("commands.lrmove.nothing.to.do"))
-        return
-    }
-
-    const files = filenames.map((f) => {
-        const fileSrc = f
-        const fileBase = path.dirname(fileSrc)
-        // 使用正则表达式替换路径，更健壮地处理不同路径格式
-        const fileDst = fileBase.replace(new RegExp(`RAW[\\\\/]`), `JPEG${path.sep}`)
-        const task = {
-            fileSrc: fileSrc,
-            fileDst: fileDst,
-        }
-        log.show(`${t("path.source")}:`, fileSrc)
-        log.show(`${t("path.destination")}:`, fileDst)
-        return task
-    })
-
-    const answer = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "yes",
-            default: false,
-            message: chalk.bold.red(t("commands.lrmove.move.confirm", { count: files.length })),
-        },
-    ])
-
-    if (answer.yes) {
-        // 错误处理装饰器工厂函数
-        const createMoveFileHandler = (file) =>
-            withErrorHandling(
-                async (f) => {
-                    // 确保目标父目录存在
-                    await fs.ensureDir(path.dirname(f.fileDst))
-
-                    // 检查目标文件是否已存在
-                    if (await fs.pathExists(f.fileDst)) {
-                        log.showYellow(t("commands.lrmove.skip.exists", { dst: f.fileDst }))
-                        return null
-                    }
-
-                    await fs.move(f.fileSrc, f.fileDst)
-                    log.showGreen(t("commands.lrmove.moved", { src: f.fileSrc, dst: f.fileDst }))
-                    return f
-                },
-                { operation: "move", file: file.fileSrc },
-            )
-
-        let successCount = 0
-        let errorCount = 0
-
-        for (const f of files) {
-            const result = await createMoveFileHandler(f)(f)
-            if (result) {
-                successCount++
-            } else {
-                errorCount++
-            }
-        }
-
-        log.showCyan(t("operation.completed", { success: successCount, error: errorCount }))
-    } else {
-        log.showYellow(t("operation.cancelled"))
-    }
-}
+const handler = lrmove
@@ -0,0 +1,72 @@
+/*
+ * File: cmd_music.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 音乐库命令 - dedup 按音频指纹查找相同的歌曲，文件名和格式不同也能找到
+ * 每组保留无损或码率最高的一个，其余的只报告或安全删除，指纹见 lib/audio_fingerprint.js
+ */
+
+import { DEFAULT_OPTIONS, MUSIC_ACTIONS, music } from "../lib/commands/music.js"
+import { t } from "../lib/i18n.js"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "music <action> <input..>"
+const aliases = ["mu"]
+const describe = t("music.description")
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return (
+        ya
+            .positional("action", {
+                describe: t("music.action"),
+                type: "string",
+                choices: MUSIC_ACTIONS,
+            })
+            .positional("input", {
+                describe: t("dedup.input"),
+                type: "string",
+            })
+            // 指纹相似度阈值，0 为无关，1 为完全相同
+            .option("threshold", {
+                alias: "t",
+                type: "number",
+                default: DEFAULT_OPTIONS.threshold,
+                description: t("music.threshold"),
+            })
+            // 安全删除每组中保留的文件之外的文件，默认只报告
+            .option("trash", {
+                type: "boolean",
+                default: DEFAULT_OPTIONS.trash,
+                description: t("music.trash"),
+            })
+            // 过滤表达式，如 "ext in (mp3,flac) and size > 2M"，见 lib/where.js
+            .option("where", {
+                type: "string",
+                describe: t("option.common.where"),
+            })
+            // 保存相同歌曲列表，每行一组JSON
+            .option("output", {
+                alias: "o",
+                type: "string",
+                description: t("dedup.output"),
+            })
+            // 并行操作限制，并发数，默认为 CPU 核心数
+            .option("jobs", {
+                alias: "j",
+                type: "number",
+                description: t("option.common.jobs"),
+            })
+            // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+            .option("doit", {
+                alias: "d",
+                type: "boolean",
+                default: DEFAULT_OPTIONS.doit,
+                description: t("option.common.doit"),
+            })
+    )
+}
+
+const handler = music
@@ -6,56 +6,35 @@
  * License: Apache License 2.0
  */
 
-import chalk from "chalk"
-import dayjs from "dayjs"
-import { sify } from "chinese-conv"
-import fs from "fs-extra"
-import inquirer from "inquirer"
-import { cpus } from "os"
-import pMap from "p-map"
-import path from "path"
-import { asyncFilter } from "../lib/core.js"
-import * as log from "../lib/debug.js"
-import { ErrorTypes, createError, handleError } from "../lib/errors.js"
-import * as mf from "../lib/file.js"
-import * as helper from "../lib/helper.js"
-import { t } from "../lib/i18n.js"
 import {
-    RE_MEDIA_DIR_NAME,
-    RE_ONLY_NUMBER,
-    RE_UGLY_CHARS,
-    RE_UGLY_CHARS_BORDER,
-    cleanFileName,
-    cleanNameEx,
-    renameFiles,
-} from "./cmd_shared.js"
-
-const MODE_AUTO = "auto"
-const MODE_DIR = "dirname"
-const MODE_PREFIX = "prefix"
-const MODE_MEDIA = "media"
-const MODE_CLEAN = "clean"
-const MODE_SEQ = "sequence"
-
-const SUFFIX_DATE = "date"
-const SUFFIX_TIME = "time"
-const SUFFIX_SEQ = "seq"
-const SUFFIX_SIZE = "size"
-
-const NAME_LENGTH = 60
+    DEFAULT_OPTIONS,
+    MODE_AUTO,
+    MODE_CLEAN,
+    MODE_DIR,
+    MODE_MEDIA,
+    MODE_PREFIX,
+    MODE_SEQ,
+    SUFFIX_DATE,
+    SUFFIX_SEQ,
+    SUFFIX_SIZE,
+    SUFFIX_TIME,
+    prefixFiles,
+} from "../lib/commands/prefix.js"
+import { t } from "../lib/i18n.js"
 
 export { aliases, builder, command, describe, handler }
 
 const command = "prefix <input>"
 const aliases = ["pf", "px"]
 const describe = t("prefix.description")
+
 const builder = function addOptions(ya, helpOrVersionSet) {
     return (
         ya
             .option("length", {
                 alias: "l",
                 type: "number",
-                default: NAME_LENGTH,
+                default: DEFAULT_OPTIONS.length,
                 description: t("prefix.length"),
             })
             // 仅处理符合指定条件的文件，包含文件名规则
@@ -80,7 +59,7 @@ const builder = function addOptions(ya, helpOrVersionSet) {
             .option("mode", {
                 alias: "m",
                 type: "string",
-                default: MODE_AUTO,
+                default: DEFAULT_OPTIONS.mode,
                 description: t("prefix.mode"),
                 choices: [MODE_AUTO, MODE_DIR, MODE_PREFIX, MODE_MEDIA, MODE_CLEAN, MODE_SEQ],
             })
@@ -135,9 +114,14 @@ const builder = function addOptions(ya, helpOrVersionSet) {
             .option("doit", {
                 alias: "d",
                 type: "boolean",
-                default: false,
+                default: DEFAULT_OPTIONS.doit,
                 description: t("option.common.doit"),
             })
+            // 保存操作计划到文件，不执行，之后使用 apply 命令执行
+            .option("save-plan", {
+                type: "string",
+                description: t("option.common.save.plan"),
+            })
             // 输出目录选项
             .option("output", {
                 alias: "o",
@@ -154,376 +138,16 @@ const builder = function addOptions(ya, helpOrVersionSet) {
             // 序号起始值
             .option("seq-start", {
                 type: "number",
-                default: 1,
+                default: DEFAULT_OPTIONS.seqStart,
                 description: t("prefix.seq.start"),
             })
             // 序号补零位数
             .option("seq-pad", {
                 type: "number",
-                default: 3,
+                default: DEFAULT_OPTIONS.seqPad,
                 description: t("prefix.seq.pad"),
             })
     )
 }
 
-/**
- * 根据目录层次自动生成前缀
- * @param {string} dir - 目录路径
- * @param {string} sep - 分隔符
- * @returns {string} 生成的前缀
- */
-function getAutoModePrefix(dir, sep) {
-    // 从左到右的目录层次
-    const [d1, d2, d3] = dir.split(path.sep).slice(-3)
-    log.debug([d1, d2, d3].join(","))
-    if (d3.includes(d1) && d2.includes(d1)) {
-        return d3
-    }
-    if (d3.includes(d2)) {
-        return d3
-    }
-    if (d2.includes(d1)) {
-        return [d2, d3].join(sep)
-    }
-    return [d1, d2, d3].join(sep)
-}
-
-/**
- * 解析命名模式
- * @param {Object} argv - 命令行参数对象
- * @returns {string} 解析后的模式
- */
-function parseNameMode(argv) {
-    let mode = argv.auto ? MODE_AUTO : argv.mode || MODE_AUTO
-    if (argv.mprefix) {
-        mode = MODE_PREFIX
-    }
-    if (argv.dirname) {
-        mode = MODE_DIR
-    }
-    if (argv.media) {
-        mode = MODE_MEDIA
-    }
-    if (argv.sequence) {
-        mode = MODE_SEQ
-    }
-    if (argv.cleanOnly) {
-        mode = MODE_CLEAN
-    }
-    return mode
-}
-
-/**
- * 重复文件名Set，检测重复，防止覆盖
- */
-let nameDupSet
-let nameDupIndex
-
-function resetNameDups() {
-    nameDupSet = new Set()
-    nameDupIndex = 0
-}
-
-/**
- * 根据模式创建新文件名
- * @param {Object} f - 文件对象
- * @param {string} f.path - 文件路径
- * @param {Object} f.argv - 命令行参数对象
- * @param {number} f.index - 文件索引
- * @param {number} f.total - 总文件数
- * @param {number} f.size - 文件大小
- * @returns {Promise<Object>} 处理后的文件对象
- */
-async function createNewNameByMode(f) {
-    const argv = f.argv
-    const mode = parseNameMode(argv)
-    const nameLength = mode === MODE_MEDIA || mode === MODE_CLEAN ? 200 : argv.length || NAME_LENGTH
-    const nameSlice = nameLength * -1
-    const [dir, base, ext] = helper.pathSplit(f.path)
-    const oldName = path.basename(f.path)
-    const dirParts = dir.split(path.sep).slice(-3)
-    const dirName = path.basename(dir)
-    const logTag = `Prefix::${mode.toUpperCase()[0]}`
-    // 直接忽略 . _ 开头的目录
-    if (/^[._]/.test(dirName)) {
-        f.skipped = true
-        return f
-    }
-    const ipx = `${f.index}/${f.total}`
-    log.info(logTag, `Processing ${ipx} ${f.path}`)
-    let sep = "_"
-    let prefix = argv.prefix
-    let oldBase = base
-
-    switch (mode) {
-        case MODE_CLEAN:
-            {
-                sep = "."
-                prefix = ""
-            }
-            break
-        case MODE_MEDIA:
-            {
-                sep = "."
-                prefix = dirName
-                if (prefix.match(RE_MEDIA_DIR_NAME)) {
-                    prefix = dirParts[2]
-                }
-                const checkPrefix = prefix
-                if (checkPrefix.length < 4 && /^[A-Za-z0-9]+$/.test(checkPrefix)) {
-                    prefix = dirParts[2] + sep + dirName
-                }
-            }
-            break
-        case MODE_PREFIX:
-            {
-                sep = "_"
-                prefix = argv.prefix
-            }
-            break
-        case MODE_DIR:
-            {
-                sep = "_"
-                prefix = dirName
-                if (prefix.match(RE_MEDIA_DIR_NAME)) {
-                    prefix = dirParts[2]
-                }
-                if (prefix.match(RE_MEDIA_DIR_NAME)) {
-                    prefix = dirParts[1]
-                }
-                if (prefix.match(RE_MEDIA_DIR_NAME)) {
-                    prefix = dirParts[0]
-                }
-            }
-            break
-        case MODE_AUTO:
-            {
-                sep = "_"
-                prefix = getAutoModePrefix(dir, sep)
-                const shouldCheck = RE_ONLY_NUMBER.test(base) && base.length < 10
-                const forceAll = argv.all || false
-                if (!shouldCheck && !forceAll) {
-                    log.info(logTag, `Ignore: ${ipx} ${helper.pathShort(f.path)} [Auto]`)
-                    f.skipped = true
-                    return f
-                }
-            }
-            break
-        case MODE_SEQ:
-            {
-                sep = "_"
-                const seqNum = (f.index + 1 + (argv.seqStart || 1) - 1)
-                    .toString()
-                    .padStart(argv.seqPad || 3, "0")
-                prefix = seqNum
-            }
-            break
-        default:
-            throw createError(ErrorTypes.INVALID_ARGUMENT, `Invalid mode: ${mode} ${argv.mode}`)
-    }
-
-    if (mode !== MODE_CLEAN) {
-        // 无有效前缀，报错退出
-        if (!prefix || prefix.length == 0) {
-            log.warn(logTag, `Invalid Prefix: ${helper.pathShort(f.path)} ${mode}`)
-            throw createError(ErrorTypes.MISSING_REQUIRED_ARGUMENT, `No prefix supplied!`)
-        }
-    }
-
-    // 是否净化文件名，去掉各种特殊字符
-    if (argv.clean || mode === MODE_CLEAN) {
-        prefix = cleanFileName(prefix, { separator: sep, keepDateStr: false, tc2sc: true })
-        oldBase = cleanFileName(oldBase, { separator: sep, keepDateStr: true, tc2sc: true })
-    }
-    // 不添加重复前缀
-    if (oldBase.includes(prefix)) {
-        log.info(logTag, `IgnorePrefix: ${ipx} ${helper.pathShort(f.path)}`)
-        prefix = ""
-    }
-    // 确保文件名不含有文件系统不允许的非法字符
-    oldBase = helper.filenameSafe(oldBase)
-    let fullBase = prefix.length > 0 ? prefix + sep + oldBase : oldBase
-    // 去除首位空白和特殊字符
-    // fullBase = fullBase.replaceAll(RE_UGLY_CHARS_BORDER, "")
-    // 多余空白和字符替换为一个字符 _或.
-    // fullBase = fullBase.replaceAll(RE_UGLY_CHARS, sep)
-
-    fullBase = cleanNameEx(fullBase, sep)
-
-    // 去掉重复词组，如目录名和人名
-    fullBase = Array.from(new Set(fullBase.split(sep))).join(sep)
-    // 限制文件名长度
-    fullBase = helper.unicodeLength(fullBase) > nameLength ? fullBase.slice(nameSlice) : fullBase
-    // 再次去掉首位的特殊字符和空白字符
-    // fullBase = fullBase.replaceAll(RE_UGLY_CHARS_BORDER, "")
-
-    // 处理后缀
-    let suffix = ""
-    if (argv.suffix) {
-        const suffixSep = "."
-        switch (argv.suffix) {
-            case SUFFIX_DATE:
-                suffix = dayjs(f.mtime || f.ctime).format("YYYY-MM-DD")
-                break
-            case SUFFIX_TIME:
-                suffix = dayjs(f.mtime || f.ctime).format("HHmmss")
-                break
-            case SUFFIX_SEQ:
-                suffix = (f.index + 1 + (argv.seqStart || 1) - 1).toString().padStart(argv.seqPad || 3, "0")
-                break
-            case SUFFIX_SIZE:
-                suffix = helper.humanSize(f.size).replace(" ", "")
-                break
-        }
-        if (suffix) {
-            fullBase = fullBase + suffixSep + suffix
-        }
-    }
-
-    let newName = `${fullBase}${ext}`
-    const outputDir = argv.output ? path.resolve(argv.output) : dir
-    let newPath = path.resolve(path.join(outputDir, newName))
-
-    if (newPath === f.path) {
-        log.info(logTag, `Same: ${ipx} ${helper.pathShort(newPath)}`)
-        f.skipped = true
-    } else if (await fs.pathExists(newPath)) {
-        // 目标文件已存在
-        const stn = await fs.stat(newPath)
-        if (f.size === stn.size) {
-            // 如果大小相等，认为是同一个文件
-            log.info(logTag, `Exists: ${ipx} ${helper.pathShort(newPath)}`)
-            f.skipped = true
-        } else {
-            // 大小不相等，文件名添加后缀
-            // 找到一个不重复的新文件名
-            do {
-                newName = `${fullBase}${sep}D${++nameDupIndex}${ext}`
-                newPath = path.resolve(path.join(dir, newName))
-            } while (nameDupSet.has(newPath))
-            log.info(logTag, `NewName: ${ipx} ${helper.pathShort(newPath)}`)
-        }
-    } else if (nameDupSet.has(newPath)) {
-        log.info(logTag, `Duplicate: ${ipx} ${helper.pathShort(newPath)}`)
-        f.skipped = true
-    }
-
-    nameDupSet.add(newPath)
-
-    if (f.skipped) {
-        // 跳过的文件不做处理
-    } else {
-        f.outName = newName
-        f.outPath = newPath
-        log.showGray(logTag, `SRC: ${ipx} ${helper.pathShort(f.path)}`)
-        log.show(logTag, `DST: ${ipx} ${helper.pathShort(newPath)}`)
-        log.fileLog(`Prepare: ${ipx} <${f.path}> [SRC]`, logTag)
-        log.fileLog(`Prepare: ${ipx} <${newPath}> [DST]`, logTag)
-    }
-
-    return f
-}
-
-const handler = async function cmdPrefix(argv) {
-    resetNameDups()
-    const testMode = !argv.doit
-    const logTag = "cmdPrefix"
-    log.info(logTag, argv)
-    const root = path.resolve(argv.input)
-    if (!root || !(await fs.pathExists(root))) {
-        throw createError(ErrorTypes.INVALID_ARGUMENT, `Invalid Input: ${root}`)
-    }
-    if (argv.output) {
-        const outputDir = path.resolve(argv.output)
-        if (!(await fs.pathExists(outputDir))) {
-            await fs.ensureDir(outputDir)
-        }
-        log.show(logTag, `Output: ${outputDir}`)
-    }
-    if (!testMode) {
-        log.fileLog(`Root: ${root}`, logTag)
-        log.fileLog(`Argv: ${JSON.stringify(argv)}`, logTag)
-    }
-    const mode = parseNameMode(argv)
-    const prefix = argv.prefix
-    const startMs = Date.now()
-    log.show(logTag, `Input: ${root}`)
-
-    if (mode === MODE_PREFIX && !prefix) {
-        throw createError(ErrorTypes.MISSING_REQUIRED_ARGUMENT, `No prefix value supplied!`)
-    }
-
-    let files = await mf.walk(root, {
-        needStats: true,
-        entryFilter: (entry) => entry.isFile && entry.size > 1024,
-    })
-    log.show(logTag, `Total ${files.length} files found in ${helper.humanTime(startMs)}`)
-    if (argv.include?.length >= 3) {
-        // 处理include规则
-        const pattern = new RegExp(argv.include, "gi")
-
-        files = await asyncFilter(files, (x) => x.path.match(pattern))
-        log.show(logTag, `Total ${files.length} files left after include rules`)
-    } else if (argv.exclude?.length >= 3) {
-        // 处理exclude规则
-        const pattern = new RegExp(argv.exclude, "gi")
-        log.showRed(pattern)
-        files = await asyncFilter(files, (x) => !x.path.match(pattern))
-        log.show(logTag, `Total ${files.length} files left after exclude rules`)
-    }
-    if (files.length == 0) {
-        log.showYellow("Prefix", t("common.nothing.to.do"))
-        return
-    }
-    files = files.map((f, i) => {
-        return {
-            ...f,
-            argv: argv,
-            index: i,
-            total: files.length,
-        }
-    })
-    const fCount = files.length
-    //const tasks = files.map(f => createNewNameByMode(f, argv)).filter(f => f?.outName)
-    const jobCount = argv.jobs || cpus().length * 4
-    let tasks = await pMap(files, createNewNameByMode, { concurrency: jobCount })
-    tasks = tasks.filter((f) => f?.outName)
-
-    tasks = tasks.map((f, i) => {
-        return {
-            ...f,
-            argv: argv,
-            index: i,
-            total: files.length,
-        }
-    })
-
-    const tCount = tasks.length
-    log.showYellow(logTag, `Total ${fCount - tCount} files are skipped.`)
-    if (tasks.length > 0) {
-        log.showGreen(logTag, `Total ${tasks.length} media files ready to rename`)
-    } else {
-        log.showYellow(logTag, t("common.nothing.to.do"))
-        return
-    }
-    log.show(logTag, argv)
-    testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
-    const answer = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "yes",
-            default: false,
-            message: chalk.bold.red(t("prefix.confirm.rename", { count: tasks.length })),
-        },
-    ])
-    if (answer.yes) {
-        if (testMode) {
-            log.showYellow(logTag, `${tasks.length} files, NO file renamed in TEST MODE.`)
-        } else {
-            const results = await renameFiles(tasks, false)
-            log.showGreen(logTag, `All ${results.length} file were renamed.`)
-        }
-    } else {
-        log.showYellow(logTag, t("operation.cancelled"))
-    }
-}
+const handler = prefixFiles
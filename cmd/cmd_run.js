@@ -4,83 +4,314 @@
  * Modified: 2026-02-05 17:32:08
  * Author: mcxiaoke (github@mcxiaoke.com)
  * License: Apache License 2.0
+ *
+ * 工作流命令 - 按工作流文件依次执行多个命令，见 lib/workflow.js
+ * 每个步骤的选项交给对应命令自己的 yargs builder 解析，校验规则与命令行相同
  */
 import chalk from "chalk"
-import * as cliProgress from "cli-progress"
 import dayjs from "dayjs"
-import { $, execa } from "execa"
-import fs from "fs-extra"
-import inquirer from "inquirer"
-import { cpus } from "os"
-import pMap from "p-map"
 import path from "path"
-import sharp from "sharp"
-import * as core from "../lib/core.js"
+import yargs from "yargs"
+import { writeJsonReport } from "../lib/command_utils.js"
 import * as log from "../lib/debug.js"
-import * as exif from "../lib/exif.js"
+import { ErrorTypes, createError } from "../lib/errors.js"
 import * as mf from "../lib/file.js"
-import * as helper from "../lib/helper.js"
 import { t } from "../lib/i18n.js"
+import * as jsonOutput from "../lib/json_output.js"
+import { loadUserConfig, withCommandDefaults } from "../lib/user_config.js"
+import * as wf from "../lib/workflow.js"
+import { StepStatus } from "../lib/workflow.js"
+
+const LOG_TAG = "Workflow"
 
-//
 export { aliases, builder, command, describe, handler }
+export { executeWorkflow, resolveStepModules }
 
-const command = "execute [input]"
-const aliases = ["run"]
+const command = "run-workflow <flow>"
+const aliases = ["run", "execute", "workflow"]
 const describe = t("run.description")
 
+// 可以在工作流中使用的命令，按需加载
+const STEP_MODULES = [
+    "./cmd_zipu.js",
+    "./cmd_rename.js",
+    "./cmd_dcim.js",
+    "./cmd_compress.js",
+    "./cmd_move.js",
+    "./cmd_moveup.js",
+    "./cmd_prefix.js",
+    "./cmd_remove.js",
+    "./cmd_ffmpeg.js",
+    "./cmd_lr.js",
+    "./cmd_pick.js",
+    "./cmd_index.js",
+]
+
 const builder = function addOptions(ya, helpOrVersionSet) {
     return (
         ya
-            // 输出目录，默认输出文件与原文件同目录
-            .option("output", {
-                alias: "o",
-                describe: t("option.common.output"),
+            .positional("flow", {
+                describe: t("workflow.flow"),
                 type: "string",
             })
-            // 正则，包含文件名规则
-            .option("include", {
-                alias: "I",
+            // 步骤的默认输入目录
+            .option("input", {
+                alias: "i",
                 type: "string",
-                description: t("option.common.include"),
+                description: t("workflow.input"),
             })
-            //字符串或正则，不包含文件名规则
-            // 如果是正则的话需要转义
-            .option("exclude", {
-                alias: "E",
-                type: "string",
-                description: t("option.common.exclude"),
-            })
-            // 默认启用正则模式，禁用则为字符串模式
-            .option("regex", {
-                alias: "re",
+            // 某一步失败时停止，不设置时使用工作流文件中的值
+            .option("stop-on-error", {
                 type: "boolean",
-                default: true,
-                description: t("option.common.regex"),
+                description: t("workflow.stop.on.error"),
             })
-            // 需要处理的扩展名列表，默认为常见视频文件
-            .option("extensions", {
-                alias: "e",
+            // 合并报告的保存路径
+            .option("report", {
                 type: "string",
-                describe: t("option.common.extensions"),
+                description: t("workflow.report"),
+            })
+            // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+            .option("doit", {
+                alias: "d",
+                type: "boolean",
+                default: false,
+                description: t("option.common.doit"),
             })
     )
 }
 
-const handler = cmdRunTask
+const handler = cmdRunWorkflow
+
+/**
+ * 工作流命令处理函数
+ * @param {Object} argv - 命令行参数对象
+ * @param {string} argv.flow - 工作流文件路径
+ * @param {string} argv.input - 步骤的默认输入目录
+ * @param {boolean} argv.stopOnError - 某一步失败时停止
+ * @param {string} argv.report - 合并报告的保存路径
+ * @param {boolean} argv.doit - 是否执行实际操作
+ * @returns {Promise<Object>} 合并报告
+ */
+async function cmdRunWorkflow(argv) {
+    const testMode = !argv.doit
+    const flow = await wf.loadWorkflow(argv.flow)
+    const input = argv.input ? path.resolve(argv.input) : flow.input
+    const stopOnError = argv.stopOnError ?? flow.stopOnError
+    const modules = await resolveStepModules(flow.steps)
+    const noInput = flow.steps.find((step) => !step.input && !input)
+    if (noInput) {
+        throw createError(ErrorTypes.MISSING_REQUIRED_ARGUMENT, t("workflow.no.input", noInput))
+    }
+
+    log.show(LOG_TAG, `Workflow: ${flow.file}`)
+    log.show(LOG_TAG, t("workflow.steps", { count: flow.steps.length }))
+    for (const step of flow.steps) {
+        log.show(LOG_TAG, chalk.cyan(step.name), step.command, wf.toArgs(step.options).join(" "))
+    }
+    testMode && log.logWarn(LOG_TAG, `++++++++++ ${t("mode.test")} ++++++++++`)
+
+    const results = await executeWorkflow(flow, modules, { input, testMode, stopOnError })
+
+    const failed = results.filter((r) => r.status === StepStatus.FAILED)
+    const report = {
+        workflow: flow.file,
+        input,
+        doit: !testMode,
+        ok: failed.length === 0,
+        finishedAt: dayjs().format(),
+        steps: results,
+    }
+    const reportPath = argv.report
+        ? path.resolve(argv.report)
+        : path.join(
+              path.dirname(flow.file),
+              `${path.basename(flow.file, path.extname(flow.file))}_report_${dayjs().format("YYYYMMDD_HHmmss")}.json`,
+          )
+    await writeJsonReport(report, path.dirname(reportPath), path.basename(reportPath))
+    jsonOutput.setSummary({
+        steps: results.map(({ entries, outputs, planned, ...rest }) => rest),
+    })
+    log.logInfo(LOG_TAG, t("workflow.report.saved", { path: reportPath }))
+    testMode && log.logWarn(LOG_TAG, t("common.test.mode.note", { count: flow.steps.length }))
+
+    if (failed.length > 0) {
+        throw createError(
+            ErrorTypes.PROCESSING_FAILED,
+            t("workflow.failed", { names: failed.map((r) => r.name).join(",") }),
+        )
+    }
+    return report
+}
+
+/**
+ * 按顺序执行工作流的步骤，watch 命令也使用这个函数处理每批新文件
+ *
+ * @param {Object} flow - 工作流对象，见 lib/workflow.js
+ * @param {Map<string, Object>} modules - 步骤的命令模块，见 resolveStepModules
+ * @param {Object} options - 执行选项
+ * @param {string} options.input - 步骤的默认输入目录
+ * @param {boolean} options.testMode - 是否测试模式
+ * @param {boolean} options.stopOnError - 某一步失败时停止
+ * @param {Array<string>} [options.scope] - 没有设置 from 的步骤只处理这些文件
+ * @returns {Promise<Array<Object>>} 每个步骤的结果
+ */
+async function executeWorkflow(flow, modules, options) {
+    const { input, testMode, stopOnError, scope = null } = options
+    const userConfig = await loadUserConfig()
+    const results = []
+    let stopped = false
+    for (const step of flow.steps) {
+        log.showCyan(
+            t("workflow.step.start", {
+                index: step.index + 1,
+                total: flow.steps.length,
+                name: step.name,
+            }),
+        )
+        const result = stopped
+            ? skipStep(step, t("workflow.step.stopped"))
+            : await runStep(step, modules.get(step.command), {
+                  input,
+                  testMode,
+                  userConfig,
+                  scope,
+                  results,
+              })
+        results.push(result)
+        const color = result.status === StepStatus.FAILED ? chalk.red : chalk.green
+        log.show(LOG_TAG, step.name, color(result.status), JSON.stringify(result.counts))
+        if (result.status === StepStatus.FAILED && stopOnError) {
+            stopped = true
+        }
+    }
+    return results
+}
+
+/**
+ * 加载步骤使用的命令模块，按命令名或别名匹配，有不支持的命令时在执行前报错
+ * @param {Array<Object>} steps - 工作流步骤
+ * @returns {Promise<Map<string, Object>>} 步骤中的命令名 => 命令模块
+ */
+async function resolveStepModules(steps) {
+    const loaded = await Promise.all(STEP_MODULES.map((p) => import(p)))
+    const modules = new Map()
+    for (const step of steps) {
+        const m = loaded.find(
+            (m) => m.command.split(" ")[0] === step.command || m.aliases.includes(step.command),
+        )
+        if (!m) {
+            throw createError(
+                ErrorTypes.INVALID_ARGUMENT,
+                t("workflow.unknown.command", { command: step.command }),
+            )
+        }
+        modules.set(step.command, m)
+    }
+    return modules
+}
+
+/**
+ * 创建只包含一个命令的 yargs 解析器，parseAsync() 时解析参数并执行命令的 handler
+ * 参数错误和 handler 的异常都会抛出，不会退出进程
+ *
+ * @param {Object} commandModule - 命令模块
+ * @param {Array<string>} args - 命令行参数，第一个为命令名
+ * @param {Object} userConfig - 用户配置，见 lib/user_config.js
+ * @param {string} label - 错误信息的前缀
+ * @returns {Object} yargs 实例
+ */
+function createCommandParser(commandModule, args, userConfig, label) {
+    return yargs(args)
+        .command(withCommandDefaults(commandModule, userConfig))
+        .exitProcess(false)
+        .help(false)
+        .version(false)
+        .fail((msg, err) => {
+            throw err || createError(ErrorTypes.INVALID_ARGUMENT, `${label}: ${msg}`)
+        })
+}
 
-async function cmdRunTask(argv) {
-    const logTag = "cmdRunTask"
-    const root = await helper.validateInput(argv.input)
-    log.show(logTag, argv)
-    const walkOpts = {
-        needStats: true,
-        entryFilter: (f) => f.isFile && helper.isImageFile(f.path),
+// 生成跳过的步骤结果，planned 为无法预览时依赖的计划路径，传给之后的步骤
+function skipStep(step, reason, planned = []) {
+    log.logWarn(LOG_TAG, step.name, reason)
+    return {
+        name: step.name,
+        command: step.command,
+        status: StepStatus.SKIPPED,
+        reason,
+        counts: {},
+        entries: [],
+        outputs: [],
+        planned,
+    }
+}
+
+/**
+ * 执行一个步骤，用命令自己的 builder 解析选项并调用命令的 handler
+ * 设置了 from 时只处理指定步骤的输出文件，否则只处理 ctx.scope 中的文件（如果有）
+ * 测试模式下指定的步骤计划移动或重命名文件时跳过，这些文件还不存在
+ *
+ * @param {Object} step - 工作流步骤
+ * @param {Object} commandModule - 命令模块
+ * @param {Object} ctx - 默认输入目录、测试模式、用户配置、文件范围和之前步骤的结果
+ * @returns {Promise<Object>} 步骤结果
+ */
+async function runStep(step, commandModule, ctx) {
+    const input = step.input || ctx.input
+    let scope = ctx.scope
+    if (step.from) {
+        const source =
+            step.from === wf.FROM_PREVIOUS
+                ? ctx.results[ctx.results.length - 1]
+                : ctx.results.find((r) => r.name === step.from)
+        // 测试模式下之前的步骤还没有移动或重命名文件，新路径不存在，无法预览
+        if (ctx.testMode && source.planned.length > 0) {
+            return skipStep(
+                step,
+                t("workflow.step.no.preview", { from: source.name, count: source.planned.length }),
+                source.planned,
+            )
+        }
+        scope = source.outputs
+        if (scope.length === 0) {
+            return skipStep(step, t("workflow.step.no.files", { from: source.name }))
+        }
+    }
+
+    const name = commandModule.command.split(" ")[0]
+    const args = [name, input, ...wf.toArgs(step.options), ctx.testMode ? "--no-doit" : "--doit"]
+    const parser = createCommandParser(commandModule, args, ctx.userConfig, step.name)
+
+    const startMs = Date.now()
+    let error
+    mf.setWalkScope(scope)
+    jsonOutput.startCapture()
+    try {
+        await parser.parseAsync()
+    } catch (err) {
+        error = err
+        log.logError(LOG_TAG, step.name, err.message)
+    } finally {
+        mf.setWalkScope(null)
+    }
+    const entries = jsonOutput.stopCapture()
+    const counts = entries.reduce((acc, e) => {
+        acc[e.status] = (acc[e.status] || 0) + 1
+        return acc
+    }, {})
+    const failed = Boolean(error) || counts.failed > 0
+    return {
+        name: step.name,
+        command: name,
+        input,
+        from: step.from,
+        args: args.slice(1),
+        status: failed ? StepStatus.FAILED : StepStatus.DONE,
+        error: error ? { type: error.type, message: error.message } : undefined,
+        duration: Date.now() - startMs,
+        counts,
+        entries,
+        outputs: error ? [] : wf.outputFiles(entries),
+        planned: error ? [] : wf.plannedFiles(entries),
     }
-    // log.showGreen(logTag, `Walking files ...`)
-    // let files = await mf.walk(root, walkOpts)
-    // if (!files || files.length === 0) {
-    //     log.showYellow(logTag, "no files found, abort.")
-    //     return
-    // }
 }
@@ -0,0 +1,82 @@
+/*
+ * File: cmd_similar.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 相似图片命令 - 在整个图库中查找视觉上相似的图片，不限拍摄日期
+ * 每组按质量评分、分辨率和文件大小保留一张，输出 JSON 或带缩略图的 HTML 报告，可以移走其余的图片
+ */
+
+import { DEFAULT_OPTIONS, similar } from "../lib/commands/similar.js"
+import { t } from "../lib/i18n.js"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "similar <input>"
+const aliases = ["sim"]
+const describe = t("similar.description")
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return (
+        ya
+            .positional("input", {
+                describe: t("option.common.input"),
+                type: "string",
+            })
+            // 汉明距离阈值，越小越严格
+            .option("threshold", {
+                alias: "t",
+                type: "number",
+                default: DEFAULT_OPTIONS.threshold,
+                description: t("similar.threshold"),
+            })
+            // 报告文件，.html 为带缩略图的网页，其它为 JSON
+            .option("report", {
+                alias: "r",
+                type: "string",
+                description: t("similar.report"),
+            })
+            // 把每组中保留的图片之外的图片移动到此目录，保持相对路径
+            .option("move", {
+                type: "string",
+                description: t("similar.move"),
+            })
+            // 只查找与这张图片相似的图片，使用上次保存的哈希索引
+            .option("like", {
+                type: "string",
+                description: t("similar.like"),
+            })
+            // 过滤表达式，如 "ext in (jpg,heic) and size > 2M"，见 lib/where.js
+            .option("where", {
+                type: "string",
+                describe: t("option.common.where"),
+            })
+            // 图片特征缓存文件，默认在输入目录中，与 pick 相同
+            .option("cache-file", {
+                type: "string",
+                description: t("similar.cache.file"),
+            })
+            // 不读写图片特征缓存文件
+            .option("cache", {
+                type: "boolean",
+                default: DEFAULT_OPTIONS.cache,
+                description: t("similar.cache"),
+            })
+            // 并行操作限制，并发数，默认为 CPU 核心数
+            .option("jobs", {
+                alias: "j",
+                type: "number",
+                description: t("option.common.jobs"),
+            })
+            // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+            .option("doit", {
+                alias: "d",
+                type: "boolean",
+                default: DEFAULT_OPTIONS.doit,
+                description: t("option.common.doit"),
+            })
+    )
+}
+
+const handler = similar
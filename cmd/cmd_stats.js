@@ -0,0 +1,81 @@
+/*
+ * File: cmd_stats.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 统计命令 - 按类型、扩展名、年月、相机型号、编码和分辨率档位统计文件数量和大小
+ * 显示最大的文件和目录，估算使用 compress 或 ffmpeg 预设后可以节省的空间
+ * 输出表格、CSV或JSON，分组和估算见 lib/media_stats.js
+ */
+
+import { DEFAULT_OPTIONS, FORMATS, mediaStats } from "../lib/commands/stats.js"
+import presets from "../lib/ffmpeg_presets.js"
+import { t } from "../lib/i18n.js"
+import * as stats from "../lib/media_stats.js"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "stats <input>"
+const aliases = ["sts"]
+const describe = t("stats.description")
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return (
+        ya
+            .positional("input", {
+                describe: t("option.common.input"),
+                type: "string",
+            })
+            // 交叉分组的字段，逗号分隔，如 year,codec，默认每个字段单独分组
+            .option("by", {
+                alias: "b",
+                type: "string",
+                description: t("stats.by", { groups: stats.STATS_GROUPS.join(",") }),
+            })
+            // 最大的文件和目录的数量，表格中每个分组也只显示这么多行
+            .option("top", {
+                type: "number",
+                default: DEFAULT_OPTIONS.top,
+                description: t("stats.top"),
+            })
+            // 估算使用 compress 命令默认参数压缩图片后节省的空间
+            .option("compress", {
+                type: "boolean",
+                default: DEFAULT_OPTIONS.compress,
+                description: t("stats.compress"),
+            })
+            // 估算使用指定 ffmpeg 预设转码后节省的空间
+            .option("preset", {
+                type: "string",
+                choices: presets.getAllNames(),
+                description: t("stats.preset"),
+            })
+            // 输出格式
+            .option("format", {
+                type: "string",
+                choices: FORMATS,
+                default: DEFAULT_OPTIONS.format,
+                description: t("info.format"),
+            })
+            // 输出到文件，默认输出到终端
+            .option("output", {
+                alias: "o",
+                type: "string",
+                description: t("info.output"),
+            })
+            // 过滤表达式，如 "type=video and date >= 2019 and date < 2020"，见 lib/where.js
+            .option("where", {
+                type: "string",
+                describe: t("option.common.where"),
+            })
+            // 并行操作限制，并发数，默认为 CPU 核心数
+            .option("jobs", {
+                alias: "j",
+                type: "number",
+                description: t("option.common.jobs"),
+            })
+    )
+}
+
+const handler = mediaStats
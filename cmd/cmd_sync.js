@@ -0,0 +1,118 @@
+/*
+ * File: cmd_sync.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 同步命令 - 把源目录单向镜像到目标目录
+ * 复制新文件和有变化的文件，可选安全删除目标中多余的文件，比较和复制过程见 lib/sync.js
+ * 中断后再次运行会跳过已经相同的文件，--resume 时还会跳过断点中已完成和失败的任务
+ */
+
+import { DEFAULT_OPTIONS, syncFiles } from "../lib/commands/sync.js"
+import { t } from "../lib/i18n.js"
+import { SyncCompare } from "../lib/sync.js"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "sync <input> <dest>"
+const aliases = ["sy"]
+const describe = t("sync.description")
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return (
+        ya
+            .positional("input", {
+                describe: t("option.common.input"),
+                type: "string",
+            })
+            .positional("dest", {
+                describe: t("sync.dest"),
+                type: "string",
+            })
+            // 比较方式，size 比较大小和修改时间，hash 比较大小和内容
+            .option("compare", {
+                alias: "c",
+                type: "string",
+                choices: Object.values(SyncCompare),
+                default: DEFAULT_OPTIONS.compare,
+                description: t("sync.compare"),
+            })
+            // 安全删除目标目录中源目录没有的文件，被过滤规则排除的文件不删除
+            .option("delete", {
+                type: "boolean",
+                default: DEFAULT_OPTIONS.delete,
+                description: t("sync.delete"),
+            })
+            // 复制后重新读取目标文件，比较校验值
+            .option("verify", {
+                alias: "V",
+                type: "boolean",
+                default: DEFAULT_OPTIONS.verify,
+                description: t("sync.verify"),
+            })
+            // 限制总复制速度，如 20M 表示每秒 20MB
+            .option("bwlimit", {
+                alias: "B",
+                type: "string",
+                description: t("sync.bwlimit"),
+            })
+            // 文件过滤，与其它命令相同，同时用于源目录和目标目录
+            // 正则，包含文件名规则
+            .option("include", {
+                alias: "I",
+                type: "string",
+                description: t("option.common.include"),
+            })
+            //字符串或正则，不包含文件名规则
+            .option("exclude", {
+                alias: "E",
+                type: "string",
+                description: t("option.common.exclude"),
+            })
+            // 默认启用正则模式，禁用则为字符串模式
+            .option("regex", {
+                alias: "r",
+                type: "boolean",
+                default: DEFAULT_OPTIONS.regex,
+                description: t("option.common.regex"),
+            })
+            // 需要处理的扩展名列表
+            .option("extensions", {
+                alias: "e",
+                type: "string",
+                describe: t("option.common.extensions"),
+            })
+            // 过滤表达式，如 "ext in (jpg,heic) and size > 2M"，见 lib/where.js
+            .option("where", {
+                type: "string",
+                describe: t("option.common.where"),
+            })
+            // 保存同步报告，每行一个JSON
+            .option("report", {
+                type: "string",
+                description: t("sync.report"),
+            })
+            // 并行操作限制，并发数，默认为2，机械硬盘建议设为1
+            .option("jobs", {
+                alias: "j",
+                type: "number",
+                description: t("option.common.jobs"),
+            })
+            // 从上次中断的位置继续，跳过断点中已完成和失败的文件
+            .option("resume", {
+                type: "boolean",
+                default: DEFAULT_OPTIONS.resume,
+                description: t("option.common.resume"),
+            })
+            // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+            .option("doit", {
+                alias: "d",
+                type: "boolean",
+                default: DEFAULT_OPTIONS.doit,
+                description: t("option.common.doit"),
+            })
+    )
+}
+
+const handler = syncFiles
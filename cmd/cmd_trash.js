@@ -0,0 +1,64 @@
+/*
+ * File: cmd_trash.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 回收站命令 - 列出、恢复和清理安全删除目录 Deleted_By_Mediac 中的文件
+ */
+
+import { DEFAULT_OPTIONS, TrashActions, manageTrash } from "../lib/commands/trash.js"
+import { t } from "../lib/i18n.js"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "trash <action> [input]"
+const aliases = ["tr"]
+const describe = t("trash.description")
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return (
+        ya
+            .positional("action", {
+                describe: t("trash.action"),
+                type: "string",
+                choices: Object.values(TrashActions),
+            })
+            .positional("input", {
+                describe: t("trash.input"),
+                type: "string",
+                default: DEFAULT_OPTIONS.input,
+            })
+            // 按原始路径匹配，不含路径分隔符时只匹配文件名
+            .option("glob", {
+                alias: "g",
+                type: "string",
+                description: t("trash.glob"),
+            })
+            // 按删除日期过滤，如 20260101，多个用逗号分隔
+            .option("date", {
+                type: "string",
+                description: t("trash.date"),
+            })
+            // 按删除时的运行ID过滤
+            .option("run", {
+                type: "string",
+                description: t("trash.run"),
+            })
+            // 清理多少天以前删除的文件
+            .option("days", {
+                type: "number",
+                default: DEFAULT_OPTIONS.days,
+                description: t("trash.days"),
+            })
+            // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+            .option("doit", {
+                alias: "d",
+                type: "boolean",
+                default: DEFAULT_OPTIONS.doit,
+                description: t("option.common.doit"),
+            })
+    )
+}
+
+const handler = manageTrash
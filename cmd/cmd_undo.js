@@ -0,0 +1,51 @@
+/*
+ * File: cmd_undo.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 撤销命令 - 按相反顺序回放操作日志，恢复被移动/重命名/安全删除的文件
+ */
+
+import { DEFAULT_OPTIONS, undo } from "../lib/commands/undo.js"
+import { t } from "../lib/i18n.js"
+import * as journal from "../lib/journal.js"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "undo [journal]"
+const aliases = ["ud"]
+const describe = t("undo.description")
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return (
+        ya
+            .positional("journal", {
+                describe: t("undo.journal"),
+                type: "string",
+                default: DEFAULT_OPTIONS.journal,
+            })
+            // 列出最近的操作日志
+            .option("list", {
+                alias: "l",
+                type: "boolean",
+                default: DEFAULT_OPTIONS.list,
+                description: t("undo.list"),
+            })
+            // 日志已被撤销过时再次撤销
+            .option("force", {
+                type: "boolean",
+                default: DEFAULT_OPTIONS.force,
+                description: t("undo.force"),
+            })
+            // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+            .option("doit", {
+                alias: "d",
+                type: "boolean",
+                default: DEFAULT_OPTIONS.doit,
+                description: t("option.common.doit"),
+            })
+    )
+}
+
+const handler = undo
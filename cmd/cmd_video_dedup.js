@@ -0,0 +1,76 @@
+/*
+ * File: cmd_video_dedup.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 视频去重命令 - 查找同一视频的不同编码版本，如不同码率、加了前缀的转码文件
+ * 每组保留分辨率、码率和编码最好的一个，其余的只报告或安全删除，指纹见 lib/video_hash.js
+ */
+
+import { DEFAULT_OPTIONS, videoDedup } from "../lib/commands/video_dedup.js"
+import { DedupActions } from "../lib/dedup.js"
+import { t } from "../lib/i18n.js"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "video-dedup <input>"
+const aliases = ["vdd"]
+const describe = t("video.dedup.description")
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return (
+        ya
+            .positional("input", {
+                describe: t("option.common.input"),
+                type: "string",
+            })
+            // 每个视频截取的帧数，越多越准确但越慢
+            .option("frames", {
+                type: "number",
+                default: DEFAULT_OPTIONS.frames,
+                description: t("video.dedup.frames"),
+            })
+            // 单帧感知哈希的汉明距离阈值
+            .option("threshold", {
+                alias: "t",
+                type: "number",
+                default: DEFAULT_OPTIONS.threshold,
+                description: t("video.dedup.threshold"),
+            })
+            // 对其余重复视频的操作，不支持硬链接，内容并不相同
+            .option("action", {
+                alias: "a",
+                type: "string",
+                choices: [DedupActions.REPORT, DedupActions.TRASH],
+                default: DEFAULT_OPTIONS.action,
+                description: t("video.dedup.action"),
+            })
+            // 过滤表达式，如 "ext in (mp4,mkv) and size > 100M"，见 lib/where.js
+            .option("where", {
+                type: "string",
+                describe: t("option.common.where"),
+            })
+            // 保存重复视频列表，每行一组JSON
+            .option("output", {
+                alias: "o",
+                type: "string",
+                description: t("dedup.output"),
+            })
+            // 并行操作限制，并发数，默认为 CPU 核心数的一半，每个 ffmpeg 进程也会使用多个线程
+            .option("jobs", {
+                alias: "j",
+                type: "number",
+                description: t("option.common.jobs"),
+            })
+            // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+            .option("doit", {
+                alias: "d",
+                type: "boolean",
+                default: DEFAULT_OPTIONS.doit,
+                description: t("option.common.doit"),
+            })
+    )
+}
+
+const handler = videoDedup
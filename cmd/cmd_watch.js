@@ -0,0 +1,296 @@
+/*
+ * File: cmd_watch.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 监视命令 - 持续监视一个目录，新文件写入完成后自动执行指定的命令步骤
+ * 步骤的执行和工作流相同，见 cmd_run.js，已处理记录和稳定检测见 lib/watch.js
+ */
+
+import dayjs from "dayjs"
+import { asyncExitHook } from "exit-hook"
+import fs from "fs-extra"
+import path from "path"
+import * as catalog from "../lib/catalog.js"
+import { finishRun, withAutoConfirm } from "../lib/command_utils.js"
+import * as log from "../lib/debug.js"
+import { ErrorTypes, createError } from "../lib/errors.js"
+import * as mf from "../lib/file.js"
+import { t } from "../lib/i18n.js"
+import * as journal from "../lib/journal.js"
+import * as watch from "../lib/watch.js"
+import * as wf from "../lib/workflow.js"
+import { executeWorkflow, resolveStepModules } from "./cmd_run.js"
+
+const LOG_TAG = "Watch"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "watch <input>"
+const aliases = ["wt"]
+const describe = t("watch.description")
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return (
+        ya
+            .positional("input", {
+                describe: t("option.common.input"),
+                type: "string",
+            })
+            // 要执行的命令，逗号分隔，如 dcimr,move
+            .option("steps", {
+                alias: "s",
+                type: "string",
+                description: t("watch.steps"),
+            })
+            // 工作流文件，可以设置每个步骤的选项
+            .option("flow", {
+                type: "string",
+                description: t("watch.flow"),
+            })
+            // 文件大小和修改时间保持不变的秒数
+            .option("stable", {
+                type: "number",
+                default: 10,
+                description: t("watch.stable"),
+            })
+            // 扫描目录的间隔秒数
+            .option("interval", {
+                type: "number",
+                default: 5,
+                description: t("watch.interval"),
+            })
+            // 收到变化通知后等待的秒数
+            .option("debounce", {
+                type: "number",
+                default: 2,
+                description: t("watch.debounce"),
+            })
+            // 启动时把已有文件记为已处理，只处理之后新增的文件
+            .option("skip-existing", {
+                type: "boolean",
+                default: false,
+                description: t("watch.skip.existing"),
+            })
+            // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+            .option("doit", {
+                alias: "d",
+                type: "boolean",
+                default: false,
+                description: t("option.common.doit"),
+            })
+    )
+}
+
+const handler = cmdWatch
+
+/**
+ * 监视命令处理函数，一直运行到收到退出信号
+ * @param {Object} argv - 命令行参数对象
+ * @param {string} argv.input - 监视的目录
+ * @param {string} argv.steps - 逗号分隔的命令列表
+ * @param {string} argv.flow - 工作流文件
+ * @param {number} argv.stable - 稳定秒数
+ * @param {number} argv.interval - 扫描间隔秒数
+ * @param {number} argv.debounce - 变化通知的等待秒数
+ * @param {boolean} argv.skipExisting - 是否跳过已有文件
+ * @param {boolean} argv.doit - 是否执行实际操作
+ */
+async function cmdWatch(argv) {
+    const root = path.resolve(argv.input)
+    if (!(await fs.pathExists(root)) || !(await fs.stat(root)).isDirectory()) {
+        throw createError(ErrorTypes.INVALID_PATH, t("input.path.not.exists", { path: root }))
+    }
+    const flow = await loadSteps(argv, root)
+    const modules = await resolveStepModules(flow.steps)
+    const testMode = !argv.doit
+
+    // 测试模式下只在内存中记录，不影响之后的真实运行
+    const processed = testMode ? new Map() : await watch.loadProcessed(root)
+    const state = {
+        root,
+        flow,
+        modules,
+        testMode,
+        argv,
+        processed,
+        pending: new Map(),
+        dirty: true,
+        busy: null,
+        stopped: false,
+    }
+    if (argv.skipExisting) {
+        const files = await scanFiles(root)
+        files.forEach((f) => watch.markProcessed(processed, f))
+        log.show(LOG_TAG, t("watch.skip.marked", { count: files.length }))
+        await saveRecord(state)
+    }
+
+    for (const step of flow.steps) {
+        log.show(LOG_TAG, step.name, step.command, wf.toArgs(step.options).join(" "))
+    }
+    testMode && log.logWarn(LOG_TAG, `++++++++++ ${t("mode.test")} ++++++++++`)
+    log.showGreen(LOG_TAG, t("watch.started", { path: root, count: processed.size }))
+
+    // 变化通知只用于提前扫描，定时扫描负责稳定检测
+    let debounceTimer = null
+    let watcher = null
+    try {
+        watcher = fs.watch(root, { recursive: true }, () => {
+            state.dirty = true
+            clearTimeout(debounceTimer)
+            debounceTimer = setTimeout(() => tick(state), argv.debounce * 1000)
+        })
+        watcher.on("error", (error) => log.warn(LOG_TAG, "watcher error", error.message))
+    } catch (error) {
+        log.warn(LOG_TAG, t("watch.polling", { interval: argv.interval }), error.message)
+    }
+    const timer = setInterval(
+        () => {
+            // 没有变化通知时每次都需要扫描
+            state.dirty = state.dirty || !watcher
+            tick(state)
+        },
+        Math.max(1, argv.interval) * 1000,
+    )
+
+    // 退出钩子完成收尾后由 exit-hook 结束进程，这里不会返回
+    await new Promise(() => {
+        asyncExitHook(
+            async () => {
+                log.showYellow(LOG_TAG, t("watch.stopping"))
+                state.stopped = true
+                clearInterval(timer)
+                clearTimeout(debounceTimer)
+                watcher?.close()
+                await state.busy?.catch(() => {})
+                await saveRecord(state)
+                await finishRun()
+            },
+            { wait: 30000 },
+        )
+    })
+}
+
+/**
+ * 从 --flow 或 --steps 得到要执行的步骤
+ * --steps 中第一个步骤处理新文件，之后的步骤处理前一步输出的文件
+ */
+async function loadSteps(argv, root) {
+    if (argv.flow) {
+        return await wf.loadWorkflow(argv.flow)
+    }
+    const names = (argv.steps || "")
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean)
+    if (names.length === 0) {
+        throw createError(ErrorTypes.MISSING_REQUIRED_ARGUMENT, t("watch.no.steps"))
+    }
+    const steps = names.map((name, i) =>
+        i === 0 ? { command: name } : { command: name, from: wf.FROM_PREVIOUS },
+    )
+    return wf.normalizeWorkflow({ steps }, root)
+}
+
+// 列出目录中的文件，忽略隐藏文件
+async function scanFiles(root) {
+    const files = await mf.walk(root, {
+        needStats: true,
+        entryFilter: (entry) => entry.isFile && !entry.name.startsWith("."),
+    })
+    return files.map((f) => ({ path: f.path, size: f.size, mtimeMs: f.stats.mtimeMs }))
+}
+
+/**
+ * 扫描目录，处理已经稳定的新文件
+ * 上一批还在处理时跳过，处理期间的变化在下一次扫描时发现
+ */
+async function tick(state) {
+    if (state.busy || state.stopped) {
+        return
+    }
+    if (!state.dirty && state.pending.size === 0) {
+        return
+    }
+    state.busy = (async () => {
+        state.dirty = false
+        const files = await scanFiles(state.root)
+        const pruned = watch.pruneProcessed(state.processed, new Set(files.map((f) => f.path)))
+        const fresh = files.filter((f) => !watch.isProcessed(state.processed, f))
+        const stable = watch.findStableFiles(
+            state.pending,
+            fresh,
+            Date.now(),
+            state.argv.stable * 1000,
+        )
+        if (stable.length > 0) {
+            // 无人值守运行，步骤中的确认提示自动通过，只限于这一批的处理
+            await withAutoConfirm(() => processBatch(state, stable))
+        }
+        if (stable.length > 0 || pruned > 0) {
+            await saveRecord(state)
+        }
+    })()
+    try {
+        await state.busy
+    } catch (error) {
+        log.error(LOG_TAG, error.message)
+    } finally {
+        state.busy = null
+    }
+}
+
+/**
+ * 对一批稳定的新文件执行所有步骤
+ * 输入文件和步骤的输出文件都记为已处理，失败的文件也不再重试
+ * 真实执行时每一批是一次单独的运行，可以用 undo 单独撤销
+ */
+async function processBatch(state, files) {
+    const startMs = Date.now()
+    log.showCyan(LOG_TAG, dayjs().format("HH:mm:ss"), t("watch.batch", { count: files.length }))
+    if (!state.testMode) {
+        journal.beginRun("watch", state.argv)
+    }
+    let results = []
+    try {
+        results = await executeWorkflow(state.flow, state.modules, {
+            input: state.root,
+            testMode: state.testMode,
+            stopOnError: state.flow.stopOnError,
+            scope: files.map((f) => f.path),
+        })
+    } finally {
+        const run = await journal.endRun()
+        if (run) {
+            log.showYellow(
+                LOG_TAG,
+                `Journal: ${run.count} ops, undo with: mediac undo ${run.runId}`,
+            )
+        }
+        await catalog.flush()
+    }
+
+    const paths = new Set(files.map((f) => f.path))
+    results.forEach((r) => r.outputs.forEach((p) => paths.add(p)))
+    for (const p of paths) {
+        const st = await fs.stat(p).catch(() => null)
+        if (st?.isFile()) {
+            watch.markProcessed(state.processed, { path: p, size: st.size, mtimeMs: st.mtimeMs })
+        }
+    }
+    log.showGreen(
+        LOG_TAG,
+        t("watch.batch.done", { duration: ((Date.now() - startMs) / 1000).toFixed(1) }),
+    )
+}
+
+// 保存已处理记录，测试模式下不保存
+async function saveRecord(state) {
+    if (state.testMode) {
+        return
+    }
+    const recordPath = await watch.saveProcessed(state.root, state.processed)
+    log.info(LOG_TAG, t("watch.record.saved", { path: recordPath }))
+}
@@ -12,29 +12,76 @@ import fs from "fs-extra"
 import { cpus } from "os"
 import path from "path"
 import yargs from "yargs"
+import * as catalog from "./lib/catalog.js"
+import { createNonInteractiveConfirm, finishRun, setConfirmHandler } from "./lib/command_utils.js"
 import * as log from "./lib/debug.js"
 import { errorHandler, handleError } from "./lib/errors.js"
 import * as exif from "./lib/exif.js"
 import * as mf from "./lib/file.js"
 import * as helper from "./lib/helper.js"
+import config from "./lib/config.js"
 import { i18n, t } from "./lib/i18n.js"
+import * as journal from "./lib/journal.js"
+import * as jsonOutput from "./lib/json_output.js"
+import { applySettings, loadUserConfig, withCommandDefaults } from "./lib/user_config.js"
 
 // fix max listeners
 EventEmitter.defaultMaxListeners = 1000
 
 const cpuCount = cpus().length
+// 命令别名 => 命令名称，JSON 输出和操作日志记录命令名称而不是输入的别名
+const commandNames = new Map()
+// yargs 选项定义中的别名，每组保留完整的选项名，如 v 和 verbose 保留 verbose
+const optionAliases = (yargs) =>
+    Object.entries(yargs.getOptions().alias).flatMap(([key, aliases]) => {
+        const names = [key, ...aliases]
+        const keep = key.length > 1 ? key : names.reduce((a, b) => (b.length > a.length ? b : a))
+        return names.filter((name) => name !== keep)
+    })
 // 配置调试等级
-const configCli = (argv) => {
+const configCli = (argv, yargs) => {
     // 太冗长了删掉
     delete argv.$0
     // log.setName("MediaCli");
     log.setVerbose(argv.verbose)
     log.debug(argv)
+    const command = commandNames.get(argv._[0]) || argv._[0]
+    // JSON 输出、操作日志和计划文件中的参数不包含 -d -v 等别名
+    journal.setOptionAliases(optionAliases(yargs))
+    // JSON 输出模式，禁止日志，只输出机器可读的结果
+    const jsonMode = jsonOutput.getJsonMode(argv)
+    if (jsonMode) {
+        jsonOutput.begin(jsonMode, command, argv)
+    }
+    // --json 模式不显示确认提示，--yes 自动确认所有提示
+    if (jsonMode || argv.yes) {
+        setConfirmHandler(createNonInteractiveConfirm(argv.yes))
+    }
+    // --no-catalog 时不读取和更新本地媒体索引
+    if (argv.catalog === false) {
+        catalog.setEnabled(false)
+    }
+    // 真实执行模式下记录文件操作，供 undo 命令回滚
+    if (argv.doit) {
+        journal.beginRun(command, argv)
+    }
 }
 
 await main()
 
 async function main() {
+    // 加载用户配置文件，全局设置写入全局配置，命令默认参数注入到各个命令
+    const userConfig = await loadUserConfig()
+    applySettings(config, userConfig)
+    const cmd = (m) => {
+        const name = m.command.split(" ")[0]
+        for (const alias of [name, m.aliases || []].flat()) {
+            commandNames.set(alias, name)
+        }
+        return withCommandDefaults(m, userConfig)
+    }
+    // JSON 模式在参数解析前就确定，用于禁止日志和参数错误时的退出
+    const jsonArg = process.argv.some((a) => /^--json(-stream)?(=true)?$/.test(a))
     // 命令行参数解析
     // const ya = yargs(process.argv.slice(2));
     // https://github.com/yargs/yargs/blob/master/docs/advanced.md
@@ -62,58 +109,125 @@ async function main() {
             },
         )
         // 运行一些简单的测试任务
-        .command(await import("./cmd/cmd_run.js"))
+        .command(cmd(await import("./cmd/cmd_run.js")))
         // 命令：DCIM重命名
         // 默认按照EXIF拍摄日期重命名，可提供自定义模板
-        .command(await import("./cmd/cmd_dcim.js"))
+        .command(cmd(await import("./cmd/cmd_dcim.js")))
         // 命令 LR输出文件移动
         // 移动RAW目录下LR输出的JPEG目录到单独的图片目录
-        .command(await import("./cmd/cmd_lr.js"))
+        .command(cmd(await import("./cmd/cmd_lr.js")))
         // 命令 压缩图片
         // 压缩满足条件的图片，可指定最大边长和文件大小，输出质量
         // 可选删除压缩后的源文件
-        .command(await import("./cmd/cmd_compress.js"))
+        .command(cmd(await import("./cmd/cmd_compress.js")))
         // 命令 删除图片
         // 按照指定规则删除文件，条件包括宽度高度、文件大小、文件名规则
         // 支持严格模式和宽松模式
-        .command(await import("./cmd/cmd_remove.js"))
+        .command(cmd(await import("./cmd/cmd_remove.js")))
         // 命令 向上移动文件
         // 把多层嵌套目录下的文件移动到顶层目录，按图片和视频分类
-        .command(await import("./cmd/cmd_moveup.js"))
+        .command(cmd(await import("./cmd/cmd_moveup.js")))
         // 命令 按文件名日期时间移动文件
         // 按文件名的日期时间，移动到按年月的子目录中
-        .command(await import("./cmd/cmd_move.js"))
+        .command(cmd(await import("./cmd/cmd_move.js")))
         // 命令 从文件名中提取日期时间，移动文件
-        .command(await import("./cmd/cmd_pick.js"))
+        .command(cmd(await import("./cmd/cmd_pick.js")))
         // 命令 重命名文件 添加前缀
-        .command(await import("./cmd/cmd_prefix.js"))
+        .command(cmd(await import("./cmd/cmd_prefix.js")))
         // 命令 文件名替换 乱码修复 文件名净化等
-        .command(await import("./cmd/cmd_rename.js"))
+        .command(cmd(await import("./cmd/cmd_rename.js")))
         // 命令 智能解压ZIP文件，处理文件名乱码问题
-        .command(await import("./cmd/cmd_zipu.js"))
+        .command(cmd(await import("./cmd/cmd_zipu.js")))
         // 命令 乱码解析，猜测编码，输出可能正确的字符串
-        .command(await import("./cmd/cmd_decode.js"))
+        .command(cmd(await import("./cmd/cmd_decode.js")))
         // 命令，用ffmpeg执行视频和音频压缩和格式转换
-        .command(await import("./cmd/cmd_ffmpeg.js"))
+        .command(cmd(await import("./cmd/cmd_ffmpeg.js")))
+        // 命令 撤销某次运行的文件操作
+        .command(cmd(await import("./cmd/cmd_undo.js")))
+        // 命令 执行 --save-plan 保存的计划文件
+        .command(cmd(await import("./cmd/cmd_apply.js")))
+        // 命令 列出、恢复和清理安全删除的文件
+        .command(cmd(await import("./cmd/cmd_trash.js")))
+        // 命令 建立或更新本地媒体索引
+        .command(cmd(await import("./cmd/cmd_index.js")))
+        // 命令 监视目录，对新文件自动执行工作流步骤
+        .command(cmd(await import("./cmd/cmd_watch.js")))
+        // 命令 显示媒体文件的编码、分辨率、EXIF等信息
+        .command(cmd(await import("./cmd/cmd_info.js")))
+        // 命令 查找内容相同的重复文件
+        .command(cmd(await import("./cmd/cmd_dedup.js")))
+        // 命令 在整个图库中查找相似图片
+        .command(cmd(await import("./cmd/cmd_similar.js")))
+        // 命令 查找同一视频的不同编码版本
+        .command(cmd(await import("./cmd/cmd_video_dedup.js")))
+        // 命令 音乐库工具，按音频指纹查找相同的歌曲
+        .command(cmd(await import("./cmd/cmd_music.js")))
+        // 命令 统计文件数量和大小，估算压缩后节省的空间
+        .command(cmd(await import("./cmd/cmd_stats.js")))
+        // 命令 校验清单，检查文件是否损坏
+        .command(cmd(await import("./cmd/cmd_checksum.js")))
+        // 命令 单向同步目录
+        .command(cmd(await import("./cmd/cmd_sync.js")))
+        // 命令 显示用户配置文件的有效配置
+        .command(await import("./cmd/cmd_config.js"))
         .count("verbose")
         .alias("v", "verbose")
+        // 输出机器可读的JSON结果，运行结束时输出一个JSON文档
+        .option("json", {
+            type: "boolean",
+            description: t("option.common.json"),
+        })
+        // 每个条目输出一行JSONL事件
+        .option("json-stream", {
+            type: "boolean",
+            description: t("option.common.json.stream"),
+        })
+        // 自动确认所有提示，--json 模式下需要
+        .option("yes", {
+            alias: "y",
+            type: "boolean",
+            description: t("option.common.yes"),
+        })
+        // 使用本地媒体索引，--no-catalog 禁用
+        .option("catalog", {
+            type: "boolean",
+            description: t("option.common.catalog"),
+        })
         .alias("h", "help")
         .epilog(`${t("app.description")}.\n${t("app.copyright")}`)
         .demandCommand(1, chalk.red("缺少要执行的子命令!"))
         .showHelpOnFail(true)
         .version()
         .help()
+        // JSON 模式下出错时不直接退出，由 finishRun 输出包含错误的JSON文档
+        .exitProcess(!jsonArg)
         .middleware([configCli])
     const logFilePath = log.fileLogPath()
+    let error
+    // JSON 模式在参数解析前就禁止日志，避免输出横幅
+    if (jsonArg) {
+        log.setSilent(true)
+    }
     try {
         log.show("==============================================================")
         const argv = await ya.parse()
         log.debug(argv)
     } catch (err) {
         // await ya.getHelp()
+        error = err
+        process.exitCode = 1
         log.showRed(`${err.message}`)
+        // 参数错误时还没有开始JSON输出，仍然输出包含错误的JSON文档
+        if (jsonArg && !jsonOutput.isEnabled()) {
+            const stream = process.argv.some((a) => /^--json-stream(=true)?$/.test(a))
+            const command = process.argv[2]
+            jsonOutput.begin(
+                stream ? jsonOutput.JsonMode.STREAM : jsonOutput.JsonMode.DOCUMENT,
+                commandNames.get(command) || command,
+            )
+        }
     } finally {
-        await log.flushFileLog()
+        await finishRun(error)
         if (await fs.pathExists(logFilePath)) {
             const filePath = logFilePath.split(path.sep).join("/")
             log.showYellow(`See logs: file:///${filePath}`)
@@ -0,0 +1,261 @@
+/*
+ * File: api.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Programmatic API - 在 Node.js 程序中调用 mediac 的命令
+ *
+ *   import { rename, compress } from "mediac"
+ *   const result = await rename("/photos", { fixenc: true, doit: true }, { onEntry: console.log })
+ *
+ * 直接调用 lib/commands 中的命令实现，选项与命令行参数相同，未设置的使用命令的 DEFAULT_OPTIONS
+ * 用户配置文件只在 hooks.userConfig 设置时读取；确认提示由 hooks.confirm 决定，默认全部确认
+ * 命令共享条目收集和操作日志等全局状态，同一进程中的调用会按顺序排队执行
+ * 命令实现在第一次调用时加载，导入本模块没有副作用
+ * watch、run-workflow 和 decode 只有命令行版本：watch 一直运行到被中止，run-workflow 用各命令的
+ * 命令行解析器读取步骤选项，程序中可以直接依次调用各命令，decode 只输出转换后的文本
+ */
+
+import * as catalog from "./catalog.js"
+import { ProgressPhase, withConfirmHandler, withProgressHandler } from "./command_utils.js"
+import * as log from "./debug.js"
+import { ErrorTypes, createError } from "./errors.js"
+import * as journal from "./journal.js"
+import * as jsonOutput from "./json_output.js"
+import { EntryStatus } from "./json_output.js"
+import { getCommandDefaults, loadUserConfig } from "./user_config.js"
+
+export { EntryStatus, ProgressPhase }
+
+// API 名称 => 命令实现，按需加载
+// fn 为 lib/commands 中的函数名，command 为命令行中的命令名，用户配置和操作日志使用
+// args 为位置参数对应的选项名，默认只有 input
+const COMMANDS = {
+    rename: { module: "./commands/rename.js", fn: "rename", command: "rename" },
+    dcim: { module: "./commands/dcim.js", fn: "dcim", command: "dcimr" },
+    compress: { module: "./commands/compress.js", fn: "compress", command: "compress" },
+    convert: { module: "./commands/ffmpeg.js", fn: "convert", command: "ffmpeg" },
+    move: { module: "./commands/move.js", fn: "move", command: "move" },
+    moveup: { module: "./commands/moveup.js", fn: "moveup", command: "moveup" },
+    prefix: { module: "./commands/prefix.js", fn: "prefixFiles", command: "prefix" },
+    remove: { module: "./commands/remove.js", fn: "remove", command: "remove" },
+    unzip: { module: "./commands/zipu.js", fn: "unzip", command: "zipu" },
+    lrmove: { module: "./commands/lr.js", fn: "lrmove", command: "lrmove" },
+    pick: { module: "./commands/pick.js", fn: "pick", command: "pick" },
+    index: { module: "./commands/index.js", fn: "index", command: "index" },
+    info: { module: "./commands/info.js", fn: "info", command: "info" },
+    dedup: { module: "./commands/dedup.js", fn: "dedupFiles", command: "dedup" },
+    similar: { module: "./commands/similar.js", fn: "similar", command: "similar" },
+    videoDedup: { module: "./commands/video_dedup.js", fn: "videoDedup", command: "video-dedup" },
+    music: { module: "./commands/music.js", fn: "music", command: "music" },
+    stats: { module: "./commands/stats.js", fn: "mediaStats", command: "stats" },
+    checksum: { module: "./commands/checksum.js", fn: "checksum", command: "checksum" },
+    trash: { module: "./commands/trash.js", fn: "manageTrash", command: "trash" },
+    sync: {
+        module: "./commands/sync.js",
+        fn: "syncFiles",
+        command: "sync",
+        args: ["input", "dest"],
+    },
+    apply: { module: "./commands/apply.js", fn: "apply", command: "apply", args: ["plan"] },
+    undo: {
+        module: "./commands/undo.js",
+        fn: "undo",
+        command: "undo",
+        args: ["journal"],
+        optional: true,
+    },
+}
+
+// 可以通过 API 调用的命令名称
+export const commands = Object.freeze(Object.keys(COMMANDS))
+
+// 上一个调用完成后才开始下一个
+let queue = Promise.resolve()
+
+/**
+ * 执行一个命令
+ *
+ * @param {string} name - 命令名称，见 commands，也可以使用命令行中的命令名
+ * @param {string|Array<string>} input - 输入路径，对应命令的位置参数，sync 为 [源目录, 目标目录]
+ * @param {Object} [options] - 命令选项，见各命令的 DEFAULT_OPTIONS，键名可以使用 kebab-case
+ * @param {boolean} [options.doit] - 是否执行实际操作，默认只预览
+ * @param {boolean} [options.catalog] - false 时不使用本地媒体索引
+ * @param {Object} [hooks] - 回调
+ * @param {Function} [hooks.onEntry] - 每处理一个条目时调用，参数为条目对象
+ * @param {Function} [hooks.onProgress] - 处理进度 (current, total, phase)，phase 见 ProgressPhase
+ * @param {Function} [hooks.confirm] - 确认提示 (message, {dangerous, defaultValue}) => boolean，默认全部确认
+ * @param {boolean} [hooks.quiet] - 是否禁止本程序的日志输出，默认 true，不影响调用方的 console
+ * @param {boolean|Array<string>} [hooks.userConfig] - 是否使用用户配置文件中的命令默认值，默认不使用
+ *   true 读取 ~/.mediac/config.yaml 和当前目录的 .mediac.yaml，也可以指定配置文件路径
+ * @returns {Promise<Object>} 运行结果 {command, ok, doit, entries, counts, summary, journal}
+ */
+export function run(name, input, options = {}, hooks = {}) {
+    const task = queue.then(() => runCommand(name, input, options, hooks))
+    queue = task.catch(() => {})
+    return task
+}
+
+export const rename = (input, options, hooks) => run("rename", input, options, hooks)
+export const dcim = (input, options, hooks) => run("dcim", input, options, hooks)
+export const compress = (input, options, hooks) => run("compress", input, options, hooks)
+export const convert = (input, options, hooks) => run("convert", input, options, hooks)
+export const move = (input, options, hooks) => run("move", input, options, hooks)
+export const moveup = (input, options, hooks) => run("moveup", input, options, hooks)
+export const prefix = (input, options, hooks) => run("prefix", input, options, hooks)
+export const remove = (input, options, hooks) => run("remove", input, options, hooks)
+export const unzip = (input, options, hooks) => run("unzip", input, options, hooks)
+export const lrmove = (input, options, hooks) => run("lrmove", input, options, hooks)
+export const pick = (input, options, hooks) => run("pick", input, options, hooks)
+export const index = (input, options, hooks) => run("index", input, options, hooks)
+export const info = (input, options, hooks) => run("info", input, options, hooks)
+export const dedup = (input, options, hooks) => run("dedup", input, options, hooks)
+export const similar = (input, options, hooks) => run("similar", input, options, hooks)
+export const videoDedup = (input, options, hooks) => run("videoDedup", input, options, hooks)
+// music 命令的操作由 action 选项指定
+export const musicDedup = (input, options, hooks) =>
+    run("music", input, { ...options, action: "dedup" }, hooks)
+export const stats = (input, options, hooks) => run("stats", input, options, hooks)
+// checksum 命令的操作由 action 选项指定
+export const checksumCreate = (input, options, hooks) =>
+    run("checksum", input, { ...options, action: "create" }, hooks)
+export const checksumVerify = (input, options, hooks) =>
+    run("checksum", input, { ...options, action: "verify" }, hooks)
+// trash 命令的操作由 action 选项指定，input 为安全删除目录或同一磁盘上的任意路径
+export const trashList = (input, options, hooks) =>
+    run("trash", input, { ...options, action: "list" }, hooks)
+export const trashRestore = (input, options, hooks) =>
+    run("trash", input, { ...options, action: "restore" }, hooks)
+export const trashPurge = (input, options, hooks) =>
+    run("trash", input, { ...options, action: "purge" }, hooks)
+// sync 命令需要源目录和目标目录
+export const sync = (input, dest, options, hooks) => run("sync", [input, dest], options, hooks)
+export const apply = (plan, options, hooks) => run("apply", plan, options, hooks)
+export const undo = (journalName, options, hooks) => run("undo", journalName, options, hooks)
+
+/**
+ * 查找命令，按 API 名称或命令行中的命令名匹配
+ * @param {string} name - 命令名称
+ * @returns {Object} 命令信息，见 COMMANDS
+ */
+function findCommand(name) {
+    const found = COMMANDS[name] || Object.values(COMMANDS).find((c) => c.command === name)
+    if (!found) {
+        throw createError(ErrorTypes.INVALID_ARGUMENT, `Unknown command: ${name}`)
+    }
+    return found
+}
+
+/**
+ * 把选项对象的键名转为 camelCase，与命令实现使用的键名相同
+ * @param {Object} options - 选项
+ * @returns {Object} 新的选项对象
+ */
+export function normalizeOptions(options = {}) {
+    return Object.fromEntries(
+        Object.entries(options).map(([k, v]) => [
+            k.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase()),
+            v,
+        ]),
+    )
+}
+
+/**
+ * 把位置参数写入选项，缺少必需的位置参数时抛出错误
+ * @param {Object} cmd - 命令信息，见 COMMANDS
+ * @param {string|Array<string>} input - 位置参数
+ * @param {string} label - 错误信息的前缀
+ * @returns {Object} 位置参数对应的选项
+ */
+function inputOptions(cmd, input, label) {
+    const names = cmd.args || ["input"]
+    const values = names.length > 1 ? [input].flat() : [input]
+    const result = {}
+    names.forEach((name, i) => {
+        const value = values[i]
+        if (value === undefined || value === null) {
+            if (!cmd.optional) {
+                throw createError(ErrorTypes.INVALID_ARGUMENT, `${label}: missing ${name}`)
+            }
+            return
+        }
+        result[name] = value
+    })
+    return result
+}
+
+/**
+ * 读取用户配置文件中的命令默认值，只在 hooks.userConfig 设置时使用
+ * @param {boolean|Array<string>} userConfig - true 使用默认的配置文件，也可以指定配置文件路径
+ * @param {string} command - 命令行中的命令名
+ * @returns {Promise<Object>} 命令选项的默认值
+ */
+async function loadCommandDefaults(userConfig, command) {
+    if (!userConfig) {
+        return {}
+    }
+    const config = await (Array.isArray(userConfig) ? loadUserConfig(userConfig) : loadUserConfig())
+    return normalizeOptions(getCommandDefaults(config, command))
+}
+
+async function runCommand(name, input, options, hooks) {
+    const cmd = findCommand(name)
+    const { onEntry, onProgress, confirm = () => true, quiet = true, userConfig } = hooks || {}
+    const { catalog: useCatalog, ...rest } = normalizeOptions(options)
+    const commandOptions = {
+        ...(await loadCommandDefaults(userConfig, cmd.command)),
+        ...rest,
+        ...inputOptions(cmd, input, name),
+        doit: Boolean(rest.doit),
+    }
+    const commandFn = (await import(cmd.module))[cmd.fn]
+
+    const execute = async () => {
+        useCatalog === false && catalog.setEnabled(false)
+        // 回调的异常不影响命令执行
+        jsonOutput.startCapture((entry) => {
+            try {
+                onEntry?.(entry)
+            } catch (error) {
+                log.warn("API", "onEntry", error.message)
+            }
+        })
+        commandOptions.doit && journal.beginRun(cmd.command, commandOptions)
+        const startedAt = new Date().toISOString()
+        let summary = {}
+        let entries = []
+        let journalRun = null
+        try {
+            await commandFn(commandOptions)
+        } finally {
+            summary = jsonOutput.getCapturedSummary()
+            entries = jsonOutput.stopCapture()
+            journalRun = await journal.endRun()
+            await catalog.flush()
+            useCatalog === false && catalog.setEnabled(null)
+        }
+        return { startedAt, summary, entries, journalRun }
+    }
+    // 确认、进度和静默都只对这次调用有效，不影响同一进程中的其它代码
+    const { startedAt, summary, entries, journalRun } = await withConfirmHandler(confirm, () =>
+        withProgressHandler(onProgress, () => (quiet ? log.withSilent(execute) : execute())),
+    )
+    const counts = entries.reduce((acc, e) => {
+        acc[e.status] = (acc[e.status] || 0) + 1
+        return acc
+    }, {})
+    return {
+        command: cmd.command,
+        ok: !counts[EntryStatus.FAILED],
+        doit: commandOptions.doit,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        entries,
+        counts,
+        summary,
+        journal: journalRun
+            ? { runId: journalRun.runId, count: journalRun.count, path: journalRun.path }
+            : undefined,
+    }
+}
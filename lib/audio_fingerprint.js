@@ -0,0 +1,468 @@
+/*
+ * File: audio_fingerprint.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Audio fingerprint - 音频指纹，查找文件名不同但内容相同的歌曲
+ * 用 ffmpeg 把固定时间段解码为单声道 PCM，每帧计算 12 个音级的色度向量，转为 24 位的帧编码
+ * 两个指纹在一定的偏移范围内比较帧编码，取位差异最小的对齐位置，与格式、码率和音量无关
+ */
+
+import { execa } from "execa"
+import os from "os"
+import pMap from "p-map"
+import path from "path"
+import * as mm from "music-metadata"
+import * as catalog from "./catalog.js"
+import { CatalogFields } from "./catalog.js"
+import * as log from "./debug.js"
+import * as helper from "./helper.js"
+
+const LOG_TAG = "AudioFP"
+
+const ffmpegBin = os.platform() === "win32" ? "ffmpeg.exe" : "ffmpeg"
+
+/**
+ * 音频指纹配置
+ *
+ * VERSION: 指纹算法或参数变化时需要更新，索引中旧版本的指纹会重新计算
+ * SAMPLE_RATE: 解码采样率，只保留 5.5kHz 以下的频率
+ * FRAME_SIZE / HOP_SIZE: 每帧的采样数和帧移，约每秒 10 帧
+ * START_SECONDS / WINDOW_SECONDS: 解码的时间段，跳过开头的静音和渐入
+ * MIN_FREQ / MAX_FREQ: 计算色度的频率范围
+ * SMOOTH_FRAMES: 色度向量时间平滑的帧数，减少编码噪声的影响
+ * MAX_SHIFT_SECONDS: 比较时允许的最大偏移，容许开头静音长度不同
+ * THRESHOLD: 相似度阈值 0-1，0 为无关，1 为完全相同
+ * DURATION_SECONDS: 时长允许的差异
+ * TAG_WEIGHT: 标题和艺术家都相同时加分，都有但不同时减分
+ * BITRATE_MARGIN: 码率相差超过此比例时才按码率选择保留的文件
+ */
+export const AUDIO_FP_CONFIG = Object.freeze({
+    VERSION: 1,
+    SAMPLE_RATE: 11025,
+    FRAME_SIZE: 2048,
+    HOP_SIZE: 1024,
+    START_SECONDS: 10,
+    WINDOW_SECONDS: 60,
+    MIN_FREQ: 55,
+    MAX_FREQ: 3520,
+    SMOOTH_FRAMES: 4,
+    MAX_SHIFT_SECONDS: 5,
+    THRESHOLD: 0.5,
+    DURATION_SECONDS: 3,
+    TAG_WEIGHT: 0.1,
+    BITRATE_MARGIN: 0.1,
+})
+
+// 每帧编码的位数，12 位相邻音级比较 + 12 位与平均值比较
+const CODE_BITS = 24
+// 候选查找只使用部分帧编码，按编码值抽样，不同文件的抽样一致
+const INDEX_SAMPLE = 4
+// 出现在太多文件中的帧编码不用于候选查找
+const MAX_POSTING = 64
+// 候选对相同的帧编码至少占较少一方的比例，无关的歌曲也会有少量相同的帧编码
+const MIN_SHARED_RATIO = 0.2
+
+// 就地计算复数 FFT，长度必须是 2 的幂
+function fft(re, im) {
+    const n = re.length
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1
+        for (; j & bit; bit >>= 1) j ^= bit
+        j ^= bit
+        if (i < j) {
+            ;[re[i], re[j]] = [re[j], re[i]]
+            ;[im[i], im[j]] = [im[j], im[i]]
+        }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+        const angle = (-2 * Math.PI) / len
+        const [wr, wi] = [Math.cos(angle), Math.sin(angle)]
+        for (let i = 0; i < n; i += len) {
+            let [cr, ci] = [1, 0]
+            for (let k = 0; k < len / 2; k++) {
+                const [a, b] = [i + k, i + k + len / 2]
+                const tr = re[b] * cr - im[b] * ci
+                const ti = re[b] * ci + im[b] * cr
+                re[b] = re[a] - tr
+                im[b] = im[a] - ti
+                re[a] += tr
+                im[a] += ti
+                ;[cr, ci] = [cr * wr - ci * wi, cr * wi + ci * wr]
+            }
+        }
+    }
+}
+
+// 每个 FFT 频点对应的音级，范围外为 -1
+function chromaBins(config) {
+    const { SAMPLE_RATE, FRAME_SIZE, MIN_FREQ, MAX_FREQ } = config
+    return Int8Array.from({ length: FRAME_SIZE / 2 }, (_, k) => {
+        const freq = (k * SAMPLE_RATE) / FRAME_SIZE
+        if (freq < MIN_FREQ || freq > MAX_FREQ) return -1
+        // 以 A 为第 0 个音级
+        return ((Math.round(12 * Math.log2(freq / 440)) % 12) + 12) % 12
+    })
+}
+
+function popcount(n) {
+    n = n - ((n >>> 1) & 0x55555555)
+    n = (n & 0x33333333) + ((n >>> 2) & 0x33333333)
+    return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24
+}
+
+/**
+ * 从 PCM 采样计算音频指纹
+ * 静音帧的编码为 0，比较时忽略
+ *
+ * @param {Float32Array|Array<number>} samples - 单声道采样，-1 到 1
+ * @param {Object} [config] - 配置，见 AUDIO_FP_CONFIG
+ * @returns {Uint32Array} 帧编码
+ */
+export function computeFingerprintFromPcm(samples, config = AUDIO_FP_CONFIG) {
+    const { FRAME_SIZE, HOP_SIZE, SMOOTH_FRAMES } = config
+    const bins = chromaBins(config)
+    const hann = Float64Array.from(
+        { length: FRAME_SIZE },
+        (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1)),
+    )
+    const count = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1)
+    const chromas = []
+    const re = new Float64Array(FRAME_SIZE)
+    const im = new Float64Array(FRAME_SIZE)
+    for (let f = 0; f < count; f++) {
+        const offset = f * HOP_SIZE
+        let energy = 0
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            re[i] = samples[offset + i] * hann[i]
+            im[i] = 0
+            energy += re[i] * re[i]
+        }
+        const chroma = new Float64Array(12)
+        // 静音帧，约 -60dB
+        if (energy / FRAME_SIZE < 1e-6) {
+            chromas.push(null)
+            continue
+        }
+        fft(re, im)
+        for (let k = 0; k < bins.length; k++) {
+            if (bins[k] >= 0) chroma[bins[k]] += re[k] * re[k] + im[k] * im[k]
+        }
+        chromas.push(chroma)
+    }
+
+    const codes = new Uint32Array(count)
+    for (let f = 0; f < count; f++) {
+        if (!chromas[f]) continue
+        // 与后面几帧平均
+        const avg = new Float64Array(12)
+        for (let s = f; s < Math.min(count, f + SMOOTH_FRAMES); s++) {
+            if (!chromas[s]) continue
+            const total = chromas[s].reduce((a, b) => a + b, 0) || 1
+            for (let i = 0; i < 12; i++) avg[i] += chromas[s][i] / total
+        }
+        const mean = avg.reduce((a, b) => a + b, 0) / 12
+        let code = 0
+        for (let i = 0; i < 12; i++) {
+            if (avg[i] > avg[(i + 1) % 12]) code |= 1 << i
+            if (avg[i] > mean) code |= 1 << (i + 12)
+        }
+        codes[f] = code >>> 0
+    }
+    return codes
+}
+
+/**
+ * 比较两个音频指纹，在允许的偏移范围内查找位差异最小的对齐位置
+ *
+ * @param {Uint32Array} a - 帧编码
+ * @param {Uint32Array} b - 帧编码
+ * @param {Object} [config] - 配置，见 AUDIO_FP_CONFIG
+ * @returns {{similarity: number, offset: number}} 相似度 0-1 和 b 相对 a 的偏移秒数
+ */
+export function compareFingerprints(a, b, config = AUDIO_FP_CONFIG) {
+    const { SAMPLE_RATE, HOP_SIZE, MAX_SHIFT_SECONDS } = config
+    const framesPerSecond = SAMPLE_RATE / HOP_SIZE
+    const maxShift = Math.round(MAX_SHIFT_SECONDS * framesPerSecond)
+    const minOverlap = Math.floor(Math.min(a.length, b.length) / 2)
+    let best = { similarity: 0, offset: 0 }
+    for (let shift = -maxShift; shift <= maxShift; shift++) {
+        let errors = 0
+        let compared = 0
+        const start = Math.max(0, -shift)
+        const end = Math.min(a.length, b.length - shift)
+        for (let i = start; i < end; i++) {
+            const [x, y] = [a[i], b[i + shift]]
+            if (!x || !y) continue
+            errors += popcount(x ^ y)
+            compared++
+        }
+        if (compared === 0 || compared < minOverlap) continue
+        // 无关的音频约一半的位不同，相似度接近 0
+        const similarity = Math.max(0, 1 - (2 * errors) / (compared * CODE_BITS))
+        if (similarity > best.similarity) {
+            best = { similarity, offset: shift / framesPerSecond }
+        }
+    }
+    best.similarity = Math.round(best.similarity * 1000) / 1000
+    best.offset = Math.round(best.offset * 10) / 10
+    return best
+}
+
+// 指纹与字符串互相转换，用于保存到索引
+function encodeCodes(codes) {
+    const buf = Buffer.alloc(codes.length * 4)
+    codes.forEach((code, i) => buf.writeUInt32LE(code, i * 4))
+    return buf.toString("base64")
+}
+
+function decodeCodes(text) {
+    const buf = Buffer.from(text, "base64")
+    return Uint32Array.from({ length: buf.length / 4 }, (_, i) => buf.readUInt32LE(i * 4))
+}
+
+// 解码时间段，太短的文件从头开始
+function decodeWindow(duration, config = AUDIO_FP_CONFIG) {
+    const { START_SECONDS, WINDOW_SECONDS } = config
+    const start = duration >= START_SECONDS + WINDOW_SECONDS ? START_SECONDS : 0
+    return { start, length: WINDOW_SECONDS }
+}
+
+/**
+ * 用 ffmpeg 解码一段音频为单声道 PCM
+ *
+ * @param {string} filePath - 音频路径
+ * @param {number} start - 开始时间，秒
+ * @param {number} length - 时长，秒
+ * @returns {Promise<Float32Array>} 采样，-1 到 1
+ */
+async function decodePcm(filePath, start, length) {
+    const args = ["-v", "error", "-ss", String(start), "-t", String(length), "-i", filePath]
+    args.push("-vn", "-ac", "1", "-ar", String(AUDIO_FP_CONFIG.SAMPLE_RATE), "-f", "s16le", "-")
+    const { stdout } = await execa(ffmpegBin, args, { encoding: "buffer" })
+    const buf = Buffer.from(stdout)
+    return Float32Array.from({ length: buf.length >> 1 }, (_, i) => buf.readInt16LE(i * 2) / 32768)
+}
+
+// 读取标签和格式信息
+async function readAudioTags(filePath) {
+    const { format, common } = await mm.parseFile(filePath, { skipCovers: true })
+    return {
+        duration: format.duration || 0,
+        bitrate: Math.round(format.bitrate || 0),
+        sampleRate: format.sampleRate || 0,
+        bitsPerSample: format.bitsPerSample || 0,
+        lossless: Boolean(format.lossless) || helper.isAudioLossless(filePath),
+        codec: format.codec || "",
+        title: common.title || "",
+        artist: common.artist || "",
+    }
+}
+
+/**
+ * 计算音频文件的指纹和标签，结果通过索引缓存，见 lib/catalog.js
+ *
+ * @param {string} filePath - 音频路径
+ * @returns {Promise<Object|null>} {duration, bitrate, sampleRate, bitsPerSample, lossless, codec, title, artist, codes}
+ */
+export async function computeAudioFingerprint(filePath) {
+    const compute = async () => {
+        const tags = await readAudioTags(filePath)
+        const { start, length } = decodeWindow(tags.duration)
+        const codes = computeFingerprintFromPcm(await decodePcm(filePath, start, length))
+        // 全部是静音时不写入索引
+        if (!codes.some(Boolean)) return null
+        return { version: AUDIO_FP_CONFIG.VERSION, ...tags, fingerprint: encodeCodes(codes) }
+    }
+    let value = await catalog.cached(filePath, CatalogFields.AUDIO, compute)
+    if (value && value.version !== AUDIO_FP_CONFIG.VERSION) {
+        value = await compute()
+        value && (await catalog.update(filePath, { [CatalogFields.AUDIO]: value }))
+    }
+    if (!value) {
+        return null
+    }
+    const { version, fingerprint, ...info } = value
+    return { ...info, codes: decodeCodes(fingerprint) }
+}
+
+// 用于比较的标签，忽略大小写、空白和括号中的内容
+function normalizeTag(text) {
+    return String(text || "")
+        .toLowerCase()
+        .replace(/\(.*?\)|\[.*?\]|（.*?）|【.*?】|[\s\-_.,'"]+/g, "")
+}
+
+/**
+ * 标签对相似度的调整，标题和艺术家都相同时加分，都有但不同时减分，缺少标签时不调整
+ *
+ * @param {Object} a - {title, artist}
+ * @param {Object} b - {title, artist}
+ * @returns {number} -1、0 或 1，乘以 TAG_WEIGHT 后加到相似度上
+ */
+export function compareTags(a, b) {
+    const fields = ["title", "artist"].map((k) => [normalizeTag(a[k]), normalizeTag(b[k])])
+    if (fields.some(([x, y]) => !x || !y)) return 0
+    return fields.every(([x, y]) => x === y) ? 1 : fields.some(([x, y]) => x === y) ? 0 : -1
+}
+
+/**
+ * 判断两首歌是否相同，综合时长、指纹相似度和标签
+ *
+ * @param {Object} a - computeAudioFingerprint 的结果
+ * @param {Object} b - computeAudioFingerprint 的结果
+ * @param {Object} [options] - 选项
+ * @param {number} [options.threshold] - 相似度阈值 0-1
+ * @returns {{same: boolean, score: number, similarity: number, offset: number}} score 为加上标签调整后的分数
+ */
+export function matchAudio(a, b, options = {}) {
+    const { threshold = AUDIO_FP_CONFIG.THRESHOLD } = options
+    if (Math.abs(a.duration - b.duration) > AUDIO_FP_CONFIG.DURATION_SECONDS) {
+        return { same: false, score: 0, similarity: 0, offset: 0 }
+    }
+    const { similarity, offset } = compareFingerprints(a.codes, b.codes)
+    const score =
+        Math.round((similarity + compareTags(a, b) * AUDIO_FP_CONFIG.TAG_WEIGHT) * 1000) / 1000
+    return { same: score >= threshold, score, similarity, offset }
+}
+
+// 帧编码是否用于候选查找
+const isIndexed = (code) => code && Math.imul(code, 0x9e3779b1) >>> 28 < 16 / INDEX_SAMPLE
+
+/**
+ * 查找可能相同的歌曲对，只有时长相近且有相同帧编码的才需要完整比较
+ *
+ * @param {Array<Object>} items - 条目列表，需要 duration 和 codes 字段
+ * @returns {Array<Array<number>>} 候选对 [i, j]，i < j
+ */
+export function findCandidatePairs(items) {
+    const postings = new Map()
+    const counts = items.map(() => 0)
+    items.forEach((item, i) => {
+        for (const code of new Set(item.codes)) {
+            if (!isIndexed(code)) continue
+            counts[i]++
+            const list = postings.get(code)
+            list ? list.push(i) : postings.set(code, [i])
+        }
+    })
+    const pairs = new Map()
+    for (const list of postings.values()) {
+        if (list.length < 2 || list.length > MAX_POSTING) continue
+        for (let x = 0; x < list.length; x++) {
+            for (let y = x + 1; y < list.length; y++) {
+                const [i, j] = [list[x], list[y]]
+                if (
+                    Math.abs(items[i].duration - items[j].duration) >
+                    AUDIO_FP_CONFIG.DURATION_SECONDS
+                ) {
+                    continue
+                }
+                const key = i * items.length + j
+                pairs.set(key, (pairs.get(key) || 0) + 1)
+            }
+        }
+    }
+    return [...pairs]
+        .map(([key, count]) => [Math.floor(key / items.length), key % items.length, count])
+        .filter(
+            ([i, j, count]) =>
+                count >= Math.max(2, Math.min(counts[i], counts[j]) * MIN_SHARED_RATIO),
+        )
+        .map(([i, j]) => [i, j])
+}
+
+/**
+ * 按指纹把歌曲分组，分组是传递的
+ *
+ * @param {Array<Object>} items - 条目列表，见 computeAudioFingerprint
+ * @param {Object} [options] - 选项，见 matchAudio
+ * @returns {Array<Array<Object>>} 两个以上条目的分组，每个条目增加 score 字段为与组内其它条目的最高分数
+ */
+export function clusterAudio(items, options = {}) {
+    const parent = items.map((_, i) => i)
+    const scores = items.map(() => 0)
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]]
+            i = parent[i]
+        }
+        return i
+    }
+    for (const [i, j] of findCandidatePairs(items)) {
+        const { same, score } = matchAudio(items[i], items[j], options)
+        if (!same) continue
+        parent[find(j)] = find(i)
+        scores[i] = Math.max(scores[i], score)
+        scores[j] = Math.max(scores[j], score)
+    }
+    const groups = new Map()
+    items.forEach((item, i) => {
+        const root = find(i)
+        const entry = { ...item, score: scores[i] }
+        const group = groups.get(root)
+        group ? group.push(entry) : groups.set(root, [entry])
+    })
+    return [...groups.values()].filter((group) => group.length > 1)
+}
+
+/**
+ * 相同歌曲排序，最好的在前
+ * 无损格式优先，然后比较码率、采样率和位深，都相同时保留文件名更长的，文件名通常包含更多信息
+ *
+ * @param {Array<Object>} items - 条目列表 {path, size, lossless, bitrate, sampleRate, bitsPerSample}
+ * @returns {Array<Object>} 排序后的新数组
+ */
+export function rankAudio(items) {
+    const { BITRATE_MARGIN } = AUDIO_FP_CONFIG
+    const byBitrate = (a, b) => {
+        const [x, y] = [a.bitrate || 0, b.bitrate || 0]
+        return Math.max(x, y) > Math.min(x, y) * (1 + BITRATE_MARGIN) ? y - x : 0
+    }
+    const nameLength = (item) => helper.unicodeLength(path.basename(item.path))
+    return [...items].sort(
+        (a, b) =>
+            Number(Boolean(b.lossless)) - Number(Boolean(a.lossless)) ||
+            byBitrate(a, b) ||
+            (b.sampleRate || 0) - (a.sampleRate || 0) ||
+            (b.bitsPerSample || 0) - (a.bitsPerSample || 0) ||
+            nameLength(b) - nameLength(a) ||
+            a.path.localeCompare(b.path),
+    )
+}
+
+/**
+ * 计算所有音频的指纹并查找相同的歌曲
+ *
+ * @param {Array<Object>} files - 文件条目 {path, size}
+ * @param {Object} [options] - 选项
+ * @param {number} [options.threshold] - 相似度阈值 0-1
+ * @param {number} [options.concurrency] - 同时处理的文件数
+ * @param {Function} [options.onProgress] - 回调 (done, total)
+ * @returns {Promise<{groups: Array<Object>, failed: number}>} 分组 {keep, duplicates}，failed 为无法计算指纹的文件数
+ */
+export async function findAudioDuplicates(files, options = {}) {
+    const { threshold, concurrency = 2, onProgress } = options
+    let done = 0
+    const items = await pMap(
+        files,
+        async (f) => {
+            let fp = null
+            try {
+                fp = await computeAudioFingerprint(f.path)
+            } catch (error) {
+                log.warn(LOG_TAG, helper.pathShort(f.path), error.message)
+            }
+            onProgress?.(++done, files.length)
+            return fp && { path: f.path, size: f.size ?? f.stats?.size, ...fp }
+        },
+        { concurrency },
+    )
+    const valid = items.filter(Boolean)
+    const groups = clusterAudio(valid, { threshold }).map((group) => {
+        const [keep, ...duplicates] = rankAudio(group)
+        return { keep, duplicates }
+    })
+    return { groups, failed: files.length - valid.length }
+}
@@ -0,0 +1,404 @@
+/*
+ * File: catalog.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Media catalog - 本地持久化的媒体文件元数据索引
+ * 以 路径+大小+修改时间 为键，保存文件类型、EXIF日期和型号、图片尺寸、媒体信息和哈希
+ * 条目按所在目录分片保存为JSON文件，只加载用到的分片，分片条目过多时拆分
+ * 目录由 index 命令创建，存在时各命令通过 cached() 透明读取和增量更新
+ */
+
+import crypto from "crypto"
+import fs from "fs-extra"
+import os from "os"
+import path from "path"
+import * as log from "./debug.js"
+import { withLock } from "./file_lock.js"
+
+const LOG_TAG = "Catalog"
+
+// 格式或字段计算方式变化时需要更新，旧版本分片会被忽略
+// 2: exif 增加方向和GPS，media 增加声道数和HDR信息
+// 3: 分片ID为目录哈希的前缀，按条目数拆分
+const CATALOG_VERSION = 3
+
+// 初始分片ID的长度，共 16 个分片
+const ROOT_SHARD_LENGTH = 1
+// 分片条目超过这个数量时，按目录哈希的下一位拆分为 16 个分片
+const MAX_SHARD_ENTRIES = 5000
+
+// 条目中保存的字段
+export const CatalogFields = Object.freeze({
+    // 文件类型 { ext, mime }
+    TYPE: "type",
+    // EXIF信息 { date, tag, ms, model, orientation, gps }
+    EXIF: "exif",
+    // 图片尺寸 { width, height, type }
+    IMAGE: "image",
+    // ffprobe/mediainfo 解析结果
+    MEDIA: "media",
+    // 文件内容哈希 xxHash64
+    HASH: "hash",
+    // 图片特征 { aHash, pHash, dHash, quality }
+    IMAGE_HASH: "imageHash",
+    // 视频帧哈希 { hashes }
+    VIDEO_HASH: "videoHash",
+    // 音频指纹和标签 { version, duration, bitrate, lossless, title, artist, fingerprint }
+    AUDIO: "audio",
+})
+
+let catalogDir = path.join(os.homedir(), ".mediac", "catalog")
+// null 表示按目录是否存在自动决定
+let enabled = null
+// 分片ID => Promise<{entries, split, changes}>
+// changes 为未写入的修改 Map<路径, 条目|null>，null 表示删除
+const shards = new Map()
+const counters = { hits: 0, misses: 0 }
+
+/**
+ * 设置索引存储目录，主要用于测试
+ * @param {string} dir - 目录路径
+ */
+export function setCatalogDir(dir) {
+    catalogDir = path.resolve(dir)
+    shards.clear()
+    enabled = null
+}
+
+/**
+ * 获取索引存储目录
+ * @returns {string} 目录路径
+ */
+export function getCatalogDir() {
+    return catalogDir
+}
+
+/**
+ * 启用或禁用索引，对应全局选项 --no-catalog
+ * @param {boolean} value - 是否启用
+ */
+export function setEnabled(value) {
+    enabled = value
+}
+
+/**
+ * 索引是否可用，未明确设置时以索引目录是否存在为准
+ * @returns {boolean}
+ */
+export function isEnabled() {
+    if (enabled === null) {
+        enabled = fs.pathExistsSync(catalogDir)
+    }
+    return enabled
+}
+
+/**
+ * 获取本次运行的命中统计和内存中的分片数
+ * @returns {{hits: number, misses: number, loaded: number}}
+ */
+export function getStats() {
+    return { ...counters, loaded: shards.size }
+}
+
+// 同一目录下的文件保存在同一个分片中，分片ID是目录哈希的前缀
+function dirHash(absPath) {
+    return crypto.createHash("md5").update(path.dirname(absPath)).digest("hex")
+}
+
+function shardPath(id) {
+    return path.join(catalogDir, `${id}.json`)
+}
+
+// 读取分片文件，已拆分的分片只有 split 标记，条目在下一级分片中
+async function readShard(id) {
+    const file = shardPath(id)
+    try {
+        if (await fs.pathExists(file)) {
+            const data = await fs.readJson(file)
+            if (data.version === CATALOG_VERSION) {
+                return {
+                    entries: data.entries || {},
+                    split: Boolean(data.split),
+                    changes: new Map(),
+                }
+            }
+            log.info(LOG_TAG, `Ignore shard ${file}, version ${data.version}`)
+        }
+    } catch (error) {
+        log.warn(LOG_TAG, `Failed to read ${file}: ${error.message}`)
+    }
+    return { entries: {}, split: false, changes: new Map() }
+}
+
+async function getShard(id) {
+    for (;;) {
+        if (!shards.has(id)) {
+            shards.set(id, readShard(id))
+        }
+        const promise = shards.get(id)
+        const shard = await promise
+        // 等待期间可能已被 flush 释放，重新读取，保证返回时分片仍在内存中，修改不会丢失
+        if (shards.get(id) === promise) {
+            return shard
+        }
+    }
+}
+
+// 从初始分片开始，沿已拆分的分片找到文件所在的分片
+async function loadShard(absPath) {
+    const hash = dirHash(absPath)
+    for (let length = ROOT_SHARD_LENGTH; ; length++) {
+        const shard = await getShard(hash.slice(0, length))
+        if (!shard.split || length === hash.length) {
+            return shard
+        }
+    }
+}
+
+// 文件状态的比较键，mtime 精确到毫秒
+function statKey(stats) {
+    return { size: stats.size, mtime: Math.floor(stats.mtimeMs ?? stats.mtime?.getTime() ?? 0) }
+}
+
+function isFresh(entry, key) {
+    return Boolean(entry) && entry.size === key.size && entry.mtime === key.mtime
+}
+
+/**
+ * 查找文件的有效条目，文件大小或修改时间变化时返回 null
+ *
+ * @param {string} filePath - 文件路径
+ * @param {fs.Stats} [stats] - 文件状态，未提供时读取
+ * @returns {Promise<Object|null>} 条目
+ */
+export async function lookup(filePath, stats) {
+    if (!isEnabled()) {
+        return null
+    }
+    const absPath = path.resolve(filePath)
+    stats = stats || (await fs.stat(absPath).catch(() => null))
+    if (!stats) {
+        return null
+    }
+    const shard = await loadShard(absPath)
+    const entry = shard.entries[absPath]
+    return isFresh(entry, statKey(stats)) ? entry : null
+}
+
+/**
+ * 更新文件条目的字段，文件已变化时丢弃旧条目的所有字段
+ *
+ * @param {string} filePath - 文件路径
+ * @param {Object} fields - 字段，见 CatalogFields
+ * @param {fs.Stats} [stats] - 文件状态，未提供时读取
+ * @returns {Promise<Object|null>} 更新后的条目
+ */
+export async function update(filePath, fields, stats) {
+    if (!isEnabled()) {
+        return null
+    }
+    const absPath = path.resolve(filePath)
+    stats = stats || (await fs.stat(absPath).catch(() => null))
+    if (!stats) {
+        return null
+    }
+    const key = statKey(stats)
+    const shard = await loadShard(absPath)
+    const old = shard.entries[absPath]
+    const entry = isFresh(old, key) ? old : key
+    Object.assign(entry, fields, { updatedAt: Date.now() })
+    shard.entries[absPath] = entry
+    shard.changes.set(absPath, entry)
+    return entry
+}
+
+/**
+ * 删除文件的条目
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<boolean>} 是否存在并已删除
+ */
+export async function remove(filePath) {
+    if (!isEnabled()) {
+        return false
+    }
+    const absPath = path.resolve(filePath)
+    const shard = await loadShard(absPath)
+    if (!shard.entries[absPath]) {
+        return false
+    }
+    delete shard.entries[absPath]
+    shard.changes.set(absPath, null)
+    return true
+}
+
+/**
+ * 读取文件的某个字段，条目无效或没有该字段时调用 compute 计算并保存
+ * 索引未启用时直接调用 compute，null/undefined 结果不保存
+ *
+ * @param {string} filePath - 文件路径
+ * @param {string} field - 字段名，见 CatalogFields
+ * @param {Function} compute - 计算函数，返回字段值
+ * @param {fs.Stats} [stats] - 文件状态，未提供时读取
+ * @returns {Promise<any>} 字段值
+ */
+export async function cached(filePath, field, compute, stats) {
+    if (!isEnabled()) {
+        return await compute()
+    }
+    stats = stats || (await fs.stat(filePath).catch(() => null))
+    if (!stats) {
+        return await compute()
+    }
+    const entry = await lookup(filePath, stats)
+    if (entry && entry[field] !== undefined) {
+        counters.hits++
+        return entry[field]
+    }
+    counters.misses++
+    const value = await compute()
+    if (value !== null && value !== undefined) {
+        await update(filePath, { [field]: value }, stats)
+    }
+    return value
+}
+
+/**
+ * 删除目录下已不存在的文件的条目，逐个分片处理并写回
+ *
+ * @param {string} root - 目录路径
+ * @param {Set<string>} existing - 仍然存在的文件的绝对路径
+ * @returns {Promise<number>} 删除的条目数
+ */
+export async function prune(root, existing) {
+    if (!isEnabled()) {
+        return 0
+    }
+    const prefix = path.resolve(root) + path.sep
+    const files = (await fs.pathExists(catalogDir)) ? await fs.readdir(catalogDir) : []
+    let count = 0
+    for (const name of files.filter((f) => /^[0-9a-f]+\.json$/.test(f))) {
+        const shard = await getShard(path.basename(name, ".json"))
+        for (const p of Object.keys(shard.entries)) {
+            if (p.startsWith(prefix) && !existing.has(p)) {
+                delete shard.entries[p]
+                shard.changes.set(p, null)
+                count++
+            }
+        }
+        await flush()
+    }
+    return count
+}
+
+async function writeShardFile(id, data) {
+    const file = shardPath(id)
+    const tmp = `${file}.${process.pid}.tmp`
+    try {
+        await fs.outputJson(tmp, { version: CATALOG_VERSION, ...data })
+        await fs.move(tmp, file, { overwrite: true })
+    } catch (error) {
+        await fs.remove(tmp).catch(() => {})
+        throw error
+    }
+}
+
+// 按目录哈希的下一位把条目分到下一级分片
+function groupByChild(id, pairs) {
+    const groups = new Map()
+    for (const [p, entry] of pairs) {
+        const childId = dirHash(p).slice(0, id.length + 1)
+        groups.has(childId) || groups.set(childId, new Map())
+        groups.get(childId).set(p, entry)
+    }
+    return groups
+}
+
+// 条目过多且不在同一目录时返回下一级分片的分组，否则返回 null
+function splitEntries(id, entries) {
+    const keys = Object.keys(entries)
+    if (keys.length <= MAX_SHARD_ENTRIES || id.length >= 32) {
+        return null
+    }
+    // 同一目录的条目不能拆分
+    if (new Set(keys.map((p) => path.dirname(p))).size < 2) {
+        return null
+    }
+    return groupByChild(id, Object.entries(entries))
+}
+
+/**
+ * 持有分片的锁文件，重新读取分片，合并修改后写回
+ * 其它进程同时写入的条目不会被覆盖，条目过多时拆分，分片已被拆分时修改写入下一级分片
+ * @param {string} id - 分片ID
+ * @param {Map<string, Object|null>} changes - 修改的条目，null 表示删除
+ */
+async function writeShard(id, changes) {
+    const split = await withLock(`${shardPath(id)}.lock`, async () => {
+        const current = await readShard(id)
+        if (current.split) {
+            return true
+        }
+        for (const [p, entry] of changes) {
+            entry ? (current.entries[p] = entry) : delete current.entries[p]
+        }
+        const groups = splitEntries(id, current.entries)
+        if (groups) {
+            // 先写下一级分片，再写拆分标记，读到标记时条目已经可用
+            for (const [childId, group] of groups) {
+                await writeShard(childId, group)
+            }
+            await writeShardFile(id, { split: true })
+            log.info(LOG_TAG, `Split shard ${id} into ${groups.size} shards`)
+        } else {
+            await writeShardFile(id, { entries: current.entries })
+        }
+        return false
+    })
+    if (split) {
+        for (const [childId, group] of groupByChild(id, changes)) {
+            await writeShard(childId, group)
+        }
+    }
+}
+
+// 同一进程内的 flush 依次执行
+let flushing = Promise.resolve()
+
+/**
+ * 把修改过的分片写回磁盘，并从内存中释放没有修改的分片
+ * 在运行结束时调用，处理大量文件时也应定期调用，限制内存占用
+ * @returns {Promise<number>} 写入的分片数
+ */
+export function flush() {
+    const run = flushing.then(flushShards)
+    flushing = run.catch(() => {})
+    return run
+}
+
+async function flushShards() {
+    let count = 0
+    for (const [id, promise] of [...shards]) {
+        const shard = await promise
+        if (shard.changes.size > 0) {
+            // 写入期间的新修改留到下次写入
+            const changes = shard.changes
+            shard.changes = new Map()
+            try {
+                await writeShard(id, changes)
+                count++
+            } catch (error) {
+                log.warn(LOG_TAG, `Failed to write ${shardPath(id)}: ${error.message}`)
+                for (const [p, entry] of changes) {
+                    shard.changes.has(p) || shard.changes.set(p, entry)
+                }
+            }
+        }
+        if (shard.changes.size === 0 && shards.get(id) === promise) {
+            shards.delete(id)
+        }
+    }
+    count > 0 && log.info(LOG_TAG, `Saved ${count} shards to ${catalogDir}`)
+    return count
+}
@@ -0,0 +1,243 @@
+/*
+ * File: checkpoint.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Checkpoint - 长时间批处理（compress、ffmpeg）的断点记录
+ * 每个任务开始、完成和失败时追加一行JSONL，进程被中断也不会丢失已完成的记录
+ * 同一命令、输入目录和输出参数使用同一个文件，--resume 时跳过已完成和失败的任务，
+ * 并清理被中断任务的临时文件和写了一半的输出文件
+ */
+
+import crypto from "crypto"
+import fs from "fs-extra"
+import os from "os"
+import path from "path"
+import * as log from "./debug.js"
+import { t } from "./i18n.js"
+
+const LOG_TAG = "Checkpoint"
+
+// 修改时间的精度误差，部分文件系统（如FAT、SMB）只精确到秒
+const MTIME_TOLERANCE_MS = 2000
+
+// 记录类型，每行JSON的type字段
+export const CheckpointEvents = Object.freeze({
+    RUN: "run",
+    START: "start",
+    DONE: "done",
+    FAILED: "failed",
+})
+
+let checkpointDir = path.join(os.homedir(), ".mediac", "checkpoint")
+
+/**
+ * 设置断点文件存储目录，主要用于测试
+ * @param {string} dir - 目录路径
+ */
+export function setCheckpointDir(dir) {
+    checkpointDir = path.resolve(dir)
+}
+
+/**
+ * 获取断点文件路径，由命令名、输入目录和影响输出的参数决定
+ * 参数变化后（如换了预设）不会使用之前的断点
+ *
+ * @param {string} command - 命令名称
+ * @param {string} root - 输入目录
+ * @param {Object} params - 影响输出文件的参数
+ * @returns {string} 断点文件路径
+ */
+export function getCheckpointPath(command, root, params = {}) {
+    const key = JSON.stringify([path.resolve(root), params])
+    const hash = crypto.createHash("md5").update(key).digest("hex")
+    return path.join(checkpointDir, `${command}_${hash.slice(0, 16)}.jsonl`)
+}
+
+/**
+ * 读取断点文件，按源文件路径汇总每个任务最后的状态
+ * 损坏的行（如中断时写了一半）会被忽略
+ *
+ * @param {string} checkpointPath - 断点文件路径
+ * @returns {Promise<Object|null>} {path, run, done, failed, interrupted}，文件不存在时返回 null
+ *   done/failed/interrupted 为 Map，源路径 => 最后一条记录
+ */
+export async function readCheckpoint(checkpointPath) {
+    if (!(await fs.pathExists(checkpointPath))) {
+        return null
+    }
+    const text = await fs.readFile(checkpointPath, "utf8")
+    let run = null
+    const last = new Map()
+    for (const line of text.split("\n")) {
+        if (!line.trim()) continue
+        let rec
+        try {
+            rec = JSON.parse(line)
+        } catch (error) {
+            log.info(LOG_TAG, "skip broken line", checkpointPath)
+            continue
+        }
+        if (rec.type === CheckpointEvents.RUN) {
+            run = rec
+        } else if (rec.src) {
+            last.set(rec.src, rec)
+        }
+    }
+    const byType = (type) => new Map([...last].filter(([, rec]) => rec.type === type))
+    return {
+        path: checkpointPath,
+        run,
+        done: byType(CheckpointEvents.DONE),
+        failed: byType(CheckpointEvents.FAILED),
+        interrupted: byType(CheckpointEvents.START),
+    }
+}
+
+/**
+ * 命令开始准备任务前调用：resume 时读取之前的记录并清理被中断的任务
+ * 返回的 skip 为已完成和失败的源文件，调用方从任务列表中去掉
+ * 测试模式下只显示要清理的文件，不记录断点
+ *
+ * @param {string} command - 命令名称
+ * @param {string} root - 输入目录
+ * @param {Object} params - 影响输出文件的参数，见 getCheckpointPath
+ * @param {Object} options
+ * @param {boolean} options.resume - 是否从之前的记录继续
+ * @param {boolean} options.testMode - 是否为测试模式
+ * @returns {Promise<{checkpoint: Object|null, skip: Set<string>, summary: Object}>}
+ */
+export async function beginCheckpoint(command, root, params, { resume, testMode }) {
+    const checkpointPath = getCheckpointPath(command, root, params)
+    const previous = await readCheckpoint(checkpointPath)
+    const skip = new Set()
+    const summary = { path: checkpointPath, resumed: false, done: 0, failed: 0, recovered: [] }
+    if (resume && previous) {
+        summary.resumed = true
+        summary.done = previous.done.size
+        summary.failed = previous.failed.size
+        summary.recovered = testMode
+            ? [...previous.interrupted.values()].map((rec) => ({ src: rec.src, removed: [] }))
+            : await cleanInterrupted(previous.interrupted)
+        previous.done.forEach((rec, src) => skip.add(src))
+        previous.failed.forEach((rec, src) => skip.add(src))
+        log.logInfo(
+            LOG_TAG,
+            t("checkpoint.resumed", {
+                done: summary.done,
+                failed: summary.failed,
+                recovered: summary.recovered.length,
+            }),
+        )
+        for (const r of summary.recovered) {
+            log.logWarn(LOG_TAG, t("checkpoint.recovered", { path: r.src }), r.removed.join(", "))
+        }
+    } else if (resume) {
+        log.logWarn(LOG_TAG, t("checkpoint.not.found"))
+    } else if (previous && previous.done.size + previous.interrupted.size > 0) {
+        log.logWarn(LOG_TAG, t("checkpoint.overwrite", { count: previous.done.size }))
+    }
+    const checkpoint = testMode ? null : openCheckpoint(command, root, params, summary.resumed)
+    return { checkpoint, skip, summary }
+}
+
+/**
+ * 创建断点对象，第一次记录时才写入文件，resume 为 false 时覆盖之前的记录
+ * 这样在确认前取消时不会影响之前的记录
+ *
+ * @param {string} command - 命令名称
+ * @param {string} root - 输入目录
+ * @param {Object} params - 影响输出文件的参数，见 getCheckpointPath
+ * @param {boolean} resume - 是否在之前的记录后继续追加
+ * @returns {Object} 断点对象，供 markStarted/markDone/markFailed 使用
+ */
+export function openCheckpoint(command, root, params = {}, resume = false) {
+    const checkpointPath = getCheckpointPath(command, root, params)
+    const header = {
+        type: CheckpointEvents.RUN,
+        command,
+        root: path.resolve(root),
+        params,
+        startedAt: new Date().toISOString(),
+    }
+    const open = async () => {
+        await fs.ensureDir(path.dirname(checkpointPath))
+        const write = resume ? fs.appendFile : fs.writeFile
+        await write(checkpointPath, JSON.stringify(header) + "\n", "utf8")
+    }
+    return { path: checkpointPath, pending: null, open }
+}
+
+// 按顺序追加记录，并发任务的写入不会交错
+function append(checkpoint, rec) {
+    if (!checkpoint) {
+        return Promise.resolve()
+    }
+    const line = JSON.stringify({ ...rec, at: Date.now() }) + "\n"
+    checkpoint.pending = (checkpoint.pending || checkpoint.open())
+        .then(() => fs.appendFile(checkpoint.path, line, "utf8"))
+        .catch((error) => log.warn(LOG_TAG, "write failed", error.message))
+    return checkpoint.pending
+}
+
+/**
+ * 记录任务开始，临时文件和目标文件在中断后需要清理
+ * @param {Object} checkpoint - 断点对象，为空时忽略
+ * @param {{src: string, dst: string, tmp: string}} task - 任务路径
+ */
+export function markStarted(checkpoint, { src, dst, tmp }) {
+    return append(checkpoint, { type: CheckpointEvents.START, src, dst, tmp })
+}
+
+/**
+ * 记录任务完成
+ * @param {Object} checkpoint - 断点对象，为空时忽略
+ * @param {{src: string, dst: string}} task - 任务路径
+ */
+export function markDone(checkpoint, { src, dst }) {
+    return append(checkpoint, { type: CheckpointEvents.DONE, src, dst })
+}
+
+/**
+ * 记录任务失败，失败的任务 resume 时不再重试，使用失败列表单独处理
+ * @param {Object} checkpoint - 断点对象，为空时忽略
+ * @param {{src: string, dst: string}} task - 任务路径
+ * @param {string} error - 错误信息
+ */
+export function markFailed(checkpoint, { src, dst }, error) {
+    return append(checkpoint, { type: CheckpointEvents.FAILED, src, dst, error })
+}
+
+/**
+ * 等待所有记录写入完成
+ * @param {Object} checkpoint - 断点对象
+ */
+export async function closeCheckpoint(checkpoint) {
+    await checkpoint?.pending
+}
+
+/**
+ * 清理被中断的任务：删除临时文件，以及任务开始后才写入的目标文件
+ * 任务开始前已存在的目标文件不会被删除
+ *
+ * @param {Map<string, Object>} interrupted - 见 readCheckpoint
+ * @returns {Promise<Array<{src: string, removed: Array<string>}>>} 清理的文件
+ */
+export async function cleanInterrupted(interrupted) {
+    const results = []
+    for (const rec of interrupted.values()) {
+        const removed = []
+        if (rec.tmp && (await fs.pathExists(rec.tmp))) {
+            await fs.remove(rec.tmp)
+            removed.push(rec.tmp)
+        }
+        const st = rec.dst ? await fs.stat(rec.dst).catch(() => null) : null
+        if (st && st.mtimeMs >= rec.at - MTIME_TOLERANCE_MS) {
+            await fs.remove(rec.dst)
+            removed.push(rec.dst)
+        }
+        results.push({ src: rec.src, removed })
+    }
+    return results
+}
@@ -7,6 +7,7 @@
  * Command utilities - Common patterns extracted from command handlers
  */
 
+import { AsyncLocalStorage } from "async_hooks"
 import chalk from "chalk"
 import * as cliProgress from "cli-progress"
 import fs from "fs-extra"
@@ -14,12 +15,61 @@ import inquirer from "inquirer"
 import { cpus } from "os"
 import path from "path"
 import pMap from "p-map"
+import * as catalog from "./catalog.js"
 import * as log from "./debug.js"
+import { ErrorTypes, createError } from "./errors.js"
 import { t } from "./i18n.js"
+import * as journal from "./journal.js"
+import * as jsonOutput from "./json_output.js"
 
 export const DEFAULT_CONCURRENCY = cpus().length
 
+// 确认提示的处理函数 (message, {dangerous, defaultValue}) => boolean
+// 未设置时用 inquirer 交互确认，API 调用中替换
+let confirmHandler = null
+
+// withConfirmHandler 设置的处理函数，只对其回调中的异步调用链有效
+const confirmScope = new AsyncLocalStorage()
+
+export function setConfirmHandler(handler) {
+    confirmHandler = handler || null
+}
+
+export function getConfirmHandler() {
+    return confirmScope.getStore() || confirmHandler
+}
+
+// 在 fn 中使用指定的确认处理函数，同一进程中的其它提示不受影响
+export function withConfirmHandler(handler, fn) {
+    return confirmScope.run(handler, fn)
+}
+
+// 在 fn 中自动确认所有提示，无人值守运行时使用，如 watch 命令的每一批处理
+export function withAutoConfirm(fn) {
+    return withConfirmHandler(autoConfirm, fn)
+}
+
+function autoConfirm(message) {
+    log.info(`Auto-confirming: ${message}`)
+    return true
+}
+
+// 不显示提示的确认处理，yes 为 true 时全部确认，否则抛出错误中止运行
+// 用于 --json 模式，输出给程序读取时没有人回答提示，stdin 也可能已关闭
+export function createNonInteractiveConfirm(yes) {
+    return (message) => {
+        if (yes) {
+            return autoConfirm(message)
+        }
+        throw createError(ErrorTypes.INVALID_ARGUMENT, t("common.confirm.required", { message }))
+    }
+}
+
 export async function confirmAction(message, defaultValue = false) {
+    const handler = getConfirmHandler()
+    if (handler) {
+        return Boolean(await handler(message, { dangerous: false, defaultValue }))
+    }
     const answer = await inquirer.prompt([
         {
             type: "confirm",
@@ -32,6 +82,10 @@ export async function confirmAction(message, defaultValue = false) {
 }
 
 export async function confirmDangerousAction(message, defaultValue = false) {
+    const handler = getConfirmHandler()
+    if (handler) {
+        return Boolean(await handler(message, { dangerous: true, defaultValue }))
+    }
     const answer = await inquirer.prompt([
         {
             type: "confirm",
@@ -47,6 +101,51 @@ export async function confirmContinue() {
     return await confirmAction(t("common.continue.processing"))
 }
 
+// 进度报告的阶段，prepare 为读取文件信息和生成任务，process 为执行操作，analyze 为计算哈希和指纹
+export const ProgressPhase = Object.freeze({
+    PREPARE: "prepare",
+    PROCESS: "process",
+    ANALYZE: "analyze",
+})
+
+// withProgressHandler 设置的进度回调 (current, total, phase)，只对其回调中的异步调用链有效
+const progressScope = new AsyncLocalStorage()
+
+// 在 fn 中把命令的处理进度报告给 handler，API 调用中使用
+export function withProgressHandler(handler, fn) {
+    return progressScope.run(handler, fn)
+}
+
+// 报告处理进度，没有进度回调时不做任何事，回调的异常不影响命令执行
+export function reportProgress(current, total, phase) {
+    const handler = progressScope.getStore()
+    if (!handler) {
+        return
+    }
+    try {
+        handler(current, total, phase)
+    } catch (error) {
+        log.warn("Progress", error.message)
+    }
+}
+
+// 与 pMap 相同，每完成一项报告一次进度，options.phase 为进度阶段，其它选项传给 pMap
+export function mapWithProgress(items, mapper, options = {}) {
+    const { phase = ProgressPhase.PROCESS, ...pMapOptions } = options
+    const total = items.length
+    let done = 0
+    reportProgress(0, total, phase)
+    return pMap(
+        items,
+        async (item, index) => {
+            const result = await mapper(item, index)
+            reportProgress(++done, total, phase)
+            return result
+        },
+        pMapOptions,
+    )
+}
+
 export function createProgressBar(options = {}) {
     const defaultOptions = {
         etaBuffer: 300,
@@ -56,7 +155,7 @@ export function createProgressBar(options = {}) {
 }
 
 export function shouldShowProgressBar(fileCount, threshold = 9999) {
-    return fileCount > threshold && !log.isVerbose()
+    return fileCount > threshold && !log.isVerbose() && !log.isSilent()
 }
 
 export function withProgressBar(files, processor, options = {}) {
@@ -174,9 +273,20 @@ export async function writeJsonReport(data, outputDir, filename) {
     await fs.ensureDir(outputDir)
     const outputPath = path.join(outputDir, filename)
     await fs.writeJson(outputPath, data, { spaces: 2 })
+    jsonOutput.addReport(outputPath)
     return outputPath
 }
 
+// 把 stdout 转到 stderr，返回恢复函数
+// CSV和JSON输出到终端时，过程中的日志转到 stderr，便于重定向到文件
+export function redirectStdout() {
+    const stdoutWrite = process.stdout.write
+    process.stdout.write = process.stderr.write.bind(process.stderr)
+    return () => {
+        process.stdout.write = stdoutWrite
+    }
+}
+
 export function formatProgress(index, total) {
     return `${index + 1}/${total}`
 }
@@ -227,3 +337,15 @@ export function logOperationEnd(logTag, startMs, successCount, errorCount = 0) {
         `(${(duration / 1000).toFixed(2)}s)`,
     )
 }
+
+// 运行结束时的收尾：结束操作日志、保存媒体索引、输出 JSON 结果和写入日志文件
+// 正常结束和 watch 等长时间运行的命令退出时都需要调用
+export async function finishRun(error) {
+    const run = await journal.endRun()
+    if (run) {
+        log.showYellow(`Journal: ${run.count} ops, undo with: mediac undo ${run.runId}`)
+    }
+    await catalog.flush()
+    jsonOutput.end({ error, journal: run ? { runId: run.runId, count: run.count } : undefined })
+    await log.flushFileLog()
+}
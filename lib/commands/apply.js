@@ -0,0 +1,190 @@
+/*
+ * File: apply.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 执行计划命令 - 按顺序执行 --save-plan 保存的操作，不重新遍历和计算文件名
+ * 执行前校验每个源文件的大小和修改时间，变化过的操作会被跳过
+ */
+
+import chalk from "chalk"
+import fs from "fs-extra"
+import path from "path"
+import {
+    abortIfCancelled,
+    confirmDangerousAction,
+    ProgressPhase,
+    reportProgress,
+} from "../command_utils.js"
+import * as log from "../debug.js"
+import * as helper from "../helper.js"
+import { t } from "../i18n.js"
+import * as jsonOutput from "../json_output.js"
+import * as journal from "../journal.js"
+import { PlanOps, PlanStatus, checkOp, loadPlan } from "../plan.js"
+import { updateConfig } from "./compress.js"
+import { compressImage } from "./shared.js"
+
+const LOG_TAG = "Apply"
+
+// 执行结果状态，校验失败时为 PlanStatus 中的值
+const ApplyStatus = Object.freeze({
+    ...PlanStatus,
+    DONE: "DONE",
+    FAILED: "FAILED",
+})
+
+// 选项默认值，与 cmd/cmd_apply.js 的命令行参数相同
+export const DEFAULT_OPTIONS = Object.freeze({
+    doit: false,
+})
+
+/**
+ * 执行计划命令处理函数
+ * @param {Object} options - 命令选项，与命令行参数相同，未设置的使用 DEFAULT_OPTIONS
+ * @param {string} options.plan - 计划文件路径
+ * @param {boolean} options.doit - 是否执行实际操作
+ * @returns {Promise<Array|undefined>} 每个操作的执行结果
+ */
+export async function apply(options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options }
+    const testMode = !options.doit
+    log.logInfo(LOG_TAG, options)
+    const plan = await loadPlan(options.plan)
+    log.show(LOG_TAG, `Plan: ${plan.command} ${plan.createdAt}`)
+    log.show(LOG_TAG, `Cwd: ${plan.cwd}`)
+    if (plan.ops.length === 0) {
+        log.logWarn(LOG_TAG, t("common.nothing.to.do"))
+        return
+    }
+
+    // 先整体校验一遍，让用户确认前看到有多少操作已失效
+    const checked = []
+    for (const op of plan.ops) {
+        checked.push(await checkOp(op))
+    }
+    const valid = checked.filter((s) => s === PlanStatus.OK).length
+    log.logInfo(LOG_TAG, t("apply.total.ops", { count: plan.ops.length, valid }))
+    for (const [index, op] of plan.ops.entries()) {
+        if (checked[index] !== PlanStatus.OK) {
+            log.logWarn(LOG_TAG, chalk.yellow(checked[index]), op.op, helper.pathShort(op.src))
+        }
+    }
+    for (const op of plan.ops.slice(0, 10)) {
+        log.showGray(LOG_TAG, `${op.op}: ${helper.pathShort(op.src)} => ${op.dst || ""}`)
+    }
+    if (valid === 0) {
+        log.logWarn(LOG_TAG, t("common.nothing.to.do"))
+        return
+    }
+
+    testMode && log.logWarn(LOG_TAG, `++++++++++ ${t("mode.test")} ++++++++++`)
+    const answer = await confirmDangerousAction(t("apply.confirm", { count: valid }))
+    if (await abortIfCancelled(answer, LOG_TAG)) {
+        return
+    }
+
+    if (!testMode && plan.ops.some((op) => op.op === PlanOps.COMPRESS)) {
+        await updateConfig(options)
+    }
+    const results = []
+    for (const [index, op] of plan.ops.entries()) {
+        const status = await applyOne(op, index, plan.ops.length, testMode)
+        results.push({ ...op, status })
+        reportProgress(index + 1, plan.ops.length, ProgressPhase.PROCESS)
+        jsonOutput.addEntry({
+            action: op.op,
+            src: op.src,
+            dst: op.dst,
+            ...jsonOutput.toEntryStatus(status, testMode),
+        })
+        const ipx = `${index + 1}/${plan.ops.length}`
+        if (status === ApplyStatus.DONE) {
+            log.info(LOG_TAG, ipx, op.op, `${op.src} => ${op.dst || ""}`)
+        } else {
+            log.logWarn(LOG_TAG, ipx, chalk.yellow(status), op.op, helper.pathShort(op.src))
+            log.fileLog(`Skip: ${status} ${op.op} <${op.src}> => <${op.dst}>`, LOG_TAG)
+        }
+    }
+
+    const counts = results.reduce((acc, r) => {
+        acc[r.status] = (acc[r.status] || 0) + 1
+        return acc
+    }, {})
+    for (const [status, count] of Object.entries(counts)) {
+        log.show(LOG_TAG, `${t("common.status")}: ${status} => ${count}`)
+    }
+    if (testMode) {
+        log.logWarn(LOG_TAG, t("common.test.mode.note", { count: valid }))
+    } else {
+        log.logSuccess(LOG_TAG, t("apply.summary", { count: counts[ApplyStatus.DONE] || 0 }))
+    }
+    return results
+}
+
+/**
+ * 执行单个操作，执行前再次校验源文件
+ *
+ * @param {Object} op - 计划中的操作
+ * @param {number} index - 操作序号
+ * @param {number} total - 操作总数
+ * @param {boolean} testMode - 是否为测试模式
+ * @returns {Promise<string>} 执行状态，见 ApplyStatus
+ */
+async function applyOne(op, index, total, testMode) {
+    const status = await checkOp(op)
+    if (status !== PlanStatus.OK) {
+        return status
+    }
+    if (testMode) {
+        return ApplyStatus.DONE
+    }
+    try {
+        switch (op.op) {
+            case PlanOps.RENAME:
+            case PlanOps.MOVE:
+                await fs.ensureDir(path.dirname(op.dst))
+                await fs.move(op.src, op.dst)
+                journal.record(
+                    op.op === PlanOps.RENAME ? journal.JournalOps.RENAME : journal.JournalOps.MOVE,
+                    op.src,
+                    op.dst,
+                )
+                log.fileLog(`${op.op}: <${op.src}> => <${op.dst}>`, LOG_TAG)
+                break
+            case PlanOps.REMOVE:
+                if (!(await helper.safeRemove(op.src))) {
+                    return ApplyStatus.FAILED
+                }
+                log.fileLog(`SafeDel: <${op.src}>`, LOG_TAG)
+                break
+            case PlanOps.DELETE:
+                await fs.remove(op.src)
+                log.fileLog(`Delete: <${op.src}>`, LOG_TAG)
+                break
+            case PlanOps.COMPRESS: {
+                const r = await compressImage({
+                    ...op.task,
+                    src: op.src,
+                    dst: op.dst,
+                    size: op.size,
+                    index,
+                    total,
+                    startMs: Date.now(),
+                })
+                if (!r?.done) {
+                    return ApplyStatus.FAILED
+                }
+                if (op.purge && !(await helper.safeRemove(op.src))) {
+                    return ApplyStatus.FAILED
+                }
+                break
+            }
+        }
+        return ApplyStatus.DONE
+    } catch (error) {
+        log.logError(LOG_TAG, `${op.op} ${op.src} => ${op.dst || ""} ${error.message}`)
+        return ApplyStatus.FAILED
+    }
+}
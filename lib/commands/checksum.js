@@ -0,0 +1,205 @@
+/*
+ * File: checksum.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 校验命令 - create 为目录生成或更新校验清单，verify 按清单检查文件
+ * 区分正常编辑、静默损坏、缺少、新增和被 mediac 移动的文件，清单格式见 lib/manifest.js
+ */
+
+import fs from "fs-extra"
+import { cpus } from "os"
+import path from "path"
+import { ProgressPhase, reportProgress } from "../command_utils.js"
+import * as log from "../debug.js"
+import { ErrorTypes, createError } from "../errors.js"
+import * as mf from "../file.js"
+import * as helper from "../helper.js"
+import { t } from "../i18n.js"
+import * as jsonOutput from "../json_output.js"
+import { EntryStatus } from "../json_output.js"
+import {
+    MANIFEST_NAME,
+    ManifestStatus,
+    PROBLEM_STATUSES,
+    countResults,
+    createManifest,
+    loadManifest,
+    readJournalOps,
+    saveManifest,
+    verifyManifest,
+} from "../manifest.js"
+
+const LOG_TAG = "Checksum"
+
+export const CHECKSUM_ACTIONS = ["create", "verify"]
+
+// 各种结果的显示颜色，ok 不显示
+const STATUS_COLORS = {
+    [ManifestStatus.CORRUPTED]: log.showRed,
+    [ManifestStatus.MISSING]: log.showYellow,
+    [ManifestStatus.MODIFIED]: log.show,
+    [ManifestStatus.NEW]: log.show,
+    [ManifestStatus.MOVED]: log.showGray,
+    [ManifestStatus.REMOVED]: log.showGray,
+}
+
+// 选项默认值，与 cmd/cmd_checksum.js 的命令行参数相同
+export const DEFAULT_OPTIONS = Object.freeze({
+    sha256: false,
+    quick: false,
+    journal: true,
+})
+
+/**
+ * 校验命令处理函数
+ * @param {Object} options - 命令选项，与命令行参数相同，未设置的使用 DEFAULT_OPTIONS
+ * @param {string} options.action - create/verify
+ * @param {string} options.input - 输入目录
+ * @param {string} options.manifest - 清单文件路径
+ * @param {boolean} options.sha256 - 是否同时计算 SHA-256
+ * @param {boolean} options.quick - 是否只比较大小和修改时间
+ * @param {boolean} options.journal - 是否读取操作日志
+ * @param {string} options.output - 校验结果保存路径
+ * @returns {Promise<Object>} create 返回 {manifest, counts}，verify 返回 {results, counts}
+ */
+export async function checksum(options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options }
+    const root = path.resolve(options.input)
+    const rootStats = await fs.stat(root).catch(() => null)
+    if (!rootStats?.isDirectory()) {
+        throw createError(ErrorTypes.FILE_NOT_FOUND, t("input.path.not.exists", { path: root }))
+    }
+    const manifestPath = path.resolve(options.manifest || path.join(root, MANIFEST_NAME))
+    if (options.action === "verify") {
+        return await checksumVerify(root, manifestPath, options)
+    }
+    return await checksumCreate(root, manifestPath, options)
+}
+
+// 所有文件，清单文件和安全删除目录在 lib/manifest.js 中排除
+async function walkFiles(root) {
+    return await mf.walk(root, {
+        needStats: true,
+        entryFilter: (entry) => entry.isFile,
+    })
+}
+
+function progress(done, total) {
+    reportProgress(done, total, ProgressPhase.ANALYZE)
+    if (done % 1000 === 0 || done === total) {
+        log.info(LOG_TAG, `${done}/${total}`)
+    }
+}
+
+/**
+ * 创建或增量更新清单
+ * @param {string} root - 目录
+ * @param {string} manifestPath - 清单文件路径
+ * @param {Object} options - 命令选项
+ * @returns {Promise<Object>} {manifest, counts}
+ */
+async function checksumCreate(root, manifestPath, options) {
+    const startMs = Date.now()
+    const previous = await loadManifest(manifestPath)
+    const ops = previous && options.journal ? await readJournalOps(previous.updatedAt) : []
+    const files = await walkFiles(root)
+    log.show(LOG_TAG, t("checksum.total.files", { count: files.length, root }))
+
+    const { manifest, counts, suspicious, failed } = await createManifest(root, files, {
+        previous,
+        ops,
+        sha256: options.sha256,
+        manifestPath,
+        concurrency: options.jobs || cpus().length,
+        onProgress: progress,
+    })
+    await saveManifest(manifestPath, manifest)
+
+    for (const rel of suspicious) {
+        log.showYellow(LOG_TAG, t("checksum.suspicious"), rel)
+    }
+    for (const f of failed) {
+        log.logError(LOG_TAG, helper.pathShort(f.path), f.error.message)
+        jsonOutput.addEntry({
+            action: "checksum",
+            src: f.path,
+            status: EntryStatus.FAILED,
+            error: f.error,
+        })
+    }
+    log.showGreen(
+        LOG_TAG,
+        t("checksum.created", { ...counts, path: manifestPath, time: helper.humanTime(startMs) }),
+    )
+    jsonOutput.setSummary({
+        manifest: manifestPath,
+        ...counts,
+        suspicious: suspicious.length,
+        failed: failed.length,
+    })
+    return { manifest, counts }
+}
+
+/**
+ * 按清单检查目录中的文件
+ * @param {string} root - 目录
+ * @param {string} manifestPath - 清单文件路径
+ * @param {Object} options - 命令选项
+ * @returns {Promise<Object>} {results, counts}
+ */
+async function checksumVerify(root, manifestPath, options) {
+    const startMs = Date.now()
+    const manifest = await loadManifest(manifestPath)
+    if (!manifest) {
+        throw createError(
+            ErrorTypes.FILE_NOT_FOUND,
+            t("checksum.manifest.not.found", { path: manifestPath }),
+        )
+    }
+    const ops = options.journal ? await readJournalOps(manifest.updatedAt) : []
+    const files = await walkFiles(root)
+    log.show(LOG_TAG, t("checksum.total.files", { count: files.length, root }))
+
+    const results = await verifyManifest(root, files, manifest, {
+        ops,
+        quick: options.quick,
+        manifestPath,
+        concurrency: options.jobs || cpus().length,
+        onProgress: progress,
+    })
+    const changes = results.filter((r) => r.status !== ManifestStatus.OK)
+    for (const r of changes) {
+        const detail = r.from ? `<= ${r.from}` : r.to ? `=> ${r.to}` : r.error?.message || ""
+        STATUS_COLORS[r.status](r.status.toUpperCase().padEnd(9), r.path, detail)
+        jsonOutput.addEntry({
+            action: "verify",
+            src: path.join(root, r.path),
+            dst: r.to,
+            status: PROBLEM_STATUSES.includes(r.status) ? EntryStatus.FAILED : EntryStatus.DONE,
+            error: r.error,
+            result: r.status,
+            from: r.from,
+        })
+    }
+    if (options.output) {
+        const lines = changes.map((r) => JSON.stringify({ ...r, error: r.error?.message }))
+        await fs.outputFile(options.output, lines.join("\n") + "\n")
+        log.showGreen(LOG_TAG, t("checksum.saved", { count: changes.length, path: options.output }))
+    }
+
+    const counts = countResults(results)
+    const problems = PROBLEM_STATUSES.reduce((n, s) => n + counts[s], 0)
+    const summary = t("checksum.verify.summary", { ...counts, time: helper.humanTime(startMs) })
+    if (problems > 0) {
+        log.showRed(LOG_TAG, summary)
+    } else {
+        log.showGreen(LOG_TAG, summary)
+    }
+    if (options.quick) {
+        log.showYellow(LOG_TAG, t("checksum.quick.note"))
+    }
+    jsonOutput.setSummary({ manifest: manifestPath, ...counts, problems })
+    return { results, counts }
+}
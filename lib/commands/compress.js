@@ -0,0 +1,598 @@
+/*
+ * File: compress.js
+ * Created: 2024-03-15 20:42:41 +0800
+ * Modified: 2024-04-09 22:13:38 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import chalk from "chalk"
+import * as cliProgress from "cli-progress"
+import dayjs from "dayjs"
+import fs from "fs-extra"
+import os, { cpus } from "os"
+import pMap from "p-map"
+import path from "path"
+import sharp from "sharp"
+import which from "which"
+import config from "../config.js"
+import * as core from "../core.js"
+import * as cp from "../checkpoint.js"
+import * as log from "../debug.js"
+import { ErrorTypes, createError } from "../errors.js"
+import * as mf from "../file.js"
+import * as helper from "../helper.js"
+import { t } from "../i18n.js"
+import * as jsonOutput from "../json_output.js"
+import { EntryStatus } from "../json_output.js"
+import { PlanOps, addOp, createPlan, savePlan } from "../plan.js"
+import { parseImageParams } from "../query_parser.js"
+import { applyFileNameRules, calculateScale, compressImage } from "./shared.js"
+import {
+    confirmAction,
+    confirmDangerousAction,
+    abortIfCancelled,
+    mapWithProgress,
+    ProgressPhase,
+} from "../command_utils.js"
+
+const LOG_TAG = "Compress"
+
+const SUFFIX_DEFAULT = "_Z4K"
+// 默认跳过的缩略图和已压缩文件的路径规则
+export const THUMB_PATTERN_DEFAULT = "Z4K|P4K|M4K|feature|web|thumb$"
+// 保存到计划文件的压缩任务字段，apply 时用于重建任务
+const COMPRESS_PLAN_FIELDS = [
+    "name",
+    "tmpDst",
+    "srcWidth",
+    "srcHeight",
+    "width",
+    "height",
+    "quality",
+    "overwrite",
+    "keepMetadata",
+    "cfg",
+]
+
+/**
+ * 解析并归一化命令行参数为内部配置对象
+ * 合并默认配置、配置文件参数和命令行参数
+ *
+ * @param {Object} options - 命令选项
+ * @returns {Object} 归一化后的压缩配置对象
+ */
+function parseCompressOpts(options) {
+    const cfg = parseImageParams(options.config)
+    return {
+        overwrite: options.overwrite || false,
+        // 默认值来自全局配置，可在用户配置文件中修改
+        quality: options.quality || cfg.quality || config.COMPRESS.QUALITY,
+        minFileSize: (options.minSize || cfg.size || config.COMPRESS.MIN_SIZE) * 1024,
+        maxWidth: options.maxWidth || cfg.width || config.COMPRESS.MAX_WIDTH,
+        suffix: options.suffix || cfg.suffix || SUFFIX_DEFAULT,
+        purgeOnly: options.purgeOnly || false,
+        purgeSource: options.purge || false,
+        keepRoot: options.keepRoot ?? true,
+        keepMetadata: options.keepMetadata ?? true,
+        force: options.force || false,
+        thumbPattern: options.thumbPattern || THUMB_PATTERN_DEFAULT,
+        jobs: options.jobs,
+        output: options.output,
+        cfg: options.config, // 透传给任务对象的原始配置字符串
+    }
+}
+
+/**
+ * 影响输出文件的参数，参数不同时使用不同的断点记录
+ * @param {Object} opts - 配置对象
+ * @returns {Object}
+ */
+function checkpointParams(opts) {
+    return core.pick(opts, "output", "suffix", "quality", "maxWidth", "keepRoot", "cfg")
+}
+
+/**
+ * 遍历目录，返回满足过滤条件的图片文件列表
+ * 使用高性能的文件系统遍历，支持多种过滤条件
+ *
+ * @param {string} root - 根目录路径
+ * @param {Object} opts - 配置对象，包含过滤条件
+ * @param {number} opts.minFileSize - 最小文件大小限制
+ * @param {boolean} opts.force - 是否强制处理所有文件（忽略缩略图过滤）
+ * @param {string} opts.thumbPattern - 缩略图文件路径正则
+ * @returns {Promise<Array>} 符合条件的图片文件列表
+ */
+async function walkImageFiles(root, opts) {
+    const { minFileSize, force, thumbPattern } = opts
+    const RE_THUMB = force ? /@_@/ : new RegExp(thumbPattern || THUMB_PATTERN_DEFAULT, "i")
+    const walkOpts = {
+        needStats: true,
+        entryFilter: (f) =>
+            f.isFile &&
+            helper.isImageFile(f.path) &&
+            !RE_THUMB.test(f.path) &&
+            f.size > minFileSize,
+    }
+    log.logProgress(LOG_TAG, "Walking files ...")
+    return await mf.walk(root, walkOpts)
+}
+
+/**
+ * 并行运行 preCompress，返回全量任务列表（含已跳过项）
+ * @param {Array} files - 文件列表
+ * @param {Object} opts - 配置对象
+ * @returns {Promise<Array>}
+ */
+async function buildCompressTasks(files, opts) {
+    const {
+        suffix,
+        quality,
+        overwrite,
+        maxWidth,
+        keepRoot,
+        keepMetadata,
+        force,
+        output,
+        jobs,
+        cfg,
+    } = opts
+    const needBar = files.length > 9999 && !log.isVerbose() && !log.isSilent()
+    const prepared = files.map((f, i) => ({
+        ...f,
+        force,
+        output,
+        total: files.length,
+        index: i,
+        suffix,
+        quality,
+        overwrite,
+        maxWidth,
+        cfg,
+        keepRoot,
+        keepMetadata,
+    }))
+    // 进度条和更新回调均局部于此函数，不污染任务对象
+    let lastProgressUpdatedAt = 0
+    let bar = null
+    const onProgress = needBar
+        ? (index) => {
+              const now = Date.now()
+              if (now - lastProgressUpdatedAt > 2000) {
+                  bar.update(index)
+                  lastProgressUpdatedAt = now
+              }
+          }
+        : null
+    if (needBar) {
+        bar = new cliProgress.SingleBar({ etaBuffer: 300 }, cliProgress.Presets.shades_classic)
+        bar.start(prepared.length, 0)
+    }
+    const tasks = await mapWithProgress(prepared, (f) => preCompress(f, onProgress), {
+        concurrency: jobs || cpus().length,
+        phase: ProgressPhase.PREPARE,
+    })
+    if (needBar) {
+        bar.update(prepared.length)
+        bar.stop()
+    }
+    return tasks
+}
+
+/**
+ * 并行执行图片压缩，返回全部结果和失败列表
+ * @param {Array} tasks - 待压缩任务列表
+ * @param {Object} opts - 配置对象
+ * @param {string} logTag - 日志标签
+ * @param {number} startMs - 起始时间戳
+ * @param {Object} [checkpoint] - 断点对象，见 lib/checkpoint.js
+ * @returns {Promise<{tasks: Array, failedTasks: Array}>}
+ */
+async function runCompression(tasks, opts, logTag, startMs, checkpoint = null) {
+    tasks.forEach((f) => (f.startMs = startMs))
+    const compressOne = async (f) => {
+        await cp.markStarted(checkpoint, { src: f.src, dst: f.dst, tmp: f.tmpDst })
+        const r = await compressImage(f)
+        if (r?.done) {
+            await cp.markDone(checkpoint, f)
+        } else {
+            await cp.markFailed(checkpoint, f, r?.errorMessage)
+        }
+        return r
+    }
+    const results = await mapWithProgress(tasks, compressOne, {
+        concurrency: opts.jobs || cpus().length / 2,
+    })
+    await cp.closeCheckpoint(checkpoint)
+    const okTasks = results.filter((f) => f?.done)
+    const failedTasks = results.filter((f) => f?.errorFlag && !f.done)
+    results.forEach((r, i) => {
+        const { src, dst } = tasks[i]
+        jsonOutput.addEntry({
+            action: "compress",
+            src,
+            dst,
+            status: r?.done ? EntryStatus.DONE : EntryStatus.FAILED,
+            error: r?.done
+                ? undefined
+                : createError(ErrorTypes.PROCESSING_FAILED, r?.errorMessage || src),
+        })
+    })
+    log.logSuccess(
+        LOG_TAG,
+        `${okTasks.length} ${t("compress.files.compressed")} ${helper.humanTime(startMs)}`,
+    )
+    log.logSuccess(LOG_TAG, "endAt", dayjs().format(), helper.humanTime(startMs))
+    return { tasks: results, failedTasks }
+}
+
+/**
+ * 将失败的压缩任务列表写入日志文件
+ * @param {Array} failedTasks - 失败任务列表
+ * @param {string} root - 根目录（日志文件写入位置）
+ * @param {string} logTag - 日志标签
+ * @returns {Promise<void>}
+ */
+async function writeFailedLog(failedTasks, root, logTag) {
+    if (failedTasks.length === 0) {
+        return
+    }
+    log.logWarn(LOG_TAG, `${failedTasks.length} ${t("compress.tasks.failed")}`)
+    const failedContent = failedTasks.map((f) => f.src).join("\n")
+    const failedLogFile = path.join(
+        root,
+        `mediac_compress_failed_list_${dayjs().format("YYYYMMDDHHmmss")}.txt`,
+    )
+    await fs.writeFile(failedLogFile, failedContent)
+    const clickablePath = failedLogFile.split(path.sep).join("/")
+    log.logWarn(LOG_TAG, `${t("compress.failed.list")}: file:///${clickablePath}`)
+}
+
+// 选项默认值，与 cmd/cmd_compress.js 的命令行参数相同
+export const DEFAULT_OPTIONS = Object.freeze({
+    keepRoot: true,
+    regex: true,
+    force: false,
+    thumbPattern: THUMB_PATTERN_DEFAULT,
+    overwrite: false,
+    keepMetadata: true,
+    purge: false,
+    purgeOnly: false,
+    doit: false,
+    resume: false,
+})
+
+/**
+ * 图片压缩命令的主处理函数
+ * 完整的图片压缩流程控制，包括文件遍历、参数解析、用户确认、压缩执行等
+ *
+ * @param {Object} options - 命令选项，与命令行参数相同，未设置的使用 DEFAULT_OPTIONS
+ * @param {string} options.input - 输入目录路径
+ * @param {string} options.output - 输出目录路径（可选）
+ * @param {boolean} options.doit - 是否执行实际操作（否则为测试模式）
+ * @param {boolean} options.overwrite - 是否覆盖已存在的文件
+ * @param {number} options.quality - 压缩质量（1-100）
+ * @param {number} options.minSize - 最小文件大小（KB），小于此值的文件跳过
+ * @param {number} options.maxWidth - 最大宽度，超过则等比缩小
+ * @param {string} options.suffix - 压缩后文件名后缀
+ * @param {boolean} options.purge - 压缩完成后是否删除源文件
+ * @param {boolean} options.purgeOnly - 仅删除源文件，不进行压缩
+ * @param {number} options.jobs - 并发任务数
+ * @param {boolean} options.resume - 是否从上次中断的位置继续
+ * @returns {Promise<void>}
+ */
+export async function compress(options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options }
+    const testMode = !options.doit
+    const root = await helper.validateInput(options.input)
+    if (!testMode) {
+        log.fileLog(`Root:${root}`, LOG_TAG)
+        log.fileLog(`Argv:${JSON.stringify(options)}`, LOG_TAG)
+    }
+    log.logInfo(LOG_TAG, options)
+
+    const opts = parseCompressOpts(options)
+    const { minFileSize, maxWidth, purgeOnly, purgeSource } = opts
+    log.logInfo(LOG_TAG, `input: ${root}`)
+
+    let files = await walkImageFiles(root, opts)
+    if (!files || files.length === 0) {
+        log.logWarn(LOG_TAG, t("compress.no.files.found"))
+        return
+    }
+    files = await applyFileNameRules(files, options)
+    log.logInfo(LOG_TAG, t("compress.total.files.found", { count: files.length }))
+    if (!files || files.length === 0) {
+        log.logWarn(LOG_TAG, t("common.nothing.to.do"))
+        return
+    }
+
+    if (!purgeOnly) {
+        await updateConfig(options)
+    }
+
+    const confirmFiles = await confirmAction(t("common.continue.processing"))
+    if (await abortIfCancelled(confirmFiles, LOG_TAG)) {
+        return
+    }
+
+    // 断点只用于真正的压缩，计划文件和仅删除模式不需要
+    let checkpoint = null
+    if (!options.savePlan && !purgeOnly) {
+        const resumed = await cp.beginCheckpoint("compress", root, checkpointParams(opts), {
+            resume: options.resume,
+            testMode,
+        })
+        checkpoint = resumed.checkpoint
+        if (resumed.skip.size > 0) {
+            const before = files.length
+            files = files.filter((f) => !resumed.skip.has(path.resolve(f.path)))
+            log.logInfo(LOG_TAG, t("checkpoint.skipped", { count: before - files.length }))
+        }
+        resumed.summary.resumed && jsonOutput.setSummary({ checkpoint: resumed.summary })
+    }
+    log.logSuccess(LOG_TAG, t("compress.preparing"))
+
+    const startMs = Date.now()
+    let tasks = await buildCompressTasks(files, opts)
+    log.info(LOG_TAG, "before filter: ", tasks.length)
+    const allValidTasks = tasks.filter(Boolean)
+    tasks = tasks.filter((t) => t?.dst && t.tmpDst && !t?.shouldSkip)
+    const skipped = allValidTasks.length - tasks.length
+    log.info(LOG_TAG, "after filter: ", tasks.length)
+    if (skipped > 0) {
+        log.logWarn(LOG_TAG, t("compress.files.skipped", { count: skipped }))
+    }
+
+    if (options.savePlan) {
+        await savePlan(
+            await createCompressPlan(options, tasks, allValidTasks, opts),
+            options.savePlan,
+        )
+        return
+    }
+
+    if (purgeOnly) {
+        const purgeTargets = allValidTasks.filter((t) => t?.src && t.dstExists && t.dst)
+        if (purgeTargets.length === 0) {
+            log.logWarn(LOG_TAG, t("common.nothing.to.do"))
+            return
+        }
+        log.logWarn(LOG_TAG, `+++++ PURGE ONLY (NO COMPRESS): ${purgeTargets.length} files +++++`)
+        await purgeSrcFiles(purgeTargets)
+        return
+    }
+
+    if (tasks.length === 0) {
+        log.logWarn(LOG_TAG, t("common.nothing.to.do"))
+        return
+    }
+    tasks.forEach((f, i) => {
+        f.total = tasks.length
+        f.index = i
+    })
+    log.logInfo(LOG_TAG, `${t("compress.tasks.summary")} (${helper.humanTime(startMs)}):`)
+    tasks.slice(-1).forEach((f) => {
+        log.show(core.omit(f, "stats"))
+    })
+    log.info(LOG_TAG, options)
+    testMode && log.logWarn(LOG_TAG, `++++++++++ ${t("ffmpeg.test.mode")} ++++++++++`)
+
+    const answer = await confirmDangerousAction(
+        t("compress.confirm", {
+            count: tasks.length,
+            sizeK: minFileSize / 1024,
+            maxWidth: maxWidth,
+            note: purgeSource ? t("compress.warning.delete") : t("compress.warning.keep"),
+        }),
+    )
+
+    if (await abortIfCancelled(answer, LOG_TAG)) {
+        return
+    }
+
+    if (testMode) {
+        log.logWarn(LOG_TAG, `[${t("mode.test")}], ${t("compress.note.no.thumbnail")}`)
+        jsonOutput.addEntries(
+            "compress",
+            tasks.map((f) => ({ src: f.src, dst: f.dst })),
+            EntryStatus.PLANNED,
+        )
+    } else {
+        const compressStartMs = Date.now()
+        log.logSuccess(LOG_TAG, `startAt ${dayjs().format()}`)
+        const { tasks: doneTasks, failedTasks } = await runCompression(
+            tasks,
+            opts,
+            LOG_TAG,
+            compressStartMs,
+            checkpoint,
+        )
+        await writeFailedLog(failedTasks, root, LOG_TAG)
+        if (purgeSource) {
+            await purgeSrcFiles(doneTasks)
+        }
+    }
+}
+
+/**
+ * 根据压缩任务生成计划
+ * 仅删除模式下生成依赖目标文件存在的安全删除操作
+ *
+ * @param {Object} options - 命令选项
+ * @param {Array} tasks - 待压缩任务列表
+ * @param {Array} allValidTasks - 全部任务，包括已跳过的
+ * @param {Object} opts - 配置对象
+ * @returns {Promise<Object>} 计划对象
+ */
+async function createCompressPlan(options, tasks, allValidTasks, opts) {
+    const plan = createPlan("compress", options)
+    if (opts.purgeOnly) {
+        for (const f of allValidTasks.filter((t) => t?.src && t.dstExists && t.dst)) {
+            await addOp(plan, PlanOps.REMOVE, f.src, null, { requires: f.dst })
+        }
+        return plan
+    }
+    for (const f of tasks) {
+        await addOp(plan, PlanOps.COMPRESS, f.src, f.dst, {
+            task: core.pick(f, ...COMPRESS_PLAN_FIELDS),
+            purge: opts.purgeSource,
+        })
+    }
+    return plan
+}
+
+/**
+ * 准备压缩图片的参数，并进行相应的处理
+ * @param {Object} f - 文件对象
+ * @param {string} f.path - 源文件路径
+ * @param {number} f.size - 文件大小
+ * @param {number} f.maxWidth - 最大宽度限制
+ * @param {string} f.suffix - 压缩后文件名后缀
+ * @param {number} f.index - 文件索引
+ * @param {number} f.total - 总文件数
+ * @param {string} f.output - 输出目录
+ * @param {Function|null} onProgress - 进度回调，接收当前索引，为 null 则不显示进度
+ * @returns {Promise<Object|null>} 返回准备好的压缩任务对象，或 null（文件损坏或不存在）
+ */
+async function preCompress(f, onProgress = null) {
+    const maxWidth = f.maxWidth || 6000
+    let fileSrc = path.resolve(f.path)
+    const [fDir, base] = helper.pathSplit(fileSrc)
+    const suffix = f.suffix || "_Z4K"
+    log.info(LOG_TAG, "Processing ", fileSrc, suffix)
+
+    let fileDstDir = f.output ? helper.pathRewrite(f.root, fDir, f.output, f.keepRoot) : fDir
+    const tempSuffix = `_tmp@${helper.textHash(fileSrc)}@tmp_`
+    const fileDstTmp = path.resolve(path.join(fileDstDir, `${base}${suffix}${tempSuffix}.jpg`))
+    let fileDst = path.join(fileDstDir, `${base}${suffix}.jpg`)
+
+    fileDst = path.resolve(fileDst)
+
+    onProgress?.(f.index)
+
+    if (!(await fs.pathExists(fileSrc))) {
+        log.info(LOG_TAG, "File not found:", fileSrc)
+        return
+    }
+
+    if (await fs.pathExists(fileDst)) {
+        log.info(LOG_TAG, "exists:", fileDst)
+        return {
+            ...f,
+            width: 0,
+            height: 0,
+            src: fileSrc,
+            dst: fileDst,
+            dstExists: true,
+            shouldSkip: true,
+            skipReason: "DST EXISTS",
+        }
+    }
+    let [err, im] = await core.tryRunAsync(async () => {
+        return await sharp(fileSrc).metadata()
+    })
+
+    if (err) {
+        log.info(LOG_TAG, "Corrupt file:", fileSrc)
+        log.fileLog(`SharpErr: ${f.index} <${fileSrc}> sharp:${err.message}`, LOG_TAG)
+        return
+    }
+
+    const { dstWidth, dstHeight } = calculateScale(im.width, im.height, maxWidth)
+    if (f.total < 1000 || f.index > f.total - 1000) {
+        log.logTask(
+            LOG_TAG,
+            f.index,
+            f.total,
+            helper.pathShort(fileSrc),
+            `${im.width}x${im.height}=>${dstWidth}x${dstHeight} ${im.format || im.type} ${helper.humanSize(f.size)}`,
+        )
+        log.showGray(LOG_TAG, `${f.index}/${f.total} DST:`, fileDst)
+    }
+    log.fileLog(
+        `Pre: ${f.index}/${f.total} <${fileSrc}> ` +
+            `${dstWidth}x${dstHeight}) ${helper.humanSize(f.size)}`,
+        LOG_TAG,
+    )
+    return {
+        ...f,
+        srcWidth: im.width,
+        srcHeight: im.height,
+        width: dstWidth,
+        height: dstHeight,
+        src: fileSrc,
+        dst: fileDst,
+        tmpDst: fileDstTmp,
+    }
+}
+
+/**
+ * 删除已成功压缩后的源文件
+ * @param {Array<Object>} results - 压缩任务结果数组
+ * @returns {Promise<void>}
+ */
+async function purgeSrcFiles(results) {
+    const toDelete = results.filter((t) => t?.src && t.dstExists && t.dst)
+    const total = toDelete?.length ?? 0
+    if (total <= 0) {
+        return
+    }
+    const answer = await confirmDangerousAction(t("compress.delete.confirm", { count: total }))
+    if (await abortIfCancelled(answer, LOG_TAG)) {
+        return
+    }
+    const deletecFunc = async (td, index) => {
+        const srcExists = await fs.pathExists(td.src)
+        const dstExists = await fs.pathExists(td.dst)
+        log.info(LOG_TAG, `Check S=${srcExists} D=${dstExists} ${helper.pathShort(td.src)}`)
+        if (!(srcExists && dstExists)) {
+            return
+        }
+        td.tmpDst && (await fs.pathExists(td.tmpDst)) && (await fs.remove(td.tmpDst))
+        if (!(await helper.safeRemove(td.src))) {
+            jsonOutput.addEntry({ action: "remove", src: td.src, status: EntryStatus.FAILED })
+            return
+        }
+        log.logWarn(LOG_TAG, `SafeDel: ${index}/${total} ${helper.pathShort(td.src)}`)
+        log.fileLog(`SafeDel: <${td.src}>`, LOG_TAG)
+        jsonOutput.addEntry({ action: "remove", src: td.src, status: EntryStatus.DONE })
+        return td.src
+    }
+    const deleted = await pMap(toDelete, deletecFunc, { concurrency: cpus().length * 8 })
+    log.logSuccess(LOG_TAG, t("compress.safely.removed", { count: deleted.filter(Boolean).length }))
+}
+
+export async function updateConfig(options) {
+    // 检测是否有nconvert
+    // 检测sharp是否支持heic2jpg
+    // 使用一张测试图片转换试试
+    try {
+        const testPic = await helper.resolveAssetPath("assets/test.heic")
+        const testTmp = path.join(os.tmpdir(), `mediac_test_${Date.now()}.jpg`)
+        const s = sharp(testPic)
+        const testOk = await s
+            .jpeg({ quality: 70 })
+            .toFile(testTmp)
+            .then(
+                () => true,
+                () => false,
+            )
+        // 清理临时测试文件，无论成功与否
+        await fs.remove(testTmp).catch(() => {})
+
+        log.show(
+            testOk
+                ? chalk.greenBright("Sharp support HEIC")
+                : chalk.redBright("Sharp do not support HEIC"),
+        )
+        // 更新全局变量，后面压缩图片时要用到
+        config.SHARP_SUPPORT_HEIC = testOk
+        // 用户配置文件中指定的工具路径优先
+        config.NCONVERT_BIN_PATH ||= await which("nconvert", { nothrow: true })
+        config.VIPS_BIN_PATH ||= await which("vips", { nothrow: true })
+    } catch (error) {
+        // 如果测试过程中发生错误，记录日志并继续执行
+        log.error("cmdCompress", "Error update config:", error)
+    }
+}
@@ -0,0 +1,255 @@
+/*
+ * File: dedup.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 去重命令 - 在一个或多个目录中查找内容完全相同的文件
+ * 按保留规则每组保留一个，其余的只报告、安全删除或替换为硬链接，查找过程见 lib/dedup.js
+ */
+
+import fs from "fs-extra"
+import { cpus } from "os"
+import path from "path"
+import { confirmDangerousAction, ProgressPhase, reportProgress } from "../command_utils.js"
+import * as log from "../debug.js"
+import { DedupActions, KeepPolicies } from "../dedup.js"
+import * as dedup from "../dedup.js"
+import { ErrorTypes, createError } from "../errors.js"
+import * as mf from "../file.js"
+import * as helper from "../helper.js"
+import { t } from "../i18n.js"
+import * as jsonOutput from "../json_output.js"
+import { EntryStatus } from "../json_output.js"
+import { filterEntries, parseWhere } from "../where.js"
+
+const LOG_TAG = "Dedup"
+
+// 选项默认值，与 cmd/cmd_dedup.js 的命令行参数相同
+export const DEFAULT_OPTIONS = Object.freeze({
+    keep: KeepPolicies.OLDEST,
+    action: DedupActions.REPORT,
+    doit: false,
+})
+
+/**
+ * 去重命令处理函数
+ * @param {Object} options - 命令选项，与命令行参数相同，未设置的使用 DEFAULT_OPTIONS
+ * @param {Array<string>} options.input - 输入目录列表，靠前的目录优先保留（--keep root）
+ * @param {string} options.keep - 保留规则
+ * @param {string} options.action - 操作 report/trash/hardlink
+ * @param {string} options.where - 过滤表达式
+ * @param {string} options.output - 重复文件列表保存路径
+ * @param {boolean} options.doit - 是否执行
+ * @returns {Promise<Array<Object>>} 重复文件分组 {size, hash, keep, duplicates}
+ */
+export async function dedupFiles(options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options }
+    const roots = [options.input].flat().map((p) => path.resolve(p))
+    for (const root of roots) {
+        if (!(await fs.pathExists(root))) {
+            throw createError(ErrorTypes.FILE_NOT_FOUND, t("input.path.not.exists", { path: root }))
+        }
+    }
+    const where = options.where ? parseWhere(options.where) : null
+    const startMs = Date.now()
+
+    const sizeGroups = await scanRoots(roots, where)
+    const candidates = [...sizeGroups.values()].reduce((n, g) => n + g.length, 0)
+    log.show(LOG_TAG, t("dedup.candidates", { count: candidates, sizes: sizeGroups.size }))
+
+    const groups = []
+    const stats = await dedup.findDuplicates(sizeGroups, {
+        concurrency: options.jobs || cpus().length,
+        onGroup: (g) =>
+            groups.push({ size: g.size, hash: g.hash, ...dedup.pickKeeper(g.files, options.keep) }),
+        onProgress: (done, total) => {
+            reportProgress(done, total, ProgressPhase.ANALYZE)
+            if (done % 1000 === 0 || done === total) {
+                log.info(LOG_TAG, `${done}/${total}`)
+            }
+        },
+    })
+    // 浪费空间最多的在前
+    groups.sort((a, b) => b.size * b.duplicates.length - a.size * a.duplicates.length)
+
+    printGroups(groups)
+    if (options.output) {
+        await saveGroups(groups, options.output)
+        log.showGreen(LOG_TAG, t("dedup.saved", { count: groups.length, path: options.output }))
+    }
+    log.showGreen(
+        LOG_TAG,
+        t("dedup.summary", {
+            groups: stats.groups,
+            count: stats.files,
+            size: helper.humanSize(stats.wasted),
+            time: helper.humanTime(startMs),
+        }),
+    )
+    jsonOutput.setSummary({
+        groups: stats.groups,
+        duplicates: stats.files,
+        wastedBytes: stats.wasted,
+    })
+
+    if (options.action === DedupActions.REPORT || groups.length === 0) {
+        addEntries(groups, "duplicate", EntryStatus.DONE)
+        return groups
+    }
+    if (!options.doit) {
+        log.showYellow(LOG_TAG, t("common.test.mode.note", { count: stats.files }))
+        addEntries(groups, options.action, EntryStatus.PLANNED)
+        return groups
+    }
+    const answer = await confirmDangerousAction(
+        t(`dedup.confirm.${options.action}`, {
+            count: stats.files,
+            size: helper.humanSize(stats.wasted),
+        }),
+    )
+    if (!answer) {
+        log.logWarn(LOG_TAG, t("operation.cancelled"))
+        return groups
+    }
+    await applyAction(groups, options.action, stats.files)
+    return groups
+}
+
+/**
+ * 遍历所有输入目录，按文件大小分组
+ * 遍历结果只保留需要的字段，返回后不再引用完整的文件条目
+ *
+ * @param {Array<string>} roots - 输入目录
+ * @param {Object|null} where - parseWhere 的结果
+ * @returns {Promise<Map<number, Array<Object>>>} 大小分组，见 lib/dedup.js groupBySize
+ */
+async function scanRoots(roots, where) {
+    const entries = []
+    for (const [index, root] of roots.entries()) {
+        let files = await mf.walk(root, {
+            needStats: true,
+            entryFilter: (entry) => entry.isFile && entry.size > 0,
+        })
+        if (where) {
+            files = await filterEntries(files, where)
+        }
+        log.show(LOG_TAG, t("dedup.scan.root", { count: files.length, root }))
+        for (const f of files) {
+            entries.push(dedup.toDedupEntry(f, index))
+        }
+    }
+    return dedup.groupBySize(entries)
+}
+
+function printGroups(groups) {
+    for (const [index, g] of groups.entries()) {
+        log.showCyan(
+            `[${index + 1}/${groups.length}]`,
+            helper.humanSize(g.size),
+            `x${g.duplicates.length + 1}`,
+            g.hash,
+        )
+        log.showGreen("  K", g.keep.path)
+        for (const f of g.duplicates) {
+            log.show("  D", f.path)
+        }
+    }
+}
+
+// 保存为 JSON Lines，每行一组，文件很多时也可以逐行读取
+async function saveGroups(groups, output) {
+    const lines = groups.map((g) =>
+        JSON.stringify({
+            size: g.size,
+            hash: g.hash,
+            keep: g.keep.path,
+            duplicates: g.duplicates.map((f) => f.path),
+        }),
+    )
+    await fs.outputFile(output, lines.join("\n") + "\n")
+}
+
+function addEntries(groups, action, status) {
+    for (const g of groups) {
+        for (const f of g.duplicates) {
+            jsonOutput.addEntry({
+                action,
+                src: f.path,
+                status,
+                keep: g.keep.path,
+                size: g.size,
+                hash: g.hash,
+            })
+        }
+    }
+}
+
+// 文件的大小和修改时间与扫描时相同，扫描和确认之间被修改或删除的文件不能按旧的比较结果处理
+async function isUnchanged(entry) {
+    const stats = await fs.stat(entry.path).catch(() => null)
+    return Boolean(stats) && stats.size === entry.size && stats.mtimeMs === entry.mtimeMs
+}
+
+/**
+ * 对每组除保留文件外的重复文件执行操作，保留文件或重复文件在扫描后有变化时跳过
+ * @param {Array<Object>} groups - 重复文件分组
+ * @param {string} action - trash 或 hardlink
+ * @param {number} total - 重复文件总数
+ */
+async function applyAction(groups, action, total) {
+    let index = 0
+    let failed = 0
+    let skipped = 0
+    for (const g of groups) {
+        for (const f of g.duplicates) {
+            const shortPath = helper.pathShort(f.path)
+            if (!(await isUnchanged(g.keep)) || !(await isUnchanged(f))) {
+                index++
+                skipped++
+                log.logWarn(LOG_TAG, t("dedup.skip.changed", { path: shortPath }))
+                jsonOutput.addEntry({
+                    action,
+                    src: f.path,
+                    status: EntryStatus.SKIPPED,
+                    reason: "changed",
+                    keep: g.keep.path,
+                })
+                continue
+            }
+            try {
+                let dst = null
+                if (action === DedupActions.TRASH) {
+                    dst = await helper.safeRemove(f.path)
+                    if (!dst) {
+                        throw createError(
+                            ErrorTypes.PROCESSING_FAILED,
+                            `${t("remove.failed")}: ${f.path}`,
+                        )
+                    }
+                } else {
+                    await dedup.replaceWithHardlink(g.keep.path, f.path)
+                    dst = g.keep.path
+                }
+                log.logTask(LOG_TAG, ++index, total, action, shortPath)
+                log.fileLog(`${action}: <${f.path}> keep <${g.keep.path}>`, LOG_TAG)
+                jsonOutput.addEntry({
+                    action,
+                    src: f.path,
+                    dst,
+                    status: EntryStatus.DONE,
+                    keep: g.keep.path,
+                })
+            } catch (error) {
+                index++
+                failed++
+                log.logError(LOG_TAG, shortPath, error.message)
+                jsonOutput.addEntry({ action, src: f.path, status: EntryStatus.FAILED, error })
+            }
+        }
+    }
+    log.showGreen(
+        LOG_TAG,
+        t("operation.completed", { success: total - failed - skipped, error: failed }),
+    )
+}
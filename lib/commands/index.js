@@ -0,0 +1,192 @@
+/*
+ * File: index.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 索引命令 - 建立或增量更新本地媒体索引
+ * 只重新读取新增和变化的文件，其它命令通过 lib/catalog.js 透明使用索引
+ */
+
+import { fileTypeFromFile } from "file-type"
+import fs from "fs-extra"
+import imageSizeOfSync from "image-size"
+import { cpus } from "os"
+import path from "path"
+import { promisify } from "util"
+import * as catalog from "../catalog.js"
+import { CatalogFields } from "../catalog.js"
+import { mapWithProgress } from "../command_utils.js"
+import * as log from "../debug.js"
+import { ErrorTypes, createError } from "../errors.js"
+import * as exif from "../exif.js"
+import * as mf from "../file.js"
+import * as helper from "../helper.js"
+import { t } from "../i18n.js"
+import { computeImageFeatures } from "../image_hash.js"
+import * as jsonOutput from "../json_output.js"
+import { EntryStatus } from "../json_output.js"
+import { getMediaInfo } from "../mediainfo.js"
+import { hashFileXXH64 } from "../tools.js"
+
+const LOG_TAG = "Index"
+
+const imageSizeOf = promisify(imageSizeOfSync)
+
+// 每处理这么多文件写回一次索引，并释放内存中的分片
+const FLUSH_INTERVAL = 1000
+
+// 选项默认值，与 cmd/cmd_index.js 的命令行参数相同
+export const DEFAULT_OPTIONS = Object.freeze({
+    hash: false,
+    prune: true,
+    force: false,
+})
+
+/**
+ * 索引命令处理函数
+ * @param {Object} options - 命令选项，与命令行参数相同，未设置的使用 DEFAULT_OPTIONS
+ * @param {string} options.input - 输入目录
+ * @param {boolean} options.hash - 是否计算哈希
+ * @param {boolean} options.prune - 是否删除已不存在的文件的条目
+ * @param {boolean} options.force - 是否重新读取所有文件
+ * @returns {Promise<Object>} 统计信息
+ */
+export async function index(options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options }
+    const root = path.resolve(options.input)
+    if (!(await fs.pathExists(root))) {
+        throw createError(ErrorTypes.FILE_NOT_FOUND, t("input.path.not.exists", { path: root }))
+    }
+    // 索引目录存在时其它命令才会使用索引
+    await fs.ensureDir(catalog.getCatalogDir())
+    catalog.setEnabled(true)
+    log.show(LOG_TAG, `Input: ${root}`)
+    log.show(LOG_TAG, `Catalog: ${catalog.getCatalogDir()}`)
+
+    const files = await mf.walk(root, {
+        needStats: true,
+        entryFilter: (entry) => entry.isFile,
+    })
+    const tasks = []
+    for (const [i, f] of files.entries()) {
+        if ((i + 1) % FLUSH_INTERVAL === 0) {
+            await catalog.flush()
+        }
+        if (options.force) {
+            await catalog.remove(f.path)
+        }
+        const entry = await catalog.lookup(f.path, f.stats)
+        const missing = requiredFields(f.path, options.hash).filter((k) => entry?.[k] === undefined)
+        if (missing.length > 0) {
+            tasks.push({ ...f, missing })
+        } else {
+            jsonOutput.addEntry({
+                action: "index",
+                src: f.path,
+                status: EntryStatus.SKIPPED,
+                reason: "unchanged",
+            })
+        }
+    }
+    const unchanged = files.length - tasks.length
+    log.show(LOG_TAG, t("index.total.files", { count: files.length, changed: tasks.length }))
+
+    // EXIF 批量读取，结果由 parseFiles 写入索引
+    const exifFiles = tasks.filter((f) => f.missing.includes(CatalogFields.EXIF))
+    if (exifFiles.length > 0) {
+        await exif.parseFiles(exifFiles)
+        await catalog.flush()
+    }
+
+    let failed = 0
+    let done = 0
+    await mapWithProgress(
+        tasks,
+        async (f, index) => {
+            if (++done % FLUSH_INTERVAL === 0) {
+                await catalog.flush()
+            }
+            try {
+                await indexOne(f)
+                log.info(LOG_TAG, `${index + 1}/${tasks.length}`, helper.pathShort(f.path))
+                jsonOutput.addEntry({ action: "index", src: f.path, status: EntryStatus.DONE })
+            } catch (error) {
+                failed++
+                log.warn(LOG_TAG, helper.pathShort(f.path), error.message)
+                jsonOutput.addEntry({
+                    action: "index",
+                    src: f.path,
+                    status: EntryStatus.FAILED,
+                    error,
+                })
+            }
+        },
+        { concurrency: options.jobs || cpus().length },
+    )
+
+    let pruned = 0
+    if (options.prune) {
+        pruned = await catalog.prune(root, new Set(files.map((f) => path.resolve(f.path))))
+    }
+    const summary = { indexed: tasks.length - failed, unchanged, failed, pruned }
+    jsonOutput.setSummary(summary)
+    log.showGreen(LOG_TAG, t("index.summary", summary))
+    return summary
+}
+
+/**
+ * 按文件类型确定需要保存的字段
+ * @param {string} filePath - 文件路径
+ * @param {boolean} withHash - 是否包含哈希字段
+ * @returns {Array<string>} 字段列表，见 CatalogFields
+ */
+function requiredFields(filePath, withHash) {
+    const isImage = helper.isImageFile(filePath)
+    const isVideo = helper.isVideoFile(filePath)
+    const fields = [CatalogFields.TYPE]
+    if (isImage) {
+        fields.push(CatalogFields.IMAGE)
+    }
+    if (isImage || isVideo || helper.isRawFile(filePath)) {
+        fields.push(CatalogFields.EXIF)
+    }
+    if (isVideo || helper.isAudioFile(filePath)) {
+        fields.push(CatalogFields.MEDIA)
+    }
+    if (withHash) {
+        fields.push(CatalogFields.HASH)
+        isImage && fields.push(CatalogFields.IMAGE_HASH)
+    }
+    return fields
+}
+
+/**
+ * 读取单个文件缺少的字段并写入索引，EXIF 已在之前批量读取
+ * @param {Object} f - 文件条目，missing 为缺少的字段
+ */
+async function indexOne(f) {
+    const fields = {}
+    for (const field of f.missing) {
+        switch (field) {
+            case CatalogFields.TYPE:
+                fields[field] = (await fileTypeFromFile(f.path)) || null
+                break
+            case CatalogFields.IMAGE:
+                fields[field] = await imageSizeOf(f.path).catch(() => null)
+                break
+            case CatalogFields.MEDIA:
+                // 通过索引读取，成功时已写入
+                await getMediaInfo(f.path)
+                break
+            case CatalogFields.HASH:
+                fields[field] = await hashFileXXH64(f.path)
+                break
+            case CatalogFields.IMAGE_HASH:
+                // 通过索引读取，成功时已写入
+                await computeImageFeatures(f.path)
+                break
+        }
+    }
+    await catalog.update(f.path, fields, f.stats)
+}
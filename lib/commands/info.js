@@ -0,0 +1,217 @@
+/*
+ * File: info.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 信息命令 - 显示媒体文件的容器、编码、分辨率、码率、HDR、EXIF日期和型号等信息
+ * 输出表格、CSV或JSON，可以选择列和排序，字段规范化见 lib/media_table.js
+ */
+
+import fs from "fs-extra"
+import imageSizeOfSync from "image-size"
+import { cpus } from "os"
+import path from "path"
+import { promisify } from "util"
+import * as catalog from "../catalog.js"
+import { CatalogFields } from "../catalog.js"
+import { redirectStdout, mapWithProgress } from "../command_utils.js"
+import * as log from "../debug.js"
+import { ErrorTypes, createError } from "../errors.js"
+import * as exif from "../exif.js"
+import * as mf from "../file.js"
+import * as helper from "../helper.js"
+import { t } from "../i18n.js"
+import * as jsonOutput from "../json_output.js"
+import { EntryStatus } from "../json_output.js"
+import * as table from "../media_table.js"
+import { getMediaInfo } from "../mediainfo.js"
+import { filterEntries, parseWhere } from "../where.js"
+
+const LOG_TAG = "Info"
+
+const imageSizeOf = promisify(imageSizeOfSync)
+
+// 输出格式
+export const FORMATS = ["table", "csv", "json"]
+
+// 各列需要读取的数据，没有用到的数据不读取
+const EXIF_COLUMNS = ["date", "model", "gps", "orientation"]
+const IMAGE_COLUMNS = ["container", "resolution", "width", "height"]
+const MEDIA_COLUMNS = [
+    "container",
+    "vcodec",
+    "acodec",
+    "resolution",
+    "width",
+    "height",
+    "fps",
+    "bitrate",
+    "duration",
+    "channels",
+    "bitDepth",
+    "hdr",
+]
+
+// 选项默认值，与 cmd/cmd_info.js 的命令行参数相同
+export const DEFAULT_OPTIONS = Object.freeze({
+    format: "table",
+})
+
+/**
+ * 信息命令处理函数
+ * @param {Object} options - 命令选项，与命令行参数相同，未设置的使用 DEFAULT_OPTIONS
+ * @param {Array<string>} options.input - 文件或目录列表，目录中只显示媒体文件
+ * @param {string} options.columns - 显示的列
+ * @param {string} options.sort - 排序列
+ * @param {string} options.format - 输出格式 table/csv/json
+ * @param {string} options.output - 输出文件
+ * @param {string} options.where - 过滤表达式
+ * @returns {Promise<Array<Object>>} 所有行
+ */
+export async function info(options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options }
+    // 先检查参数，避免读取完才报错
+    const columns = table.parseColumns(options.columns)
+    const sortKeys = table.parseSort(options.sort)
+    const where = options.where ? parseWhere(options.where) : null
+    const used = new Set([...columns, ...sortKeys.map((k) => k.column)])
+    const needs = (list) => list.some((c) => used.has(c))
+
+    // CSV和JSON输出到终端时，过程中的日志转到 stderr，便于重定向到文件
+    const restoreStdout =
+        options.format !== "table" && !options.output && !jsonOutput.isEnabled()
+            ? redirectStdout()
+            : null
+    let rows
+    try {
+        let files = await collectFiles([options.input].flat())
+        if (where) {
+            files = await filterEntries(files, where)
+        }
+        log.info(LOG_TAG, t("info.total.files", { count: files.length }))
+
+        // EXIF 批量读取
+        const exifs = needs(EXIF_COLUMNS)
+            ? await exif.readExifInfos(
+                  files.filter((f) => helper.isMediaFile(f.path) && !helper.isAudioFile(f.path)),
+              )
+            : new Map()
+        rows = await mapWithProgress(
+            files,
+            async (f) => {
+                const sources = { exif: exifs.get(f.path) }
+                try {
+                    if (needs(MEDIA_COLUMNS) && isAudioOrVideo(f.path)) {
+                        sources.media = await getMediaInfo(f.path)
+                    }
+                    if (needs(IMAGE_COLUMNS) && helper.isImageFile(f.path)) {
+                        sources.image = await catalog.cached(
+                            f.path,
+                            CatalogFields.IMAGE,
+                            () => imageSizeOf(f.path),
+                            f.stats,
+                        )
+                    }
+                } catch (error) {
+                    log.warn(LOG_TAG, helper.pathShort(f.path), error.message)
+                    sources.error = error
+                }
+                return { row: table.toInfoRow(f, sources), error: sources.error }
+            },
+            { concurrency: options.jobs || cpus().length },
+        )
+    } finally {
+        restoreStdout?.()
+    }
+
+    const errors = new Map(rows.map((r) => [r.row, r.error]))
+    const sorted = table.sortRows([...errors.keys()], sortKeys)
+    for (const row of sorted) {
+        const error = errors.get(row)
+        jsonOutput.addEntry({
+            action: "info",
+            src: row.path,
+            status: error ? EntryStatus.FAILED : EntryStatus.DONE,
+            error,
+            info: table.pickColumns(row, columns),
+        })
+    }
+    jsonOutput.setSummary({ files: sorted.length })
+    if (!jsonOutput.isEnabled()) {
+        await printRows(sorted, columns, options)
+    }
+    return sorted
+}
+
+function isAudioOrVideo(filePath) {
+    return helper.isVideoFile(filePath) || helper.isAudioFile(filePath)
+}
+
+/**
+ * 展开输入路径，目录中只包含媒体文件，直接指定的文件都包含
+ * @param {Array<string>} inputs - 文件或目录列表
+ * @returns {Promise<Array<Object>>} 文件条目列表，见 lib/file.js walk
+ */
+async function collectFiles(inputs) {
+    const files = []
+    for (const input of inputs) {
+        const filePath = path.resolve(input)
+        const stats = await fs.stat(filePath).catch(() => null)
+        if (!stats) {
+            throw createError(
+                ErrorTypes.FILE_NOT_FOUND,
+                t("input.path.not.exists", { path: filePath }),
+            )
+        }
+        if (stats.isDirectory()) {
+            const entries = await mf.walk(filePath, {
+                needStats: true,
+                entryFilter: (entry) => entry.isFile && helper.isMediaFile(entry.name),
+            })
+            files.push(...entries)
+        } else {
+            files.push({
+                root: path.dirname(filePath),
+                name: path.basename(filePath),
+                path: filePath,
+                stats,
+                size: stats.size,
+            })
+        }
+    }
+    return files
+}
+
+/**
+ * 按格式输出到终端或文件
+ * @param {Array<Object>} rows - 行列表
+ * @param {Array<string>} columns - 列名列表
+ * @param {Object} options - 命令选项
+ */
+async function printRows(rows, columns, options) {
+    let text
+    if (options.format === "csv") {
+        text = table.formatCsv(rows, columns)
+    } else if (options.format === "json") {
+        text = JSON.stringify(
+            rows.map((row) => table.pickColumns(row, columns)),
+            null,
+            2,
+        )
+    } else if (options.output) {
+        text = table.formatTable(rows, columns).join("\n") + "\n"
+    } else {
+        const [header, ...lines] = table.formatTable(rows, columns)
+        log.showCyan(header)
+        lines.forEach((line) => log.show(line))
+        log.showGreen(LOG_TAG, t("info.total.files", { count: rows.length }))
+        return
+    }
+    if (options.output) {
+        await fs.outputFile(options.output, text)
+        log.showGreen(LOG_TAG, t("info.saved", { count: rows.length, path: options.output }))
+    } else {
+        process.stdout.write(text.endsWith("\n") ? text : text + "\n")
+    }
+}
@@ -0,0 +1,118 @@
+/*
+ * File: lr.js
+ * Created: 2026-02-12 09:16:00 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Command: Move JPEG output of RAW files to other folder
+ */
+
+import fs from "fs-extra"
+import path from "path"
+import { confirmDangerousAction } from "../command_utils.js"
+import * as log from "../debug.js"
+import { ErrorTypes, createError, handleError, withErrorHandling } from "../errors.js"
+import * as mf from "../file.js"
+import { t } from "../i18n.js"
+import * as jsonOutput from "../json_output.js"
+import { EntryStatus } from "../json_output.js"
+
+/**
+ * LR移动命令处理函数
+ * 移动RAW文件的JPEG输出到其他文件夹
+ * @param {Object} options - 命令选项
+ * @param {string} options.input - 输入目录路径
+ * @param {string} options.output - 输出目录路径（可选）
+ * @returns {Promise<void>}
+ */
+export async function lrmove(options) {
+    log.show("LRMove", options)
+    const root = path.resolve(options.input)
+
+    // 使用新的错误处理系统验证输入
+    if (!root) {
+        throw createError(ErrorTypes.INVALID_ARGUMENT, t("input.path.empty"), null, "ERROR")
+    }
+
+    if (!(await fs.pathExists(root))) {
+        const error = createError(
+            ErrorTypes.FILE_NOT_FOUND,
+            t("input.path.not.exists", { path: root }),
+        )
+        await handleError(error, { command: "lrmove", input: root })
+        return
+    }
+
+    log.show(`LRMove: input:`, root)
+
+    let filenames = await mf.walk(root, { needStats: true, withFiles: false, withDirs: true })
+    filenames = filenames.map((entry) => entry.path).filter((f) => path.basename(f) === "JPEG")
+    log.show("LRMove:", t("commands.lrmove.total.folders", { count: filenames.length }))
+
+    if (filenames.length === 0) {
+        log.showGreen(t("commands.lrmove.nothing.to.do"))
+        return
+    }
+
+    const files = filenames.map((f) => {
+        const fileSrc = f
+        const fileBase = path.dirname(fileSrc)
+        // 使用正则表达式替换路径，更健壮地处理不同路径格式
+        const fileDst = fileBase.replace(new RegExp(`RAW[\\\\/]`), `JPEG${path.sep}`)
+        const task = {
+            fileSrc: fileSrc,
+            fileDst: fileDst,
+        }
+        log.show(`${t("path.source")}:`, fileSrc)
+        log.show(`${t("path.destination")}:`, fileDst)
+        return task
+    })
+
+    const answer = await confirmDangerousAction(
+        t("commands.lrmove.move.confirm", { count: files.length }),
+    )
+
+    if (answer) {
+        // 错误处理装饰器工厂函数
+        const createMoveFileHandler = (file) =>
+            withErrorHandling(
+                async (f) => {
+                    // 确保目标父目录存在
+                    await fs.ensureDir(path.dirname(f.fileDst))
+
+                    // 检查目标文件是否已存在
+                    if (await fs.pathExists(f.fileDst)) {
+                        log.showYellow(t("commands.lrmove.skip.exists", { dst: f.fileDst }))
+                        f.skipped = true
+                        return null
+                    }
+
+                    await fs.move(f.fileSrc, f.fileDst)
+                    log.showGreen(t("commands.lrmove.moved", { src: f.fileSrc, dst: f.fileDst }))
+                    return f
+                },
+                { operation: "move", file: file.fileSrc },
+            )
+
+        let successCount = 0
+        let errorCount = 0
+
+        for (const f of files) {
+            const result = await createMoveFileHandler(f)(f)
+            if (result) {
+                successCount++
+            } else {
+                errorCount++
+            }
+            let status = result ? EntryStatus.DONE : EntryStatus.FAILED
+            if (f.skipped) {
+                status = EntryStatus.SKIPPED
+            }
+            jsonOutput.addEntry({ action: "move", src: f.fileSrc, dst: f.fileDst, status })
+        }
+
+        log.showCyan(t("operation.completed", { success: successCount, error: errorCount }))
+    } else {
+        log.showYellow(t("operation.cancelled"))
+    }
+}
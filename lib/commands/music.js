@@ -0,0 +1,211 @@
+/*
+ * File: music.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 音乐库命令 - dedup 按音频指纹查找相同的歌曲，文件名和格式不同也能找到
+ * 每组保留无损或码率最高的一个，其余的只报告或安全删除，指纹见 lib/audio_fingerprint.js
+ */
+
+import fs from "fs-extra"
+import { cpus } from "os"
+import path from "path"
+import { AUDIO_FP_CONFIG, findAudioDuplicates } from "../audio_fingerprint.js"
+import { confirmDangerousAction, ProgressPhase, reportProgress } from "../command_utils.js"
+import * as log from "../debug.js"
+import { ErrorTypes, createError } from "../errors.js"
+import * as mf from "../file.js"
+import * as helper from "../helper.js"
+import { t } from "../i18n.js"
+import * as jsonOutput from "../json_output.js"
+import { EntryStatus } from "../json_output.js"
+import { filterEntries, parseWhere } from "../where.js"
+
+const LOG_TAG = "Music"
+
+export const MUSIC_ACTIONS = ["dedup"]
+
+// 选项默认值，与 cmd/cmd_music.js 的命令行参数相同
+export const DEFAULT_OPTIONS = Object.freeze({
+    threshold: AUDIO_FP_CONFIG.THRESHOLD,
+    trash: false,
+    doit: false,
+})
+
+/**
+ * 音乐库命令处理函数
+ * @param {Object} options - 命令选项，与命令行参数相同，未设置的使用 DEFAULT_OPTIONS
+ * @param {string} options.action - dedup
+ * @param {Array<string>} options.input - 输入目录列表
+ * @param {number} options.threshold - 指纹相似度阈值
+ * @param {boolean} options.trash - 是否安全删除重复的歌曲
+ * @param {string} options.where - 过滤表达式
+ * @param {string} options.output - 相同歌曲列表保存路径
+ * @param {boolean} options.doit - 是否执行
+ * @returns {Promise<Array<Object>>} 相同歌曲分组 {keep, duplicates}
+ */
+export async function music(options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options }
+    const roots = [options.input].flat().map((p) => path.resolve(p))
+    for (const root of roots) {
+        if (!(await fs.pathExists(root))) {
+            throw createError(ErrorTypes.FILE_NOT_FOUND, t("input.path.not.exists", { path: root }))
+        }
+    }
+    // 目前只有 dedup
+    return await musicDedup(roots, options)
+}
+
+/**
+ * 按音频指纹查找相同的歌曲
+ * @param {Array<string>} roots - 输入目录
+ * @param {Object} options - 命令选项
+ * @returns {Promise<Array<Object>>} 相同歌曲分组
+ */
+async function musicDedup(roots, options) {
+    const startMs = Date.now()
+    const where = options.where ? parseWhere(options.where) : null
+    const files = []
+    for (const root of roots) {
+        let entries = await mf.walk(root, {
+            needStats: true,
+            entryFilter: (entry) => entry.isFile && helper.isAudioFile(entry.path),
+        })
+        if (where) {
+            entries = await filterEntries(entries, where)
+        }
+        log.show(LOG_TAG, t("music.scan.root", { count: entries.length, root }))
+        files.push(...entries.map((f) => ({ path: f.path, size: f.size })))
+    }
+
+    const { groups, failed } = await findAudioDuplicates(files, {
+        threshold: options.threshold,
+        concurrency: options.jobs || cpus().length,
+        onProgress: (done, total) => {
+            reportProgress(done, total, ProgressPhase.ANALYZE)
+            if (done % 500 === 0 || done === total) {
+                log.info(LOG_TAG, `${done}/${total}`)
+            }
+        },
+    })
+    if (failed > 0) {
+        log.showYellow(LOG_TAG, t("music.failed", { count: failed }))
+    }
+    groups.sort((a, b) => a.keep.path.localeCompare(b.keep.path))
+    const count = groups.reduce((n, g) => n + g.duplicates.length, 0)
+    const wasted = groups.reduce((n, g) => n + g.duplicates.reduce((s, f) => s + f.size, 0), 0)
+
+    printGroups(groups)
+    if (options.output) {
+        await saveGroups(groups, options.output)
+        log.showGreen(LOG_TAG, t("dedup.saved", { count: groups.length, path: options.output }))
+    }
+    log.showGreen(
+        LOG_TAG,
+        t("music.summary", {
+            groups: groups.length,
+            count,
+            size: helper.humanSize(wasted),
+            time: helper.humanTime(startMs),
+        }),
+    )
+    jsonOutput.setSummary({ groups: groups.length, duplicates: count, wastedBytes: wasted, failed })
+
+    if (!options.trash || groups.length === 0) {
+        addEntries(groups, "duplicate", EntryStatus.DONE)
+        return groups
+    }
+    if (!options.doit) {
+        log.showYellow(LOG_TAG, t("common.test.mode.note", { count }))
+        addEntries(groups, "trash", EntryStatus.PLANNED)
+        return groups
+    }
+    const answer = await confirmDangerousAction(
+        t("dedup.confirm.trash", { count, size: helper.humanSize(wasted) }),
+    )
+    if (!answer) {
+        log.logWarn(LOG_TAG, t("operation.cancelled"))
+        return groups
+    }
+    await trashDuplicates(groups, count)
+    return groups
+}
+
+// 歌曲的简短描述，如 flac 1411K 44100Hz 0.93 "Artist - Title"
+function audioDesc(f) {
+    const tags = [f.artist, f.title].filter(Boolean).join(" - ")
+    const desc = `${f.codec} ${Math.round((f.bitrate || 0) / 1000)}K ${f.sampleRate}Hz ${f.score}`
+    return tags ? `${desc} "${tags}"` : desc
+}
+
+function printGroups(groups) {
+    for (const [index, g] of groups.entries()) {
+        log.showCyan(`[${index + 1}/${groups.length}]`, `x${g.duplicates.length + 1}`)
+        log.showGreen("  K", g.keep.path, audioDesc(g.keep))
+        for (const f of g.duplicates) {
+            log.show("  D", f.path, audioDesc(f))
+        }
+    }
+}
+
+// 保存为 JSON Lines，每行一组
+async function saveGroups(groups, output) {
+    const lines = groups.map((g) =>
+        JSON.stringify({
+            keep: g.keep.path,
+            duplicates: g.duplicates.map((f) => ({ path: f.path, score: f.score })),
+        }),
+    )
+    await fs.outputFile(output, lines.join("\n") + "\n")
+}
+
+function addEntries(groups, action, status) {
+    for (const g of groups) {
+        for (const f of g.duplicates) {
+            jsonOutput.addEntry({
+                action,
+                src: f.path,
+                status,
+                keep: g.keep.path,
+                size: f.size,
+                score: f.score,
+            })
+        }
+    }
+}
+
+async function trashDuplicates(groups, total) {
+    const action = "trash"
+    let index = 0
+    let failed = 0
+    for (const g of groups) {
+        for (const f of g.duplicates) {
+            const shortPath = helper.pathShort(f.path)
+            try {
+                const dst = await helper.safeRemove(f.path)
+                if (!dst) {
+                    throw createError(
+                        ErrorTypes.PROCESSING_FAILED,
+                        `${t("remove.failed")}: ${f.path}`,
+                    )
+                }
+                log.logTask(LOG_TAG, ++index, total, action, shortPath)
+                log.fileLog(`${action}: <${f.path}> keep <${g.keep.path}>`, LOG_TAG)
+                jsonOutput.addEntry({
+                    action,
+                    src: f.path,
+                    dst,
+                    status: EntryStatus.DONE,
+                    keep: g.keep.path,
+                })
+            } catch (error) {
+                index++
+                failed++
+                log.logError(LOG_TAG, shortPath, error.message)
+                jsonOutput.addEntry({ action, src: f.path, status: EntryStatus.FAILED, error })
+            }
+        }
+    }
+    log.showGreen(LOG_TAG, t("operation.completed", { success: total - failed, error: failed }))
+}
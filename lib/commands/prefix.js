@@ -0,0 +1,422 @@
+/*
+ * File: prefix.js
+ * Created: 2024-03-15 16:29:41 +0800
+ * Modified: 2024-04-09 22:13:39 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import dayjs from "dayjs"
+import fs from "fs-extra"
+import { cpus } from "os"
+import path from "path"
+import { confirmDangerousAction, mapWithProgress, ProgressPhase } from "../command_utils.js"
+import { asyncFilter } from "../core.js"
+import * as log from "../debug.js"
+import { ErrorTypes, createError, handleError } from "../errors.js"
+import * as mf from "../file.js"
+import * as helper from "../helper.js"
+import { t } from "../i18n.js"
+import { createPlan, savePlan } from "../plan.js"
+import {
+    addRenamePlanOps,
+    RE_MEDIA_DIR_NAME,
+    RE_ONLY_NUMBER,
+    RE_UGLY_CHARS,
+    RE_UGLY_CHARS_BORDER,
+    cleanFileName,
+    cleanNameEx,
+    renameFiles,
+    reportPlannedRenames,
+} from "./shared.js"
+
+export const MODE_AUTO = "auto"
+export const MODE_DIR = "dirname"
+export const MODE_PREFIX = "prefix"
+export const MODE_MEDIA = "media"
+export const MODE_CLEAN = "clean"
+export const MODE_SEQ = "sequence"
+
+export const SUFFIX_DATE = "date"
+export const SUFFIX_TIME = "time"
+export const SUFFIX_SEQ = "seq"
+export const SUFFIX_SIZE = "size"
+
+const NAME_LENGTH = 60
+
+/**
+ * 根据目录层次自动生成前缀
+ * @param {string} dir - 目录路径
+ * @param {string} sep - 分隔符
+ * @returns {string} 生成的前缀
+ */
+function getAutoModePrefix(dir, sep) {
+    // 从左到右的目录层次
+    const [d1, d2, d3] = dir.split(path.sep).slice(-3)
+    log.debug([d1, d2, d3].join(","))
+    if (d3.includes(d1) && d2.includes(d1)) {
+        return d3
+    }
+    if (d3.includes(d2)) {
+        return d3
+    }
+    if (d2.includes(d1)) {
+        return [d2, d3].join(sep)
+    }
+    return [d1, d2, d3].join(sep)
+}
+
+/**
+ * 解析命名模式
+ * @param {Object} options - 命令选项
+ * @returns {string} 解析后的模式
+ */
+function parseNameMode(options) {
+    let mode = options.auto ? MODE_AUTO : options.mode || MODE_AUTO
+    if (options.mprefix) {
+        mode = MODE_PREFIX
+    }
+    if (options.dirname) {
+        mode = MODE_DIR
+    }
+    if (options.media) {
+        mode = MODE_MEDIA
+    }
+    if (options.sequence) {
+        mode = MODE_SEQ
+    }
+    if (options.cleanOnly) {
+        mode = MODE_CLEAN
+    }
+    return mode
+}
+
+/**
+ * 重复文件名Set，检测重复，防止覆盖
+ */
+let nameDupSet
+let nameDupIndex
+
+function resetNameDups() {
+    nameDupSet = new Set()
+    nameDupIndex = 0
+}
+
+/**
+ * 根据模式创建新文件名
+ * @param {Object} f - 文件对象
+ * @param {string} f.path - 文件路径
+ * @param {Object} f.options - 命令行参数对象
+ * @param {number} f.index - 文件索引
+ * @param {number} f.total - 总文件数
+ * @param {number} f.size - 文件大小
+ * @returns {Promise<Object>} 处理后的文件对象
+ */
+async function createNewNameByMode(f) {
+    const options = f.options
+    const mode = parseNameMode(options)
+    const nameLength =
+        mode === MODE_MEDIA || mode === MODE_CLEAN ? 200 : options.length || NAME_LENGTH
+    const nameSlice = nameLength * -1
+    const [dir, base, ext] = helper.pathSplit(f.path)
+    const oldName = path.basename(f.path)
+    const dirParts = dir.split(path.sep).slice(-3)
+    const dirName = path.basename(dir)
+    const logTag = `Prefix::${mode.toUpperCase()[0]}`
+    // 直接忽略 . _ 开头的目录
+    if (/^[._]/.test(dirName)) {
+        f.skipped = true
+        return f
+    }
+    const ipx = `${f.index}/${f.total}`
+    log.info(logTag, `Processing ${ipx} ${f.path}`)
+    let sep = "_"
+    let prefix = options.prefix
+    let oldBase = base
+
+    switch (mode) {
+        case MODE_CLEAN:
+            {
+                sep = "."
+                prefix = ""
+            }
+            break
+        case MODE_MEDIA:
+            {
+                sep = "."
+                prefix = dirName
+                if (prefix.match(RE_MEDIA_DIR_NAME)) {
+                    prefix = dirParts[2]
+                }
+                const checkPrefix = prefix
+                if (checkPrefix.length < 4 && /^[A-Za-z0-9]+$/.test(checkPrefix)) {
+                    prefix = dirParts[2] + sep + dirName
+                }
+            }
+            break
+        case MODE_PREFIX:
+            {
+                sep = "_"
+                prefix = options.prefix
+            }
+            break
+        case MODE_DIR:
+            {
+                sep = "_"
+                prefix = dirName
+                if (prefix.match(RE_MEDIA_DIR_NAME)) {
+                    prefix = dirParts[2]
+                }
+                if (prefix.match(RE_MEDIA_DIR_NAME)) {
+                    prefix = dirParts[1]
+                }
+                if (prefix.match(RE_MEDIA_DIR_NAME)) {
+                    prefix = dirParts[0]
+                }
+            }
+            break
+        case MODE_AUTO:
+            {
+                sep = "_"
+                prefix = getAutoModePrefix(dir, sep)
+                const shouldCheck = RE_ONLY_NUMBER.test(base) && base.length < 10
+                const forceAll = options.all || false
+                if (!shouldCheck && !forceAll) {
+                    log.info(logTag, `Ignore: ${ipx} ${helper.pathShort(f.path)} [Auto]`)
+                    f.skipped = true
+                    return f
+                }
+            }
+            break
+        case MODE_SEQ:
+            {
+                sep = "_"
+                const seqNum = (f.index + 1 + (options.seqStart || 1) - 1)
+                    .toString()
+                    .padStart(options.seqPad || 3, "0")
+                prefix = seqNum
+            }
+            break
+        default:
+            throw createError(ErrorTypes.INVALID_ARGUMENT, `Invalid mode: ${mode} ${options.mode}`)
+    }
+
+    if (mode !== MODE_CLEAN) {
+        // 无有效前缀，报错退出
+        if (!prefix || prefix.length == 0) {
+            log.warn(logTag, `Invalid Prefix: ${helper.pathShort(f.path)} ${mode}`)
+            throw createError(ErrorTypes.MISSING_REQUIRED_ARGUMENT, `No prefix supplied!`)
+        }
+    }
+
+    // 是否净化文件名，去掉各种特殊字符
+    if (options.clean || mode === MODE_CLEAN) {
+        prefix = cleanFileName(prefix, { separator: sep, keepDateStr: false, tc2sc: true })
+        oldBase = cleanFileName(oldBase, { separator: sep, keepDateStr: true, tc2sc: true })
+    }
+    // 不添加重复前缀
+    if (oldBase.includes(prefix)) {
+        log.info(logTag, `IgnorePrefix: ${ipx} ${helper.pathShort(f.path)}`)
+        prefix = ""
+    }
+    // 确保文件名不含有文件系统不允许的非法字符
+    oldBase = helper.filenameSafe(oldBase)
+    let fullBase = prefix.length > 0 ? prefix + sep + oldBase : oldBase
+    // 去除首位空白和特殊字符
+    // fullBase = fullBase.replaceAll(RE_UGLY_CHARS_BORDER, "")
+    // 多余空白和字符替换为一个字符 _或.
+    // fullBase = fullBase.replaceAll(RE_UGLY_CHARS, sep)
+
+    fullBase = cleanNameEx(fullBase, sep)
+
+    // 去掉重复词组，如目录名和人名
+    fullBase = Array.from(new Set(fullBase.split(sep))).join(sep)
+    // 限制文件名长度
+    fullBase = helper.unicodeLength(fullBase) > nameLength ? fullBase.slice(nameSlice) : fullBase
+    // 再次去掉首位的特殊字符和空白字符
+    // fullBase = fullBase.replaceAll(RE_UGLY_CHARS_BORDER, "")
+
+    // 处理后缀
+    let suffix = ""
+    if (options.suffix) {
+        const suffixSep = "."
+        switch (options.suffix) {
+            case SUFFIX_DATE:
+                suffix = dayjs(f.mtime || f.ctime).format("YYYY-MM-DD")
+                break
+            case SUFFIX_TIME:
+                suffix = dayjs(f.mtime || f.ctime).format("HHmmss")
+                break
+            case SUFFIX_SEQ:
+                suffix = (f.index + 1 + (options.seqStart || 1) - 1)
+                    .toString()
+                    .padStart(options.seqPad || 3, "0")
+                break
+            case SUFFIX_SIZE:
+                suffix = helper.humanSize(f.size).replace(" ", "")
+                break
+        }
+        if (suffix) {
+            fullBase = fullBase + suffixSep + suffix
+        }
+    }
+
+    let newName = `${fullBase}${ext}`
+    const outputDir = options.output ? path.resolve(options.output) : dir
+    let newPath = path.resolve(path.join(outputDir, newName))
+
+    if (newPath === f.path) {
+        log.info(logTag, `Same: ${ipx} ${helper.pathShort(newPath)}`)
+        f.skipped = true
+    } else if (await fs.pathExists(newPath)) {
+        // 目标文件已存在
+        const stn = await fs.stat(newPath)
+        if (f.size === stn.size) {
+            // 如果大小相等，认为是同一个文件
+            log.info(logTag, `Exists: ${ipx} ${helper.pathShort(newPath)}`)
+            f.skipped = true
+        } else {
+            // 大小不相等，文件名添加后缀
+            // 找到一个不重复的新文件名
+            do {
+                newName = `${fullBase}${sep}D${++nameDupIndex}${ext}`
+                newPath = path.resolve(path.join(dir, newName))
+            } while (nameDupSet.has(newPath))
+            log.info(logTag, `NewName: ${ipx} ${helper.pathShort(newPath)}`)
+        }
+    } else if (nameDupSet.has(newPath)) {
+        log.info(logTag, `Duplicate: ${ipx} ${helper.pathShort(newPath)}`)
+        f.skipped = true
+    }
+
+    nameDupSet.add(newPath)
+
+    if (f.skipped) {
+        // 跳过的文件不做处理
+    } else {
+        f.outName = newName
+        f.outPath = newPath
+        log.showGray(logTag, `SRC: ${ipx} ${helper.pathShort(f.path)}`)
+        log.show(logTag, `DST: ${ipx} ${helper.pathShort(newPath)}`)
+        log.fileLog(`Prepare: ${ipx} <${f.path}> [SRC]`, logTag)
+        log.fileLog(`Prepare: ${ipx} <${newPath}> [DST]`, logTag)
+    }
+
+    return f
+}
+
+// 选项默认值，与 cmd/cmd_prefix.js 的命令行参数相同
+export const DEFAULT_OPTIONS = Object.freeze({
+    length: NAME_LENGTH,
+    mode: MODE_AUTO,
+    doit: false,
+    seqStart: 1,
+    seqPad: 3,
+})
+
+export async function prefixFiles(options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options }
+    resetNameDups()
+    const testMode = !options.doit
+    const logTag = "cmdPrefix"
+    log.info(logTag, options)
+    const root = path.resolve(options.input)
+    if (!root || !(await fs.pathExists(root))) {
+        throw createError(ErrorTypes.INVALID_ARGUMENT, `Invalid Input: ${root}`)
+    }
+    if (options.output) {
+        const outputDir = path.resolve(options.output)
+        if (!(await fs.pathExists(outputDir))) {
+            await fs.ensureDir(outputDir)
+        }
+        log.show(logTag, `Output: ${outputDir}`)
+    }
+    if (!testMode) {
+        log.fileLog(`Root: ${root}`, logTag)
+        log.fileLog(`Argv: ${JSON.stringify(options)}`, logTag)
+    }
+    const mode = parseNameMode(options)
+    const prefix = options.prefix
+    const startMs = Date.now()
+    log.show(logTag, `Input: ${root}`)
+
+    if (mode === MODE_PREFIX && !prefix) {
+        throw createError(ErrorTypes.MISSING_REQUIRED_ARGUMENT, `No prefix value supplied!`)
+    }
+
+    let files = await mf.walk(root, {
+        needStats: true,
+        entryFilter: (entry) => entry.isFile && entry.size > 1024,
+    })
+    log.show(logTag, `Total ${files.length} files found in ${helper.humanTime(startMs)}`)
+    if (options.include?.length >= 3) {
+        // 处理include规则
+        const pattern = new RegExp(options.include, "gi")
+
+        files = await asyncFilter(files, (x) => x.path.match(pattern))
+        log.show(logTag, `Total ${files.length} files left after include rules`)
+    } else if (options.exclude?.length >= 3) {
+        // 处理exclude规则
+        const pattern = new RegExp(options.exclude, "gi")
+        log.showRed(pattern)
+        files = await asyncFilter(files, (x) => !x.path.match(pattern))
+        log.show(logTag, `Total ${files.length} files left after exclude rules`)
+    }
+    if (files.length == 0) {
+        log.showYellow("Prefix", t("common.nothing.to.do"))
+        return
+    }
+    files = files.map((f, i) => {
+        return {
+            ...f,
+            options: options,
+            index: i,
+            total: files.length,
+        }
+    })
+    const fCount = files.length
+    //const tasks = files.map(f => createNewNameByMode(f, options)).filter(f => f?.outName)
+    const jobCount = options.jobs || cpus().length * 4
+    let tasks = await mapWithProgress(files, createNewNameByMode, {
+        concurrency: jobCount,
+        phase: ProgressPhase.PREPARE,
+    })
+    tasks = tasks.filter((f) => f?.outName)
+
+    tasks = tasks.map((f, i) => {
+        return {
+            ...f,
+            options: options,
+            index: i,
+            total: files.length,
+        }
+    })
+
+    const tCount = tasks.length
+    log.showYellow(logTag, `Total ${fCount - tCount} files are skipped.`)
+    if (tasks.length > 0) {
+        log.showGreen(logTag, `Total ${tasks.length} media files ready to rename`)
+    } else {
+        log.showYellow(logTag, t("common.nothing.to.do"))
+        return
+    }
+    log.show(logTag, options)
+    if (options.savePlan) {
+        const plan = await addRenamePlanOps(createPlan("prefix", options), tasks)
+        await savePlan(plan, options.savePlan)
+        return
+    }
+    testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
+    const answer = await confirmDangerousAction(t("prefix.confirm.rename", { count: tasks.length }))
+    if (answer) {
+        if (testMode) {
+            reportPlannedRenames(tasks)
+            log.showYellow(logTag, `${tasks.length} files, NO file renamed in TEST MODE.`)
+        } else {
+            const results = await renameFiles(tasks, false)
+            log.showGreen(logTag, `All ${results.length} file were renamed.`)
+        }
+    } else {
+        log.showYellow(logTag, t("operation.cancelled"))
+    }
+}
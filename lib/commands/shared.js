@@ -1,5 +1,5 @@
 /*
- * File: cmd_shared.js
+ * File: shared.js
  * Created: 2024-03-23 16:07:31 +0800
  * Modified: 2024-04-09 22:13:39 +0800
  * Author: mcxiaoke (github@mcxiaoke.com)
@@ -13,18 +13,23 @@ import fs from "fs-extra"
 import iconv from "iconv-lite"
 import * as emoji from "node-emoji"
 import { cpus } from "os"
-import pMap from "p-map"
 import path from "path"
 import sharp from "sharp"
 import which from "which"
-import config from "../lib/config.js"
-import * as core from "../lib/core.js"
-import { asyncFilter, copyFields } from "../lib/core.js"
-import * as log from "../lib/debug.js"
-import { ErrorTypes, createError, handleError } from "../lib/errors.js"
-import * as exif from "../lib/exif.js"
-import { fixMetadata } from "../lib/fixmetadata.js"
-import * as helper from "../lib/helper.js"
+import { mapWithProgress, ProgressPhase, reportProgress } from "../command_utils.js"
+import config from "../config.js"
+import * as core from "../core.js"
+import { asyncFilter, copyFields } from "../core.js"
+import * as log from "../debug.js"
+import { ErrorTypes, createError, handleError } from "../errors.js"
+import * as exif from "../exif.js"
+import { fixMetadata } from "../fixmetadata.js"
+import * as helper from "../helper.js"
+import * as journal from "../journal.js"
+import * as jsonOutput from "../json_output.js"
+import { EntryStatus } from "../json_output.js"
+import { PlanOps, addOp } from "../plan.js"
+import { filterEntries, parseWhere } from "../where.js"
 
 // https://day.js.org/docs/zh-CN/display/format
 const DATE_FORMAT = "YYYY-MM-DD HH:mm:ss.SSS Z"
@@ -40,6 +45,7 @@ async function renameOneFile(f) {
     // 如果输出文件名不存在或者输入文件路径等于输出文件路径，忽略该文件并打印警告信息
     if (!f.outName || f.path === f.outPath) {
         log.showYellow(logTag, "Ignore:", f.path, flag)
+        jsonOutput.addEntry({ action: "rename", src: f.path, status: EntryStatus.SKIPPED })
         return
     }
     try {
@@ -52,11 +58,19 @@ async function renameOneFile(f) {
         // 如果目标文件已存在，不能覆盖
         if (await fs.pathExists(outPath)) {
             log.showYellow(logTag, "SkipExists:", outPath, flag)
+            jsonOutput.addEntry({
+                action: "rename",
+                src: f.path,
+                dst: outPath,
+                status: EntryStatus.SKIPPED,
+                error: createError(ErrorTypes.FILE_ALREADY_EXISTS, outPath),
+            })
             return
         }
 
         // 使用 fs 模块的 rename 方法重命名文件，并等待操作完成
         await fs.rename(f.path, outPath)
+        journal.record(journal.JournalOps.RENAME, f.path, outPath)
         // 打印重命名成功的日志信息，显示输出文件的路径
         log.show(logTag, chalk.green(`OK:`), `${outPath} ${flag}`)
         log.fileLog(`SRC: <${f.path}>`, logTag)
@@ -68,15 +82,29 @@ async function renameOneFile(f) {
                 const eDst = path.join(outDir, f.outBase + ext)
                 if (await fs.pathExists(eSrc)) {
                     await fs.rename(eSrc, eDst)
+                    journal.record(journal.JournalOps.RENAME, eSrc, eDst)
                     log.show(logTag, chalk.yellow(`Extra:`), `${eDst}`)
                 }
             }
         }
+        jsonOutput.addEntry({
+            action: "rename",
+            src: f.path,
+            dst: outPath,
+            status: EntryStatus.DONE,
+        })
         return f
     } catch (error) {
         // 捕获并打印重命名过程中出现的错误信息，显示错误原因和输入文件的路径
         log.error(logTag, `Error: <${f.path}> => <${outPath}}> ${error.message} ${flag}`)
         log.fileLog(`Error: <${f.path}> ${error.message}`, logTag)
+        jsonOutput.addEntry({
+            action: "rename",
+            src: f.path,
+            dst: outPath,
+            status: EntryStatus.FAILED,
+            error,
+        })
     }
 }
 
@@ -86,10 +114,11 @@ export async function renameFiles(files, parallel = false) {
     log.show("Rename", `total ${files.length} files to rename. (parallel=${parallel})`)
     let results = []
     if (parallel) {
-        results = await pMap(files, renameOneFile, { concurrency: cpus().length })
+        results = await mapWithProgress(files, renameOneFile, { concurrency: cpus().length })
     } else {
         for (const file of files) {
             results.push(await renameOneFile(file))
+            reportProgress(results.length, files.length, ProgressPhase.PROCESS)
         }
     }
     const allCount = results.length
@@ -99,6 +128,50 @@ export async function renameFiles(files, parallel = false) {
     return results
 }
 
+/**
+ * 测试模式下把重命名任务作为 planned 条目输出到 --json 结果
+ * @param {Array<Object>} files - 重命名任务列表
+ */
+export function reportPlannedRenames(files) {
+    jsonOutput.addEntries(
+        "rename",
+        files.map((f) => ({
+            src: f.path,
+            dst: f.outPath || path.join(path.dirname(f.path), f.outName),
+        })),
+        EntryStatus.PLANNED,
+    )
+}
+
+/**
+ * 把重命名任务添加到计划，目标路径的计算规则与 renameOneFile 相同
+ * 存在的附加文件（字幕、封面等）作为单独的操作添加
+ *
+ * @param {Object} plan - 计划对象，见 lib/plan.js
+ * @param {Array<Object>} files - 重命名任务列表
+ * @param {string} op - 操作类型，默认为 rename
+ * @returns {Promise<Object>} 计划对象
+ */
+export async function addRenamePlanOps(plan, files, op = PlanOps.RENAME) {
+    for (const f of files) {
+        if (!f.outName || f.path === f.outPath) {
+            continue
+        }
+        const outPath = f.outPath || path.join(path.dirname(f.path), f.outName)
+        await addOp(plan, op, f.path, outPath)
+        if (f.extraExts?.length > 0) {
+            const srcParts = path.parse(f.path)
+            for (const ext of f.extraExts) {
+                const eSrc = path.join(srcParts.dir, srcParts.name + ext)
+                if (await fs.pathExists(eSrc)) {
+                    await addOp(plan, op, eSrc, path.join(path.dirname(outPath), f.outBase + ext))
+                }
+            }
+        }
+    }
+    return plan
+}
+
 /**
  * 修复字符串编码，将binary编码转换为cp936编码
  * @param {string} str - 要修复编码的字符串，默认为空字符串
@@ -288,7 +361,9 @@ export async function compressImage(t) {
         try {
             // 尝试删除已创建的目标文件，防止错误文件占用空间
             await fs.remove(t.tmpDst)
-            await helper.safeRemove(t.dst)
+            if (await fs.pathExists(t.dst)) {
+                await helper.safeRemove(t.dst)
+            }
         } catch (error) {} // 忽略删除操作的错误，不进行额外处理
         t.errorFlag = true
         t.errorMessage = errMsg
@@ -358,7 +433,7 @@ async function checkMetadata(t) {
                 return "MetaGood"
             }
         } catch (error) {
-            console.error(logTag, t.src, `Copy metadata failed`, error)
+            log.error(logTag, t.src, `Copy metadata failed`, error)
         }
     } else {
         return "MetaSkip1"
@@ -627,18 +702,20 @@ function filterFileNames(fpath, pattern, useRegex = false) {
     }
     return name.includes(pattern)
 }
-// 通用文件名过滤 = 扩展名规则 包含规则 排除规则
-// 仅匹配文件名，不包含路径
-export async function applyFileNameRules(fileEntries, argv) {
+// 通用文件名过滤 = 扩展名规则 包含规则 排除规则 + --where 表达式
+// 名称规则仅匹配文件名，不包含路径，表达式最后计算，只读取剩余文件的信息
+export async function applyFileNameRules(fileEntries, options) {
+    // 先检查表达式，语法错误时不做其它处理
+    const where = options.where ? parseWhere(options.where) : null
     const beforeCount = fileEntries.length
     const logTag = chalk.green("NameRules")
-    if (argv.extensions || argv.include || argv.exclude) {
+    if (options.extensions || options.include || options.exclude) {
         log.show(
             logTag,
-            `extensions="${argv.extensions || ""}", include="${argv.include || ""}", exclude="${argv.exclude || ""}"`,
+            `extensions="${options.extensions || ""}", include="${options.include || ""}", exclude="${options.exclude || ""}"`,
         )
     }
-    const extensions = argv.extensions?.toLowerCase()
+    const extensions = options.extensions?.toLowerCase()
     if (extensions?.length > 0) {
         if (!/\.[a-z0-9]{2,4}/.test(extensions)) {
             // 有扩展名参数，但是参数错误，报错
@@ -650,18 +727,18 @@ export async function applyFileNameRules(fileEntries, argv) {
         fileEntries = fileEntries.filter((entry) => extensions.includes(helper.pathExt(entry.name)))
         log.info(logTag, `${fileEntries.length} entries left by extension rules`)
     }
-    if (argv.exclude?.length > 0) {
+    if (options.exclude?.length > 0) {
         // 处理exclude规则
         // fileEntries = await asyncFilter(fileEntries, x => excludeFunc(x))
         fileEntries = await asyncFilter(
             fileEntries,
-            (x) => !filterFileNames(x.path, argv.exclude, argv.regex),
+            (x) => !filterFileNames(x.path, options.exclude, options.regex),
         )
         log.info(logTag, `${fileEntries.length} entries left by exclude rules`)
-    } else if (argv.include?.length > 0) {
+    } else if (options.include?.length > 0) {
         // 处理include规则
         fileEntries = await asyncFilter(fileEntries, (x) =>
-            filterFileNames(x.path, argv.include, argv.regex),
+            filterFileNames(x.path, options.include, options.regex),
         )
         log.info(logTag, `${fileEntries.length} entries left by include rules`)
     }
@@ -672,6 +749,11 @@ export async function applyFileNameRules(fileEntries, argv) {
             `${beforeCount - afterCount} entries removed by include/exclude/extension rules`,
         )
     }
+    if (where) {
+        log.show(logTag, `where="${where.expr}"`)
+        fileEntries = await filterEntries(fileEntries, where)
+        log.show(logTag, `${afterCount - fileEntries.length} entries removed by where rules`)
+    }
     return fileEntries
 }
 
@@ -0,0 +1,428 @@
+/*
+ * File: similar.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 相似图片命令 - 在整个图库中查找视觉上相似的图片，不限拍摄日期
+ * 每组按质量评分、分辨率和文件大小保留一张，输出 JSON 或带缩略图的 HTML 报告，可以移走其余的图片
+ */
+
+import fs from "fs-extra"
+import imageSizeOfSync from "image-size"
+import { cpus } from "os"
+import pMap from "p-map"
+import path from "path"
+import sharp from "sharp"
+import { promisify } from "util"
+import * as catalog from "../catalog.js"
+import { CatalogFields } from "../catalog.js"
+import { confirmDangerousAction, ProgressPhase, reportProgress } from "../command_utils.js"
+import * as log from "../debug.js"
+import { ErrorTypes, createError } from "../errors.js"
+import * as mf from "../file.js"
+import * as helper from "../helper.js"
+import { t } from "../i18n.js"
+import {
+    CACHE_CONFIG,
+    HASH_CONFIG,
+    HashIndex,
+    clusterSimilarImages,
+    computeImageFeatures,
+    computeImageFeaturesWithCache,
+    hammingDistance,
+    loadHashCache,
+    loadHashIndex,
+    rankSimilarImages,
+    saveHashCache,
+    saveHashIndex,
+} from "../image_hash.js"
+import * as journal from "../journal.js"
+import * as jsonOutput from "../json_output.js"
+import { EntryStatus } from "../json_output.js"
+import { filterEntries, parseWhere } from "../where.js"
+
+const LOG_TAG = "Similar"
+
+const imageSizeOf = promisify(imageSizeOfSync)
+
+// 报告中缩略图的最大边长
+const THUMB_SIZE = 240
+
+// 选项默认值，与 cmd/cmd_similar.js 的命令行参数相同
+export const DEFAULT_OPTIONS = Object.freeze({
+    threshold: HASH_CONFIG.THRESHOLD,
+    cache: true,
+    doit: false,
+})
+
+/**
+ * 相似图片命令处理函数
+ * @param {Object} options - 命令选项，与命令行参数相同，未设置的使用 DEFAULT_OPTIONS
+ * @param {string} options.input - 输入目录
+ * @param {number} options.threshold - 汉明距离阈值
+ * @param {string} options.report - 报告文件
+ * @param {string} options.move - 移动重复图片的目标目录
+ * @param {string} options.like - 只查找与这张图片相似的图片
+ * @param {string} options.where - 过滤表达式
+ * @param {boolean} options.doit - 是否执行移动
+ * @returns {Promise<Array<Object>>} 相似图片分组 {keep, duplicates}，使用 --like 时为相似图片列表
+ */
+export async function similar(options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options }
+    const root = path.resolve(options.input)
+    if (!(await fs.pathExists(root))) {
+        throw createError(ErrorTypes.FILE_NOT_FOUND, t("input.path.not.exists", { path: root }))
+    }
+    const moveTo = options.move && path.resolve(options.move)
+    // 目标目录在输入目录中时，移走的图片下次还会被扫描到
+    if (moveTo && isInside(moveTo, root)) {
+        throw createError(ErrorTypes.INVALID_ARGUMENT, t("similar.move.inside", { path: moveTo }))
+    }
+    const where = options.where ? parseWhere(options.where) : null
+    const concurrency = options.jobs || cpus().length
+    const startMs = Date.now()
+
+    if (options.like) {
+        return await findLike(options, root, concurrency)
+    }
+    const files = await listImages(root, where)
+    const items = await computeFeatures(files, root, options, concurrency)
+    const clusters = clusterSimilarImages(items, options.threshold)
+    const groups = clusters.map((cluster) => {
+        const [keep, ...duplicates] = rankSimilarImages(cluster)
+        for (const d of duplicates) {
+            d.distance = hammingDistance(keep.pHash, d.pHash)
+        }
+        return { keep, duplicates }
+    })
+    // 图片多的组在前
+    groups.sort((a, b) => b.duplicates.length - a.duplicates.length)
+    const dupCount = groups.reduce((n, g) => n + g.duplicates.length, 0)
+    const dupSize = groups.reduce(
+        (n, g) => n + g.duplicates.reduce((s, d) => s + d.file.size, 0),
+        0,
+    )
+
+    printGroups(groups)
+    if (options.report) {
+        await saveReport(groups, options, root, concurrency)
+        log.showGreen(LOG_TAG, t("similar.report.saved", { path: options.report }))
+    }
+    log.showGreen(
+        LOG_TAG,
+        t("similar.summary", {
+            groups: groups.length,
+            count: dupCount,
+            size: helper.humanSize(dupSize),
+            time: helper.humanTime(startMs),
+        }),
+    )
+    jsonOutput.setSummary({ groups: groups.length, duplicates: dupCount, duplicateBytes: dupSize })
+
+    if (!moveTo || groups.length === 0) {
+        addEntries(groups, "similar", EntryStatus.DONE)
+        return groups
+    }
+    if (!options.doit) {
+        log.showYellow(LOG_TAG, t("common.test.mode.note", { count: dupCount }))
+        addEntries(groups, "move", EntryStatus.PLANNED, (d) => movePath(d, root, moveTo))
+        return groups
+    }
+    const answer = await confirmDangerousAction(
+        t("similar.confirm.move", { count: dupCount, path: moveTo }),
+    )
+    if (!answer) {
+        log.logWarn(LOG_TAG, t("operation.cancelled"))
+        return groups
+    }
+    await moveDuplicates(groups, root, moveTo)
+    return groups
+}
+
+async function listImages(root, where) {
+    let files = await mf.walk(root, {
+        needStats: true,
+        entryFilter: (entry) => entry.isFile && helper.isImageFile(entry.name),
+    })
+    if (where) {
+        files = await filterEntries(files, where)
+    }
+    log.show(LOG_TAG, t("similar.total.files", { count: files.length, root }))
+    return files
+}
+
+const cacheFileOf = (options, root) => options.cacheFile || path.join(root, CACHE_CONFIG.FILENAME)
+const indexFileOf = (options, root) =>
+    path.join(path.dirname(cacheFileOf(options, root)), CACHE_CONFIG.INDEX_FILENAME)
+
+/**
+ * 计算图片特征和尺寸，使用 pick 的特征缓存文件和媒体索引
+ * 扫描整个目录时同时保存感知哈希索引，供 --like 使用
+ * @returns {Promise<Array<Object>>} 条目 { file, aHash, pHash, dHash, quality, width, height }
+ */
+async function computeFeatures(files, root, options, concurrency) {
+    const cacheFile = cacheFileOf(options, root)
+    const cache = options.cache ? await loadHashCache(cacheFile, root) : null
+    // 缓存按秒比较修改时间
+    const entries = files.map((f) => ({
+        path: f.path,
+        size: f.size,
+        mtime: Math.floor(f.stats.mtimeMs / 1000),
+        stats: f.stats,
+    }))
+    const result = await computeImageFeaturesWithCache(entries, cache, root, {
+        concurrency,
+        onProgress: (done, total) => reportProgress(done, total, ProgressPhase.ANALYZE),
+    })
+    log.info(LOG_TAG, `Cache: ${result.cacheHits} hits, ${result.cacheMisses} misses`)
+    // 使用过滤表达式时只有部分文件，不覆盖缓存和索引
+    const persist = options.cache && !options.where
+    if (persist && result.cacheMisses > 0) {
+        await saveHashCache(cacheFile, root, result.cacheEntries)
+    }
+    if (persist) {
+        await saveHashIndex(indexFileOf(options, root), root, buildIndex(result.hashResults, root))
+    }
+    // 并行计算的结果顺序不确定，按路径排序使分组结果稳定
+    const items = result.hashResults.sort((a, b) => a.file.path.localeCompare(b.file.path))
+    await pMap(
+        items,
+        async (item) => {
+            const size = await catalog
+                .cached(
+                    item.file.path,
+                    CatalogFields.IMAGE,
+                    () => imageSizeOf(item.file.path),
+                    item.file.stats,
+                )
+                .catch(() => null)
+            item.width = size?.width
+            item.height = size?.height
+        },
+        { concurrency },
+    )
+    return items
+}
+
+// 感知哈希索引，ID 为相对根目录的路径
+function buildIndex(items, root) {
+    const index = new HashIndex()
+    for (const item of items) {
+        index.insert(path.relative(root, item.file.path), item.pHash)
+    }
+    return index
+}
+
+/**
+ * 查找与指定图片相似的图片
+ * 优先使用上次保存的哈希索引，没有索引时先扫描整个目录
+ * @returns {Promise<Array<{path: string, distance: number}>>} 相似图片，按距离排序
+ */
+async function findLike(options, root, concurrency) {
+    const target = path.resolve(options.like)
+    const { pHash } = await computeImageFeatures(target)
+    if (!pHash) {
+        throw createError(ErrorTypes.UNSUPPORTED_FORMAT, t("similar.like.failed", { path: target }))
+    }
+    let index = options.cache ? await loadHashIndex(indexFileOf(options, root), root) : null
+    if (!index) {
+        const items = await computeFeatures(
+            await listImages(root, null),
+            root,
+            options,
+            concurrency,
+        )
+        index = buildIndex(items, root)
+    }
+    const matches = []
+    for (const { id, distance } of index.query(pHash, options.threshold)) {
+        const filePath = path.join(root, id)
+        // 索引可能是旧的，跳过已不存在的文件
+        if (filePath === target || !(await fs.pathExists(filePath))) continue
+        matches.push({ path: filePath, distance })
+        log.show(LOG_TAG, `d=${distance}`, filePath)
+        jsonOutput.addEntry({
+            action: "similar",
+            src: filePath,
+            status: EntryStatus.DONE,
+            distance,
+        })
+    }
+    log.showGreen(LOG_TAG, t("similar.like.summary", { count: matches.length, path: target }))
+    jsonOutput.setSummary({ matches: matches.length })
+    return matches
+}
+
+function printGroups(groups) {
+    for (const [index, g] of groups.entries()) {
+        log.showCyan(`[${index + 1}/${groups.length}]`, `x${g.duplicates.length + 1}`)
+        log.showGreen("  K", describeItem(g.keep))
+        for (const d of g.duplicates) {
+            log.show("  D", describeItem(d), `d=${d.distance}`)
+        }
+    }
+}
+
+function describeItem(item) {
+    const resolution = item.width ? `${item.width}x${item.height}` : "-"
+    const score = (item.quality?.score || 0).toFixed(1)
+    return `${item.file.path} ${resolution} ${helper.humanSize(item.file.size)} q=${score}`
+}
+
+// 报告中的单个图片
+function toReportItem(item) {
+    return {
+        path: item.file.path,
+        size: item.file.size,
+        width: item.width,
+        height: item.height,
+        quality: item.quality?.score,
+        pHash: item.pHash,
+        distance: item.distance,
+    }
+}
+
+/**
+ * 保存报告，.html/.htm 为带缩略图的网页，其它扩展名为 JSON
+ */
+async function saveReport(groups, options, root, concurrency) {
+    const report = {
+        root,
+        threshold: options.threshold,
+        createdAt: new Date().toISOString(),
+        groups: groups.map((g) => ({
+            keep: toReportItem(g.keep),
+            duplicates: g.duplicates.map(toReportItem),
+        })),
+    }
+    if (/\.html?$/i.test(options.report)) {
+        await fs.outputFile(options.report, await renderHtml(report, concurrency))
+    } else {
+        await fs.outputJson(options.report, report, { spaces: 2 })
+    }
+}
+
+const escapeHtml = (s) =>
+    String(s).replace(
+        /[&<>"']/g,
+        (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c],
+    )
+
+// 缩略图嵌入网页，报告是单个文件，可以直接打开或复制到别处
+async function thumbnail(filePath) {
+    try {
+        const buf = await sharp(filePath)
+            .rotate()
+            .resize(THUMB_SIZE, THUMB_SIZE, { fit: "inside" })
+            .jpeg({ quality: 70 })
+            .toBuffer()
+        return `data:image/jpeg;base64,${buf.toString("base64")}`
+    } catch (error) {
+        log.warn(LOG_TAG, helper.pathShort(filePath), error.message)
+        return ""
+    }
+}
+
+async function renderHtml(report, concurrency) {
+    const items = report.groups.flatMap((g) => [g.keep, ...g.duplicates])
+    const thumbs = new Map(
+        await pMap(items, async (item) => [item.path, await thumbnail(item.path)], {
+            concurrency,
+        }),
+    )
+    const card = (item, keep) => `
+    <figure class="${keep ? "keep" : "dup"}">
+      <img src="${thumbs.get(item.path)}" alt="">
+      <figcaption>
+        <b>${keep ? "KEEP" : `d=${item.distance}`}</b> ${escapeHtml(path.relative(report.root, item.path))}<br>
+        ${item.width ? `${item.width}x${item.height}` : "-"} · ${helper.humanSize(item.size)} · q=${(item.quality || 0).toFixed(1)}
+      </figcaption>
+    </figure>`
+    const sections = report.groups.map(
+        (g, i) => `
+  <section>
+    <h2>#${i + 1} · ${g.duplicates.length + 1}</h2>
+    <div class="row">${[card(g.keep, true), ...g.duplicates.map((d) => card(d, false))].join("")}
+    </div>
+  </section>`,
+    )
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>mediac similar - ${escapeHtml(report.root)}</title>
+<style>
+  body { font-family: sans-serif; margin: 16px; background: #f4f4f4; }
+  section { background: #fff; margin-bottom: 16px; padding: 8px 12px; border-radius: 6px; }
+  h2 { font-size: 15px; margin: 4px 0; }
+  .row { display: flex; flex-wrap: wrap; gap: 12px; }
+  figure { margin: 0; width: ${THUMB_SIZE}px; font-size: 12px; word-break: break-all; }
+  figure img { max-width: ${THUMB_SIZE}px; max-height: ${THUMB_SIZE}px; display: block; }
+  figure.keep img { outline: 3px solid #2a9d4a; }
+  figure.dup { opacity: 0.85; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.root)}</h1>
+<p>${report.groups.length} groups · threshold ${report.threshold} · ${escapeHtml(report.createdAt)}</p>
+${sections.join("\n")}
+</body>
+</html>
+`
+}
+
+function isInside(target, root) {
+    const rel = path.relative(root, target)
+    return !rel.startsWith("..") && !path.isAbsolute(rel)
+}
+
+// 重复图片移动后的路径，保持相对输入目录的路径
+function movePath(item, root, moveTo) {
+    return path.join(moveTo, path.relative(root, item.file.path))
+}
+
+function addEntries(groups, action, status, dstOf) {
+    for (const g of groups) {
+        for (const d of g.duplicates) {
+            jsonOutput.addEntry({
+                action,
+                src: d.file.path,
+                dst: dstOf?.(d),
+                status,
+                keep: g.keep.file.path,
+                distance: d.distance,
+            })
+        }
+    }
+}
+
+async function moveDuplicates(groups, root, moveTo) {
+    const total = groups.reduce((n, g) => n + g.duplicates.length, 0)
+    let index = 0
+    let moved = 0
+    for (const g of groups) {
+        for (const d of g.duplicates) {
+            const src = d.file.path
+            const dst = movePath(d, root, moveTo)
+            const entry = { action: "move", src, dst, keep: g.keep.file.path, distance: d.distance }
+            index++
+            try {
+                if (await fs.pathExists(dst)) {
+                    log.showYellow(LOG_TAG, `${t("status.skipped")}:`, dst)
+                    jsonOutput.addEntry({ ...entry, status: EntryStatus.SKIPPED })
+                    continue
+                }
+                await fs.move(src, dst)
+                journal.record(journal.JournalOps.MOVE, src, dst)
+                moved++
+                log.logTask(LOG_TAG, index, total, helper.pathShort(src))
+                jsonOutput.addEntry({ ...entry, status: EntryStatus.DONE })
+            } catch (error) {
+                log.logError(LOG_TAG, helper.pathShort(src), error.message)
+                jsonOutput.addEntry({ ...entry, status: EntryStatus.FAILED, error })
+            }
+        }
+    }
+    log.showGreen(LOG_TAG, t("similar.moved", { count: moved, path: moveTo }))
+}
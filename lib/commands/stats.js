@@ -0,0 +1,310 @@
+/*
+ * File: stats.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 统计命令 - 按类型、扩展名、年月、相机型号、编码和分辨率档位统计文件数量和大小
+ * 显示最大的文件和目录，估算使用 compress 或 ffmpeg 预设后可以节省的空间
+ * 输出表格、CSV或JSON，分组和估算见 lib/media_stats.js
+ */
+
+import fs from "fs-extra"
+import imageSizeOfSync from "image-size"
+import { cpus } from "os"
+import pMap from "p-map"
+import path from "path"
+import { promisify } from "util"
+import * as catalog from "../catalog.js"
+import { CatalogFields } from "../catalog.js"
+import { redirectStdout, mapWithProgress } from "../command_utils.js"
+import config from "../config.js"
+import * as core from "../core.js"
+import * as log from "../debug.js"
+import { ErrorTypes, createError } from "../errors.js"
+import * as exif from "../exif.js"
+import presets from "../ffmpeg_presets.js"
+import * as mf from "../file.js"
+import * as helper from "../helper.js"
+import { t } from "../i18n.js"
+import * as jsonOutput from "../json_output.js"
+import * as stats from "../media_stats.js"
+import * as table from "../media_table.js"
+import { getMediaInfo } from "../mediainfo.js"
+import { filterEntries, parseWhere } from "../where.js"
+import { THUMB_PATTERN_DEFAULT } from "./compress.js"
+import { extractDate } from "./move.js"
+
+const LOG_TAG = "Stats"
+
+const imageSizeOf = promisify(imageSizeOfSync)
+
+// 输出格式
+export const FORMATS = ["table", "csv", "json"]
+
+// 各分组需要读取的数据，没有用到的数据不读取
+const EXIF_GROUPS = ["year", "month", "model"]
+const MEDIA_GROUPS = ["codec", "resolution"]
+const IMAGE_GROUPS = ["resolution"]
+
+// CSV 输出的列，各部分合并为一个表
+const CSV_COLUMNS = ["section", "key", "count", "size", "percent", "estimated", "saved"]
+
+// 选项默认值，与 cmd/cmd_stats.js 的命令行参数相同
+export const DEFAULT_OPTIONS = Object.freeze({
+    top: 20,
+    compress: false,
+    format: "table",
+})
+
+/**
+ * 统计命令处理函数
+ * @param {Object} options - 命令选项，与命令行参数相同，未设置的使用 DEFAULT_OPTIONS
+ * @param {string} options.input - 输入目录
+ * @param {string} options.by - 交叉分组的字段
+ * @param {number} options.top - 最大文件和目录的数量
+ * @param {boolean} options.compress - 是否估算压缩图片节省的空间
+ * @param {string} options.preset - 估算转码节省空间使用的 ffmpeg 预设
+ * @param {string} options.format - 输出格式 table/csv/json
+ * @param {string} options.output - 输出文件
+ * @param {string} options.where - 过滤表达式
+ * @returns {Promise<Object>} 统计结果 {root, count, size, groups, largestFiles, largestDirs, savings}
+ */
+export async function mediaStats(options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options }
+    // 先检查参数，避免读取完才报错
+    const byKeys = stats.parseGroupBy(options.by)
+    const where = options.where ? parseWhere(options.where) : null
+    const root = path.resolve(options.input)
+    const rootStats = await fs.stat(root).catch(() => null)
+    if (!rootStats?.isDirectory()) {
+        throw createError(ErrorTypes.FILE_NOT_FOUND, t("input.path.not.exists", { path: root }))
+    }
+    const top = Math.max(1, options.top || 20)
+    const preset = options.preset ? presets.getPreset(options.preset) : null
+    const specs = byKeys.length > 0 ? [byKeys] : stats.STATS_GROUPS.map((k) => [k])
+    const used = new Set(specs.flat())
+    const needs = (list) => list.some((k) => used.has(k))
+
+    const restoreStdout =
+        options.format !== "table" && !options.output && !jsonOutput.isEnabled()
+            ? redirectStdout()
+            : null
+    let report
+    try {
+        let files = await mf.walk(root, {
+            needStats: true,
+            entryFilter: (entry) => entry.isFile,
+        })
+        if (where) {
+            files = await filterEntries(files, where)
+        }
+        log.info(LOG_TAG, t("stats.total.files", { count: files.length, root }))
+        const items = await readItems(
+            files,
+            {
+                exif: needs(EXIF_GROUPS),
+                media: needs(MEDIA_GROUPS) || Boolean(preset),
+                image: needs(IMAGE_GROUPS) || options.compress,
+            },
+            options.jobs || cpus().length,
+        )
+        report = {
+            root,
+            count: items.length,
+            size: items.reduce((n, item) => n + item.size, 0),
+            groups: specs.map((keys) => ({ by: keys, rows: stats.groupItems(items, keys) })),
+            largestFiles: stats
+                .largestItems(items, top)
+                .map((item) => core.pick(item, "path", "type", "size")),
+            largestDirs: await largestDirs(root, top, options.jobs || cpus().length),
+            savings: estimateAll(items, options.compress, preset),
+        }
+    } finally {
+        restoreStdout?.()
+    }
+
+    jsonOutput.setSummary(report)
+    if (!jsonOutput.isEnabled()) {
+        await printReport(report, top, options)
+    }
+    return report
+}
+
+/**
+ * 读取分组需要的元数据，生成统计记录
+ * @param {Array<Object>} files - 文件条目列表，见 lib/file.js walk
+ * @param {Object} needs - 需要读取的数据 {exif, media, image}
+ * @param {number} concurrency - 并发数
+ * @returns {Promise<Array<Object>>} 统计记录
+ */
+async function readItems(files, needs, concurrency) {
+    // EXIF 批量读取
+    const exifs = needs.exif
+        ? await exif.readExifInfos(
+              files.filter((f) => helper.isMediaFile(f.path) && !helper.isAudioFile(f.path)),
+          )
+        : new Map()
+    return await mapWithProgress(
+        files,
+        async (f) => {
+            // 没有EXIF日期时使用文件名中的日期，如 IMG_20190102_123456.jpg
+            const sources = { exif: exifs.get(f.path), date: extractDate(f.path)?.jsDate }
+            try {
+                if (needs.media && (helper.isVideoFile(f.path) || helper.isAudioFile(f.path))) {
+                    sources.media = await getMediaInfo(f.path)
+                }
+                if (needs.image && helper.isImageFile(f.path)) {
+                    sources.image = await catalog.cached(
+                        f.path,
+                        CatalogFields.IMAGE,
+                        () => imageSizeOf(f.path),
+                        f.stats,
+                    )
+                }
+            } catch (error) {
+                log.warn(LOG_TAG, helper.pathShort(f.path), error.message)
+            }
+            return stats.toStatsItem(f, sources)
+        },
+        { concurrency },
+    )
+}
+
+/**
+ * 根目录下最大的子目录，目录大小包含所有文件，不受 --where 影响
+ * @param {string} root - 根目录
+ * @param {number} top - 数量
+ * @param {number} concurrency - 并发数
+ * @returns {Promise<Array<Object>>} 目录列表 {path, size}，按大小降序
+ */
+async function largestDirs(root, top, concurrency) {
+    const entries = await fs.readdir(root, { withFileTypes: true })
+    const dirs = entries.filter((e) => e.isDirectory()).map((e) => path.join(root, e.name))
+    const sizes = await pMap(
+        dirs,
+        async (dir) => ({ path: dir, size: await mf.getDirectorySize(dir) }),
+        { concurrency },
+    )
+    return sizes.sort((a, b) => b.size - a.size || a.path.localeCompare(b.path)).slice(0, top)
+}
+
+/**
+ * 估算压缩图片和转码视频音频后节省的空间
+ * @param {Array<Object>} items - 统计记录
+ * @param {boolean} compress - 是否估算 compress
+ * @param {FFmpegPreset} [preset] - ffmpeg 预设
+ * @returns {Array<Object>} 估算结果 {name, count, size, estimated, saved}
+ */
+function estimateAll(items, compress, preset) {
+    const savings = []
+    if (compress) {
+        const options = {
+            quality: config.COMPRESS.QUALITY,
+            maxWidth: config.COMPRESS.MAX_WIDTH,
+            minSize: config.COMPRESS.MIN_SIZE * 1024,
+            exclude: new RegExp(THUMB_PATTERN_DEFAULT, "i"),
+        }
+        savings.push({
+            name: "compress",
+            ...stats.estimateSavings(items, (item) => stats.estimateCompressSize(item, options)),
+        })
+    }
+    if (preset) {
+        savings.push({
+            name: preset.name,
+            ...stats.estimateSavings(items, (item) => stats.estimatePresetSize(item, preset)),
+        })
+    }
+    return savings
+}
+
+// 各部分合并为一个CSV表，key 为分组值、文件路径、目录路径或估算名称
+function toCsvRows(report) {
+    const rows = []
+    for (const { by, rows: groupRows } of report.groups) {
+        for (const row of groupRows) {
+            rows.push({
+                section: `by:${by.join("/")}`,
+                key: by.map((k) => row[k]).join("/"),
+                ...row,
+            })
+        }
+    }
+    rows.push(...report.largestFiles.map((f) => ({ section: "file", key: f.path, ...f })))
+    rows.push(...report.largestDirs.map((d) => ({ section: "dir", key: d.path, ...d })))
+    rows.push(...report.savings.map((s) => ({ section: "savings", key: s.name, ...s })))
+    return rows
+}
+
+// 表格输出的各部分 {title, rows, columns}，路径显示为相对于根目录的路径
+function tableSections(report) {
+    const relative = (p) => path.relative(report.root, p) || "."
+    const sections = report.groups.map(({ by, rows }) => ({
+        title: t("stats.group", { by: by.join("/") }),
+        rows,
+        columns: [...by, "count", "size", "percent"],
+    }))
+    sections.push({
+        title: t("stats.largest.files"),
+        rows: report.largestFiles.map((f) => ({ ...f, path: relative(f.path) })),
+        columns: ["path", "type", "size"],
+    })
+    if (report.largestDirs.length > 0) {
+        sections.push({
+            title: t("stats.largest.dirs"),
+            rows: report.largestDirs.map((d) => ({ ...d, path: relative(d.path) })),
+            columns: ["path", "size"],
+        })
+    }
+    if (report.savings.length > 0) {
+        sections.push({
+            title: t("stats.savings"),
+            rows: report.savings,
+            columns: ["name", "count", "size", "estimated", "saved"],
+        })
+    }
+    return sections
+}
+
+/**
+ * 按格式输出到终端或文件
+ * @param {Object} report - 统计结果
+ * @param {number} top - 终端表格中每部分显示的行数
+ * @param {Object} options - 命令选项
+ */
+async function printReport(report, top, options) {
+    const summary = t("stats.summary", { count: report.count, size: helper.humanSize(report.size) })
+    let text
+    if (options.format === "csv") {
+        text = table.formatCsv(toCsvRows(report), CSV_COLUMNS)
+    } else if (options.format === "json") {
+        text = JSON.stringify(report, null, 2)
+    } else if (options.output) {
+        // 保存到文件时显示所有行
+        text = tableSections(report)
+            .map(({ title, rows, columns }) =>
+                [`# ${title}`, ...table.formatTable(rows, columns)].join("\n"),
+            )
+            .join("\n\n")
+        text += `\n\n# ${summary}\n`
+    } else {
+        for (const { title, rows, columns } of tableSections(report)) {
+            log.showGreen(LOG_TAG, title)
+            const [header, ...lines] = table.formatTable(rows.slice(0, top), columns)
+            log.showCyan(header)
+            lines.forEach((line) => log.show(line))
+            if (rows.length > top) {
+                log.showGray(t("stats.more", { count: rows.length - top }))
+            }
+        }
+        log.showGreen(LOG_TAG, summary)
+        return
+    }
+    if (options.output) {
+        await fs.outputFile(options.output, text)
+        log.showGreen(LOG_TAG, t("stats.saved", { path: options.output }))
+    } else {
+        process.stdout.write(text.endsWith("\n") ? text : text + "\n")
+    }
+}
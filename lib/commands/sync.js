@@ -0,0 +1,281 @@
+/*
+ * File: sync.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 同步命令 - 把源目录单向镜像到目标目录
+ * 复制新文件和有变化的文件，可选安全删除目标中多余的文件，比较和复制过程见 lib/sync.js
+ * 中断后再次运行会跳过已经相同的文件，--resume 时还会跳过断点中已完成和失败的任务
+ */
+
+import fs from "fs-extra"
+import pMap from "p-map"
+import path from "path"
+import * as cp from "../checkpoint.js"
+import {
+    abortIfCancelled,
+    confirmAction,
+    confirmDangerousAction,
+    ProgressPhase,
+    reportProgress,
+} from "../command_utils.js"
+import * as log from "../debug.js"
+import { ErrorTypes, createError } from "../errors.js"
+import * as mf from "../file.js"
+import * as helper from "../helper.js"
+import { t } from "../i18n.js"
+import * as jsonOutput from "../json_output.js"
+import { EntryStatus } from "../json_output.js"
+import { SyncActions, SyncCompare } from "../sync.js"
+import * as sync from "../sync.js"
+import { parseSize } from "../where.js"
+import { applyFileNameRules } from "./shared.js"
+
+const LOG_TAG = "Sync"
+
+// 复制受磁盘速度限制，默认并发数不随 CPU 核心数增加
+const JOBS_DEFAULT = 2
+
+// 选项默认值，与 cmd/cmd_sync.js 的命令行参数相同
+export const DEFAULT_OPTIONS = Object.freeze({
+    compare: SyncCompare.SIZE,
+    delete: false,
+    verify: false,
+    regex: true,
+    resume: false,
+    doit: false,
+})
+
+/**
+ * 同步命令处理函数
+ * @param {Object} options - 命令选项，与命令行参数相同，未设置的使用 DEFAULT_OPTIONS
+ * @param {string} options.input - 源目录
+ * @param {string} options.dest - 目标目录，不存在时创建
+ * @param {string} options.compare - 比较方式 size/hash
+ * @param {boolean} options.delete - 是否安全删除目标中多余的文件
+ * @param {boolean} options.verify - 是否在复制后校验
+ * @param {string} options.bwlimit - 每秒最大复制字节数，支持 K/M/G 单位
+ * @param {string} options.report - 同步报告保存路径
+ * @param {boolean} options.resume - 是否从上次中断的位置继续
+ * @param {boolean} options.doit - 是否执行
+ * @returns {Promise<Object>} {tasks, same, counts}
+ */
+export async function syncFiles(options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options }
+    const testMode = !options.doit
+    const srcRoot = await helper.validateInput(options.input)
+    const dstRoot = path.resolve(options.dest)
+    sync.checkRoots(srcRoot, dstRoot)
+    const bwlimit = options.bwlimit ? parseSize(options.bwlimit) : 0
+    if (Number.isNaN(bwlimit)) {
+        throw createError(
+            ErrorTypes.INVALID_ARGUMENT,
+            t("sync.bwlimit.invalid", { value: options.bwlimit }),
+        )
+    }
+    const jobs = options.jobs || JOBS_DEFAULT
+    const startMs = Date.now()
+
+    const srcFiles = await walkFiles(srcRoot, options)
+    const dstFiles = (await fs.pathExists(dstRoot)) ? await walkFiles(dstRoot, options) : []
+
+    const resumed = await cp.beginCheckpoint(
+        "sync",
+        srcRoot,
+        { dest: dstRoot, compare: options.compare },
+        { resume: options.resume, testMode },
+    )
+    const { tasks, same, skipped } = await sync.planSync(srcRoot, srcFiles, dstRoot, dstFiles, {
+        compare: options.compare,
+        deleteExtra: options.delete,
+        skip: resumed.skip,
+        concurrency: jobs,
+        onProgress: (done, total) => {
+            reportProgress(done, total, ProgressPhase.ANALYZE)
+            if (done % 1000 === 0 || done === total) {
+                log.info(LOG_TAG, `${done}/${total}`)
+            }
+        },
+    })
+    if (skipped > 0) {
+        log.logInfo(LOG_TAG, t("checkpoint.skipped", { count: skipped }))
+    }
+    const counts = sync.countTasks(tasks)
+    printTasks(tasks)
+    log.showCyan(
+        LOG_TAG,
+        t("sync.plan", {
+            copy: counts.copy.count,
+            copySize: helper.humanSize(counts.copy.size),
+            update: counts.update.count,
+            updateSize: helper.humanSize(counts.update.size),
+            delete: counts.delete.count,
+            deleteSize: helper.humanSize(counts.delete.size),
+            same,
+            time: helper.humanTime(startMs),
+        }),
+    )
+    jsonOutput.setSummary({
+        source: srcRoot,
+        dest: dstRoot,
+        same,
+        ...Object.fromEntries(Object.entries(counts).map(([k, v]) => [k, v.count])),
+        ...(resumed.summary.resumed && { checkpoint: resumed.summary }),
+    })
+
+    const result = { tasks, same, counts }
+    if (tasks.length === 0) {
+        log.showGreen(LOG_TAG, t("sync.up.to.date", { dest: dstRoot }))
+        return result
+    }
+    if (testMode) {
+        log.showYellow(LOG_TAG, t("common.test.mode.note", { count: tasks.length }))
+        for (const task of tasks) {
+            addEntry(task, EntryStatus.PLANNED)
+        }
+        await saveReport(options.report, tasks, EntryStatus.PLANNED)
+        return result
+    }
+
+    const copySize = helper.humanSize(counts.copy.size + counts.update.size)
+    const answer =
+        counts.delete.count > 0
+            ? await confirmDangerousAction(
+                  t("sync.confirm.delete", {
+                      count: counts.copy.count + counts.update.count,
+                      size: copySize,
+                      delete: counts.delete.count,
+                  }),
+              )
+            : await confirmAction(t("sync.confirm", { count: tasks.length, size: copySize }))
+    if (await abortIfCancelled(answer, LOG_TAG)) {
+        return result
+    }
+    await runTasks(tasks, resumed.checkpoint, { ...options, bwlimit, jobs })
+    await saveReport(options.report, tasks)
+    return result
+}
+
+// 所有文件，再应用文件名规则和 --where 表达式
+async function walkFiles(root, options) {
+    const files = await mf.walk(root, {
+        needStats: true,
+        entryFilter: (entry) => entry.isFile,
+    })
+    const filtered = await applyFileNameRules(files, options)
+    log.show(LOG_TAG, t("sync.scan", { count: filtered.length, root }))
+    return filtered
+}
+
+function printTasks(tasks) {
+    for (const task of tasks) {
+        const text = `${task.action.toUpperCase().padEnd(6)} ${task.rel}`
+        if (task.action === SyncActions.DELETE) {
+            log.showYellow(text, helper.humanSize(task.size))
+        } else {
+            log.show(text, helper.humanSize(task.size))
+        }
+    }
+}
+
+function addEntry(task, status, error) {
+    jsonOutput.addEntry({
+        action: task.action,
+        src: task.src,
+        dst: task.dst,
+        status,
+        error,
+        size: task.size,
+    })
+}
+
+/**
+ * 执行同步任务，先复制和更新，最后删除，每个任务的结果保存在任务对象中
+ * @param {Array<Object>} tasks - planSync 的任务
+ * @param {Object} checkpoint - 断点对象，见 lib/checkpoint.js
+ * @param {Object} options - {verify, bwlimit, jobs}
+ */
+async function runTasks(tasks, checkpoint, { verify, bwlimit, jobs }) {
+    const startMs = Date.now()
+    const throttle = sync.createThrottle(bwlimit)
+    const total = tasks.length
+    let index = 0
+    let bytes = 0
+    const runOne = async (task) => {
+        // 删除任务没有源文件，使用目标路径记录断点，也不让断点清理目标文件
+        const cpTask = task.src
+            ? { src: task.src, dst: task.dst, tmp: task.tmp }
+            : { src: task.dst }
+        await cp.markStarted(checkpoint, cpTask)
+        try {
+            if (task.action === SyncActions.DELETE) {
+                task.trashed = await helper.safeRemove(task.dst)
+                if (!task.trashed) {
+                    throw createError(
+                        ErrorTypes.PROCESSING_FAILED,
+                        `${t("remove.failed")}: ${task.dst}`,
+                    )
+                }
+            } else {
+                const { hash } = await sync.copyFile(task, { verify, throttle })
+                task.hash = hash
+                bytes += task.size
+            }
+            task.status = EntryStatus.DONE
+            await cp.markDone(checkpoint, cpTask)
+            log.logTask(LOG_TAG, ++index, total, task.action, helper.pathShort(task.rel))
+            log.fileLog(`${task.action}: <${task.src || ""}> => <${task.dst}>`, LOG_TAG)
+        } catch (error) {
+            task.status = EntryStatus.FAILED
+            task.error = error
+            await cp.markFailed(checkpoint, cpTask, error.message)
+            log.logError(LOG_TAG, ++index, total, task.action, task.rel, error.message)
+        }
+        addEntry(task, task.status, task.error)
+        reportProgress(index, total, ProgressPhase.PROCESS)
+    }
+    const copies = tasks.filter((task) => task.action !== SyncActions.DELETE)
+    await pMap(copies, runOne, { concurrency: jobs })
+    for (const task of tasks.filter((task) => task.action === SyncActions.DELETE)) {
+        await runOne(task)
+    }
+    await cp.closeCheckpoint(checkpoint)
+
+    const failed = tasks.filter((task) => task.status === EntryStatus.FAILED).length
+    const seconds = (Date.now() - startMs) / 1000
+    const summary = t("sync.summary", {
+        done: total - failed,
+        failed,
+        size: helper.humanSize(bytes),
+        speed: helper.humanSize(seconds > 0 ? bytes / seconds : bytes),
+        time: helper.humanTime(startMs),
+    })
+    if (failed > 0) {
+        log.showRed(LOG_TAG, summary)
+    } else {
+        log.showGreen(LOG_TAG, summary)
+    }
+}
+
+// 保存同步报告，每行一个任务
+async function saveReport(reportPath, tasks, status) {
+    if (!reportPath) {
+        return
+    }
+    const lines = tasks.map((task) =>
+        JSON.stringify({
+            action: task.action,
+            path: task.rel,
+            src: task.src,
+            dst: task.dst,
+            size: task.size,
+            status: status || task.status,
+            hash: task.hash,
+            trashed: task.trashed,
+            error: task.error?.message,
+        }),
+    )
+    await fs.outputFile(reportPath, lines.join("\n") + "\n")
+    log.showGreen(LOG_TAG, t("sync.report.saved", { count: tasks.length, path: reportPath }))
+}
@@ -0,0 +1,254 @@
+/*
+ * File: trash.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 回收站命令 - 列出、恢复和清理安全删除目录 Deleted_By_Mediac 中的文件
+ */
+
+import chalk from "chalk"
+import dayjs from "dayjs"
+import fs from "fs-extra"
+import path from "path"
+import { abortIfCancelled, confirmDangerousAction } from "../command_utils.js"
+import * as log from "../debug.js"
+import * as helper from "../helper.js"
+import { t } from "../i18n.js"
+import * as jsonOutput from "../json_output.js"
+import { EntryStatus } from "../json_output.js"
+import * as journal from "../journal.js"
+import * as trash from "../trash.js"
+
+const LOG_TAG = "Trash"
+
+// 回收站命令的操作
+export const TrashActions = Object.freeze({
+    LIST: "list",
+    RESTORE: "restore",
+    PURGE: "purge",
+})
+
+// 恢复结果状态
+const RestoreStatus = Object.freeze({
+    DONE: "DONE",
+    CONFLICT: "CONFLICT",
+    FAILED: "FAILED",
+})
+
+// 选项默认值，与 cmd/cmd_trash.js 的命令行参数相同
+export const DEFAULT_OPTIONS = Object.freeze({
+    action: TrashActions.LIST,
+    input: ".",
+    days: 30,
+    doit: false,
+})
+
+/**
+ * 回收站命令处理函数
+ * @param {Object} options - 命令选项，与命令行参数相同，未设置的使用 DEFAULT_OPTIONS
+ * @param {string} options.action - list/restore/purge，见 TrashActions
+ * @param {string} options.input - 安全删除目录或同一磁盘上的任意路径
+ * @param {string} options.glob - 原始路径匹配模式
+ * @param {string} options.date - 删除日期
+ * @param {string} options.run - 运行ID前缀
+ * @param {number} options.days - 清理的天数阈值
+ * @param {boolean} options.doit - 是否执行实际操作
+ * @returns {Promise<Array|undefined>} 处理的条目
+ */
+export async function manageTrash(options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options }
+    const trashRoot = trash.getTrashRoot(options.input || ".")
+    log.logInfo(LOG_TAG, `${t("path.input")}: ${trashRoot}`)
+    switch (options.action) {
+        case TrashActions.RESTORE:
+            return await restoreTrash(trashRoot, options)
+        case TrashActions.PURGE:
+            return await purgeTrash(trashRoot, options)
+        default:
+            return await showTrash(trashRoot, options)
+    }
+}
+
+/**
+ * 按日期分组列出回收站中的条目
+ * @param {string} trashRoot - 安全删除根目录
+ * @param {Object} options - 命令选项
+ * @returns {Promise<Array>} 条目列表
+ */
+async function showTrash(trashRoot, options) {
+    const entries = trash.filterTrash(await trash.listTrash(trashRoot), options)
+    if (entries.length === 0) {
+        log.logWarn(LOG_TAG, t("trash.empty"))
+        return entries
+    }
+    for (const [day, items] of Object.entries(groupByDay(entries))) {
+        const size = items.reduce((acc, e) => acc + (e.size || 0), 0)
+        log.show(chalk.cyan(day), `${items.length} ${t("common.files")}`, helper.humanSize(size))
+        for (const e of items) {
+            log.show(
+                "  ",
+                e.src,
+                chalk.gray(e.isDir ? "D" : helper.humanSize(e.size || 0)),
+                e.runId ? chalk.green(e.runId) : "",
+                e.legacy ? chalk.yellow("[legacy]") : "",
+            )
+        }
+    }
+    log.logInfo(LOG_TAG, t("trash.total", { count: entries.length }))
+    return entries
+}
+
+/**
+ * 把回收站中的条目移回原始路径
+ * @param {string} trashRoot - 安全删除根目录
+ * @param {Object} options - 命令选项
+ * @returns {Promise<Array|undefined>} 每个条目的恢复结果
+ */
+async function restoreTrash(trashRoot, options) {
+    const testMode = !options.doit
+    const entries = trash.filterTrash(await trash.listTrash(trashRoot), options)
+    if (entries.length === 0) {
+        log.logWarn(LOG_TAG, t("trash.empty"))
+        return
+    }
+    for (const e of entries.slice(-10)) {
+        log.showGray(LOG_TAG, `${helper.pathShort(e.dst)} => ${e.src}`)
+    }
+    testMode && log.logWarn(LOG_TAG, `++++++++++ ${t("mode.test")} ++++++++++`)
+    const answer = await confirmDangerousAction(
+        t("trash.restore.confirm", { count: entries.length }),
+    )
+    if (await abortIfCancelled(answer, LOG_TAG)) {
+        return
+    }
+    const results = []
+    for (const [index, e] of entries.entries()) {
+        const status = await restoreOne(e, testMode)
+        results.push({ ...e, status })
+        jsonOutput.addEntry({
+            action: "restore",
+            src: e.dst,
+            dst: e.src,
+            ...jsonOutput.toEntryStatus(status, testMode),
+        })
+        const ipx = `${index + 1}/${entries.length}`
+        if (status === RestoreStatus.DONE) {
+            log.info(LOG_TAG, ipx, `${e.dst} => ${e.src}`)
+        } else {
+            log.logWarn(LOG_TAG, ipx, chalk.yellow(status), e.src)
+        }
+    }
+    const done = results.filter((r) => r.status === RestoreStatus.DONE).length
+    const failed = results.length - done
+    if (testMode) {
+        log.logWarn(LOG_TAG, t("common.test.mode.note", { count: done }))
+    } else {
+        log.logSuccess(LOG_TAG, t("trash.restore.summary", { count: done }))
+    }
+    if (failed > 0) {
+        log.logError(LOG_TAG, t("trash.restore.failed", { count: failed }))
+    }
+    return results
+}
+
+/**
+ * 恢复单个条目，原始路径已被占用时跳过
+ * @param {Object} e - 回收站条目
+ * @param {boolean} testMode - 是否为测试模式
+ * @returns {Promise<string>} 恢复状态，见 RestoreStatus
+ */
+async function restoreOne(e, testMode) {
+    if (await fs.pathExists(e.src)) {
+        return RestoreStatus.CONFLICT
+    }
+    if (testMode) {
+        return RestoreStatus.DONE
+    }
+    try {
+        await fs.ensureDir(path.dirname(e.src))
+        await fs.move(e.dst, e.src)
+        journal.record(journal.JournalOps.MOVE, e.dst, e.src)
+        log.fileLog(`Restore: <${e.dst}> => <${e.src}>`, LOG_TAG)
+        return RestoreStatus.DONE
+    } catch (error) {
+        log.logError(LOG_TAG, `${e.dst} => ${e.src} ${error.message}`)
+        return RestoreStatus.FAILED
+    }
+}
+
+/**
+ * 永久删除N天以前的日期目录
+ * @param {string} trashRoot - 安全删除根目录
+ * @param {Object} options - 命令选项
+ * @returns {Promise<Array|undefined>} 删除的日期目录列表
+ */
+async function purgeTrash(trashRoot, options) {
+    const testMode = !options.doit
+    const days = options.days ?? 30
+    const cutoff = dayjs().startOf("day").subtract(days, "day")
+    const purgeDays = (await trash.listTrashDays(trashRoot)).filter((day) =>
+        trash.parseDay(day).isBefore(cutoff),
+    )
+    if (purgeDays.length === 0) {
+        log.logWarn(LOG_TAG, t("trash.purge.nothing", { days }))
+        return
+    }
+    const entries = await trash.listTrash(trashRoot)
+    const grouped = groupByDay(entries)
+    for (const day of purgeDays) {
+        const items = grouped[day] || []
+        const size = items.reduce((acc, e) => acc + (e.size || 0), 0)
+        log.show(
+            LOG_TAG,
+            chalk.cyan(day),
+            `${items.length} ${t("common.files")}`,
+            helper.humanSize(size),
+        )
+    }
+    testMode && log.logWarn(LOG_TAG, `++++++++++ ${t("mode.test")} ++++++++++`)
+    const answer = await confirmDangerousAction(
+        t("trash.purge.confirm", { count: purgeDays.length, days }),
+    )
+    if (await abortIfCancelled(answer, LOG_TAG)) {
+        return
+    }
+    if (testMode) {
+        for (const day of purgeDays) {
+            jsonOutput.addEntry({
+                action: "purge",
+                src: path.join(trashRoot, day),
+                status: EntryStatus.PLANNED,
+            })
+        }
+        log.logWarn(LOG_TAG, t("common.test.mode.note", { count: purgeDays.length }))
+        return purgeDays
+    }
+    const purged = []
+    for (const day of purgeDays) {
+        const dayDir = path.join(trashRoot, day)
+        try {
+            await fs.remove(dayDir)
+            purged.push(day)
+            jsonOutput.addEntry({ action: "purge", src: dayDir, status: EntryStatus.DONE })
+            log.fileLog(`Purge: <${dayDir}>`, LOG_TAG)
+        } catch (error) {
+            jsonOutput.addEntry({ action: "purge", src: dayDir, status: EntryStatus.FAILED, error })
+            log.logError(LOG_TAG, `${dayDir} ${error.message}`)
+        }
+    }
+    log.logSuccess(LOG_TAG, t("trash.purge.summary", { count: purged.length }))
+    return purged
+}
+
+// 按日期目录分组
+function groupByDay(entries) {
+    const groups = {}
+    for (const e of entries) {
+        if (!groups[e.day]) {
+            groups[e.day] = []
+        }
+        groups[e.day].push(e)
+    }
+    return groups
+}
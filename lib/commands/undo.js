@@ -0,0 +1,203 @@
+/*
+ * File: undo.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 撤销命令 - 按相反顺序回放操作日志，恢复被移动/重命名/安全删除的文件
+ */
+
+import chalk from "chalk"
+import dayjs from "dayjs"
+import fs from "fs-extra"
+import path from "path"
+import {
+    abortIfCancelled,
+    confirmDangerousAction,
+    ProgressPhase,
+    reportProgress,
+} from "../command_utils.js"
+import * as log from "../debug.js"
+import { ErrorTypes, createError } from "../errors.js"
+import * as helper from "../helper.js"
+import { t } from "../i18n.js"
+import * as jsonOutput from "../json_output.js"
+import * as journal from "../journal.js"
+
+const LOG_TAG = "Undo"
+
+// 回放结果状态
+const UndoStatus = Object.freeze({
+    DONE: "DONE",
+    MISSING: "MISSING",
+    CHANGED: "CHANGED",
+    CONFLICT: "CONFLICT",
+    FAILED: "FAILED",
+})
+
+// 选项默认值，与 cmd/cmd_undo.js 的命令行参数相同
+export const DEFAULT_OPTIONS = Object.freeze({
+    journal: "last",
+    list: false,
+    force: false,
+    doit: false,
+})
+
+/**
+ * 撤销命令处理函数
+ * @param {Object} options - 命令选项，与命令行参数相同，未设置的使用 DEFAULT_OPTIONS
+ * @param {string} options.journal - 日志文件路径、运行ID或 last
+ * @param {boolean} options.list - 仅列出日志
+ * @param {boolean} options.force - 日志已被撤销过时是否再次撤销
+ * @param {boolean} options.doit - 是否执行实际操作
+ * @returns {Promise<Array|undefined>} 每条操作的回放结果
+ */
+export async function undo(options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options }
+    const testMode = !options.doit
+    log.logInfo(LOG_TAG, options)
+    if (!testMode) {
+        // 撤销操作本身也记录下来，命令名固定为undo，便于 last 查找时跳过
+        journal.beginRun("undo", options)
+    }
+    if (options.list) {
+        await showJournals()
+        return
+    }
+    const journalPath = await journal.resolveJournal(options.journal || "last")
+    if (!journalPath) {
+        throw createError(
+            ErrorTypes.INVALID_ARGUMENT,
+            t("undo.no.journal", { name: options.journal || "last" }),
+        )
+    }
+    const j = await journal.readJournal(journalPath)
+    log.logInfo(LOG_TAG, `${t("undo.journal")}: ${journalPath}`)
+    if (j.run) {
+        log.show(LOG_TAG, `Run: ${j.run.runId} ${j.run.command} ${j.run.startedAt}`)
+        log.show(LOG_TAG, `Cwd: ${j.run.cwd}`)
+    }
+    if (j.undone) {
+        // 与找不到日志相同，需要明确指定 --force 才会再次撤销
+        if (!options.force) {
+            throw createError(
+                ErrorTypes.INVALID_ARGUMENT,
+                t("undo.already.undone.force", { by: j.undone.by }),
+            )
+        }
+        log.logWarn(LOG_TAG, t("undo.already.undone", { by: j.undone.by }))
+    }
+    if (!j.ended) {
+        log.logWarn(LOG_TAG, t("undo.not.ended"))
+    }
+    if (j.ops.length === 0) {
+        log.logWarn(LOG_TAG, t("common.nothing.to.do"))
+        return
+    }
+    const ops = [...j.ops].reverse()
+    log.logInfo(LOG_TAG, t("undo.total.ops", { count: ops.length }))
+    for (const op of ops.slice(0, 10)) {
+        log.showGray(
+            LOG_TAG,
+            `${op.op}: ${helper.pathShort(op.dst)} => ${helper.pathShort(op.src)}`,
+        )
+    }
+
+    testMode && log.logWarn(LOG_TAG, `++++++++++ ${t("mode.test")} ++++++++++`)
+    const answer = await confirmDangerousAction(t("undo.confirm", { count: ops.length }))
+    if (await abortIfCancelled(answer, LOG_TAG)) {
+        return
+    }
+
+    const results = []
+    for (const [index, op] of ops.entries()) {
+        const status = await undoOne(op, testMode)
+        results.push({ ...op, status })
+        reportProgress(index + 1, ops.length, ProgressPhase.PROCESS)
+        jsonOutput.addEntry({
+            action: "undo",
+            src: op.dst,
+            dst: op.src,
+            ...jsonOutput.toEntryStatus(status, testMode),
+        })
+        const ipx = `${index + 1}/${ops.length}`
+        if (status === UndoStatus.DONE) {
+            log.info(LOG_TAG, ipx, `${op.dst} => ${op.src}`)
+        } else {
+            log.logWarn(LOG_TAG, ipx, chalk.yellow(status), helper.pathShort(op.dst))
+            log.fileLog(`Skip: ${status} <${op.dst}> => <${op.src}>`, LOG_TAG)
+        }
+    }
+
+    const counts = results.reduce((acc, r) => {
+        acc[r.status] = (acc[r.status] || 0) + 1
+        return acc
+    }, {})
+    for (const [status, count] of Object.entries(counts)) {
+        log.show(LOG_TAG, `${t("common.status")}: ${status} => ${count}`)
+    }
+    if (testMode) {
+        log.logWarn(LOG_TAG, t("common.test.mode.note", { count: ops.length }))
+    } else if (counts[UndoStatus.DONE] > 0) {
+        await journal.markUndone(journalPath, journal.getCurrentRun()?.runId || "unknown")
+        log.logSuccess(LOG_TAG, t("undo.summary", { count: counts[UndoStatus.DONE] }))
+    }
+    return results
+}
+
+/**
+ * 回放单条操作：把 dst 移回 src
+ * 目标已不存在、已被修改或原位置被占用时跳过
+ *
+ * @param {Object} op - 日志中的操作记录
+ * @param {boolean} testMode - 是否为测试模式
+ * @returns {Promise<string>} 回放状态，见 UndoStatus
+ */
+async function undoOne(op, testMode) {
+    const st = await fs.stat(op.dst).catch(() => null)
+    if (!st) {
+        return UndoStatus.MISSING
+    }
+    if (!op.isDir && (st.size !== op.size || Math.floor(st.mtimeMs) !== Math.floor(op.mtimeMs))) {
+        return UndoStatus.CHANGED
+    }
+    if (await fs.pathExists(op.src)) {
+        return UndoStatus.CONFLICT
+    }
+    if (testMode) {
+        return UndoStatus.DONE
+    }
+    try {
+        await fs.ensureDir(path.dirname(op.src))
+        await fs.move(op.dst, op.src)
+        journal.record(journal.JournalOps.MOVE, op.dst, op.src)
+        log.fileLog(`Undo: <${op.dst}> => <${op.src}>`, LOG_TAG)
+        return UndoStatus.DONE
+    } catch (error) {
+        log.logError(LOG_TAG, `${op.dst} => ${op.src} ${error.message}`)
+        return UndoStatus.FAILED
+    }
+}
+
+/**
+ * 列出最近的操作日志
+ */
+async function showJournals() {
+    const files = await journal.listJournals()
+    if (files.length === 0) {
+        log.logWarn(LOG_TAG, t("undo.no.journal", { name: journal.getJournalDir() }))
+        return
+    }
+    for (const f of files.slice(0, 20)) {
+        const j = await journal.readJournal(f)
+        const run = j.run || {}
+        const flag = j.undone ? chalk.gray("[undone]") : j.ended ? "" : chalk.yellow("[partial]")
+        log.show(
+            chalk.cyan(run.runId),
+            dayjs(run.startedAt).format("YYYY-MM-DD HH:mm:ss"),
+            chalk.green(run.command),
+            `${j.ops.length} ops`,
+            flag,
+        )
+    }
+}
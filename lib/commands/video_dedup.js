@@ -0,0 +1,200 @@
+/*
+ * File: video_dedup.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * 视频去重命令 - 查找同一视频的不同编码版本，如不同码率、加了前缀的转码文件
+ * 每组保留分辨率、码率和编码最好的一个，其余的只报告或安全删除，指纹见 lib/video_hash.js
+ */
+
+import fs from "fs-extra"
+import { cpus } from "os"
+import path from "path"
+import { confirmDangerousAction, ProgressPhase, reportProgress } from "../command_utils.js"
+import * as log from "../debug.js"
+import { DedupActions } from "../dedup.js"
+import { ErrorTypes, createError } from "../errors.js"
+import * as mf from "../file.js"
+import * as helper from "../helper.js"
+import { t } from "../i18n.js"
+import * as jsonOutput from "../json_output.js"
+import { EntryStatus } from "../json_output.js"
+import { VIDEO_HASH_CONFIG, findVideoDuplicates } from "../video_hash.js"
+import { filterEntries, parseWhere } from "../where.js"
+
+const LOG_TAG = "VideoDedup"
+
+// 选项默认值，与 cmd/cmd_video_dedup.js 的命令行参数相同
+export const DEFAULT_OPTIONS = Object.freeze({
+    frames: VIDEO_HASH_CONFIG.FRAMES,
+    threshold: VIDEO_HASH_CONFIG.THRESHOLD,
+    action: DedupActions.REPORT,
+    doit: false,
+})
+
+/**
+ * 视频去重命令处理函数
+ * @param {Object} options - 命令选项，与命令行参数相同，未设置的使用 DEFAULT_OPTIONS
+ * @param {string} options.input - 输入目录
+ * @param {number} options.frames - 每个视频截取的帧数
+ * @param {number} options.threshold - 单帧汉明距离阈值
+ * @param {string} options.action - 操作 report/trash
+ * @param {string} options.where - 过滤表达式
+ * @param {string} options.output - 重复视频列表保存路径
+ * @param {boolean} options.doit - 是否执行
+ * @returns {Promise<Array<Object>>} 重复视频分组 {keep, duplicates, distance}
+ */
+export async function videoDedup(options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options }
+    const root = path.resolve(options.input)
+    if (!(await fs.pathExists(root))) {
+        throw createError(ErrorTypes.FILE_NOT_FOUND, t("input.path.not.exists", { path: root }))
+    }
+    const startMs = Date.now()
+    let files = await mf.walk(root, {
+        needStats: true,
+        entryFilter: (entry) => entry.isFile && helper.isVideoFile(entry.path),
+    })
+    if (options.where) {
+        files = await filterEntries(files, parseWhere(options.where))
+    }
+    log.show(LOG_TAG, t("video.dedup.total.files", { count: files.length, root }))
+
+    const { groups, failed } = await findVideoDuplicates(files, {
+        frames: options.frames,
+        threshold: options.threshold,
+        concurrency: options.jobs || Math.max(1, Math.floor(cpus().length / 2)),
+        onProgress: (done, total) => {
+            reportProgress(done, total, ProgressPhase.ANALYZE)
+            if (done % 100 === 0 || done === total) {
+                log.info(LOG_TAG, `${done}/${total}`)
+            }
+        },
+    })
+    if (failed > 0) {
+        log.showYellow(LOG_TAG, t("video.dedup.failed", { count: failed }))
+    }
+    // 可节省空间最多的在前
+    const wastedOf = (g) => g.duplicates.reduce((n, f) => n + f.size, 0)
+    groups.sort((a, b) => wastedOf(b) - wastedOf(a))
+    const count = groups.reduce((n, g) => n + g.duplicates.length, 0)
+    const wasted = groups.reduce((n, g) => n + wastedOf(g), 0)
+
+    printGroups(groups)
+    if (options.output) {
+        await saveGroups(groups, options.output)
+        log.showGreen(LOG_TAG, t("dedup.saved", { count: groups.length, path: options.output }))
+    }
+    log.showGreen(
+        LOG_TAG,
+        t("video.dedup.summary", {
+            groups: groups.length,
+            count,
+            size: helper.humanSize(wasted),
+            time: helper.humanTime(startMs),
+        }),
+    )
+    jsonOutput.setSummary({ groups: groups.length, duplicates: count, wastedBytes: wasted, failed })
+
+    if (options.action === DedupActions.REPORT || groups.length === 0) {
+        addEntries(groups, "duplicate", EntryStatus.DONE)
+        return groups
+    }
+    if (!options.doit) {
+        log.showYellow(LOG_TAG, t("common.test.mode.note", { count }))
+        addEntries(groups, options.action, EntryStatus.PLANNED)
+        return groups
+    }
+    const answer = await confirmDangerousAction(
+        t("dedup.confirm.trash", { count, size: helper.humanSize(wasted) }),
+    )
+    if (!answer) {
+        log.logWarn(LOG_TAG, t("operation.cancelled"))
+        return groups
+    }
+    await trashDuplicates(groups, count)
+    return groups
+}
+
+// 视频的简短描述，如 1920x1080 hevc 4.2Mbps 23m 40s
+function videoDesc(f) {
+    const mbps = ((f.bitrate || 0) / 1000 / 1000).toFixed(1)
+    return `${f.width}x${f.height} ${f.codec} ${mbps}Mbps ${helper.humanSeconds(f.duration)}`
+}
+
+function printGroups(groups) {
+    for (const [index, g] of groups.entries()) {
+        log.showCyan(
+            `[${index + 1}/${groups.length}]`,
+            `x${g.duplicates.length + 1}`,
+            `d=${g.distance}`,
+        )
+        log.showGreen("  K", g.keep.path, videoDesc(g.keep))
+        for (const f of g.duplicates) {
+            log.show("  D", f.path, videoDesc(f))
+        }
+    }
+}
+
+// 保存为 JSON Lines，每行一组
+async function saveGroups(groups, output) {
+    const lines = groups.map((g) =>
+        JSON.stringify({
+            distance: g.distance,
+            keep: g.keep.path,
+            duplicates: g.duplicates.map((f) => f.path),
+        }),
+    )
+    await fs.outputFile(output, lines.join("\n") + "\n")
+}
+
+function addEntries(groups, action, status) {
+    for (const g of groups) {
+        for (const f of g.duplicates) {
+            jsonOutput.addEntry({
+                action,
+                src: f.path,
+                status,
+                keep: g.keep.path,
+                size: f.size,
+                distance: g.distance,
+            })
+        }
+    }
+}
+
+async function trashDuplicates(groups, total) {
+    const action = DedupActions.TRASH
+    let index = 0
+    let failed = 0
+    for (const g of groups) {
+        for (const f of g.duplicates) {
+            const shortPath = helper.pathShort(f.path)
+            try {
+                const dst = await helper.safeRemove(f.path)
+                if (!dst) {
+                    throw createError(
+                        ErrorTypes.PROCESSING_FAILED,
+                        `${t("remove.failed")}: ${f.path}`,
+                    )
+                }
+                log.logTask(LOG_TAG, ++index, total, action, shortPath)
+                log.fileLog(`${action}: <${f.path}> keep <${g.keep.path}>`, LOG_TAG)
+                jsonOutput.addEntry({
+                    action,
+                    src: f.path,
+                    dst,
+                    status: EntryStatus.DONE,
+                    keep: g.keep.path,
+                })
+            } catch (error) {
+                index++
+                failed++
+                log.logError(LOG_TAG, shortPath, error.message)
+                jsonOutput.addEntry({ action, src: f.path, status: EntryStatus.FAILED, error })
+            }
+        }
+    }
+    log.showGreen(LOG_TAG, t("operation.completed", { success: total - failed, error: failed }))
+}
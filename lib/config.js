@@ -37,4 +37,16 @@ export default {
         // 并发处理数量
         CONCURRENCY: 4,
     },
+    /**
+     * 图片压缩默认参数
+     * 命令行参数和 --config 都没有指定时使用，stats --compress 估算时也使用
+     */
+    COMPRESS: {
+        // 输出质量
+        QUALITY: 85,
+        // 需要处理的最小文件大小（KB）
+        MIN_SIZE: 2048,
+        // 输出图片最大宽度（长边）
+        MAX_WIDTH: 6000,
+    },
 }
@@ -6,15 +6,25 @@
  * License: Apache License 2.0
  */
 
+import { AsyncLocalStorage } from "async_hooks"
 import chalk from "chalk"
 import dayjs from "dayjs"
 import fs from "fs-extra"
-import log from "loglevel"
+import loglevel from "loglevel"
 import prefix from "loglevel-plugin-prefix"
 import os from "os"
 import path from "path"
 import util from "util"
 
+// 使用独立的 logger，不修改 loglevel 的默认 logger，作为库使用时不影响调用方
+const log = loglevel.getLogger("mediac")
+
+// setSilent 设置的静默模式，对整个进程有效
+let silentMode = false
+
+// withSilent 设置的静默模式，只对其回调中的异步调用链有效
+const silentScope = new AsyncLocalStorage()
+
 setupLogger()
 
 let loggerName = ""
@@ -54,6 +64,8 @@ function applyCustomPlugin(logger, options = {}) {
         const rawMethod = originalFactory(methodName, logLevel, loggerName)
 
         return function () {
+            // 静默模式下不输出
+            if (isSilent()) return
             // 获取对应日志级别的颜色函数
             const chalkFunc = msgColors[methodName.toUpperCase()]
             const messages = []
@@ -85,15 +97,14 @@ function applyCustomPlugin(logger, options = {}) {
 }
 
 function setupLogger() {
-    fs.mkdirsSync(getLogRootDir())
     applyCustomPlugin(log, { inspectObject: true, coloredMessage: true })
-    prefix.reg(log)
+    prefix.reg(loglevel)
     prefix.apply(log, {
         levelFormatter(level) {
             return level.toUpperCase()
         },
-        nameFormatter(name) {
-            return name || loggerName
+        nameFormatter() {
+            return loggerName
         },
         timestampFormatter(date) {
             return date.toISOString()
@@ -162,6 +173,8 @@ export const fileLog = (logText, logTag = "", logFileName = "mediac") => {
  * 遍历fileLogCache，将所有缓存的日志条目写入对应文件
  */
 export const flushFileLog = async () => {
+    // 日志目录在第一次写入时创建
+    fileLogCache.size > 0 && (await fs.ensureDir(getLogRootDir()))
     for (const [key, value] of fileLogCache) {
         try {
             await fs.appendFile(key, value.join("\n"), { encoding: "utf-8" })
@@ -177,6 +190,7 @@ export const flushFileLog = async () => {
  * @param  {...*} args - 要输出的参数
  */
 export const showGray = (...args) => {
+    if (isSilent()) return
     console.log(...args.map((a) => (typeof a === "object" ? a : chalk.gray(a))))
 }
 
@@ -186,6 +200,7 @@ export const showGray = (...args) => {
  * @param  {...*} args - 要输出的参数
  */
 export const showRed = (...args) => {
+    if (isSilent()) return
     console.log(...args.map((a) => (typeof a === "object" ? a : chalk.red(a))))
 }
 
@@ -195,6 +210,7 @@ export const showRed = (...args) => {
  * @param  {...*} args - 要输出的参数
  */
 export const showGreen = (...args) => {
+    if (isSilent()) return
     console.log(...args.map((a) => (typeof a === "object" ? a : chalk.green(a))))
 }
 
@@ -204,6 +220,7 @@ export const showGreen = (...args) => {
  * @param  {...*} args - 要输出的参数
  */
 export const showYellow = (...args) => {
+    if (isSilent()) return
     console.log(...args.map((a) => (typeof a === "object" ? a : chalk.yellow(a))))
 }
 
@@ -213,6 +230,7 @@ export const showYellow = (...args) => {
  * @param  {...*} args - 要输出的参数
  */
 export const showBlue = (...args) => {
+    if (isSilent()) return
     console.log(...args.map((a) => (typeof a === "object" ? a : chalk.blue(a))))
 }
 
@@ -222,6 +240,7 @@ export const showBlue = (...args) => {
  * @param  {...*} args - 要输出的参数
  */
 export const showMagenta = (...args) => {
+    if (isSilent()) return
     console.log(...args.map((a) => (typeof a === "object" ? a : chalk.magenta(a))))
 }
 
@@ -231,6 +250,7 @@ export const showMagenta = (...args) => {
  * @param  {...*} args - 要输出的参数
  */
 export const showCyan = (...args) => {
+    if (isSilent()) return
     console.log(...args.map((a) => (typeof a === "object" ? a : chalk.cyan(a))))
 }
 
@@ -240,6 +260,7 @@ export const showCyan = (...args) => {
  * @param  {...*} args - 要输出的参数
  */
 export const showWhite = (...args) => {
+    if (isSilent()) return
     console.log(...args.map((a) => (typeof a === "object" ? a : chalk.white(a))))
 }
 
@@ -285,6 +306,7 @@ export function logWithTag(tag, category, ...args) {
     const tagStr = formatLogTag(tag)
     const catStr = formatLogCategory(category)
     const prefix = [tagStr, catStr].filter(Boolean).join(" ")
+    if (isSilent()) return
     console.log(prefix, ...args.map((a) => (typeof a === "object" ? a : String(a))))
 }
 
@@ -390,6 +412,32 @@ export const error = function () {
  */
 export const setVerbose = (level) => log.setLevel(Math.max(0, log.levels.WARN - level))
 
+/**
+ * 设置静默模式，禁止所有面向用户的日志输出，对整个进程有效
+ * 用于 --json 模式，只影响本模块的输出，console.warn/error 仍然输出到 stderr
+ *
+ * @param {boolean} silent - 是否静默
+ */
+export const setSilent = (silent) => {
+    silentMode = Boolean(silent)
+}
+
+/**
+ * 在 fn 中禁止所有面向用户的日志输出，同一进程中的其它调用不受影响
+ * 用于 API 调用
+ *
+ * @param {Function} fn - 要执行的函数
+ * @returns {*} fn 的返回值
+ */
+export const withSilent = (fn) => silentScope.run(true, fn)
+
+/**
+ * 检查当前是否处于静默模式
+ *
+ * @returns {boolean} 如果禁止输出返回true
+ */
+export const isSilent = () => silentMode || silentScope.getStore() === true
+
 /**
  * 设置日志级别
  *
@@ -0,0 +1,268 @@
+/*
+ * File: dedup.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Dedup - 查找内容完全相同的文件
+ * 分三步缩小范围：文件大小相同 → 开头和结尾的部分哈希相同 → 完整哈希相同
+ * 每次只处理一个大小分组，哈希值用完即丢弃，文件数量很多时内存占用也不高
+ */
+
+import fs from "fs-extra"
+import pMap from "p-map"
+import path from "path"
+import * as catalog from "./catalog.js"
+import { CatalogFields } from "./catalog.js"
+import * as log from "./debug.js"
+import { ErrorTypes, createError } from "./errors.js"
+import * as helper from "./helper.js"
+import { hashFileXXH64, hashFileXXH64FrontAndBack } from "./tools.js"
+
+const LOG_TAG = "Dedup"
+
+// 部分哈希读取文件开头和结尾各多少字节
+export const PARTIAL_BYTES = 64 * 1024
+
+// 同一分组内同时计算哈希的文件数
+const GROUP_CONCURRENCY = 2
+
+// 重复文件中保留哪一个
+export const KeepPolicies = Object.freeze({
+    // 修改时间最早的
+    OLDEST: "oldest",
+    // 路径最短的
+    SHORTEST: "shortest",
+    // 在靠前的输入目录中的
+    ROOT: "root",
+    // 文件名不像副本的，如 "a (1).jpg" "a - 副本.jpg" "Copy of a.jpg"
+    NAME: "name",
+})
+
+// 对重复文件的操作
+export const DedupActions = Object.freeze({
+    // 只输出报告
+    REPORT: "report",
+    // 安全删除，移动到 Deleted_By_Mediac 目录
+    TRASH: "trash",
+    // 替换为指向保留文件的硬链接
+    HARDLINK: "hardlink",
+})
+
+/**
+ * 把 walk 的文件条目转为只包含需要字段的小对象，减少内存占用
+ *
+ * @param {Object} f - 文件条目，见 lib/file.js walk
+ * @param {number} [rootIndex] - 所在输入目录的序号
+ * @returns {Object} {path, size, mtimeMs, dev, ino, rootIndex}
+ */
+export function toDedupEntry(f, rootIndex = 0) {
+    return {
+        path: f.path,
+        size: f.stats?.size ?? f.size,
+        mtimeMs: f.stats?.mtimeMs ?? 0,
+        dev: f.stats?.dev,
+        ino: f.stats?.ino,
+        rootIndex,
+    }
+}
+
+/**
+ * 按文件大小分组，只保留有两个以上文件的分组，空文件忽略
+ * 同一个文件（硬链接或重叠的输入目录）在分组中只保留一次
+ *
+ * @param {Iterable<Object>} entries - toDedupEntry 的结果
+ * @returns {Map<number, Array<Object>>} 文件大小 => 文件列表
+ */
+export function groupBySize(entries) {
+    const groups = new Map()
+    for (const e of entries) {
+        if (!e.size) continue
+        const group = groups.get(e.size)
+        group ? group.push(e) : groups.set(e.size, [e])
+    }
+    for (const [size, group] of groups) {
+        if (group.length < 2) {
+            groups.delete(size)
+            continue
+        }
+        const seen = new Set()
+        const unique = group.filter((e) => {
+            const key = e.ino ? `${e.dev}:${e.ino}` : path.resolve(e.path)
+            return !seen.has(key) && seen.add(key)
+        })
+        unique.length < 2 ? groups.delete(size) : groups.set(size, unique)
+    }
+    return groups
+}
+
+// 按哈希值拆分，只返回有两个以上文件的部分，读取失败的文件跳过
+async function splitByHash(files, hashOf) {
+    const hashes = await pMap(
+        files,
+        async (f) => {
+            try {
+                return await hashOf(f)
+            } catch (error) {
+                log.warn(LOG_TAG, helper.pathShort(f.path), error.message)
+                return null
+            }
+        },
+        { concurrency: GROUP_CONCURRENCY },
+    )
+    const buckets = new Map()
+    files.forEach((f, i) => {
+        const hash = hashes[i]
+        if (hash === null) return
+        const bucket = buckets.get(hash)
+        bucket ? bucket.push(f) : buckets.set(hash, [f])
+    })
+    return [...buckets].filter(([, bucket]) => bucket.length > 1)
+}
+
+async function partialHash(f, partialBytes) {
+    const { front, back } = await hashFileXXH64FrontAndBack(f.path, partialBytes)
+    // 小文件的开头部分就是整个文件，与完整哈希相同
+    return f.size <= partialBytes ? front : `${front}-${back}`
+}
+
+/**
+ * 查找重复文件，按大小从大到小处理，每找到一组调用一次 onGroup
+ * 处理完的大小分组会从 sizeGroups 中删除
+ * 完整哈希通过索引缓存，见 lib/catalog.js
+ *
+ * @param {Map<number, Array<Object>>} sizeGroups - groupBySize 的结果
+ * @param {Object} [options] - 选项
+ * @param {number} [options.concurrency] - 同时处理的大小分组数
+ * @param {number} [options.partialBytes] - 部分哈希读取的字节数
+ * @param {Function} [options.onGroup] - 回调 ({size, hash, files})
+ * @param {Function} [options.onProgress] - 回调 (done, total)
+ * @returns {Promise<{groups: number, files: number, wasted: number}>} 统计，files 不含每组保留的一个
+ */
+export async function findDuplicates(sizeGroups, options = {}) {
+    const { concurrency = 4, partialBytes = PARTIAL_BYTES, onGroup, onProgress } = options
+    const sizes = [...sizeGroups.keys()].sort((a, b) => b - a)
+    const stats = { groups: 0, files: 0, wasted: 0 }
+    let done = 0
+    await pMap(
+        sizes,
+        async (size) => {
+            const files = sizeGroups.get(size)
+            sizeGroups.delete(size)
+            for (const [partHash, candidates] of await splitByHash(files, (f) =>
+                partialHash(f, partialBytes),
+            )) {
+                // 小文件的部分哈希就是完整哈希
+                const fullGroups =
+                    size <= partialBytes
+                        ? [[partHash, candidates]]
+                        : await splitByHash(candidates, (f) =>
+                              catalog.cached(
+                                  f.path,
+                                  CatalogFields.HASH,
+                                  () => hashFileXXH64(f.path),
+                                  f,
+                              ),
+                          )
+                for (const [hash, group] of fullGroups) {
+                    stats.groups++
+                    stats.files += group.length - 1
+                    stats.wasted += size * (group.length - 1)
+                    await onGroup?.({ size, hash, files: group })
+                }
+            }
+            onProgress?.(++done, sizes.length)
+        },
+        { concurrency },
+    )
+    return stats
+}
+
+// 副本文件名，文件名部分和扩展名分开判断
+const COPY_PREFIX_RE = /^(copy of|副本)\s/i
+const COPY_SUFFIX_RE = /(\s*\(\d+\)|[\s_-]*(copy|副本|拷贝)([\s_-]*\(?\d+\)?)?)$/i
+
+/**
+ * 文件名是否像副本，如 "a (1).jpg" "a copy 2.jpg" "a - 副本.jpg" "Copy of a.jpg"
+ *
+ * @param {string} filePath - 文件路径
+ * @returns {boolean} 是否像副本
+ */
+export function isCopyName(filePath) {
+    const { name } = path.parse(filePath)
+    return COPY_PREFIX_RE.test(name) || COPY_SUFFIX_RE.test(name)
+}
+
+const byOldest = (a, b) => a.mtimeMs - b.mtimeMs
+const byShortest = (a, b) => helper.unicodeLength(a.path) - helper.unicodeLength(b.path)
+const byRoot = (a, b) => a.rootIndex - b.rootIndex
+const byName = (a, b) => isCopyName(a.path) - isCopyName(b.path)
+
+// 各保留规则的比较顺序，前面的相同时再比较后面的
+const KEEP_ORDERS = {
+    [KeepPolicies.OLDEST]: [byOldest, byShortest],
+    [KeepPolicies.SHORTEST]: [byShortest, byOldest],
+    [KeepPolicies.ROOT]: [byRoot, byOldest, byShortest],
+    [KeepPolicies.NAME]: [byName, byOldest, byShortest],
+}
+
+/**
+ * 按保留规则选出一组重复文件中要保留的文件
+ * 规则无法区分时按路径排序，结果总是确定的
+ *
+ * @param {Array<Object>} files - 一组重复文件
+ * @param {string} [policy] - 保留规则，见 KeepPolicies
+ * @returns {{keep: Object, duplicates: Array<Object>}} 保留的文件和其余的重复文件
+ * @throws {MediaCliError} INVALID_ARGUMENT 未知规则
+ */
+export function pickKeeper(files, policy = KeepPolicies.OLDEST) {
+    const order = KEEP_ORDERS[policy]
+    if (!order) {
+        throw createError(
+            ErrorTypes.INVALID_ARGUMENT,
+            `Unknown keep policy: ${policy}, policies: ${Object.values(KeepPolicies).join(",")}`,
+        )
+    }
+    const sorted = [...files].sort((a, b) => {
+        for (const compare of order) {
+            const diff = compare(a, b)
+            if (diff !== 0) return diff
+        }
+        return a.path.localeCompare(b.path)
+    })
+    return { keep: sorted[0], duplicates: sorted.slice(1) }
+}
+
+/**
+ * 把重复文件替换为指向保留文件的硬链接
+ * 先在同一目录创建临时链接再重命名覆盖，失败时重复文件保持不变
+ *
+ * @param {string} keepPath - 保留的文件
+ * @param {string} dupPath - 重复文件
+ * @returns {Promise<boolean>} 已经是同一个文件时返回 false
+ * @throws {MediaCliError} PROCESSING_FAILED 不在同一设备或文件已改变
+ */
+export async function replaceWithHardlink(keepPath, dupPath) {
+    const [keepStats, dupStats] = await Promise.all([fs.stat(keepPath), fs.stat(dupPath)])
+    if (keepStats.dev === dupStats.dev && keepStats.ino === dupStats.ino) {
+        return false
+    }
+    if (keepStats.dev !== dupStats.dev) {
+        throw createError(
+            ErrorTypes.PROCESSING_FAILED,
+            `Cannot hardlink across devices: ${dupPath} => ${keepPath}`,
+        )
+    }
+    if (keepStats.size !== dupStats.size) {
+        throw createError(ErrorTypes.PROCESSING_FAILED, `File changed since scan: ${dupPath}`)
+    }
+    const tmpPath = `${dupPath}.mediac_link_${Date.now()}`
+    await fs.link(keepPath, tmpPath)
+    try {
+        await fs.rename(tmpPath, dupPath)
+    } catch (error) {
+        await fs.remove(tmpPath).catch(() => {})
+        throw error
+    }
+    return true
+}
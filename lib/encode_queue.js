@@ -0,0 +1,319 @@
+/*
+ * File: encode_queue.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Encode Queue - ffmpeg queue 命令的持久化转码队列
+ * 队列保存在一个JSON文件中，每次修改都持有锁文件，重新读取再原子写入，运行中的进程和
+ * 另一个终端中的 add/pause/retry 可以同时修改队列，进程重启后任务不会丢失
+ */
+
+import fs from "fs-extra"
+import os from "os"
+import path from "path"
+import { ErrorTypes, createError } from "./errors.js"
+import { isProcessAlive, withLock } from "./file_lock.js"
+
+// 任务状态
+export const JobStatus = Object.freeze({
+    PENDING: "pending",
+    RUNNING: "running",
+    DONE: "done",
+    FAILED: "failed",
+})
+
+const QUEUE_VERSION = 1
+// 失败任务保留的 stderr 行数
+export const STDERR_TAIL_LINES = 20
+
+let queueDir = path.join(os.homedir(), ".mediac", "queue")
+
+/**
+ * 设置队列文件存储目录，主要用于测试
+ * @param {string} dir - 目录路径
+ */
+export function setQueueDir(dir) {
+    queueDir = path.resolve(dir)
+}
+
+/**
+ * 获取队列文件路径
+ * @returns {string} 队列文件路径
+ */
+export function getQueuePath() {
+    return path.join(queueDir, "ffmpeg_queue.json")
+}
+
+const emptyQueue = () => ({
+    version: QUEUE_VERSION,
+    paused: false,
+    runner: null,
+    nextId: 1,
+    jobs: [],
+})
+
+/**
+ * 读取队列，文件不存在时返回空队列
+ * @returns {Promise<Object>} 队列 {version, paused, runner, nextId, jobs}
+ * @throws {MediaCliError} CORRUPTED_FILE 文件不是有效的队列
+ */
+export async function loadQueue() {
+    const file = getQueuePath()
+    if (!(await fs.pathExists(file))) {
+        return emptyQueue()
+    }
+    let queue
+    try {
+        queue = await fs.readJson(file)
+    } catch (error) {
+        throw createError(ErrorTypes.CORRUPTED_FILE, `invalid encode queue: ${file}`, error)
+    }
+    if (queue?.version !== QUEUE_VERSION || !Array.isArray(queue.jobs)) {
+        throw createError(ErrorTypes.CORRUPTED_FILE, `invalid encode queue: ${file}`)
+    }
+    return queue
+}
+
+/**
+ * 获取锁文件路径
+ * @returns {string} 锁文件路径
+ */
+export function getLockPath() {
+    return `${getQueuePath()}.lock`
+}
+
+// 同一进程内的修改依次执行，不同进程之间用锁文件
+let pending = Promise.resolve()
+
+/**
+ * 持有锁读取队列，调用 fn 修改后写回，先写临时文件再重命名
+ * fn 应该尽快返回，不要在其中等待转码
+ * @param {Function} fn - (queue) => result，可以是异步函数，直接修改 queue
+ * @returns {Promise<*>} fn 的返回值
+ */
+export function updateQueue(fn) {
+    const run = pending.then(() =>
+        withLock(getLockPath(), async () => {
+            const queue = await loadQueue()
+            const result = await fn(queue)
+            const file = getQueuePath()
+            const tmp = `${file}.${process.pid}.tmp`
+            await fs.outputJson(tmp, queue, { spaces: 2 })
+            await fs.move(tmp, file, { overwrite: true })
+            return result
+        }),
+    )
+    pending = run.catch(() => {})
+    return run
+}
+
+/**
+ * 添加任务，源文件和目标文件都相同的未完成任务不重复添加
+ * @param {Object} queue - 队列
+ * @param {Array<Object>} entries - 任务数据，需要 path 和 fileDst，见 lib/commands/ffmpeg.js 的 prepareFFmpegCmd
+ * @returns {Array<Object>} 新添加的任务
+ */
+export function addJobs(queue, entries) {
+    const active = new Set(
+        queue.jobs
+            .filter((j) => j.status === JobStatus.PENDING || j.status === JobStatus.RUNNING)
+            .map((j) => `${j.src}\n${j.dst}`),
+    )
+    const added = []
+    for (const entry of entries) {
+        const key = `${entry.path}\n${entry.fileDst}`
+        if (active.has(key)) {
+            continue
+        }
+        active.add(key)
+        const job = {
+            id: queue.nextId++,
+            status: JobStatus.PENDING,
+            src: entry.path,
+            dst: entry.fileDst,
+            preset: entry.preset?.name,
+            size: entry.size || 0,
+            duration: entry.dstArgs?.srcDuration || 0,
+            addedAt: Date.now(),
+            attempts: 0,
+            entry,
+        }
+        queue.jobs.push(job)
+        added.push(job)
+    }
+    return added
+}
+
+/**
+ * 取出下一个等待中的任务并标记为运行中，队列暂停时不取
+ * @param {Object} queue - 队列
+ * @returns {Object|null} 任务，没有时为空
+ */
+export function startNextJob(queue) {
+    if (queue.paused) {
+        return null
+    }
+    const job = queue.jobs.find((j) => j.status === JobStatus.PENDING)
+    if (!job) {
+        return null
+    }
+    job.status = JobStatus.RUNNING
+    job.startedAt = Date.now()
+    job.attempts++
+    return job
+}
+
+/**
+ * 记录任务结果
+ * @param {Object} queue - 队列
+ * @param {number} id - 任务ID
+ * @param {Object} result - {ok, outputSize, error, stderr}
+ * @returns {Object|undefined} 任务
+ */
+export function finishJob(queue, id, { ok, outputSize = 0, error, stderr } = {}) {
+    const job = queue.jobs.find((j) => j.id === id)
+    if (!job) {
+        return undefined
+    }
+    job.status = ok ? JobStatus.DONE : JobStatus.FAILED
+    job.finishedAt = Date.now()
+    job.outputSize = outputSize
+    if (ok) {
+        delete job.error
+        delete job.stderrTail
+    } else {
+        job.error = error || "unknown error"
+        job.stderrTail = stderrTail(stderr)
+    }
+    return job
+}
+
+/**
+ * 被中断的任务（进程退出时还在运行）重新等待
+ * @param {Object} queue - 队列
+ * @returns {Array<Object>} 被中断的任务
+ */
+export function resetInterrupted(queue) {
+    const jobs = queue.jobs.filter((j) => j.status === JobStatus.RUNNING)
+    for (const job of jobs) {
+        job.status = JobStatus.PENDING
+        delete job.startedAt
+    }
+    return jobs
+}
+
+/**
+ * 失败的任务重新等待
+ * @param {Object} queue - 队列
+ * @param {number[]} [ids] - 任务ID，为空时重试所有失败的任务
+ * @returns {Array<Object>} 重新等待的任务
+ */
+export function retryJobs(queue, ids = []) {
+    const jobs = queue.jobs.filter(
+        (j) => j.status === JobStatus.FAILED && (ids.length === 0 || ids.includes(j.id)),
+    )
+    for (const job of jobs) {
+        job.status = JobStatus.PENDING
+        delete job.error
+        delete job.stderrTail
+    }
+    return jobs
+}
+
+/**
+ * 按状态统计任务数量
+ * @param {Object} queue - 队列
+ * @returns {Object} 状态 => 数量
+ */
+export function countJobs(queue) {
+    const counts = Object.fromEntries(Object.values(JobStatus).map((s) => [s, 0]))
+    for (const job of queue.jobs) {
+        counts[job.status]++
+    }
+    return counts
+}
+
+/**
+ * 检查运行队列的进程是否还在
+ * @param {Object|null} runner - 队列的 runner {pid, startedAt}
+ * @returns {boolean}
+ */
+export function isRunnerAlive(runner) {
+    if (!runner?.pid || runner.pid === process.pid) {
+        return false
+    }
+    return isProcessAlive(runner.pid)
+}
+
+/**
+ * 保留 stderr 的最后几行
+ * @param {string} text - stderr
+ * @param {number} [lines] - 行数
+ * @returns {string[]} 非空的最后几行
+ */
+export function stderrTail(text, lines = STDERR_TAIL_LINES) {
+    return (text || "")
+        .split(/\r?\n/)
+        .map((line) => line.trimEnd())
+        .filter(Boolean)
+        .slice(-lines)
+}
+
+/**
+ * 创建 ffmpeg -progress 输出的解析器，输出按块到达，一行可能被分到两块
+ * 每收到一组进度（以 progress= 结尾）调用一次 onUpdate
+ *
+ * @param {Function} onUpdate - (state) => void，state 为 {frame, fps, speed, outSeconds, totalSize, done}
+ * @returns {Function} (chunk) => void
+ */
+export function createProgressParser(onUpdate) {
+    let carry = ""
+    const state = { frame: 0, fps: 0, speed: 0, outSeconds: 0, totalSize: 0, done: false }
+    return (chunk) => {
+        const lines = (carry + chunk.toString()).split("\n")
+        carry = lines.pop()
+        for (const line of lines) {
+            const i = line.indexOf("=")
+            if (i < 0) continue
+            const key = line.slice(0, i).trim()
+            const value = line.slice(i + 1).trim()
+            switch (key) {
+                case "frame":
+                    state.frame = parseInt(value) || 0
+                    break
+                case "fps":
+                    state.fps = parseFloat(value) || 0
+                    break
+                case "speed":
+                    // 如 1.23x，开始时为 N/A
+                    state.speed = parseFloat(value) || 0
+                    break
+                case "out_time_us":
+                    // 开始时可能为 N/A 或负数
+                    state.outSeconds = Math.max(0, parseInt(value) / 1e6 || 0)
+                    break
+                case "total_size":
+                    state.totalSize = parseInt(value) || 0
+                    break
+                case "progress":
+                    state.done = value === "end"
+                    onUpdate({ ...state })
+                    break
+            }
+        }
+    }
+}
+
+/**
+ * 根据进度估算剩余秒数
+ * @param {Object} state - createProgressParser 的进度
+ * @param {number} duration - 源文件时长，秒
+ * @returns {number} 剩余秒数，无法估算时为 NaN
+ */
+export function estimateSeconds(state, duration) {
+    if (!(duration > 0) || !(state.speed > 0)) {
+        return NaN
+    }
+    return Math.max(0, duration - state.outSeconds) / state.speed
+}
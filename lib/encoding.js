@@ -24,8 +24,8 @@ import {
 } from "./unicode.js"
 
 // https://github.com/bnoordhuis/node-iconv/
-// 从配置文件获取默认编码列表
-const DEFAULT_ENCODINGS_FROM = config.ENCODING?.DEFAULT_FROM_ENCODINGS || [
+// 全局配置中没有编码列表时使用
+const FALLBACK_ENCODINGS_FROM = [
     "SHIFT_JIS",
     "GBK",
     "UTF8",
@@ -39,7 +39,7 @@ const DEFAULT_ENCODINGS_FROM = config.ENCODING?.DEFAULT_FROM_ENCODINGS || [
     "BIG5",
 ]
 
-const DEFAULT_ENCODINGS_TO = config.ENCODING?.DEFAULT_TO_ENCODINGS || [
+const FALLBACK_ENCODINGS_TO = [
     "SHIFT_JIS",
     "GBK",
     "UTF8",
@@ -53,6 +53,10 @@ const DEFAULT_ENCODINGS_TO = config.ENCODING?.DEFAULT_TO_ENCODINGS || [
     "BIG5",
 ]
 
+// 从全局配置获取默认编码列表，用户配置文件可以修改，所以在使用时读取
+const defaultEncodingsFrom = () => config.ENCODING?.DEFAULT_FROM_ENCODINGS || FALLBACK_ENCODINGS_FROM
+const defaultEncodingsTo = () => config.ENCODING?.DEFAULT_TO_ENCODINGS || FALLBACK_ENCODINGS_TO
+
 // 编码转换结果缓存
 const decodeCache = new Map()
 
@@ -82,10 +86,10 @@ export function getOptimizedEncodingOrder(str, fromEnc, toEnc) {
         str = String(str)
     }
     if (!Array.isArray(fromEnc)) {
-        fromEnc = DEFAULT_ENCODINGS_FROM
+        fromEnc = defaultEncodingsFrom()
     }
     if (!Array.isArray(toEnc)) {
-        toEnc = DEFAULT_ENCODINGS_TO
+        toEnc = defaultEncodingsTo()
     }
     
     // 编码优先级映射
@@ -271,7 +275,7 @@ export function hasBadCJKChar(str) {
  */
 export function showBadCJKChars(str) {
     const chars = Array.from(str).filter((c) => REGEX_MESSY_CJK.test(c))
-    console.log("BadCJKChars:", chars)
+    log.show("BadCJKChars:", chars)
 }
 
 /**
@@ -279,12 +283,12 @@ export function showBadCJKChars(str) {
  * 返回可能的解码结果列表，按质量排序
  *
  * @param {string} str - 要解码的字符串
- * @param {Array<string>} fromEnc - 源编码列表，默认DEFAULT_ENCODINGS_FROM
- * @param {Array<string>} toEnc - 目标编码列表，默认DEFAULT_ENCODINGS_TO
+ * @param {Array<string>} fromEnc - 源编码列表，默认为全局配置的 DEFAULT_FROM_ENCODINGS
+ * @param {Array<string>} toEnc - 目标编码列表，默认为全局配置的 DEFAULT_TO_ENCODINGS
  * @param {number} threhold - 质量阈值，低于此值的结果会被过滤
  * @returns {Array<Array>} 解码结果数组，每个元素为[解码文本, 是否转换, 质量分数, 描述]
  */
-export function tryDecodeText(str, fromEnc = DEFAULT_ENCODINGS_FROM, toEnc = DEFAULT_ENCODINGS_TO, threhold = 10) {
+export function tryDecodeText(str, fromEnc = defaultEncodingsFrom(), toEnc = defaultEncodingsTo(), threhold = 10) {
     try {
         if (typeof str !== 'string') {
             return [[String(str), false, 0, "[非字符串输入]"]]
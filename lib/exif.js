@@ -14,6 +14,8 @@ import exiftool from "exiftool-vendored"
 import os, { cpus } from "os"
 import pMap from "p-map"
 import path from "path"
+import * as catalog from "./catalog.js"
+import { CatalogFields } from "./catalog.js"
 import * as log from "./debug.js"
 import * as mf from "./file.js"
 import * as helper from "./helper.js"
@@ -108,6 +110,65 @@ async function readSingleExif(filename) {
     }
 }
 
+/**
+ * 读取单个文件的EXIF日期和型号，优先使用索引
+ * 返回格式与索引中的 exif 字段相同 {date, tag, ms, model}，date 为ISO字符串或 null
+ *
+ * @param {string} filename - 文件路径
+ * @param {fs.Stats} [stats] - 文件状态，未提供时读取
+ * @returns {Promise<Object|null>} EXIF信息，读取失败时返回 null
+ */
+async function readExifInfo(filename, stats) {
+    return await catalog.cached(
+        filename,
+        CatalogFields.EXIF,
+        async () => {
+            const tags = await readSingleExif(filename)
+            return tags ? toCatalogExif(tags) : null
+        },
+        stats,
+    )
+}
+
+/**
+ * 批量读取多个文件的EXIF信息，已索引的文件直接使用索引，其它文件读取后写入索引
+ *
+ * @param {Array<Object>} files - 文件列表，包含 path 和 stats
+ * @returns {Promise<Map<string, Object>>} 文件路径 => EXIF信息，格式见 readExifInfo
+ */
+async function readExifInfos(files) {
+    const results = new Map()
+    const missing = []
+    for (const f of files) {
+        const exif = (await catalog.lookup(f.path, f.stats))?.[CatalogFields.EXIF]
+        exif ? results.set(f.path, exif) : missing.push(f)
+    }
+    for (const f of await readAllTags(missing)) {
+        const exif = toCatalogExif(f.tags)
+        await catalog.update(f.path, { [CatalogFields.EXIF]: exif }, f.stats)
+        results.set(f.path, exif)
+    }
+    return results
+}
+
+function extractModel(tags) {
+    return tags && (tags.Model || tags.Make || tags.MajorBrand || tags.HandlerVendorID)
+}
+
+// 转为索引中保存的格式，GPS为 [纬度, 经度]
+function toCatalogExif(tags, date = extractExifDate({ tags })) {
+    const lat = Number(tags?.GPSLatitude)
+    const lon = Number(tags?.GPSLongitude)
+    return {
+        date: date ? date[1].toDate().toISOString() : null,
+        tag: date?.[0],
+        ms: date?.[1].millisecond || 0,
+        model: extractModel(tags),
+        orientation: tags?.Orientation,
+        gps: Number.isFinite(lat) && Number.isFinite(lon) ? [lat, lon] : undefined,
+    }
+}
+
 async function showExifDate(filename) {
     log.show((await readSingleExif(filename)) || `No exif tags found for ${filename}`)
 }
@@ -120,11 +181,12 @@ async function readAllTags(files) {
     // }
     const t = files.length
     let startMs = Date.now()
+    const needBar = !log.isVerbose() && !log.isSilent()
     const bar1 = new cliProgress.SingleBar({ etaBuffer: 30 }, cliProgress.Presets.shades_classic)
-    log.isVerbose() || bar1.start(t, 0)
+    needBar && bar1.start(t, 0)
     const readExifOne = async (f, i) => {
         const filename = f.path
-        log.isVerbose() || bar1.increment()
+        needBar && bar1.increment()
 
         // 检查缓存中是否已有该文件的 EXIF 数据
         const cacheKey = getCacheKey(f)
@@ -271,11 +333,19 @@ async function parseFiles(files, options) {
     }
     // extract date from exif data
     let startMs = Date.now()
-    files = await readAllTags(files)
+    const inputs = files
+    const [indexed, missing] = await splitByCatalog(files)
+    files = await readAllTags(missing)
     files = await Promise.all(
         files.map(async (f) => {
             const date = extractExifDate(f)
             log.debug(`parseFiles`, ` ${f.path} ${date}`)
+            const model = extractModel(f.tags)
+            await catalog.update(
+                f.path,
+                { [CatalogFields.EXIF]: toCatalogExif(f.tags, date) },
+                f.stats,
+            )
             return (
                 date && {
                     path: f.path,
@@ -283,19 +353,50 @@ async function parseFiles(files, options) {
                     size: f.size,
                     date: date[1].toDate(),
                     rawDate: date,
-                    model:
-                        f.tags &&
-                        (f.tags.Model ||
-                            f.tags.Make ||
-                            f.tags.MajorBrand ||
-                            f.tags.HandlerVendorID),
+                    model,
                     // rawExif: exif,
                 }
             )
         }),
     )
     log.info(`parseFiles ${files.length} in ${helper.humanTime(startMs)}`)
-    return files.filter(Boolean)
+    // 保持输入顺序，重名时的序号分配依赖顺序
+    const results = new Map([...indexed, ...files].filter(Boolean).map((f) => [f.path, f]))
+    return inputs.map((f) => results.get(f.path)).filter(Boolean)
+}
+
+/**
+ * 按索引中是否已有EXIF信息拆分文件列表
+ * 已索引的文件直接转为 parseFiles 的结果，没有日期的为 null
+ *
+ * @param {Array} files - 文件列表
+ * @returns {Promise<[Array, Array]>} [已索引的结果, 需要读取EXIF的文件]
+ */
+async function splitByCatalog(files) {
+    if (!catalog.isEnabled()) {
+        return [[], files]
+    }
+    const indexed = []
+    const missing = []
+    for (const f of files) {
+        const exif = (await catalog.lookup(f.path, f.stats))?.[CatalogFields.EXIF]
+        if (!exif) {
+            missing.push(f)
+            continue
+        }
+        indexed.push(
+            exif.date && {
+                path: f.path,
+                root: f.root,
+                size: f.size,
+                date: new Date(exif.date),
+                ms: exif.ms,
+                model: exif.model,
+            },
+        )
+    }
+    log.info(`parseFiles ${indexed.length} files found in catalog`)
+    return [indexed, missing]
 }
 
 // new name by exif date time
@@ -306,7 +407,7 @@ function createNameByDate(file) {
     const prefix = getFilePrefix(file.path, file.namePrefix || "")
     const suffix = file.nameSuffix || ""
     const ext = helper.pathExt(file.path)
-    const ms = file.rawDate?.[1].millisecond || 0
+    const ms = file.rawDate?.[1].millisecond || file.ms || 0
     // 使用自定义模板，默认为 YYYYMMDD_HHmmss
     const template = file.nameTemplate || "YYYYMMDD_HHmmss"
     // https://dayjs.gitee.io/docs/zh-CN/display/format
@@ -404,6 +505,8 @@ export {
     listMedia,
     parseFiles,
     readAllTags,
+    readExifInfo,
+    readExifInfos,
     readSingleExif,
     showExifDate,
 }
@@ -64,6 +64,7 @@ class FFmpegPreset {
             speed = 1,
             framerate = 0,
             smartBitrate,
+            skipPolicy = null,
         } = {},
     ) {
         this.name = name
@@ -95,6 +96,8 @@ class FFmpegPreset {
         this.framerate = framerate
         // 智能计算码率
         this.smartBitrate = smartBitrate
+        // 跳过规则，见 lib/skip_policy.js
+        this.skipPolicy = skipPolicy
         // 元数据参数
         // 用户从命令行设定的参数
         // 优先级最高
@@ -169,6 +172,16 @@ const VCODEC_NVENC_HEVC =
 // https://github.com/intel/media-delivery/blob/master/doc/quality.rst
 // working: ffmpeg -c:v hevc_qsv -i input.mp4 -c:v hevc_qsv -global_quality 26 -preset medium output.mp4
 const VCODEC_QSV_HEVC = "-c:v hevc_qsv -look_ahead 1"
+// 软件编码器，没有显卡时使用，CRF和NVENC的CQ取值范围接近
+// -maxrate/-bufsize 限制最大码率，与硬件预设的码率上限一致
+const VCODEC_X264 = "-c:v libx264 -preset medium"
+// -tag:v hvc1 苹果设备需要
+const VCODEC_X265 = "-c:v libx265 -preset medium -tag:v hvc1"
+// SVT-AV1 的 CRF 范围是 0-63，同等画质取值比 x265 大
+const VCODEC_SVTAV1 = "-c:v libsvtav1 -preset 8"
+// CPU 缩放，宽高取偶数，软件编码器不支持奇数尺寸
+const FILTER_SCALE_CPU =
+    "scale=w={dimension}:h={dimension}:force_original_aspect_ratio=decrease:force_divisible_by=2:flags=lanczos"
 
 // AVC H264基础参数
 const H264_BASE = new FFmpegPreset("h264-base", {
@@ -420,6 +433,186 @@ const PRESET_HEVC_SPEED = FFmpegPreset.fromPreset(HEVC_BASE).update({
         "[0:v]setpts=PTS/{speed},scale_cuda='if(gte(iw,ih),min({dimension},iw),-2)':'if(lt(iw,ih),min({dimension},ih),-2)':interp_algo=lanczos,fps={framerate}[v];[0:a]atempo={speed}[a]",
 })
 
+// 软件编码基础参数，与硬件预设的格式相同
+// 音频使用 ffmpeg 内置的 aac 编码器，常见的 ffmpeg 发行版都没有编译 libfdk_aac
+const SOFTWARE_BASE = {
+    format: ".mp4",
+    type: "video",
+    smartBitrate: true,
+    prefix: PREFIX_MEDIAC,
+    suffix: "_{preset}",
+    dimension: 3840,
+    speed: 0,
+    framerate: 0,
+    audioArgs: "-c:a aac -b:a {audioBitrateK}",
+    inputArgs: "",
+    streamArgs: "-map_metadata 0 -map_metadata:s:v 0:s:v",
+    outputArgs: "-movflags +faststart -movflags use_metadata_tags",
+    filters: FILTER_SCALE_CPU,
+    complexFilter: "",
+}
+
+// AVC H264 软件编码基础参数
+const X264_BASE = new FFmpegPreset("x264-base", {
+    ...SOFTWARE_BASE,
+    intro: "h264|libx264|aac",
+    description: "X264_BASE",
+    videoArgs:
+        VCODEC_X264 + " -crf {videoQuality} -bufsize {videoBitrateK} -maxrate {videoBitrateK}",
+})
+
+// HEVC H265 软件编码基础参数
+const X265_BASE = new FFmpegPreset("x265-base", {
+    ...SOFTWARE_BASE,
+    intro: "hevc|libx265|aac",
+    description: "X265_BASE",
+    videoArgs:
+        VCODEC_X265 + " -crf {videoQuality} -bufsize {videoBitrateK} -maxrate {videoBitrateK}",
+})
+
+// AV1 软件编码基础参数
+const SVTAV1_BASE = new FFmpegPreset("svtav1-base", {
+    ...SOFTWARE_BASE,
+    intro: "av1|libsvtav1|aac",
+    description: "SVTAV1_BASE",
+    videoArgs: VCODEC_SVTAV1 + " -crf {videoQuality} -maxrate {videoBitrateK}",
+})
+
+// AVC H264 软件编码，质量等级与 h264_* 相同，另有4K等级
+const PRESET_X264_4K = FFmpegPreset.fromPreset(X264_BASE).update({
+    name: "x264_4k",
+    videoQuality: 22,
+    videoBitrate: BIT_RATE_16M,
+    audioBitrate: BIT_RATE_256K,
+    dimension: 3840,
+})
+
+const PRESET_X264_2K_HIGH = FFmpegPreset.fromPreset(X264_BASE).update({
+    name: "x264_2kh",
+    videoQuality: 22,
+    videoBitrate: BIT_RATE_6000K,
+    audioBitrate: BIT_RATE_256K,
+    dimension: 1920,
+})
+
+const PRESET_X264_2K = FFmpegPreset.fromPreset(X264_BASE).update({
+    name: "x264_2k",
+    videoQuality: 24,
+    videoBitrate: BIT_RATE_4000K,
+    audioBitrate: BIT_RATE_192K,
+    dimension: 1920,
+})
+
+const PRESET_X264_2K_MEDIUM = FFmpegPreset.fromPreset(X264_BASE).update({
+    name: "x264_2km",
+    videoQuality: 26,
+    videoBitrate: BIT_RATE_2000K,
+    audioBitrate: BIT_RATE_128K,
+    dimension: 1920,
+})
+
+const PRESET_X264_2K_LOW = FFmpegPreset.fromPreset(X264_BASE).update({
+    name: "x264_2kl",
+    videoQuality: 26,
+    videoBitrate: BIT_RATE_1600K,
+    audioBitrate: BIT_RATE_96K,
+    dimension: 1920,
+})
+
+// HEVC H265 软件编码，质量等级与同名的 hevc_* 相同
+const PRESET_X265_4K = FFmpegPreset.fromPreset(X265_BASE).update({
+    name: "x265_4k",
+    videoQuality: 22,
+    videoBitrate: BIT_RATE_10M,
+    audioBitrate: BIT_RATE_256K,
+    dimension: 3840,
+})
+
+const PRESET_X265_2K_HIGH = FFmpegPreset.fromPreset(X265_BASE).update({
+    name: "x265_2kh",
+    videoQuality: 22,
+    videoBitrate: BIT_RATE_6000K,
+    audioBitrate: BIT_RATE_256K,
+    dimension: 1920,
+})
+
+const PRESET_X265_2K = FFmpegPreset.fromPreset(X265_BASE).update({
+    name: "x265_2k",
+    videoQuality: 24,
+    videoBitrate: BIT_RATE_4000K,
+    audioBitrate: BIT_RATE_192K,
+    dimension: 1920,
+})
+
+const PRESET_X265_2K_MEDIUM = FFmpegPreset.fromPreset(X265_BASE).update({
+    name: "x265_2km",
+    videoQuality: 26,
+    videoBitrate: BIT_RATE_2000K,
+    audioBitrate: BIT_RATE_128K,
+    dimension: 1920,
+})
+
+const PRESET_X265_2K_LOW = FFmpegPreset.fromPreset(X265_BASE).update({
+    name: "x265_2kl",
+    videoQuality: 26,
+    videoBitrate: BIT_RATE_1600K,
+    audioBitrate: BIT_RATE_96K,
+    dimension: 1920,
+})
+
+// AV1 软件编码，压缩率更高，码率上限比 HEVC 低
+const PRESET_SVTAV1_4K = FFmpegPreset.fromPreset(SVTAV1_BASE).update({
+    name: "svtav1_4k",
+    videoQuality: 30,
+    videoBitrate: BIT_RATE_8M,
+    audioBitrate: BIT_RATE_256K,
+    dimension: 3840,
+})
+
+const PRESET_SVTAV1_2K_HIGH = FFmpegPreset.fromPreset(SVTAV1_BASE).update({
+    name: "svtav1_2kh",
+    videoQuality: 30,
+    videoBitrate: BIT_RATE_4000K,
+    audioBitrate: BIT_RATE_256K,
+    dimension: 1920,
+})
+
+const PRESET_SVTAV1_2K = FFmpegPreset.fromPreset(SVTAV1_BASE).update({
+    name: "svtav1_2k",
+    videoQuality: 32,
+    videoBitrate: BIT_RATE_2000K,
+    audioBitrate: BIT_RATE_192K,
+    dimension: 1920,
+})
+
+const PRESET_SVTAV1_2K_MEDIUM = FFmpegPreset.fromPreset(SVTAV1_BASE).update({
+    name: "svtav1_2km",
+    videoQuality: 35,
+    videoBitrate: BIT_RATE_1600K,
+    audioBitrate: BIT_RATE_128K,
+    dimension: 1920,
+})
+
+const PRESET_SVTAV1_2K_LOW = FFmpegPreset.fromPreset(SVTAV1_BASE).update({
+    name: "svtav1_2kl",
+    videoQuality: 37,
+    videoBitrate: BIT_RATE_1200K,
+    audioBitrate: BIT_RATE_96K,
+    dimension: 1920,
+})
+
+// 硬件编码器 => 同等的软件编码基础参数，硬件不可用时替换
+const SOFTWARE_FALLBACKS = {
+    h264_nvenc: X264_BASE,
+    hevc_nvenc: X265_BASE,
+    hevc_qsv: X265_BASE,
+}
+
+// 音频编码器 => ffmpeg 内置的同等编码器，没有编译时替换
+const AUDIO_FALLBACKS = {
+    libfdk_aac: "aac",
+}
+
 // 音频AAC CBR基础参数
 const AAC_CBR_BASE = new FFmpegPreset("aac_cbr_base", {
     format: ".m4a",
@@ -545,6 +738,131 @@ function isAudioExtract(preset) {
     return preset.name === PRESET_AUDIO_EXTRACT.name
 }
 
+/**
+ * 获取预设使用的视频编码器
+ *
+ * @param {FFmpegPreset} preset - FFmpeg预设对象
+ * @returns {string|undefined} 编码器名称，如 hevc_nvenc，复制视频流或没有视频参数时为空
+ */
+function getVideoEncoder(preset) {
+    const encoder = preset.videoArgs?.match(/-c:v\s+(\S+)/)?.[1]
+    return encoder === "copy" ? undefined : encoder
+}
+
+/**
+ * 获取预设使用的音频编码器
+ *
+ * @param {FFmpegPreset} preset - FFmpeg预设对象
+ * @returns {string|undefined} 编码器名称，如 libfdk_aac，复制音频流或没有音频参数时为空
+ */
+function getAudioEncoder(preset) {
+    const encoder = preset.audioArgs?.match(/-c:a\s+(\S+)/)?.[1]
+    return encoder === "copy" ? undefined : encoder
+}
+
+/**
+ * 获取音频编码器对应的 ffmpeg 内置编码器
+ *
+ * @param {string} encoder - 编码器名称，如 libfdk_aac
+ * @returns {string|undefined} 内置编码器名称，没有对应的编码器时为空
+ */
+function getAudioFallback(encoder) {
+    return AUDIO_FALLBACKS[encoder || ""]
+}
+
+/**
+ * 检查编码器是否需要硬件（NVENC/QSV），这些编码器有对应的软件编码器
+ *
+ * @param {string} encoder - 编码器名称
+ * @returns {boolean} 如果是硬件编码器返回true
+ */
+function isHardwareEncoder(encoder) {
+    return Object.hasOwn(SOFTWARE_FALLBACKS, encoder || "")
+}
+
+/**
+ * 检查预设是否使用CUDA，NVENC编码或CUDA滤镜时才需要CUDA解码和上传
+ *
+ * @param {FFmpegPreset} preset - FFmpeg预设对象
+ * @returns {boolean} 如果使用CUDA返回true
+ */
+function isCudaPreset(preset) {
+    return (
+        /_nvenc\b/.test(preset.videoArgs || "") ||
+        /_cuda\b/.test(`${preset.filters || ""} ${preset.complexFilter || ""}`)
+    )
+}
+
+/**
+ * 把硬件编码预设转换为同等的软件编码预设
+ * 保留名称、质量、码率和尺寸等参数，替换视频编码参数和滤镜，缩放改为CPU缩放
+ *
+ * @param {FFmpegPreset} preset - 使用NVENC/QSV编码器的预设
+ * @returns {FFmpegPreset|undefined} 新的预设对象，编码器没有对应的软件编码器时为空
+ */
+function toSoftwarePreset(preset) {
+    const base = SOFTWARE_FALLBACKS[getVideoEncoder(preset)]
+    if (!base) {
+        return undefined
+    }
+    const result = FFmpegPreset.fromPreset(preset).update({
+        videoArgs: base.videoArgs,
+        userArgs: { ...preset.userArgs },
+    })
+    if (result.filters?.length > 0) {
+        result.filters = base.filters
+    }
+    if (result.complexFilter?.length > 0) {
+        result.complexFilter = result.complexFilter
+            .replace(/\b(?:hwupload_cuda|format=cuda),?/g, "")
+            .replace(/\bscale_(?:cuda|qsv)=/g, "scale=")
+            .replace(/\binterp_algo=/g, "flags=")
+    }
+    return result
+}
+
+/**
+ * 把音频编码器替换为 ffmpeg 内置的同等编码器，libfdk_aac 改为 aac
+ * 内置 aac 编码器不支持 HE-AAC 和 -vbr 等级，去掉这些参数，
+ * 有 -b:a 时使用码率，没有时使用编码器的默认码率
+ *
+ * @param {FFmpegPreset} preset - 使用 libfdk_aac 的预设
+ * @returns {FFmpegPreset|undefined} 新的预设对象，编码器没有对应的内置编码器时为空
+ */
+function toNativeAudioPreset(preset) {
+    const encoder = getAudioEncoder(preset)
+    const fallback = getAudioFallback(encoder)
+    if (!fallback) {
+        return undefined
+    }
+    const audioArgs = preset.audioArgs
+        .replace(/-c:a\s+\S+/, `-c:a ${fallback}`)
+        .replace(/\s+-profile:a\s+\S+/, "")
+        .replace(/\s+-vbr\s+\S+/, "")
+    return FFmpegPreset.fromPreset(preset).update({
+        audioArgs,
+        userArgs: { ...preset.userArgs },
+    })
+}
+
+/**
+ * 解析 ffmpeg -encoders 的输出
+ *
+ * @param {string} text - ffmpeg -hide_banner -encoders 的输出
+ * @returns {Set<string>} 编码器名称集合
+ */
+function parseEncoders(text) {
+    const encoders = new Set()
+    for (const line of (text || "").split(/\r?\n/)) {
+        // 格式: " V....D libx264   libx264 H.264 / AVC ..."，说明行的名称是 =
+        const m = line.match(/^\s*[VAS][A-Z.]{5}\s+([\w-]+)\s/)
+        if (m) {
+            encoders.add(m[1])
+        }
+    }
+    return encoders
+}
+
 /**
  * 初始化所有预设
  * 将预设添加到MAP和名称列表中
@@ -578,6 +896,36 @@ function initPresets() {
         PRESET_HEVC_LOWEST: PRESET_HEVC_2K_LOWEST,
         // 极速模式，适用于视频教程
         PRESET_HEVC_SPEED: PRESET_HEVC_SPEED,
+        // x264 4K高码率和质量
+        PRESET_X264_4K: PRESET_X264_4K,
+        // x264 2K高码率和质量
+        PRESET_X264_2K_HIGH: PRESET_X264_2K_HIGH,
+        // x264 2K默认码率和质量
+        PRESET_X264_2K: PRESET_X264_2K,
+        // x264 2K中码率和质量
+        PRESET_X264_2K_MEDIUM: PRESET_X264_2K_MEDIUM,
+        // x264 2K低码率和质量
+        PRESET_X264_2K_LOW: PRESET_X264_2K_LOW,
+        // x265 4K高码率和质量
+        PRESET_X265_4K: PRESET_X265_4K,
+        // x265 2K高码率和质量
+        PRESET_X265_2K_HIGH: PRESET_X265_2K_HIGH,
+        // x265 2K默认码率和质量
+        PRESET_X265_2K: PRESET_X265_2K,
+        // x265 2K中码率和质量
+        PRESET_X265_2K_MEDIUM: PRESET_X265_2K_MEDIUM,
+        // x265 2K低码率和质量
+        PRESET_X265_2K_LOW: PRESET_X265_2K_LOW,
+        // svtav1 4K高码率和质量
+        PRESET_SVTAV1_4K: PRESET_SVTAV1_4K,
+        // svtav1 2K高码率和质量
+        PRESET_SVTAV1_2K_HIGH: PRESET_SVTAV1_2K_HIGH,
+        // svtav1 2K默认码率和质量
+        PRESET_SVTAV1_2K: PRESET_SVTAV1_2K,
+        // svtav1 2K中码率和质量
+        PRESET_SVTAV1_2K_MEDIUM: PRESET_SVTAV1_2K_MEDIUM,
+        // svtav1 2K低码率和质量
+        PRESET_SVTAV1_2K_LOW: PRESET_SVTAV1_2K_LOW,
         // 提取视频中的音频，复制或转换为AAC格式
         PRESET_AUDIO_EXTRACT: PRESET_AUDIO_EXTRACT,
         //音频AAC最高码率
@@ -843,6 +1191,14 @@ export default {
     getAllPresets,
     getAllNames,
     isAudioExtract,
+    getVideoEncoder,
+    getAudioEncoder,
+    getAudioFallback,
+    isHardwareEncoder,
+    isCudaPreset,
+    toSoftwarePreset,
+    toNativeAudioPreset,
+    parseEncoders,
     initPresetsAsync,
     getPresetPaths,
     applyFfargs,
@@ -0,0 +1,307 @@
+/*
+ * File: ffmpeg_script.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * FFmpeg Script - ffmpeg 命令的 --export-script 导出
+ * 把准备好的转码任务写成独立的 sh/ps1/bat 脚本，不需要 Node 也能运行
+ * 每个任务先写入临时文件，成功后再重命名为目标文件，可选删除源文件
+ */
+
+import fs from "fs-extra"
+import path from "path"
+import { ErrorTypes, createError } from "./errors.js"
+
+// 脚本格式
+export const ScriptFormat = Object.freeze({
+    // POSIX shell，Linux 和 macOS
+    SH: "sh",
+    // PowerShell
+    PS1: "ps1",
+    // Windows 批处理
+    BAT: "bat",
+})
+
+// 扩展名 => 脚本格式
+const SCRIPT_EXTENSIONS = {
+    ".sh": ScriptFormat.SH,
+    ".ps1": ScriptFormat.PS1,
+    ".bat": ScriptFormat.BAT,
+    ".cmd": ScriptFormat.BAT,
+}
+
+/**
+ * 根据文件扩展名确定脚本格式
+ * @param {string} file - 脚本文件路径
+ * @returns {string} 脚本格式，见 ScriptFormat
+ * @throws {MediaCliError} INVALID_ARGUMENT 不支持的扩展名
+ */
+export function getScriptFormat(file) {
+    const format = SCRIPT_EXTENSIONS[path.extname(file).toLowerCase()]
+    if (!format) {
+        throw createError(
+            ErrorTypes.INVALID_ARGUMENT,
+            `script must end with ${Object.keys(SCRIPT_EXTENSIONS).join(", ")}: ${file}`,
+        )
+    }
+    return format
+}
+
+/**
+ * 拆分命令行为参数列表，去掉双引号
+ * lib/commands/ffmpeg.js 生成的参数是给 shell 用的，路径和元数据带双引号，带空格的值可能被拆成几段
+ * @param {string} text - 命令行
+ * @returns {string[]} 参数列表
+ */
+export function splitCommandLine(text) {
+    const args = []
+    let current = ""
+    let quoted = false
+    let hasArg = false
+    for (const ch of text) {
+        if (ch === '"') {
+            quoted = !quoted
+            hasArg = true
+        } else if (!quoted && /\s/.test(ch)) {
+            if (hasArg) {
+                args.push(current)
+                current = ""
+                hasArg = false
+            }
+        } else {
+            current += ch
+            hasArg = true
+        }
+    }
+    if (hasArg) {
+        args.push(current)
+    }
+    return args
+}
+
+/**
+ * 脚本中不需要机器可读的进度输出，改为显示 ffmpeg 自己的进度
+ * @param {string[]} args - ffmpeg 参数
+ * @returns {string[]} 新的参数列表
+ */
+export function toScriptArgs(args) {
+    const result = []
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === "-progress") {
+            i++
+        } else {
+            result.push(args[i] === "-nostats" ? "-stats" : args[i])
+        }
+    }
+    return result
+}
+
+// 不需要引号的参数
+const SAFE_ARG_RE = {
+    [ScriptFormat.SH]: /^[\w@%+=:,./-]+$/,
+    [ScriptFormat.BAT]: /^[\w+:./\\-]+$/,
+}
+
+/**
+ * 按脚本格式给参数加引号
+ * sh 用单引号，ps1 总是用单引号，bat 用双引号，% 要写成 %%
+ * 参数中的双引号已被去掉，见 splitCommandLine
+ * @param {string} arg - 参数
+ * @param {string} format - 脚本格式，见 ScriptFormat
+ * @returns {string} 加引号后的参数
+ */
+export function quoteArg(arg, format) {
+    switch (format) {
+        case ScriptFormat.SH:
+            return SAFE_ARG_RE[format].test(arg) ? arg : `'${arg.replaceAll("'", "'\\''")}'`
+        case ScriptFormat.PS1:
+            return `'${arg.replaceAll("'", "''")}'`
+        case ScriptFormat.BAT: {
+            const escaped = arg.replaceAll("%", "%%")
+            return SAFE_ARG_RE[format].test(arg) ? escaped : `"${escaped}"`
+        }
+    }
+}
+
+const SH_HEADER = `#!/bin/sh
+# {{title}}
+# 转码失败时删除临时文件，已存在的目标文件不会被覆盖
+# 只在本脚本转码成功后删除源文件，目标文件已存在时不删除
+
+DELETE_SOURCE={{deleteSource}}
+ok=0
+failed=0
+
+run_job() {
+    src=$1
+    dst=$2
+    tmp=$3
+    shift 3
+    if [ -e "$dst" ]; then
+        echo "Exists: $dst"
+        return 0
+    fi
+    echo "Converting: $src"
+    mkdir -p -- "$(dirname -- "$dst")"
+    rm -f -- "$tmp"
+    if ffmpeg "$@" </dev/null && [ -s "$tmp" ]; then
+        mv -f -- "$tmp" "$dst"
+        [ "$DELETE_SOURCE" = 1 ] && rm -f -- "$src"
+        ok=$((ok + 1))
+    else
+        rm -f -- "$tmp"
+        echo "Failed: $src" >&2
+        failed=$((failed + 1))
+    fi
+}
+`
+
+const SH_FOOTER = `
+echo "Done: $ok, Failed: $failed"
+[ "$failed" = 0 ]
+`
+
+const PS1_HEADER = `# {{title}}
+# 转码失败时删除临时文件，已存在的目标文件不会被覆盖
+# 只在本脚本转码成功后删除源文件，目标文件已存在时不删除
+
+$DeleteSource = {{deleteSource}}
+$ok = 0
+$failed = 0
+
+function Invoke-Job([string]$Src, [string]$Dst, [string]$Tmp, [string[]]$FFArgs) {
+    if (Test-Path -LiteralPath $Dst) {
+        Write-Host "Exists: $Dst"
+        return
+    }
+    Write-Host "Converting: $Src"
+    New-Item -ItemType Directory -Force -Path (Split-Path -Parent $Dst) | Out-Null
+    Remove-Item -LiteralPath $Tmp -Force -ErrorAction SilentlyContinue
+    & ffmpeg @FFArgs
+    if ($LASTEXITCODE -eq 0 -and (Test-Path -LiteralPath $Tmp) -and (Get-Item -LiteralPath $Tmp).Length -gt 0) {
+        Move-Item -LiteralPath $Tmp -Destination $Dst -Force
+        if ($DeleteSource) { Remove-Item -LiteralPath $Src -Force }
+        $script:ok++
+    } else {
+        Remove-Item -LiteralPath $Tmp -Force -ErrorAction SilentlyContinue
+        Write-Warning "Failed: $Src"
+        $script:failed++
+    }
+}
+`
+
+const PS1_FOOTER = `
+Write-Host "Done: $ok, Failed: $failed"
+if ($failed -gt 0) { exit 1 }
+`
+
+const BAT_HEADER = `@echo off
+rem {{title}}
+rem 转码失败时删除临时文件，已存在的目标文件不会被覆盖
+rem 只在本脚本转码成功后删除源文件，目标文件已存在时不删除
+chcp 65001 >nul
+setlocal
+set OK=0
+set FAILED=0
+`
+
+const BAT_FOOTER = `
+echo Done: %OK%, Failed: %FAILED%
+if not %FAILED%==0 exit /b 1
+`
+
+/**
+ * 生成一个任务的脚本
+ * @param {Object} job - 任务 {src, dst, tmp, args}
+ * @param {number} index - 任务序号，bat 的标签使用
+ * @param {string} format - 脚本格式
+ * @param {boolean} deleteSource - 成功后是否删除源文件
+ * @returns {string} 脚本片段
+ */
+function createJobScript(job, index, format, deleteSource) {
+    const q = (arg) => quoteArg(arg, format)
+    const args = job.args.map(q)
+    switch (format) {
+        case ScriptFormat.SH:
+            return `run_job ${[job.src, job.dst, job.tmp].map(q).join(" ")} ${args.join(" ")}`
+        case ScriptFormat.PS1:
+            return `Invoke-Job ${[job.src, job.dst, job.tmp].map(q).join(" ")} @(${args.join(", ")})`
+        case ScriptFormat.BAT: {
+            const [src, dst, tmp] = [job.src, job.dst, job.tmp].map(
+                (p) => `"${p.replaceAll("%", "%%")}"`,
+            )
+            const dir = `"${path.dirname(job.dst).replaceAll("%", "%%")}\\"`
+            const del = deleteSource ? [`del /f /q ${src}`] : []
+            return [
+                `if exist ${dst} (`,
+                `    echo Exists: ${dst}`,
+                `    goto job${index}_next`,
+                `)`,
+                `echo Converting: ${src}`,
+                `if not exist ${dir} mkdir ${dir}`,
+                `if exist ${tmp} del /f /q ${tmp}`,
+                `ffmpeg ${args.join(" ")}`,
+                `if errorlevel 1 goto job${index}_failed`,
+                `if not exist ${tmp} goto job${index}_failed`,
+                `move /y ${tmp} ${dst} >nul`,
+                ...del,
+                `set /a OK+=1`,
+                `goto job${index}_next`,
+                `:job${index}_failed`,
+                `if exist ${tmp} del /f /q ${tmp}`,
+                `echo Failed: ${src}`,
+                `set /a FAILED+=1`,
+                `:job${index}_next`,
+            ].join("\n")
+        }
+    }
+}
+
+/**
+ * 生成转码脚本
+ * @param {string} format - 脚本格式，见 ScriptFormat
+ * @param {Array<Object>} jobs - 任务列表 {src, dst, tmp, args}，args 为不含 ffmpeg 的参数列表
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.deleteSource] - 本脚本转码成功后删除源文件
+ * @param {string} [options.title] - 脚本开头的注释
+ * @returns {string} 脚本内容，bat 和 ps1 使用 CRLF 换行
+ */
+export function createScript(format, jobs, { deleteSource = false, title = "mediac ffmpeg" } = {}) {
+    const values = {
+        [ScriptFormat.SH]: deleteSource ? "1" : "0",
+        [ScriptFormat.PS1]: deleteSource ? "$true" : "$false",
+        [ScriptFormat.BAT]: "",
+    }
+    const [header, footer] = {
+        [ScriptFormat.SH]: [SH_HEADER, SH_FOOTER],
+        [ScriptFormat.PS1]: [PS1_HEADER, PS1_FOOTER],
+        [ScriptFormat.BAT]: [BAT_HEADER, BAT_FOOTER],
+    }[format]
+    const body = jobs.map((job, i) => createJobScript(job, i + 1, format, deleteSource))
+    const text = [
+        header
+            .replace("{{title}}", () => title.replaceAll("\n", " "))
+            .replace("{{deleteSource}}", () => values[format]),
+        ...body,
+        footer,
+    ].join("\n")
+    return format === ScriptFormat.SH ? text : text.replaceAll("\n", "\r\n")
+}
+
+/**
+ * 写入转码脚本，sh 添加执行权限，ps1 带 BOM 以便 Windows PowerShell 识别 UTF-8
+ * @param {string} file - 脚本文件路径，扩展名决定格式
+ * @param {Array<Object>} jobs - 任务列表，见 createScript
+ * @param {Object} [options] - 选项，见 createScript
+ * @returns {Promise<string>} 脚本格式
+ */
+export async function writeScript(file, jobs, options = {}) {
+    const format = getScriptFormat(file)
+    const text = createScript(format, jobs, options)
+    await fs.outputFile(file, format === ScriptFormat.PS1 ? `\uFEFF${text}` : text, "utf8")
+    if (format === ScriptFormat.SH) {
+        await fs.chmod(file, 0o755)
+    }
+    return format
+}
@@ -56,6 +56,44 @@ async function walkUseFdir(root, withDirs = false, withFiles = false, maxDepth =
 
 let walkLastUpdatedAt = 0 // 全局变量，用于跟踪上次进度条更新的时间，避免过于频繁的更新
 
+// 遍历范围，设置后 walk 只返回范围内的条目，工作流步骤用它处理上一步的输出文件
+let walkScope = null
+
+/**
+ * 设置遍历范围，传入 null 取消
+ * 范围内的路径本身、其下的所有条目，以及这些路径的上级目录会被保留
+ *
+ * @param {Array<string>|null} paths - 文件或目录路径列表
+ */
+export function setWalkScope(paths) {
+    if (!paths) {
+        walkScope = null
+        return
+    }
+    const targets = new Set(paths.map((p) => path.resolve(p)))
+    const ancestors = new Set()
+    for (const p of targets) {
+        let dir = path.dirname(p)
+        while (!ancestors.has(dir)) {
+            ancestors.add(dir)
+            const parent = path.dirname(dir)
+            if (parent === dir) break
+            dir = parent
+        }
+    }
+    walkScope = { targets, ancestors }
+}
+
+// 条目是否在遍历范围内
+function inWalkScope(entry) {
+    const p = path.resolve(entry.path)
+    for (let dir = p; ; dir = path.dirname(dir)) {
+        if (walkScope.targets.has(dir)) return true
+        if (path.dirname(dir) === dir) break
+    }
+    return entry.isDir && walkScope.ancestors.has(p)
+}
+
 /**
  * 异步遍历指定根目录下的文件和目录
  * 高性能的文件系统遍历函数，支持过滤、统计和进度显示
@@ -83,7 +121,7 @@ export async function walk(root, options = {}) {
     log.info(logTag, `Total ${files.length} entries found in ${humanTime(startMs)} `)
 
     // 根据文件数量和日志级别决定是否显示进度条
-    const needBar = files.length > 9999 && !log.isVerbose()
+    const needBar = files.length > 9999 && !log.isVerbose() && !log.isSilent()
     const bar1 = new cliProgress.SingleBar({ etaBuffer: 300 }, cliProgress.Presets.shades_classic)
     needBar && bar1.start(files.length, 0)
 
@@ -132,7 +170,9 @@ export async function walk(root, options = {}) {
 
     // 最后阶段：应用过滤器筛选条目
     startMs = Date.now()
-    files = files.filter((entry) => entry && entryFilter(entry))
+    files = files.filter(
+        (entry) => entry && (!walkScope || inWalkScope(entry)) && entryFilter(entry),
+    )
     log.info(logTag, `total ${files.length} files after filter in ${humanTime(initMs)}.`) // 总耗时
 
     return files
@@ -0,0 +1,106 @@
+/*
+ * File: file_lock.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * File Lock - 跨进程的锁文件，用于多个 mediac 进程同时读取、修改和写回同一个文件
+ * 锁文件独占创建并写入持有进程的 pid，持有进程退出后留下的锁文件会被删除
+ */
+
+import fs from "fs-extra"
+import path from "path"
+import { ErrorTypes, createError } from "./errors.js"
+
+// 获取锁的重试间隔，毫秒
+const LOCK_RETRY_MS = 50
+// 等待锁的最长时间，毫秒
+const LOCK_TIMEOUT_MS = 30 * 1000
+// 没有写入 pid 的锁文件超过这个时间视为残留，毫秒
+const LOCK_STALE_MS = 10 * 1000
+
+/**
+ * 检查进程是否存在
+ * @param {number} pid - 进程ID
+ * @returns {boolean}
+ */
+export function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0)
+        return true
+    } catch (error) {
+        // EPERM 表示进程存在但没有权限
+        return error.code === "EPERM"
+    }
+}
+
+/**
+ * 检查锁文件是否是退出的进程留下的
+ * @param {string} lock - 锁文件路径
+ * @returns {Promise<{stale: boolean, owner: string}>} owner 为锁文件的内容
+ */
+async function checkLock(lock) {
+    let owner
+    let stat
+    try {
+        owner = (await fs.readFile(lock, "utf8")).trim()
+        stat = await fs.stat(lock)
+    } catch (error) {
+        // 锁已释放
+        return { stale: false, owner: "" }
+    }
+    const pid = parseInt(owner, 10)
+    // 锁文件刚创建还没写入 pid 时，只按修改时间判断
+    const stale = pid > 0 ? !isProcessAlive(pid) : Date.now() - stat.mtimeMs > LOCK_STALE_MS
+    return { stale, owner }
+}
+
+/**
+ * 获取跨进程锁，独占创建锁文件并写入当前进程的 pid
+ * 持有锁的进程已经退出时删除锁文件，其它进程持有时等待
+ * @param {string} lock - 锁文件路径
+ * @returns {Promise<string>} 锁文件路径
+ * @throws {MediaCliError} PROCESSING_FAILED 等待超时
+ */
+export async function acquireLock(lock) {
+    await fs.ensureDir(path.dirname(lock))
+    const startMs = Date.now()
+    for (;;) {
+        try {
+            await fs.writeFile(lock, `${process.pid}`, { flag: "wx" })
+            return lock
+        } catch (error) {
+            if (error.code !== "EEXIST") {
+                throw error
+            }
+        }
+        const { stale, owner } = await checkLock(lock)
+        if (stale) {
+            // 删除前再确认一次内容，其它进程可能已经删除残留的锁并重新获取
+            const current = await fs.readFile(lock, "utf8").catch(() => null)
+            if (current?.trim() === owner) {
+                await fs.remove(lock)
+            }
+            continue
+        }
+        if (Date.now() - startMs > LOCK_TIMEOUT_MS) {
+            throw createError(ErrorTypes.PROCESSING_FAILED, `locked by process ${owner}: ${lock}`)
+        }
+        await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS))
+    }
+}
+
+/**
+ * 持有锁调用 fn，结束后删除锁文件
+ * @param {string} lock - 锁文件路径
+ * @param {Function} fn - 可以是异步函数
+ * @returns {Promise<*>} fn 的返回值
+ */
+export async function withLock(lock, fn) {
+    await acquireLock(lock)
+    try {
+        return await fn()
+    } finally {
+        await fs.remove(lock)
+    }
+}
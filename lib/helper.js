@@ -13,6 +13,9 @@ import fs from "fs-extra"
 import { xxHash32 } from "js-xxhash"
 import path from "path"
 import { fileURLToPath } from "url"
+import * as log from "./debug.js"
+import * as journal from "./journal.js"
+import * as trash from "./trash.js"
 const ARCHIVE_FORMATS = [".7z", ".zip", ".rar", ".001", ".gz", ".xz", ".zst"]
 
 const IMAGE_FORMATS = [
@@ -474,7 +477,7 @@ export function filenameSafe(name) {
  */
 export function getSafeDeletedDir(filepath) {
     const dtStr = dayjs().format("YYYYMMDD")
-    const dir = path.join(pathRoot(filepath), "Deleted_By_Mediac", dtStr)
+    const dir = path.join(pathRoot(filepath), trash.TRASH_DIR_NAME, dtStr)
     return path.resolve(dir)
 }
 
@@ -482,22 +485,35 @@ export function getSafeDeletedDir(filepath) {
  * 安全删除文件，转移到Deleted目录而不是永久删除
  * 保留原有目录结构，防止误删重要文件
  * 删除的文件会按日期分类存储在磁盘根目录的Deleted_By_Mediac文件夹中
+ * 原始路径记录在日期目录的清单中，供 trash 命令恢复
  *
  * @param {string} filepath - 要删除的文件路径
+ * @returns {Promise<string|undefined>} 文件转移后的路径，失败时记录错误并返回undefined
  */
 export async function safeRemove(filepath) {
     try {
-        let deletedDir = getSafeDeletedDir(filepath)
-        let parts = path.parse(filepath)
+        const dayDir = getSafeDeletedDir(filepath)
+        let parts = path.parse(path.resolve(filepath))
         let dirOriginal = path.relative(parts.root, parts.dir)
-        deletedDir = path.join(deletedDir, dirOriginal)
-        let deletedPath = path.join(deletedDir, path.basename(filepath))
+        let deletedDir = path.join(dayDir, dirOriginal)
+        let deletedPath = path.join(deletedDir, parts.base)
         if (await fs.pathExists(deletedPath)) {
-            deletedPath = path.join(deletedDir, "_", path.basename(filepath))
+            deletedPath = path.join(deletedDir, "_", parts.base)
         }
-        await fs.ensureDir(deletedDir)
+        if (await fs.pathExists(deletedPath)) {
+            deletedPath = path.join(deletedDir, "_", `${parts.name}_${Date.now()}${parts.ext}`)
+        }
+        await fs.ensureDir(path.dirname(deletedPath))
         await fs.move(filepath, deletedPath)
-    } catch (error) {}
+        journal.record(journal.JournalOps.REMOVE, filepath, deletedPath)
+        trash.recordTrash(dayDir, filepath, deletedPath, {
+            runId: journal.getCurrentRun()?.runId,
+        })
+        return deletedPath
+    } catch (error) {
+        log.error("SafeRemove", `${filepath} ${error.message}`)
+        log.fileLog(`Error: <${filepath}> ${error.message}`, "SafeRemove")
+    }
 }
 
 /**
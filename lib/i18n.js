@@ -157,6 +157,26 @@ const translations = {
         zh: "以真实模式执行系统操作，而非试运行",
         en: "execute os operations in real mode, not dry run",
     },
+    "option.common.yes": {
+        zh: "自动确认所有提示，--json 模式下需要此选项才能执行有确认提示的操作",
+        en: "Answer yes to all prompts, required by --json for commands that ask for confirmation",
+    },
+    "common.confirm.required": {
+        zh: "--json 模式下不显示确认提示，添加 --yes 继续: {{message}}",
+        en: "Prompts are not shown with --json, add --yes to continue: {{message}}",
+    },
+    "option.common.json": {
+        zh: "输出机器可读的JSON结果，运行结束时输出一个JSON文档",
+        en: "Output machine-readable JSON, one document when the command finishes",
+    },
+    "option.common.json.stream": {
+        zh: "输出机器可读的JSONL结果，每个条目输出一行事件",
+        en: "Output machine-readable JSONL, one event line per entry",
+    },
+    "option.common.catalog": {
+        zh: "使用本地媒体索引（由 index 命令创建），--no-catalog 禁用",
+        en: "Use the local media catalog created by index, --no-catalog to disable",
+    },
     "option.common.dryRun": {
         zh: "试运行模式，显示操作但不执行",
         en: "Dry run mode, show operations but do not execute",
@@ -165,6 +185,10 @@ const translations = {
         zh: "遍历目录时的最大深度",
         en: "max depth when walk directories and files",
     },
+    "option.common.save.plan": {
+        zh: "不执行，把将要进行的操作保存为计划文件，之后用 apply 命令执行",
+        en: "Save planned operations to a plan file instead of executing, run it later with apply",
+    },
 
     // ========== lrmove 命令 ==========
     "commands.lrmove.description": {
@@ -271,6 +295,10 @@ const translations = {
         zh: "禁用文件名过滤规则，强制处理所有文件",
         en: "Disable filename filtering rules, force compress all files",
     },
+    "compress.thumb.pattern": {
+        zh: "跳过路径匹配此正则的文件，如缩略图和已压缩文件",
+        en: "Skip files whose path matches this regex, such as thumbnails",
+    },
     "compress.override": { zh: "覆盖已存在的目标文件", en: "Override existing dst files" },
     "compress.suffix": { zh: "压缩文件的文件名后缀", en: "filename suffix for compressed files" },
 
@@ -393,6 +421,126 @@ const translations = {
         zh: "确定要处理这 {{count}} 个文件吗？[{{preset}}] (总时长 {{duration}})",
         en: "Are you sure to process these {{count}} files? [{{preset}}] (total {{duration}})",
     },
+    "ffmpeg.encoder.fallback": {
+        zh: "{{preset}}: 编码器 {{encoder}} 不可用，改用软件编码器 {{fallback}}",
+        en: "{{preset}}: encoder {{encoder}} is not available, using software encoder {{fallback}}",
+    },
+    "ffmpeg.encoder.audio.fallback": {
+        zh: "{{preset}}: 音频编码器 {{encoder}} 不可用，改用内置编码器 {{fallback}}",
+        en: "{{preset}}: audio encoder {{encoder}} is not available, using built-in encoder {{fallback}}",
+    },
+    "ffmpeg.encoder.unavailable": {
+        zh: "编码器 {{encoder}} 和替代的编码器 {{fallback}} 都不可用",
+        en: "Neither encoder {{encoder}} nor fallback encoder {{fallback}} is available",
+    },
+    "ffmpeg.target.ssim": {
+        zh: "目标SSIM，编码采样片段测量画质，选出达到目标的CQ/CRF，如 0.97",
+        en: "Target SSIM, encode sample segments and pick the CQ/CRF that reaches it, eg. 0.97",
+    },
+    "ffmpeg.target.psnr": {
+        zh: "目标PSNR（dB），编码采样片段测量画质，选出达到目标的CQ/CRF，如 42",
+        en: "Target PSNR in dB, encode sample segments and pick the CQ/CRF that reaches it, eg. 42",
+    },
+    "ffmpeg.target.picked": {
+        zh: "{{metric}} {{target}}: 使用质量 {{quality}} ({{time}})",
+        en: "{{metric}} {{target}}: using quality {{quality}} ({{time}})",
+    },
+    "ffmpeg.target.unbounded": {
+        zh: "{{metric}} {{target}}: 不在采样范围内，使用最接近的质量 {{quality}} ({{time}})",
+        en: "{{metric}} {{target}}: out of the sampled range, using the nearest quality {{quality}} ({{time}})",
+    },
+    "ffmpeg.target.skipped": {
+        zh: "预设或文件不支持目标画质，使用预设的质量: {{path}}",
+        en: "Target quality is not supported for the preset or file, using the preset quality: {{path}}",
+    },
+    "ffmpeg.target.failed": {
+        zh: "画质测量失败，使用预设的质量: {{path}} {{error}}",
+        en: "Quality measurement failed, using the preset quality: {{path}} {{error}}",
+    },
+    "ffmpeg.skip.policy": {
+        zh: "跳过同样编码且码率不高于目标的文件，预设有 skipPolicy 时使用预设的规则，--no-skip-policy 关闭预设的规则",
+        en: "Skip files with the same codec and no higher bitrate than the target, or use the preset skipPolicy if set, --no-skip-policy to disable the preset rules",
+    },
+    "ffmpeg.skip.summary": {
+        zh: "跳过规则: 跳过 {{skipped}} 个文件，复制流 {{copied}} 个文件 ({{reasons}})",
+        en: "Skip rules: skipped {{skipped}} files, stream-copied {{copied}} files ({{reasons}})",
+    },
+    "ffmpeg.export.script": {
+        zh: "导出转码脚本，不执行转码，扩展名决定格式 (.sh .ps1 .bat)",
+        en: "Export the conversions as a script instead of running them, format by extension (.sh .ps1 .bat)",
+    },
+    "ffmpeg.export.error.target": {
+        zh: "--export-script 不支持 --target-ssim 和 --target-psnr",
+        en: "--export-script can not be used with --target-ssim or --target-psnr",
+    },
+    "ffmpeg.export.done": {
+        zh: "已导出 {{count}} 个任务到脚本: {{path}}",
+        en: "Exported {{count}} conversions to script: {{path}}",
+    },
+    "ffmpeg.queue.description": {
+        zh: "持久化转码队列：add 加入任务，list 查看，run 运行，pause 暂停，retry 重试失败的任务",
+        en: "Persistent encode queue: add jobs, list, run, pause, or retry failed jobs",
+    },
+    "ffmpeg.queue.action": {
+        zh: "队列操作 (add|list|run|pause|retry)",
+        en: "Queue action (add|list|run|pause|retry)",
+    },
+    "ffmpeg.queue.input": {
+        zh: "add 时为输入目录，retry 时为逗号分隔的任务ID",
+        en: "Input folder for add, comma separated job ids for retry",
+    },
+    "ffmpeg.queue.error.input": {
+        zh: "queue add 需要输入目录",
+        en: "queue add needs an input folder",
+    },
+    "ffmpeg.queue.error.id": {
+        zh: "无效的任务ID: {{input}}",
+        en: "Invalid job ids: {{input}}",
+    },
+    "ffmpeg.queue.error.running": {
+        zh: "队列已经在进程 {{pid}} 中运行",
+        en: "The queue is already running in process {{pid}}",
+    },
+    "ffmpeg.queue.added": {
+        zh: "已加入队列 {{count}} 个任务，跳过 {{skipped}} 个已在队列中的任务: {{path}}",
+        en: "Added {{count}} jobs to the queue, skipped {{skipped}} jobs already queued: {{path}}",
+    },
+    "ffmpeg.queue.add.test": {
+        zh: "将加入队列 {{count}} 个任务",
+        en: "{{count}} jobs will be added to the queue",
+    },
+    "ffmpeg.queue.run.test": {
+        zh: "将运行 {{count}} 个等待中的任务，同时运行 {{jobs}} 个",
+        en: "{{count}} waiting jobs will run, {{jobs}} at a time",
+    },
+    "ffmpeg.queue.paused": {
+        zh: "队列已暂停，运行中的任务完成后停止，queue run 继续",
+        en: "Queue paused, running jobs will finish, use queue run to continue",
+    },
+    "ffmpeg.queue.retried": {
+        zh: "{{count}} 个失败的任务重新等待",
+        en: "{{count}} failed jobs are waiting again",
+    },
+    "ffmpeg.queue.summary": {
+        zh: "等待 {{pending}}，运行 {{running}}，完成 {{done}}，失败 {{failed}}，状态 {{state}}: {{path}}",
+        en: "Pending {{pending}}, running {{running}}, done {{done}}, failed {{failed}}, {{state}}: {{path}}",
+    },
+    "ffmpeg.queue.interrupted": {
+        zh: "任务 #{{id}} 被中断，重新开始: {{path}}",
+        en: "Job #{{id}} was interrupted, starting again: {{path}}",
+    },
+    "ffmpeg.queue.job.done": {
+        zh: "任务 #{{id}} 完成: {{path}}",
+        en: "Job #{{id}} done: {{path}}",
+    },
+    "ffmpeg.queue.job.failed": {
+        zh: "任务 #{{id}} 失败: {{path}} {{error}}",
+        en: "Job #{{id}} failed: {{path}} {{error}}",
+    },
+    "ffmpeg.queue.finished": {
+        zh: "队列运行结束，完成 {{done}} 个，失败 {{failed}} 个 ({{time}})",
+        en: "Queue run finished, {{done}} done, {{failed}} failed ({{time}})",
+    },
     "ffmpeg.not.found": {
         zh: "未找到 ffmpeg 可执行文件",
         en: "ffmpeg executable not found in path",
@@ -599,6 +747,10 @@ const translations = {
         en: "File name list file, or dir contains files for file name",
     },
     "remove.video": { zh: "根据视频元数据删除文件", en: "Remove files by video metadata" },
+    "remove.video.dedup": {
+        zh: "删除同一视频的其它编码版本，每组保留分辨率、码率和编码最好的一个",
+        en: "Remove re-encoded copies of the same video, keeping the best one of each group",
+    },
     "remove.audio": { zh: "根据音频元数据删除文件", en: "Remove files by audio metadata" },
     "remove.type": {
         zh: "应用于文件类型 (a=全部,f=文件,d=目录)",
@@ -809,7 +961,54 @@ const translations = {
     "prefix.seq.pad": { zh: "序号补零位数", en: "sequence padding digits" },
 
     // ========== run 命令 ==========
-    "run.description": { zh: "运行独立任务", en: "Run standalone tasks" },
+    "run.description": {
+        zh: "按工作流文件依次执行多个命令",
+        en: "Run several commands in order from a workflow file",
+    },
+    "workflow.flow": { zh: "工作流文件 (YAML 或 JSON)", en: "Workflow file (YAML or JSON)" },
+    "workflow.input": {
+        zh: "步骤的默认输入目录，覆盖工作流文件中的 input",
+        en: "Default input folder of steps, overrides input in the workflow file",
+    },
+    "workflow.stop.on.error": {
+        zh: "某一步失败时停止，覆盖工作流文件中的 stopOnError",
+        en: "Stop when a step fails, overrides stopOnError in the workflow file",
+    },
+    "workflow.report": {
+        zh: "合并报告的保存路径，默认保存在工作流文件旁",
+        en: "Path of the combined report, saved next to the workflow file by default",
+    },
+    "workflow.invalid": { zh: "无效的工作流文件: {{path}}", en: "Invalid workflow file: {{path}}" },
+    "workflow.unknown.command": {
+        zh: "工作流中不支持的命令: {{command}}",
+        en: "Unsupported command in workflow: {{command}}",
+    },
+    "workflow.no.input": {
+        zh: "步骤 {{name}} 没有输入目录",
+        en: "Step {{name}} has no input folder",
+    },
+    "workflow.steps": { zh: "共 {{count}} 个步骤:", en: "Total {{count}} steps:" },
+    "workflow.step.start": {
+        zh: "========== 步骤 {{index}}/{{total}}: {{name}} ==========",
+        en: "========== Step {{index}}/{{total}}: {{name}} ==========",
+    },
+    "workflow.step.no.files": {
+        zh: "步骤 {{from}} 没有输出文件，跳过",
+        en: "Step {{from}} has no output files, skipped",
+    },
+    "workflow.step.no.preview": {
+        zh: "测试模式下步骤 {{from}} 还没有移动或重命名 {{count}} 个文件，无法预览，跳过",
+        en: "Cannot preview in test mode, step {{from}} has not moved or renamed {{count}} files yet, skipped",
+    },
+    "workflow.step.stopped": {
+        zh: "之前的步骤失败，跳过",
+        en: "Skipped because a previous step failed",
+    },
+    "workflow.failed": {
+        zh: "工作流失败，失败的步骤: {{names}}",
+        en: "Workflow failed, failed steps: {{names}}",
+    },
+    "workflow.report.saved": { zh: "工作流报告已保存: {{path}}", en: "Workflow report saved: {{path}}" },
 
     // ========== zipu 命令 ==========
     "zipu.description": {
@@ -1063,6 +1262,10 @@ const translations = {
         zh: "每日数量限制（默认 {{count}}）",
         en: "Maximum files picked per day (default {{count}})",
     },
+    "option.pick.ignorePattern": {
+        zh: "扫描时跳过路径匹配此正则的图片",
+        en: "Skip images whose path matches this regex when scanning",
+    },
     "pick.using.file.list": {
         zh: "使用文件列表: {{path}}",
         en: "Using file list: {{path}}",
@@ -1127,6 +1330,532 @@ const translations = {
         zh: "禁用缓存，重新计算所有特征",
         en: "Disable cache, recalculate all features",
     },
+
+    // ========== undo 命令 ==========
+    "undo.description": {
+        zh: "撤销一次运行中的移动/重命名/安全删除操作",
+        en: "Undo move/rename/safe-delete operations of a previous run",
+    },
+    "undo.journal": {
+        zh: "操作日志文件、运行ID 或 last",
+        en: "Journal file, run id or last",
+    },
+    "undo.list": { zh: "列出最近的操作日志", en: "List recent operation journals" },
+    "undo.no.journal": {
+        zh: "未找到操作日志: {{name}}",
+        en: "No operation journal found: {{name}}",
+    },
+    "undo.already.undone": {
+        zh: "此日志已被撤销过 (by {{by}})",
+        en: "This journal was already undone (by {{by}})",
+    },
+    "undo.already.undone.force": {
+        zh: "此日志已被撤销过 (by {{by}})，添加 --force 再次撤销",
+        en: "This journal was already undone (by {{by}}), add --force to undo it again",
+    },
+    "undo.force": {
+        zh: "再次撤销已被撤销过的日志",
+        en: "Undo a journal again even if it was already undone",
+    },
+    "undo.not.ended": {
+        zh: "此日志没有结束标记，运行可能被中断",
+        en: "This journal has no end mark, the run may have been interrupted",
+    },
+    "undo.total.ops": {
+        zh: "共 {{count}} 个操作需要撤销",
+        en: "Total {{count}} operations to undo",
+    },
+    "undo.confirm": {
+        zh: "确定要撤销这 {{count}} 个操作吗？",
+        en: "Are you sure to undo these {{count}} operations?",
+    },
+    "undo.summary": {
+        zh: "共 {{count}} 个文件已恢复到原位置",
+        en: "Total {{count}} files restored to original paths",
+    },
+
+    // ========== apply 命令 ==========
+    "apply.description": {
+        zh: "执行 --save-plan 保存的计划文件中的操作",
+        en: "Execute operations from a plan file saved by --save-plan",
+    },
+    "apply.plan": { zh: "计划文件路径", en: "Plan file path" },
+    "apply.plan.invalid": {
+        zh: "无效的计划文件: {{path}}",
+        en: "Invalid plan file: {{path}}",
+    },
+    "apply.plan.saved": {
+        zh: "共 {{count}} 个操作已保存到计划文件: {{path}}",
+        en: "Total {{count}} operations saved to plan file: {{path}}",
+    },
+    "apply.plan.hint": {
+        zh: "检查无误后执行: mediac apply {{path}} --doit",
+        en: "Review it, then run: mediac apply {{path}} --doit",
+    },
+    "apply.total.ops": {
+        zh: "共 {{count}} 个操作，其中 {{valid}} 个可以执行",
+        en: "Total {{count}} operations, {{valid}} can be applied",
+    },
+    "apply.confirm": {
+        zh: "确定要执行这 {{count}} 个操作吗？",
+        en: "Are you sure to apply these {{count}} operations?",
+    },
+    "apply.summary": {
+        zh: "共 {{count}} 个操作已执行",
+        en: "Total {{count}} operations applied",
+    },
+
+    // ========== trash 命令 ==========
+    "trash.description": {
+        zh: "列出、恢复和清理安全删除目录 Deleted_By_Mediac 中的文件",
+        en: "List, restore and purge files in the Deleted_By_Mediac folder",
+    },
+    "trash.action": { zh: "操作: list/restore/purge", en: "Action: list/restore/purge" },
+    "trash.input": {
+        zh: "安全删除目录或同一磁盘上的任意路径",
+        en: "Deleted_By_Mediac folder or any path on the same disk",
+    },
+    "trash.glob": {
+        zh: "按原始路径匹配的glob模式",
+        en: "Glob pattern matched against original paths",
+    },
+    "trash.date": {
+        zh: "按删除日期过滤，如 20260101，多个用逗号分隔",
+        en: "Filter by deletion date, e.g. 20260101, comma separated",
+    },
+    "trash.run": {
+        zh: "按删除时的运行ID过滤",
+        en: "Filter by the run id that deleted the files",
+    },
+    "trash.days": {
+        zh: "清理多少天以前删除的文件",
+        en: "Purge files deleted more than N days ago",
+    },
+    "trash.empty": { zh: "没有找到匹配的已删除文件", en: "No matching deleted files found" },
+    "trash.total": { zh: "共 {{count}} 个已删除文件", en: "Total {{count}} deleted files" },
+    "trash.restore.confirm": {
+        zh: "确定要把这 {{count}} 个文件恢复到原位置吗？",
+        en: "Are you sure to restore these {{count}} files to original paths?",
+    },
+    "trash.restore.summary": {
+        zh: "共 {{count}} 个文件已恢复到原位置",
+        en: "Total {{count}} files restored to original paths",
+    },
+    "trash.restore.failed": {
+        zh: "{{count}} 个文件未能恢复",
+        en: "{{count}} files were not restored",
+    },
+    "trash.purge.nothing": {
+        zh: "没有 {{days}} 天以前删除的文件",
+        en: "No files deleted more than {{days}} days ago",
+    },
+    "trash.purge.confirm": {
+        zh: "确定要永久删除这 {{count}} 天（{{days}} 天以前）的文件吗？",
+        en: "Are you sure to permanently delete files of these {{count}} days (older than {{days}} days)?",
+    },
+    "trash.purge.summary": {
+        zh: "共 {{count}} 个日期目录已永久删除",
+        en: "Total {{count}} day folders permanently deleted",
+    },
+
+    // ========== config 命令 ==========
+    "config.description": {
+        zh: "显示用户配置文件合并后的有效配置及每个值的来源",
+        en: "Show effective user config and where each value comes from",
+    },
+    "config.action": { zh: "操作: show/paths", en: "Action: show/paths" },
+    "config.files": { zh: "配置文件查找路径:", en: "Config file search paths:" },
+    "config.empty": {
+        zh: "没有找到配置文件，使用内置默认值",
+        en: "No config files found, using builtin defaults",
+    },
+    "config.not.set": { zh: "(未设置)", en: "(not set)" },
+
+    // ========== index 命令 ==========
+    "index.description": {
+        zh: "建立或更新本地媒体索引，其它命令会自动读取索引中的元数据",
+        en: "Build or refresh the local media catalog used by other commands",
+    },
+    "index.hash": {
+        zh: "同时计算文件内容哈希和图片特征哈希",
+        en: "Also compute file content hashes and image feature hashes",
+    },
+    "index.prune": {
+        zh: "删除索引中已不存在的文件的条目",
+        en: "Remove catalog entries of files that no longer exist",
+    },
+    "index.force": { zh: "忽略已有条目，重新读取所有文件", en: "Ignore existing entries and re-read all files" },
+    "index.total.files": {
+        zh: "共 {{count}} 个文件，{{changed}} 个需要更新",
+        en: "Total {{count}} files, {{changed}} need update",
+    },
+    "index.summary": {
+        zh: "索引完成: 更新 {{indexed}}，未变化 {{unchanged}}，失败 {{failed}}，删除 {{pruned}}",
+        en: "Catalog updated: {{indexed}} indexed, {{unchanged}} unchanged, {{failed}} failed, {{pruned}} pruned",
+    },
+
+    // ========== watch 命令 ==========
+    "watch.description": {
+        zh: "监视目录，对写入完成的新文件自动执行指定的命令步骤",
+        en: "Watch a folder and run the given steps on new files once they are complete",
+    },
+    "watch.steps": {
+        zh: "要执行的命令，逗号分隔，后面的步骤只处理前一步输出的文件",
+        en: "Commands to run, comma separated, each step processes the output of the previous one",
+    },
+    "watch.flow": {
+        zh: "工作流文件，代替 --steps，可以设置每个步骤的选项",
+        en: "Workflow file used instead of --steps, allows options for each step",
+    },
+    "watch.stable": {
+        zh: "文件大小在指定秒数内不变才认为写入完成",
+        en: "Seconds a file size must stay unchanged before it is processed",
+    },
+    "watch.interval": { zh: "扫描目录的间隔秒数", en: "Seconds between folder scans" },
+    "watch.debounce": {
+        zh: "收到文件变化通知后等待的秒数，合并连续的变化",
+        en: "Seconds to wait after a change notification, to merge bursts of changes",
+    },
+    "watch.skip.existing": {
+        zh: "启动时把目录中已有的文件记为已处理",
+        en: "Mark files already in the folder as processed at startup",
+    },
+    "watch.no.steps": {
+        zh: "需要 --steps 或 --flow 指定要执行的命令",
+        en: "Either --steps or --flow is required",
+    },
+    "watch.started": {
+        zh: "开始监视 {{path}}，已处理 {{count}} 个文件，按 Ctrl+C 退出",
+        en: "Watching {{path}}, {{count}} files processed before, press Ctrl+C to stop",
+    },
+    "watch.polling": {
+        zh: "无法监听文件变化，改为每 {{interval}} 秒扫描一次",
+        en: "File change notifications unavailable, scanning every {{interval}} seconds",
+    },
+    "watch.batch": { zh: "发现 {{count}} 个新文件，开始处理", en: "Found {{count}} new files, processing" },
+    "watch.batch.done": {
+        zh: "本批处理完成，继续监视 ({{duration}}s)",
+        en: "Batch finished, still watching ({{duration}}s)",
+    },
+    "watch.skip.marked": {
+        zh: "{{count}} 个已有文件记为已处理",
+        en: "{{count}} existing files marked as processed",
+    },
+    "watch.stopping": { zh: "正在停止监视...", en: "Stopping watch..." },
+    "watch.record.saved": { zh: "已处理记录已保存: {{path}}", en: "Processed record saved: {{path}}" },
+
+    // ========== 断点续传 ==========
+    "option.common.resume": {
+        zh: "从上次中断的位置继续，跳过已完成和失败的任务",
+        en: "Continue an interrupted run, skipping completed and failed tasks",
+    },
+    "checkpoint.resumed": {
+        zh: "从断点继续: 已完成 {{done}}，跳过失败 {{failed}}，清理中断的任务 {{recovered}}",
+        en: "Resuming: {{done}} done, {{failed}} failed skipped, {{recovered}} interrupted tasks cleaned",
+    },
+    "checkpoint.recovered": { zh: "已清理中断的任务: {{path}}", en: "Cleaned interrupted task: {{path}}" },
+    "checkpoint.not.found": {
+        zh: "没有找到断点记录，从头开始",
+        en: "No checkpoint found, starting from the beginning",
+    },
+    "checkpoint.overwrite": {
+        zh: "之前的断点记录（已完成 {{count}}）将被覆盖，使用 --resume 可以继续上次的运行",
+        en: "The previous checkpoint ({{count}} done) is replaced, use --resume to continue that run",
+    },
+    "checkpoint.skipped": {
+        zh: "跳过断点中已完成或失败的 {{count}} 个文件",
+        en: "Skipped {{count}} files already done or failed in the checkpoint",
+    },
+
+    // ========== where 过滤表达式 ==========
+    "option.common.where": {
+        zh: '文件过滤表达式，如 "ext in (jpg,heic) and size > 2M and date < 2020-01-01"',
+        en: 'Filter expression, e.g. "ext in (jpg,heic) and size > 2M and date < 2020-01-01"',
+    },
+
+    // ========== info 命令 ==========
+    "info.description": {
+        zh: "显示媒体文件的编码、分辨率、码率、HDR、EXIF等信息",
+        en: "Show codecs, resolution, bitrate, HDR, EXIF and other metadata of media files",
+    },
+    "info.input": { zh: "文件或目录，目录中只显示媒体文件", en: "Files or directories, only media files in directories are shown" },
+    "info.columns": {
+        zh: "显示的列，逗号分隔，all 为全部列: {{columns}}",
+        en: "Columns to show, comma separated, all for every column: {{columns}}",
+    },
+    "info.sort": {
+        zh: "排序列，逗号分隔，减号开头为降序，如 -bitrate,name",
+        en: "Sort columns, comma separated, prefix with - for descending, e.g. -bitrate,name",
+    },
+    "info.format": { zh: "输出格式", en: "Output format" },
+    "info.output": { zh: "输出到文件，默认输出到终端", en: "Write the output to a file instead of the terminal" },
+    "info.total.files": { zh: "共 {{count}} 个文件", en: "Total {{count}} files" },
+    "info.saved": { zh: "{{count}} 个文件的信息已保存到 {{path}}", en: "Info of {{count}} files saved to {{path}}" },
+
+    // ========== dedup 命令 ==========
+    "dedup.description": {
+        zh: "在一个或多个目录中查找内容完全相同的文件，报告、安全删除或替换为硬链接",
+        en: "Find files with identical content in one or more directories, report, trash or hardlink them",
+    },
+    "dedup.input": { zh: "输入目录，可以有多个", en: "Input directories, one or more" },
+    "dedup.keep": {
+        zh: "每组保留的文件: oldest 修改时间最早, shortest 路径最短, root 靠前的输入目录, name 文件名不像副本",
+        en: "File to keep in each group: oldest mtime, shortest path, first input root, or name not looking like a copy",
+    },
+    "dedup.action": {
+        zh: "对其余重复文件的操作: report 只报告, trash 安全删除, hardlink 替换为硬链接",
+        en: "Action for the other duplicates: report only, trash (safe remove), or replace with hardlinks",
+    },
+    "dedup.output": { zh: "保存重复文件列表到文件，每行一组JSON", en: "Save duplicate groups to a file, one JSON line per group" },
+    "dedup.scan.root": { zh: "{{root}} 中有 {{count}} 个文件", en: "{{count}} files in {{root}}" },
+    "dedup.candidates": {
+        zh: "{{count}} 个文件的大小与其它文件相同（{{sizes}} 种大小），开始计算哈希",
+        en: "{{count}} files share a size with another file ({{sizes}} sizes), hashing",
+    },
+    "dedup.summary": {
+        zh: "找到 {{groups}} 组重复文件，可删除 {{count}} 个文件，节省 {{size}}，用时 {{time}}",
+        en: "Found {{groups}} duplicate groups, {{count}} redundant files, {{size}} reclaimable, in {{time}}",
+    },
+    "dedup.saved": { zh: "{{count}} 组重复文件已保存到 {{path}}", en: "{{count}} duplicate groups saved to {{path}}" },
+    "dedup.confirm.trash": {
+        zh: "确定要安全删除 {{count}} 个重复文件 ({{size}}) 吗？",
+        en: "Are you sure to trash {{count}} duplicate files ({{size}})?",
+    },
+    "dedup.confirm.hardlink": {
+        zh: "确定要把 {{count}} 个重复文件 ({{size}}) 替换为硬链接吗？",
+        en: "Are you sure to replace {{count}} duplicate files ({{size}}) with hardlinks?",
+    },
+    "dedup.skip.changed": {
+        zh: "扫描后文件已修改或删除，跳过: {{path}}",
+        en: "File changed or removed after the scan, skipped: {{path}}",
+    },
+
+    // ========== similar 命令 ==========
+    "similar.description": {
+        zh: "在整个图库中查找视觉上相似的图片，每组保留质量最好的一张",
+        en: "Find visually similar images across the whole library and keep the best one of each group",
+    },
+    "similar.threshold": {
+        zh: "感知哈希的汉明距离阈值，越小越严格 (0-64)",
+        en: "Hamming distance threshold of the perceptual hash, smaller is stricter (0-64)",
+    },
+    "similar.report": {
+        zh: "保存报告，.html 为带缩略图的网页，其它扩展名为 JSON",
+        en: "Save a report, .html for a page with thumbnails, JSON for other extensions",
+    },
+    "similar.move": {
+        zh: "把每组中保留的图片之外的图片移动到此目录，保持相对路径",
+        en: "Move all but the kept image of each group to this directory, keeping relative paths",
+    },
+    "similar.cache.file": {
+        zh: "图片特征缓存文件，默认为输入目录中的 pick_cache.json，哈希索引保存在同一目录",
+        en: "Image feature cache file, defaults to pick_cache.json in the input directory, the hash index is saved next to it",
+    },
+    "similar.cache": { zh: "读写图片特征缓存文件", en: "Read and write the image feature cache file" },
+    "similar.like": {
+        zh: "只查找与这张图片相似的图片，使用上次扫描保存的哈希索引",
+        en: "Only find images similar to this one, using the hash index saved by the last scan",
+    },
+    "similar.like.failed": { zh: "无法计算图片哈希: {{path}}", en: "Cannot hash the image: {{path}}" },
+    "similar.like.summary": {
+        zh: "找到 {{count}} 张与 {{path}} 相似的图片",
+        en: "Found {{count}} images similar to {{path}}",
+    },
+    "similar.move.inside": {
+        zh: "移动目标目录不能在输入目录中: {{path}}",
+        en: "The move directory must not be inside the input directory: {{path}}",
+    },
+    "similar.total.files": { zh: "{{root}} 中有 {{count}} 张图片", en: "{{count}} images in {{root}}" },
+    "similar.report.saved": { zh: "报告已保存到 {{path}}", en: "Report saved to {{path}}" },
+    "similar.summary": {
+        zh: "找到 {{groups}} 组相似图片，其中 {{count}} 张可以移除 ({{size}})，用时 {{time}}",
+        en: "Found {{groups}} similar groups, {{count}} images ({{size}}) can be removed, in {{time}}",
+    },
+    "similar.confirm.move": {
+        zh: "确定要把 {{count}} 张相似图片移动到 {{path}} 吗？",
+        en: "Are you sure to move {{count}} similar images to {{path}}?",
+    },
+    "similar.moved": { zh: "已移动 {{count}} 张图片到 {{path}}", en: "Moved {{count}} images to {{path}}" },
+
+    // ========== video-dedup 命令 ==========
+    "video.dedup.description": {
+        zh: "查找同一视频的不同编码版本，每组保留分辨率、码率和编码最好的一个",
+        en: "Find re-encoded copies of the same video and keep the best one of each group by resolution, bitrate and codec",
+    },
+    "video.dedup.frames": { zh: "每个视频截取的帧数，越多越准确但越慢", en: "Frames sampled from each video, more is slower but more accurate" },
+    "video.dedup.threshold": {
+        zh: "单帧感知哈希的汉明距离阈值，越小越严格 (0-64)",
+        en: "Hamming distance threshold of the perceptual hash of each frame, smaller is stricter (0-64)",
+    },
+    "video.dedup.action": {
+        zh: "对其余重复视频的操作: report 只报告, trash 安全删除",
+        en: "Action for the other copies: report only or trash (safe remove)",
+    },
+    "video.dedup.total.files": { zh: "{{root}} 中有 {{count}} 个视频", en: "{{count}} videos in {{root}}" },
+    "video.dedup.failed": {
+        zh: "{{count}} 个视频无法计算指纹，已跳过（需要 ffmpeg）",
+        en: "Skipped {{count}} videos that could not be fingerprinted (ffmpeg is required)",
+    },
+    "video.dedup.summary": {
+        zh: "找到 {{groups}} 组重复视频，可删除 {{count}} 个视频，节省 {{size}}，用时 {{time}}",
+        en: "Found {{groups}} duplicate video groups, {{count}} redundant videos, {{size}} reclaimable, in {{time}}",
+    },
+
+    // ========== music 命令 ==========
+    "music.description": {
+        zh: "音乐库工具，dedup 按音频指纹查找相同的歌曲，每组保留音质最好的一个",
+        en: "Music library tools, dedup finds the same songs by audio fingerprint and keeps the best copy",
+    },
+    "music.action": { zh: "操作: dedup 查找相同的歌曲", en: "Action: dedup to find the same songs" },
+    "music.threshold": {
+        zh: "指纹相似度阈值，0 为无关，1 为完全相同",
+        en: "Fingerprint similarity threshold, 0 is unrelated and 1 is identical",
+    },
+    "music.trash": {
+        zh: "安全删除每组中保留的文件之外的文件，默认只报告",
+        en: "Trash all but the kept file of each group, report only by default",
+    },
+    "music.scan.root": { zh: "{{root}} 中有 {{count}} 个音频文件", en: "{{count}} audio files in {{root}}" },
+    "music.failed": {
+        zh: "{{count}} 个文件无法计算指纹，已跳过（需要 ffmpeg）",
+        en: "Skipped {{count}} files that could not be fingerprinted (ffmpeg is required)",
+    },
+    "music.summary": {
+        zh: "找到 {{groups}} 组相同的歌曲，可删除 {{count}} 个文件，节省 {{size}}，用时 {{time}}",
+        en: "Found {{groups}} groups of the same song, {{count}} redundant files, {{size}} reclaimable, in {{time}}",
+    },
+
+    // ========== stats 命令 ==========
+    "stats.description": {
+        zh: "统计文件数量和大小，按类型、扩展名、年月、型号、编码和分辨率分组，估算压缩后节省的空间",
+        en: "Count files and sizes by type, extension, year, month, model, codec and resolution, and estimate savings",
+    },
+    "stats.by": {
+        zh: "交叉分组的字段，逗号分隔，如 year,codec，默认每个字段单独分组: {{groups}}",
+        en: "Fields to group by together, comma separated like year,codec, each field alone by default: {{groups}}",
+    },
+    "stats.top": {
+        zh: "显示最大的文件和目录的数量，表格中每个分组也只显示这么多行",
+        en: "Number of largest files and dirs to show, also the row limit of each table",
+    },
+    "stats.compress": {
+        zh: "估算使用 compress 命令默认参数压缩图片后节省的空间",
+        en: "Estimate savings of compressing images with the compress command defaults",
+    },
+    "stats.preset": {
+        zh: "估算使用指定 ffmpeg 预设转码视频或音频后节省的空间",
+        en: "Estimate savings of transcoding videos or audio with the given ffmpeg preset",
+    },
+    "stats.total.files": { zh: "{{root}} 中有 {{count}} 个文件", en: "{{count}} files in {{root}}" },
+    "stats.group": { zh: "按 {{by}} 分组", en: "By {{by}}" },
+    "stats.largest.files": { zh: "最大的文件", en: "Largest files" },
+    "stats.largest.dirs": { zh: "最大的目录", en: "Largest directories" },
+    "stats.savings": { zh: "估算可节省的空间", en: "Estimated savings" },
+    "stats.more": { zh: "... 还有 {{count}} 行", en: "... {{count}} more rows" },
+    "stats.summary": { zh: "共 {{count}} 个文件，{{size}}", en: "Total {{count}} files, {{size}}" },
+    "stats.saved": { zh: "统计结果已保存到 {{path}}", en: "Stats saved to {{path}}" },
+
+    // ========== checksum 命令 ==========
+    "checksum.description": {
+        zh: "校验清单，create 记录文件的校验值，verify 检查损坏、缺少、新增和移动的文件",
+        en: "Checksum manifests, create records file checksums and verify finds corrupted, missing, new and moved files",
+    },
+    "checksum.action": {
+        zh: "操作: create 创建或更新清单，verify 按清单检查文件",
+        en: "Action: create to create or update the manifest, verify to check files against it",
+    },
+    "checksum.manifest": {
+        zh: "清单文件路径，默认为目录中的 {{name}}",
+        en: "Manifest file path, {{name}} in the directory by default",
+    },
+    "checksum.sha256": {
+        zh: "同时计算 SHA-256 校验值",
+        en: "Also compute SHA-256 checksums",
+    },
+    "checksum.quick": {
+        zh: "只比较大小和修改时间，不读取文件内容",
+        en: "Only compare sizes and modification times, do not read file contents",
+    },
+    "checksum.journal": {
+        zh: "读取 mediac 的操作日志，跟踪移动和重命名的文件",
+        en: "Read the mediac operation journal to follow moved and renamed files",
+    },
+    "checksum.output": {
+        zh: "保存有变化的文件列表，每行一个JSON",
+        en: "Save the changed files, one JSON per line",
+    },
+    "checksum.total.files": { zh: "{{root}} 中有 {{count}} 个文件", en: "{{count}} files in {{root}}" },
+    "checksum.suspicious": {
+        zh: "大小变化但修改时间没有变化，保留原来的校验值:",
+        en: "Size changed but modification time did not, keeping the old checksum:",
+    },
+    "checksum.created": {
+        zh: "清单已保存到 {{path}}，{{files}} 个文件，计算 {{hashed}} 个，沿用 {{reused}} 个（移动 {{moved}} 个），去掉 {{dropped}} 个，用时 {{time}}",
+        en: "Manifest saved to {{path}}, {{files}} files, {{hashed}} hashed, {{reused}} reused ({{moved}} moved), {{dropped}} dropped, in {{time}}",
+    },
+    "checksum.manifest.not.found": {
+        zh: "清单不存在: {{path}}，请先运行 checksum create",
+        en: "Manifest not found: {{path}}, run checksum create first",
+    },
+    "checksum.saved": { zh: "{{count}} 条结果已保存到 {{path}}", en: "Saved {{count}} results to {{path}}" },
+    "checksum.verify.summary": {
+        zh: "正常 {{ok}}，损坏 {{corrupted}}，缺少 {{missing}}，修改 {{modified}}，新增 {{new}}，移动 {{moved}}，删除 {{removed}}，用时 {{time}}",
+        en: "OK {{ok}}, corrupted {{corrupted}}, missing {{missing}}, modified {{modified}}, new {{new}}, moved {{moved}}, removed {{removed}}, in {{time}}",
+    },
+    "checksum.quick.note": {
+        zh: "快速模式没有读取文件内容，不能发现内容损坏",
+        en: "Quick mode did not read file contents and cannot find corrupted content",
+    },
+
+    // ========== sync 命令 ==========
+    "sync.description": {
+        zh: "单向同步目录，复制新文件和有变化的文件，可选删除目标中多余的文件",
+        en: "One-way sync a folder, copy new and changed files, optionally delete extra files",
+    },
+    "sync.dest": { zh: "目标目录，不存在时创建", en: "Destination folder, created if missing" },
+    "sync.compare": {
+        zh: "比较方式: size 比较大小和修改时间，hash 比较大小和内容",
+        en: "Compare by: size for size and modification time, hash for size and content",
+    },
+    "sync.delete": {
+        zh: "安全删除目标目录中源目录没有的文件",
+        en: "Move files not in the source folder out of the destination to the trash",
+    },
+    "sync.verify": {
+        zh: "复制后重新读取目标文件并比较校验值",
+        en: "Read copied files back and compare checksums",
+    },
+    "sync.bwlimit": {
+        zh: "每秒最大复制量，如 20M",
+        en: "Max bytes copied per second, like 20M",
+    },
+    "sync.bwlimit.invalid": {
+        zh: "无效的速度限制: {{value}}",
+        en: "Invalid bandwidth limit: {{value}}",
+    },
+    "sync.report": {
+        zh: "保存同步报告，每行一个JSON",
+        en: "Save the sync report, one JSON per line",
+    },
+    "sync.scan": { zh: "{{root}} 中有 {{count}} 个文件", en: "{{count}} files in {{root}}" },
+    "sync.plan": {
+        zh: "复制 {{copy}} 个（{{copySize}}），更新 {{update}} 个（{{updateSize}}），删除 {{delete}} 个（{{deleteSize}}），相同 {{same}} 个，用时 {{time}}",
+        en: "Copy {{copy}} ({{copySize}}), update {{update}} ({{updateSize}}), delete {{delete}} ({{deleteSize}}), {{same}} same, in {{time}}",
+    },
+    "sync.up.to.date": { zh: "{{dest}} 已是最新", en: "{{dest}} is up to date" },
+    "sync.confirm": {
+        zh: "确定要复制 {{count}} 个文件（{{size}}）吗？",
+        en: "Are you sure to copy {{count}} files ({{size}})?",
+    },
+    "sync.confirm.delete": {
+        zh: "确定要复制 {{count}} 个文件（{{size}}），并安全删除目标中多余的 {{delete}} 个文件吗？",
+        en: "Are you sure to copy {{count}} files ({{size}}) and move {{delete}} extra files in the destination to the trash?",
+    },
+    "sync.summary": {
+        zh: "同步完成: 成功 {{done}} 个, 失败 {{failed}} 个，复制 {{size}}，{{speed}}/秒，用时 {{time}}",
+        en: "Sync done: {{done}} success, {{failed}} errors, copied {{size}} at {{speed}}/s in {{time}}",
+    },
+    "sync.report.saved": { zh: "{{count}} 条记录已保存到 {{path}}", en: "Saved {{count}} records to {{path}}" },
 }
 
 class I18n {
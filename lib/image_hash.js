@@ -15,8 +15,10 @@
  * 包含算法：
  * 1. 平均哈希 - 快速筛选
  * 2. 感知哈希 - 精确匹配
- * 3. 图像质量评估 (对比度 + 清晰度)
- * 4. 事件聚类
+ * 3. 差异哈希 - 补充感知哈希，对裁剪和亮度变化更稳定
+ * 4. 图像质量评估 (对比度 + 清晰度)
+ * 5. 事件聚类
+ * 6. 哈希索引 - 多索引哈希，在大量哈希中查找相近的哈希
  */
 
 import crypto from "crypto"
@@ -24,12 +26,16 @@ import fs from "fs-extra"
 import path from "path"
 import pMap from "p-map"
 import sharp from "sharp"
+import * as catalog from "./catalog.js"
+import { CatalogFields } from "./catalog.js"
 import * as log from "./debug.js"
+import { ErrorTypes, createError } from "./errors.js"
 
 /**
  * 缓存版本号 - 配置变更时需要更新
+ * 2: 增加 dHash
  */
-const CACHE_VERSION = 1
+const CACHE_VERSION = 2
 
 /**
  * 缓存配置
@@ -37,6 +43,8 @@ const CACHE_VERSION = 1
 export const CACHE_CONFIG = {
     VERSION: CACHE_VERSION,
     FILENAME: "pick_cache.json",
+    // 感知哈希索引，与缓存文件在同一目录
+    INDEX_FILENAME: "pick_index.json",
     MAX_AGE_DAYS: 30,
 }
 
@@ -55,6 +63,7 @@ export const CACHE_CONFIG = {
  *       size: 1234567,
  *       aHash: "abc123",
  *       pHash: "def456",
+ *       dHash: "789abc",
  *       quality: { score, contrast, sharpness }
  *     }
  *   }
@@ -150,6 +159,33 @@ function isCacheValid(cached, file) {
     return true
 }
 
+/**
+ * 计算单个图像的特征，索引可用时优先读取索引
+ *
+ * @param {string} filePath - 图片路径
+ * @param {Object} options - 配置选项
+ * @returns {Promise<Object>} { aHash, pHash, dHash, quality }
+ */
+export async function computeImageFeatures(filePath, options = {}) {
+    const compute = async () => {
+        const [aHash, pHash, dHash, quality] = await Promise.all([
+            computeAverageHash(filePath, options),
+            computePerceptualHash(filePath, options),
+            computeDifferenceHash(filePath, options),
+            calculateImageQualityScore(filePath, options.qualityConfig || QUALITY_CONFIG),
+        ])
+        // 计算失败时不写入索引
+        return pHash ? { aHash, pHash, dHash, quality } : null
+    }
+    const features = (await catalog.cached(filePath, CatalogFields.IMAGE_HASH, compute)) || {}
+    // 旧的索引条目没有 dHash，只补算 dHash
+    if (features.pHash && features.dHash === undefined) {
+        features.dHash = await computeDifferenceHash(filePath, options)
+        await catalog.update(filePath, { [CatalogFields.IMAGE_HASH]: features })
+    }
+    return features
+}
+
 /**
  * 批量计算图像特征（带缓存）
  *
@@ -157,6 +193,7 @@ function isCacheValid(cached, file) {
  * @param {Object} cache - 缓存数据
  * @param {string} rootPath - 根目录路径
  * @param {Object} options - 配置选项
+ * @param {Function} [options.onProgress] - 进度回调 (done, total)
  * @returns {Object} { hashResults, qualityScores, cacheUpdated }
  */
 export async function computeImageFeaturesWithCache(files, cache, rootPath, options = {}) {
@@ -168,6 +205,7 @@ export async function computeImageFeaturesWithCache(files, cache, rootPath, opti
     let cacheMisses = 0
 
     const concurrency = options.concurrency || HASH_CONFIG.PARALLEL
+    let done = 0
 
     await pMap(
         files,
@@ -187,21 +225,19 @@ export async function computeImageFeaturesWithCache(files, cache, rootPath, opti
                     file: f,
                     aHash: cached.aHash,
                     pHash: cached.pHash,
+                    dHash: cached.dHash,
                     quality: cached.quality,
                 }
                 updatedEntries[relPath] = cached
             } else {
                 cacheMisses++
-                const [aHash, pHash, quality] = await Promise.all([
-                    computeAverageHash(f.path, options),
-                    computePerceptualHash(f.path, options),
-                    calculateImageQualityScore(f.path, options.qualityConfig || QUALITY_CONFIG),
-                ])
+                const { aHash, pHash, dHash, quality } = await computeImageFeatures(f.path, options)
 
                 result = {
                     file: f,
                     aHash,
                     pHash,
+                    dHash,
                     quality,
                 }
 
@@ -211,6 +247,7 @@ export async function computeImageFeaturesWithCache(files, cache, rootPath, opti
                         size: fileInfo.size,
                         aHash,
                         pHash,
+                        dHash,
                         quality,
                     }
                 }
@@ -220,6 +257,7 @@ export async function computeImageFeaturesWithCache(files, cache, rootPath, opti
                 hashResults.push(result)
                 qualityScores.set(f.path, result.quality?.score || 0)
             }
+            options.onProgress?.(++done, files.length)
         },
         { concurrency }
     )
@@ -254,12 +292,15 @@ export async function computeImageFeaturesWithCache(files, cache, rootPath, opti
  *   - 16: 较低精度，适合快速处理
  *   - 32: 标准精度（推荐）
  *   - 64: 高精度，但计算慢
+ *
+ * DHASH_SIZE: 差异哈希尺寸，8 为 64 位哈希，哈希索引只支持 64 位
  */
 export const HASH_CONFIG = {
     THRESHOLD: 12,
     PARALLEL: 4,
     AHASH_SIZE: 8,
     PHASH_SIZE: 32,
+    DHASH_SIZE: 8,
 }
 
 /**
@@ -365,7 +406,7 @@ export async function computeAverageHash(filePath, options = {}) {
  * - 对缩放、压缩、轻微旋转有更好的容忍度
  * - 计算量较大
  *
- * @param {string} filePath - 文件路径
+ * @param {string|Buffer} filePath - 文件路径或图片数据
  * @param {Object} options - 可选配置
  * @param {number} options.pHashSize - DCT 输入尺寸，默认 32
  * @returns {string|null} 16 进制哈希字符串（16 字符 = 64 位）
@@ -397,6 +438,62 @@ export async function computePerceptualHash(filePath, options = {}) {
     }
 }
 
+/**
+ * 计算差异哈希
+ *
+ * 算法步骤：
+ * 1. 缩放到 9x8，转为灰度图
+ * 2. 每行相邻两个像素比较，左边比右边亮则为 1，否则为 0
+ * 3. 生成 64 位哈希
+ *
+ * 特点：
+ * - 只比较相邻像素的明暗关系，不受整体亮度和对比度影响
+ * - 对小幅裁剪比 aHash 和 pHash 更稳定，可以补充 pHash
+ *
+ * @param {string} filePath - 文件路径
+ * @param {Object} options - 可选配置
+ * @param {number} options.dHashSize - 哈希尺寸，默认 8
+ * @returns {string|null} 16 进制哈希字符串（16 字符 = 64 位）
+ */
+export async function computeDifferenceHash(filePath, options = {}) {
+    const size = options.dHashSize || HASH_CONFIG.DHASH_SIZE
+
+    try {
+        const { data } = await sharp(filePath)
+            .removeAlpha()
+            .resize(size + 1, size, { fit: "fill", kernel: sharp.kernel.lanczos3 })
+            .grayscale()
+            .raw()
+            .toBuffer({ resolveWithObject: true })
+        return computeDifferenceHashFromPixels(data, size)
+    } catch (e) {
+        log.debug(`Failed to compute dHash for ${filePath}: ${e.message}`)
+        return null
+    }
+}
+
+/**
+ * 从 (size+1) x size 的灰度像素计算差异哈希
+ *
+ * @param {Uint8Array} data - 灰度图像数据，每行 size+1 个像素
+ * @param {number} size - 哈希尺寸，默认 8
+ * @returns {string} 16 进制哈希字符串
+ */
+export function computeDifferenceHashFromPixels(data, size = HASH_CONFIG.DHASH_SIZE) {
+    let hash = BigInt(0)
+    let bitIndex = 0
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const idx = y * (size + 1) + x
+            if (data[idx] > data[idx + 1]) {
+                hash |= BigInt(1) << BigInt(bitIndex)
+            }
+            bitIndex++
+        }
+    }
+    return hash.toString(16).padStart(Math.ceil((size * size) / 4), "0")
+}
+
 /**
  * 计算 DCT 哈希（pHash 的核心）
  *
@@ -763,3 +860,298 @@ export async function computeHashDedup(files, threshold = HASH_CONFIG.THRESHOLD,
 
     return { toRemove, removedCount: toRemove.size }
 }
+
+// 64 位哈希，16 个十六进制字符
+const HASH_HEX_LENGTH = 16
+
+// 哈希索引文件版本
+const INDEX_VERSION = 1
+
+// 32 位整数中 1 的个数
+function popcount32(n) {
+    n = n - ((n >>> 1) & 0x55555555)
+    n = (n & 0x33333333) + ((n >>> 2) & 0x33333333)
+    return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24
+}
+
+// 宽度为 width 位、1 的个数不超过 radius 的所有掩码，按 1 的个数排序
+// 遍历 2^width 个值，width 最大为 16，32 位时 1 << 32 为 1 且无法遍历
+const maskCache = new Map()
+function masksWithin(width, radius) {
+    const key = `${width}:${radius}`
+    if (!maskCache.has(key)) {
+        const masks = []
+        for (let m = 0; m < 1 << width; m++) {
+            if (popcount32(m) <= radius) masks.push(m)
+        }
+        maskCache.set(key, masks.sort((a, b) => popcount32(a) - popcount32(b)))
+    }
+    return maskCache.get(key)
+}
+
+/**
+ * 哈希索引 - 在大量 64 位哈希中查找汉明距离不超过半径的哈希
+ *
+ * 使用多索引哈希（Multi-Index Hashing）：
+ * 1. 把 64 位哈希分为 chunks 段，每段一个哈希表
+ * 2. 两个哈希的距离不超过 r 时，至少有一段的距离不超过 floor(r / chunks)（抽屉原理）
+ * 3. 查询时在每段中枚举距离不超过 floor(r / chunks) 的段值，得到候选，再计算完整距离
+ *
+ * 默认 4 段，每段 16 位，半径 12 时每段枚举 697 个值，
+ * 候选数量远小于条目总数，查询不需要遍历所有条目
+ */
+export class HashIndex {
+    /**
+     * @param {Object} [options] - 选项
+     * @param {number} [options.chunks] - 分段数，4/8，默认 4，每段 16/8 位
+     */
+    constructor({ chunks = 4 } = {}) {
+        if (![4, 8].includes(chunks)) {
+            throw createError(ErrorTypes.INVALID_ARGUMENT, `Invalid chunks: ${chunks}`)
+        }
+        this.chunks = chunks
+        this.chunkBits = 64 / chunks
+        // id => { hash, hi, lo, parts }
+        this.entries = new Map()
+        // 每段一个 Map<段值, Set<id>>
+        this.tables = Array.from({ length: chunks }, () => new Map())
+    }
+
+    get size() {
+        return this.entries.size
+    }
+
+    // 解析为高低两个 32 位整数和各段的值
+    parse(hash) {
+        const hex = String(hash).toLowerCase()
+        if (hex.length !== HASH_HEX_LENGTH || !/^[0-9a-f]+$/.test(hex)) {
+            throw createError(ErrorTypes.INVALID_ARGUMENT, `Invalid 64-bit hash: ${hash}`)
+        }
+        const width = this.chunkBits / 4
+        const parts = []
+        for (let i = 0; i < HASH_HEX_LENGTH; i += width) {
+            parts.push(parseInt(hex.slice(i, i + width), 16))
+        }
+        return {
+            hash: hex,
+            hi: parseInt(hex.slice(0, 8), 16),
+            lo: parseInt(hex.slice(8), 16),
+            parts,
+        }
+    }
+
+    /**
+     * 添加或替换条目
+     * @param {string|number} id - 条目ID，如文件路径
+     * @param {string} hash - 16 进制 64 位哈希
+     * @returns {HashIndex} this
+     * @throws {MediaCliError} INVALID_ARGUMENT 哈希格式错误
+     */
+    insert(id, hash) {
+        const entry = this.parse(hash)
+        this.remove(id)
+        this.entries.set(id, entry)
+        entry.parts.forEach((part, i) => {
+            const bucket = this.tables[i].get(part)
+            bucket ? bucket.add(id) : this.tables[i].set(part, new Set([id]))
+        })
+        return this
+    }
+
+    /**
+     * 删除条目
+     * @param {string|number} id - 条目ID
+     * @returns {boolean} 是否存在并已删除
+     */
+    remove(id) {
+        const entry = this.entries.get(id)
+        if (!entry) return false
+        entry.parts.forEach((part, i) => {
+            const bucket = this.tables[i].get(part)
+            bucket.delete(id)
+            if (bucket.size === 0) this.tables[i].delete(part)
+        })
+        return this.entries.delete(id)
+    }
+
+    /**
+     * 获取条目的哈希
+     * @param {string|number} id - 条目ID
+     * @returns {string|undefined} 哈希
+     */
+    get(id) {
+        return this.entries.get(id)?.hash
+    }
+
+    /**
+     * 查找汉明距离不超过半径的所有条目
+     * @param {string} hash - 16 进制 64 位哈希
+     * @param {number} radius - 半径，汉明距离
+     * @returns {Array<{id, hash: string, distance: number}>} 按距离排序
+     * @throws {MediaCliError} INVALID_ARGUMENT 哈希格式错误
+     */
+    query(hash, radius) {
+        const target = this.parse(hash)
+        const masks = masksWithin(this.chunkBits, Math.floor(radius / this.chunks))
+        const seen = new Set()
+        const results = []
+        target.parts.forEach((part, i) => {
+            const table = this.tables[i]
+            for (const mask of masks) {
+                const bucket = table.get(part ^ mask)
+                if (!bucket) continue
+                for (const id of bucket) {
+                    if (seen.has(id)) continue
+                    seen.add(id)
+                    const e = this.entries.get(id)
+                    const distance = popcount32(e.hi ^ target.hi) + popcount32(e.lo ^ target.lo)
+                    if (distance <= radius) {
+                        results.push({ id, hash: e.hash, distance })
+                    }
+                }
+            }
+        })
+        return results.sort((a, b) => a.distance - b.distance)
+    }
+
+    toJSON() {
+        return {
+            version: INDEX_VERSION,
+            chunks: this.chunks,
+            entries: [...this.entries].map(([id, e]) => [id, e.hash]),
+        }
+    }
+
+    /**
+     * 从 toJSON 的结果恢复索引
+     * @param {Object} data - 索引数据
+     * @returns {HashIndex|null} 版本不匹配时返回 null
+     */
+    static fromJSON(data) {
+        if (data?.version !== INDEX_VERSION) {
+            return null
+        }
+        const index = new HashIndex({ chunks: data.chunks })
+        for (const [id, hash] of data.entries || []) {
+            index.insert(id, hash)
+        }
+        return index
+    }
+}
+
+/**
+ * 加载哈希索引文件，根目录不匹配或版本不匹配时返回 null
+ *
+ * @param {string} indexPath - 索引文件路径，通常在缓存文件旁边，见 CACHE_CONFIG.INDEX_FILENAME
+ * @param {string} rootPath - 根目录路径（用于验证）
+ * @returns {Promise<HashIndex|null>} 哈希索引
+ */
+export async function loadHashIndex(indexPath, rootPath) {
+    try {
+        if (!(await fs.pathExists(indexPath))) {
+            return null
+        }
+        const data = await fs.readJson(indexPath)
+        if (data.rootHash !== computeRootHash(rootPath)) {
+            log.debug(`Index root hash mismatch`)
+            return null
+        }
+        const index = HashIndex.fromJSON(data.index)
+        index && log.info(`Loaded hash index: ${index.size} entries`)
+        return index
+    } catch (e) {
+        log.debug(`Failed to load hash index: ${e.message}`)
+        return null
+    }
+}
+
+/**
+ * 保存哈希索引文件
+ *
+ * @param {string} indexPath - 索引文件路径
+ * @param {string} rootPath - 根目录路径
+ * @param {HashIndex} index - 哈希索引，ID 为相对根目录的路径
+ */
+export async function saveHashIndex(indexPath, rootPath, index) {
+    try {
+        await fs.ensureDir(path.dirname(indexPath))
+        await fs.writeJson(indexPath, {
+            createdAt: new Date().toISOString(),
+            rootHash: computeRootHash(rootPath),
+            index: index.toJSON(),
+        })
+        log.info(`Saved hash index: ${index.size} entries to ${indexPath}`)
+    } catch (e) {
+        log.warn(`Failed to save hash index: ${e.message}`)
+    }
+}
+
+// 相似图片的像素数相差超过此比例时，分辨率高的优先
+const RESOLUTION_MARGIN = 0.2
+
+/**
+ * 相似图片聚类，相似关系可以传递（A 与 B 相似，B 与 C 相似，则三张在同一组）
+ *
+ * pHash 或 dHash 的汉明距离不超过阈值即为相似，没有 pHash 的条目忽略
+ * 通过 HashIndex 查找相近的哈希，不需要两两比较
+ *
+ * @param {Array<Object>} items - 条目列表，包含 pHash，可以包含 dHash
+ * @param {number} threshold - 汉明距离阈值
+ * @returns {Array<Array<Object>>} 两个以上条目的分组，组内保持输入顺序
+ */
+export function clusterSimilarImages(items, threshold = HASH_CONFIG.THRESHOLD) {
+    const valid = items.filter((item) => item.pHash)
+    // 并查集，parent[i] 为 i 所在组的代表
+    const parent = valid.map((_, i) => i)
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]]
+            i = parent[i]
+        }
+        return i
+    }
+
+    // 先查询再插入，每对相似条目只处理一次
+    const indexes = { pHash: new HashIndex(), dHash: new HashIndex() }
+    valid.forEach((item, i) => {
+        for (const [field, index] of Object.entries(indexes)) {
+            if (!item[field]) continue
+            for (const { id } of index.query(item[field], threshold)) {
+                parent[find(id)] = find(i)
+            }
+            index.insert(i, item[field])
+        }
+    })
+
+    const groups = new Map()
+    valid.forEach((item, i) => {
+        const root = find(i)
+        const group = groups.get(root)
+        group ? group.push(item) : groups.set(root, [item])
+    })
+    return [...groups.values()].filter((group) => group.length > 1)
+}
+
+/**
+ * 相似图片排序，最好的在前
+ *
+ * 缩小后的图片清晰度评分往往更高，所以先比较分辨率：
+ * 像素数相差超过 RESOLUTION_MARGIN 时分辨率高的在前，否则比较质量评分，再比较文件大小
+ *
+ * @param {Array<Object>} items - 条目列表 { file: { path, size }, quality, width, height }
+ * @returns {Array<Object>} 排序后的新数组
+ */
+export function rankSimilarImages(items) {
+    const pixels = (item) => (item.width || 0) * (item.height || 0)
+    const byResolution = (a, b) => {
+        const [pa, pb] = [pixels(a), pixels(b)]
+        return Math.max(pa, pb) > Math.min(pa, pb) * (1 + RESOLUTION_MARGIN) ? pb - pa : 0
+    }
+    return [...items].sort(
+        (a, b) =>
+            byResolution(a, b) ||
+            (b.quality?.score || 0) - (a.quality?.score || 0) ||
+            (b.file.size || 0) - (a.file.size || 0) ||
+            a.file.path.localeCompare(b.file.path),
+    )
+}
@@ -0,0 +1,264 @@
+/*
+ * File: journal.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Operation journal - 记录每次真实执行（--doit）的文件移动/重命名/安全删除操作
+ * 每次运行生成一个 JSONL 文件，第一行为运行信息，之后每行一条操作记录
+ * 供 undo 命令按相反顺序回放
+ */
+
+import dayjs from "dayjs"
+import fs from "fs-extra"
+import os from "os"
+import path from "path"
+import { randomString } from "./core.js"
+import * as log from "./debug.js"
+
+const LOG_TAG = "Journal"
+
+// 操作类型
+export const JournalOps = Object.freeze({
+    MOVE: "move",
+    RENAME: "rename",
+    REMOVE: "remove",
+})
+
+// 记录类型，每行JSON的type字段
+const TYPE_RUN = "run"
+const TYPE_OP = "op"
+const TYPE_END = "end"
+const TYPE_UNDONE = "undone"
+
+let journalDir = path.join(os.homedir(), ".mediac", "journal")
+
+// 当前运行的日志，未记录任何操作时不创建文件
+let currentRun = null
+
+/**
+ * 设置日志存储目录，主要用于测试
+ * @param {string} dir - 目录路径
+ */
+export function setJournalDir(dir) {
+    journalDir = path.resolve(dir)
+}
+
+/**
+ * 获取日志存储目录
+ * @returns {string} 目录路径
+ */
+export function getJournalDir() {
+    return journalDir
+}
+
+// 命令行选项的别名，清理 argv 时去掉，只保留完整的选项名
+let optionAliases = new Set()
+
+/**
+ * 设置命令行选项的别名，由命令行入口按 yargs 的选项定义设置
+ * @param {Array<string>} aliases - 别名列表，如 d、v
+ */
+export function setOptionAliases(aliases) {
+    optionAliases = new Set(aliases)
+}
+
+/**
+ * 开始一次运行的记录
+ * 文件在第一次 record 时才会创建，避免产生空日志
+ *
+ * @param {string} command - 命令名称
+ * @param {Object} argv - 命令行参数
+ * @returns {Object} 当前运行信息
+ */
+export function beginRun(command, argv = {}) {
+    const startedAt = dayjs()
+    const runId = `${startedAt.format("YYYYMMDDHHmmss")}_${randomString(4)}`
+    currentRun = {
+        runId,
+        command,
+        argv: sanitizeArgv(argv),
+        cwd: process.cwd(),
+        startedAt: startedAt.toISOString(),
+        path: path.join(journalDir, `${runId}_${command}.jsonl`),
+        count: 0,
+        created: false,
+    }
+    return currentRun
+}
+
+/**
+ * 当前是否有正在记录的运行
+ * @returns {boolean}
+ */
+export function isActive() {
+    return currentRun !== null
+}
+
+/**
+ * 获取当前运行信息
+ * @returns {Object|null}
+ */
+export function getCurrentRun() {
+    return currentRun
+}
+
+/**
+ * 记录一条文件操作
+ * 同步追加写入，保证中途崩溃时已完成的操作仍可回滚
+ *
+ * @param {string} op - 操作类型，见 JournalOps
+ * @param {string} src - 源路径（操作前）
+ * @param {string} dst - 目标路径（操作后）
+ * @param {Object} extra - 附加字段
+ */
+export function record(op, src, dst, extra = {}) {
+    if (!currentRun || !src || !dst) {
+        return
+    }
+    try {
+        if (!currentRun.created) {
+            fs.ensureDirSync(journalDir)
+            const header = { type: TYPE_RUN, ...currentRun }
+            delete header.path
+            delete header.count
+            delete header.created
+            fs.appendFileSync(currentRun.path, JSON.stringify(header) + "\n", "utf8")
+            currentRun.created = true
+        }
+        // 记录目标文件的大小和修改时间，undo时用于判断目标是否已被改动
+        const st = fs.statSync(dst, { throwIfNoEntry: false })
+        const entry = {
+            type: TYPE_OP,
+            op,
+            src: path.resolve(src),
+            dst: path.resolve(dst),
+            isDir: st?.isDirectory() || false,
+            size: st?.size,
+            mtimeMs: st?.mtimeMs,
+            ts: Date.now(),
+            ...extra,
+        }
+        fs.appendFileSync(currentRun.path, JSON.stringify(entry) + "\n", "utf8")
+        currentRun.count++
+    } catch (error) {
+        log.warn(LOG_TAG, `record failed: ${src} => ${dst}`, error.message)
+    }
+}
+
+/**
+ * 结束当前运行的记录，写入结束标记
+ * @returns {Promise<Object|null>} 已完成的运行信息，无操作时返回null
+ */
+export async function endRun() {
+    const run = currentRun
+    currentRun = null
+    if (!run?.created) {
+        return null
+    }
+    const footer = { type: TYPE_END, count: run.count, endedAt: new Date().toISOString() }
+    await fs.appendFile(run.path, JSON.stringify(footer) + "\n", "utf8")
+    return run
+}
+
+/**
+ * 读取并解析日志文件
+ * 损坏的行（如崩溃时写了一半）会被忽略
+ *
+ * @param {string} journalPath - 日志文件路径
+ * @returns {Promise<{path: string, run: Object, ops: Array, ended: boolean, undone: Object|null}>}
+ */
+export async function readJournal(journalPath) {
+    const content = await fs.readFile(journalPath, "utf8")
+    const result = { path: journalPath, run: null, ops: [], ended: false, undone: null }
+    for (const line of content.split(/\r?\n/)) {
+        if (!line.trim()) continue
+        let item
+        try {
+            item = JSON.parse(line)
+        } catch (error) {
+            log.warn(LOG_TAG, `bad line in ${journalPath}: ${line.slice(0, 60)}`)
+            continue
+        }
+        switch (item.type) {
+            case TYPE_RUN:
+                result.run = item
+                break
+            case TYPE_OP:
+                result.ops.push(item)
+                break
+            case TYPE_END:
+                result.ended = true
+                break
+            case TYPE_UNDONE:
+                result.undone = item
+                break
+        }
+    }
+    return result
+}
+
+/**
+ * 列出所有日志文件，按时间倒序
+ * @returns {Promise<Array<string>>} 日志文件路径列表
+ */
+export async function listJournals() {
+    if (!(await fs.pathExists(journalDir))) {
+        return []
+    }
+    const names = await fs.readdir(journalDir)
+    return names
+        .filter((n) => n.endsWith(".jsonl"))
+        .sort()
+        .reverse()
+        .map((n) => path.join(journalDir, n))
+}
+
+/**
+ * 根据参数查找日志文件
+ * 支持: last（最近一次未撤销的非undo运行）、运行ID、文件路径
+ *
+ * @param {string} nameOrPath - last 或运行ID或文件路径
+ * @returns {Promise<string|null>} 日志文件路径
+ */
+export async function resolveJournal(nameOrPath = "last") {
+    if (nameOrPath !== "last") {
+        if (await fs.pathExists(nameOrPath)) {
+            return path.resolve(nameOrPath)
+        }
+        const files = await listJournals()
+        return files.find((f) => path.basename(f).startsWith(nameOrPath)) || null
+    }
+    for (const f of await listJournals()) {
+        const j = await readJournal(f)
+        if (j.run?.command !== "undo" && !j.undone && j.ops.length > 0) {
+            return f
+        }
+    }
+    return null
+}
+
+/**
+ * 标记日志已被撤销
+ * @param {string} journalPath - 日志文件路径
+ * @param {string} undoRunId - 执行撤销的运行ID
+ */
+export async function markUndone(journalPath, undoRunId) {
+    const item = { type: TYPE_UNDONE, by: undoRunId, ts: new Date().toISOString() }
+    await fs.appendFile(journalPath, JSON.stringify(item) + "\n", "utf8")
+}
+
+/**
+ * 清理 argv，去掉 yargs 的内部字段和重复的别名，只保留简单值
+ * @param {Object} argv - 命令行参数
+ * @returns {Object} 可序列化的参数对象
+ */
+export function sanitizeArgv(argv) {
+    const result = {}
+    for (const [k, v] of Object.entries(argv)) {
+        if (k === "$0" || k.includes("-") || optionAliases.has(k)) continue
+        if (v === undefined || typeof v === "function") continue
+        result[k] = v
+    }
+    return result
+}
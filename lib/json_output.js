@@ -0,0 +1,314 @@
+/*
+ * File: json_output.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * JSON output - 全局 --json 模式的机器可读输出
+ * --json 在运行结束时输出一个JSON文档，--json-stream 每个条目输出一行JSONL事件
+ * 启用后禁止面向用户的日志，其它直接写入 stdout 的内容（如确认提示）转到 stderr
+ */
+
+import { ErrorCodes } from "./error-codes.js"
+import * as log from "./debug.js"
+import { ErrorTypes, createError } from "./errors.js"
+import { sanitizeArgv } from "./journal.js"
+
+// 输出模式
+export const JsonMode = Object.freeze({
+    DOCUMENT: "document",
+    STREAM: "stream",
+})
+
+// 条目处理结果，测试模式下的条目为 planned
+export const EntryStatus = Object.freeze({
+    PLANNED: "planned",
+    DONE: "done",
+    SKIPPED: "skipped",
+    FAILED: "failed",
+})
+
+// 系统错误码到 lib/error-codes.js 错误码的映射
+const ERRNO_CODES = {
+    ENOENT: 1000,
+    EACCES: 1001,
+    EPERM: 1001,
+    EEXIST: 1002,
+    ENOSPC: 1004,
+}
+const UNKNOWN_ERROR_CODE = 9000
+
+// 当前运行的输出状态，未启用时为 null
+let current = null
+// 原始的 stdout 写入函数，JSON 只通过它输出
+let writer = null
+// 调用方（如工作流和 API）收集的条目和汇总信息，不依赖 --json 模式
+let captured = null
+let capturedSummary = null
+// 收集期间每个条目的回调
+let captureListener = null
+
+/**
+ * 根据 --json 和 --json-stream 选项确定输出模式
+ * 两个选项都是布尔值，不会把后面的位置参数当作选项值
+ *
+ * @param {Object} argv - 命令行参数
+ * @param {boolean} [argv.json] - 运行结束时输出一个JSON文档
+ * @param {boolean} [argv.jsonStream] - 每个条目输出一行JSONL事件，优先于 --json
+ * @returns {string|undefined} 输出模式，见 JsonMode，未启用时为空
+ */
+export function getJsonMode(argv = {}) {
+    if (argv.jsonStream) {
+        return JsonMode.STREAM
+    }
+    if (argv.json) {
+        return JsonMode.DOCUMENT
+    }
+    return undefined
+}
+
+/**
+ * 设置输出函数，主要用于测试，默认写入原始 stdout
+ * @param {Function|null} fn - 接收一行文本的函数
+ */
+export function setWriter(fn) {
+    writer = fn
+}
+
+/**
+ * 开始一次运行的JSON输出，禁止日志并把 stdout 转到 stderr
+ *
+ * @param {string} mode - 输出模式，见 JsonMode
+ * @param {string} command - 命令名称
+ * @param {Object} argv - 命令行参数
+ */
+export function begin(mode, command, argv = {}) {
+    if (!writer) {
+        const stdoutWrite = process.stdout.write.bind(process.stdout)
+        writer = (text) => stdoutWrite(text)
+        process.stdout.write = process.stderr.write.bind(process.stderr)
+    }
+    log.setSilent(true)
+    current = {
+        mode,
+        command,
+        argv: sanitizeArgv(argv),
+        startedAt: new Date().toISOString(),
+        entries: [],
+        counts: {},
+        summary: {},
+    }
+    if (mode === JsonMode.STREAM) {
+        emit({ type: "start", command, argv: current.argv, startedAt: current.startedAt })
+    }
+}
+
+/**
+ * 是否处于JSON输出模式
+ * @returns {boolean}
+ */
+export function isEnabled() {
+    return current !== null
+}
+
+/**
+ * 开始收集之后记录的条目，未启用JSON模式时也有效
+ * @param {Function} [onEntry] - 每记录一个条目时调用
+ * @returns {Array<Object>} 收集条目的数组
+ */
+export function startCapture(onEntry) {
+    captured = []
+    capturedSummary = {}
+    captureListener = onEntry || null
+    return captured
+}
+
+/**
+ * 停止收集条目
+ * @returns {Array<Object>} 收集到的条目
+ */
+export function stopCapture() {
+    const entries = captured || []
+    captured = null
+    capturedSummary = null
+    captureListener = null
+    return entries
+}
+
+/**
+ * 获取收集期间命令添加的汇总信息，需要在 stopCapture 之前调用
+ * @returns {Object} 汇总信息，见 setSummary 和 addReport
+ */
+export function getCapturedSummary() {
+    return { ...capturedSummary }
+}
+
+/**
+ * 获取错误对应的错误码，见 lib/error-codes.js
+ * @param {Error} error - 错误对象
+ * @returns {number} 错误码
+ */
+export function errorCode(error) {
+    if (!error) {
+        return UNKNOWN_ERROR_CODE
+    }
+    if (error.type) {
+        for (const [code, info] of Object.entries(ErrorCodes)) {
+            if (info.type === error.type) return parseInt(code, 10)
+        }
+    }
+    if (ErrorCodes[error.code]) {
+        return parseInt(error.code, 10)
+    }
+    return ERRNO_CODES[error.code] || UNKNOWN_ERROR_CODE
+}
+
+// 错误对象转为JSON字段
+function toErrorJson(error) {
+    if (!error) {
+        return undefined
+    }
+    const code = errorCode(error)
+    return {
+        code,
+        type: ErrorCodes[code].type,
+        message: error.message || String(error),
+    }
+}
+
+/**
+ * 记录一个处理过的条目，未启用JSON模式且没有收集时忽略
+ *
+ * @param {Object} entry - 条目
+ * @param {string} entry.action - 操作，如 rename/move/remove/compress
+ * @param {string} entry.src - 源路径
+ * @param {string} [entry.dst] - 目标路径
+ * @param {string} entry.status - 结果，见 EntryStatus
+ * @param {Error} [entry.error] - 失败时的错误，未提供时使用 PROCESSING_FAILED
+ */
+export function addEntry({ action, src, dst, status, error, ...extra }) {
+    if (!current && !captured) {
+        return
+    }
+    if (status === EntryStatus.FAILED && !error) {
+        error = createError(ErrorTypes.PROCESSING_FAILED, src)
+    }
+    const entry = {
+        action,
+        src,
+        dst: dst ?? undefined,
+        status,
+        ...extra,
+        error: toErrorJson(error),
+    }
+    if (captured) {
+        captured.push(entry)
+        captureListener?.(entry)
+    }
+    if (!current) {
+        return
+    }
+    current.counts[status] = (current.counts[status] || 0) + 1
+    if (current.mode === JsonMode.STREAM) {
+        emit({ type: "entry", ...entry })
+    } else {
+        current.entries.push(entry)
+    }
+}
+
+/**
+ * 按相同的操作和结果记录多个条目
+ *
+ * @param {string} action - 操作
+ * @param {Array<{src: string, dst: string}>} items - 源和目标路径列表
+ * @param {string} status - 结果，见 EntryStatus
+ */
+export function addEntries(action, items, status) {
+    for (const { src, dst } of items) {
+        addEntry({ action, src, dst, status })
+    }
+}
+
+/**
+ * 把命令自己的结果状态（DONE/FAILED/CONFLICT等）转为条目状态
+ * DONE 在测试模式下为 planned，其它非失败状态作为跳过原因
+ *
+ * @param {string} result - 命令的结果状态
+ * @param {boolean} testMode - 是否为测试模式
+ * @returns {{status: string, reason: string|undefined}}
+ */
+export function toEntryStatus(result, testMode = false) {
+    if (result === "DONE") {
+        return { status: testMode ? EntryStatus.PLANNED : EntryStatus.DONE }
+    }
+    if (result === "FAILED") {
+        return { status: EntryStatus.FAILED }
+    }
+    return { status: EntryStatus.SKIPPED, reason: String(result).toLowerCase() }
+}
+
+/**
+ * 添加命令特定的汇总信息，合并到最终的 summary 中
+ * @param {Object} data - 汇总信息
+ */
+export function setSummary(data) {
+    capturedSummary && Object.assign(capturedSummary, data)
+    if (current) {
+        Object.assign(current.summary, data)
+    }
+}
+
+/**
+ * 记录命令写入的JSON报告文件路径，汇总在 summary.reports 中
+ * @param {string} reportPath - 报告文件路径
+ */
+export function addReport(reportPath) {
+    if (capturedSummary) {
+        capturedSummary.reports = [...(capturedSummary.reports || []), reportPath]
+    }
+    if (current) {
+        current.summary.reports = [...(current.summary.reports || []), reportPath]
+    }
+}
+
+/**
+ * 结束JSON输出，输出完整文档或 stream 模式的汇总事件
+ *
+ * @param {Object} options
+ * @param {Error} [options.error] - 命令失败时的错误
+ * @param {Object} [options.journal] - 本次运行的操作日志信息
+ * @returns {Object|undefined} 输出的文档或汇总
+ */
+export function end({ error, journal } = {}) {
+    if (!current) {
+        return
+    }
+    const run = current
+    current = null
+    const summary = {
+        total: Object.values(run.counts).reduce((acc, n) => acc + n, 0),
+        ...run.counts,
+        ...run.summary,
+    }
+    const result = {
+        command: run.command,
+        ok: !error,
+        startedAt: run.startedAt,
+        finishedAt: new Date().toISOString(),
+        journal,
+        summary,
+        error: toErrorJson(error),
+    }
+    if (run.mode === JsonMode.STREAM) {
+        emit({ type: "summary", ...result })
+        return result
+    }
+    const doc = { ...result, argv: run.argv, entries: run.entries }
+    emit(doc)
+    return doc
+}
+
+// 输出一行JSON
+function emit(data) {
+    writer(JSON.stringify(data) + "\n")
+}
@@ -0,0 +1,399 @@
+/*
+ * File: manifest.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Checksum manifest - checksum 命令的校验清单，用于发现静默损坏（bit rot）
+ * 清单保存在目录中，记录每个文件相对路径的大小、修改时间、xxHash64 和可选的 SHA-256
+ * 修改时间变化视为正常编辑，修改时间不变而内容或大小变化视为损坏
+ * 更新清单时只计算修改过的文件，mediac 的移动和重命名从操作日志中读取，不需要重新计算
+ */
+
+import crypto from "crypto"
+import fs from "fs-extra"
+import pMap from "p-map"
+import path from "path"
+import * as log from "./debug.js"
+import { ErrorTypes, createError } from "./errors.js"
+import * as journal from "./journal.js"
+import { hashFileXXH64 } from "./tools.js"
+import { TRASH_DIR_NAME } from "./trash.js"
+
+const LOG_TAG = "Manifest"
+
+export const MANIFEST_VERSION = 1
+
+// 默认清单文件名，保存在目录根部
+export const MANIFEST_NAME = ".mediac_manifest.json"
+
+// 校验结果
+export const ManifestStatus = Object.freeze({
+    OK: "ok",
+    // 修改时间变化，正常编辑
+    MODIFIED: "modified",
+    // 修改时间不变，内容或大小变化
+    CORRUPTED: "corrupted",
+    MISSING: "missing",
+    NEW: "new",
+    // 被 mediac 移动或重命名，或者内容相同的文件换了位置
+    MOVED: "moved",
+    // 被 mediac 安全删除或移出目录
+    REMOVED: "removed",
+})
+
+// 需要处理的问题，其余为正常变化
+export const PROBLEM_STATUSES = Object.freeze([ManifestStatus.CORRUPTED, ManifestStatus.MISSING])
+
+// 清单中的路径统一使用 / 分隔，在不同系统间通用
+const toRel = (root, filePath) => path.relative(root, filePath).split(path.sep).join("/")
+const toAbs = (root, rel) => path.join(root, ...rel.split("/"))
+
+// 目录外、安全删除目录中和清单文件本身都不在清单中
+function isTracked(rel, manifestRel) {
+    return (
+        rel !== "" &&
+        !rel.startsWith("../") &&
+        rel !== ".." &&
+        !path.isAbsolute(rel) &&
+        rel !== manifestRel &&
+        rel.split("/")[0] !== TRASH_DIR_NAME
+    )
+}
+
+/**
+ * 创建空清单
+ * @param {string} root - 目录
+ * @returns {Object} 清单 {version, root, algorithms, createdAt, updatedAt, files}
+ */
+export function emptyManifest(root) {
+    const now = new Date().toISOString()
+    return {
+        version: MANIFEST_VERSION,
+        root,
+        algorithms: ["xxh64"],
+        createdAt: now,
+        updatedAt: now,
+        files: {},
+    }
+}
+
+/**
+ * 读取清单文件
+ * @param {string} manifestPath - 清单文件路径
+ * @returns {Promise<Object|null>} 清单，文件不存在时为 null
+ * @throws {MediaCliError} INVALID_ARGUMENT 清单格式或版本不正确
+ */
+export async function loadManifest(manifestPath) {
+    if (!(await fs.pathExists(manifestPath))) {
+        return null
+    }
+    const manifest = await fs.readJson(manifestPath)
+    if (manifest?.version !== MANIFEST_VERSION || typeof manifest.files !== "object") {
+        throw createError(ErrorTypes.INVALID_ARGUMENT, `invalid checksum manifest: ${manifestPath}`)
+    }
+    return manifest
+}
+
+/**
+ * 保存清单，先写临时文件再替换，避免中断时损坏旧清单
+ * @param {string} manifestPath - 清单文件路径
+ * @param {Object} manifest - 清单
+ */
+export async function saveManifest(manifestPath, manifest) {
+    const files = Object.fromEntries(
+        Object.keys(manifest.files)
+            .sort()
+            .map((rel) => [rel, manifest.files[rel]]),
+    )
+    const tmpPath = `${manifestPath}.tmp`
+    await fs.outputFile(tmpPath, JSON.stringify({ ...manifest, files }, null, 1))
+    await fs.move(tmpPath, manifestPath, { overwrite: true })
+}
+
+async function hashFileSHA256(filePath) {
+    const hasher = crypto.createHash("sha256")
+    for await (const chunk of fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 })) {
+        hasher.update(chunk)
+    }
+    return hasher.digest("hex")
+}
+
+/**
+ * 计算文件的校验值
+ * @param {string} filePath - 文件路径
+ * @param {Array<string>} algorithms - xxh64 和可选的 sha256
+ * @returns {Promise<Object>} {xxh64, sha256}
+ */
+export async function hashFile(filePath, algorithms) {
+    const [xxh64, sha256] = await Promise.all([
+        hashFileXXH64(filePath),
+        algorithms.includes("sha256") ? hashFileSHA256(filePath) : undefined,
+    ])
+    return sha256 ? { xxh64, sha256 } : { xxh64 }
+}
+
+/**
+ * 读取清单更新之后的 mediac 移动、重命名和安全删除操作，按时间排序
+ * @param {string} since - 清单更新时间，ISO格式
+ * @returns {Promise<Array<Object>>} 操作记录，见 lib/journal.js record
+ */
+export async function readJournalOps(since) {
+    const sinceMs = Date.parse(since) || 0
+    const ops = []
+    for (const file of await journal.listJournals()) {
+        const j = await journal.readJournal(file)
+        ops.push(
+            ...j.ops.filter((op) => op.ts > sinceMs).map((op) => ({ ...op, runId: j.run?.runId })),
+        )
+    }
+    return ops.sort((a, b) => a.ts - b.ts)
+}
+
+/**
+ * 按操作日志回放移动和重命名，把清单条目换到新的位置
+ * 移到目录外或安全删除的条目被去掉，之后又被移回目录中的条目会恢复
+ *
+ * @param {Object} files - 清单条目 相对路径 => 条目
+ * @param {string} root - 目录
+ * @param {Array<Object>} ops - 操作记录，按时间排序
+ * @param {string} [manifestRel] - 清单文件的相对路径
+ * @returns {{files: Object, moved: Map<string, Object>, removed: Map<string, Object>}}
+ *   新的条目，移动过的条目 新路径 => {from, runId}，去掉的条目 原路径 => {to, runId}
+ */
+export function replayJournal(files, root, ops, manifestRel = MANIFEST_NAME) {
+    // 按绝对路径跟踪，包括移到目录外的条目
+    const entries = new Map(
+        Object.entries(files).map(([rel, entry]) => [toAbs(root, rel), { entry, from: rel }]),
+    )
+    for (const op of ops) {
+        const src = path.resolve(op.src)
+        const dst = path.resolve(op.dst)
+        // 目录移动时移动其中所有条目
+        const sources = op.isDir
+            ? [...entries.keys()].filter((p) => p.startsWith(src + path.sep))
+            : [src].filter((p) => entries.has(p))
+        for (const p of sources) {
+            const item = entries.get(p)
+            entries.delete(p)
+            entries.set(op.isDir ? dst + p.slice(src.length) : dst, { ...item, runId: op.runId })
+        }
+    }
+    const result = { files: {}, moved: new Map(), removed: new Map() }
+    for (const [p, { entry, from, runId }] of entries) {
+        const rel = toRel(root, p)
+        if (!isTracked(rel, manifestRel)) {
+            result.removed.set(from, { to: p, runId })
+            continue
+        }
+        result.files[rel] = entry
+        if (rel !== from) {
+            result.moved.set(rel, { from, runId })
+        }
+    }
+    return result
+}
+
+// 目录中需要校验的文件 相对路径 => 文件条目
+function trackedFiles(root, files, manifestRel) {
+    const result = new Map()
+    for (const f of files) {
+        const rel = toRel(root, f.path)
+        if (isTracked(rel, manifestRel)) {
+            result.set(rel, f)
+        }
+    }
+    return result
+}
+
+const fileSize = (f) => f.stats?.size ?? f.size
+const fileMtime = (f) => f.stats?.mtimeMs ?? f.mtimeMs
+
+/**
+ * 创建或增量更新清单，修改时间不变的文件使用原来的校验值
+ * 修改时间不变而大小变化的文件可能已损坏，保留原来的校验值，由 verify 报告
+ *
+ * @param {string} root - 目录
+ * @param {Array<Object>} files - 文件条目列表，需要 stats，见 lib/file.js walk
+ * @param {Object} options - 选项
+ * @param {Object} [options.previous] - 原来的清单
+ * @param {Array<Object>} [options.ops] - 原来的清单更新之后的操作记录
+ * @param {boolean} [options.sha256] - 是否同时计算 SHA-256
+ * @param {string} [options.manifestPath] - 清单文件路径
+ * @param {number} [options.concurrency] - 并发数
+ * @param {Function} [options.onProgress] - 进度回调 (done, total)
+ * @returns {Promise<{manifest: Object, counts: Object, suspicious: Array<string>, failed: Array<Object>}>}
+ *   counts 为 {files, hashed, reused, moved, dropped}，suspicious 为大小变化但修改时间不变的文件
+ */
+export async function createManifest(root, files, options = {}) {
+    const { previous, ops = [], concurrency = 4, onProgress } = options
+    const manifestRel = toRel(root, options.manifestPath || path.join(root, MANIFEST_NAME))
+    const withSha256 = options.sha256 || previous?.algorithms.includes("sha256")
+    const manifest = {
+        ...(previous || emptyManifest(root)),
+        root,
+        algorithms: withSha256 ? ["xxh64", "sha256"] : ["xxh64"],
+        updatedAt: new Date().toISOString(),
+        files: {},
+    }
+    const replayed = replayJournal(previous?.files || {}, root, ops, manifestRel)
+    const current = trackedFiles(root, files, manifestRel)
+    const counts = { files: current.size, hashed: 0, reused: 0, moved: 0, dropped: 0 }
+    const suspicious = []
+    const failed = []
+    let done = 0
+    await pMap(
+        [...current],
+        async ([rel, f]) => {
+            const old = replayed.files[rel]
+            const complete = !withSha256 || old?.sha256
+            if (old && old.mtimeMs === fileMtime(f) && complete) {
+                if (old.size !== fileSize(f)) {
+                    suspicious.push(rel)
+                }
+                manifest.files[rel] = old
+                counts.reused++
+                if (replayed.moved.has(rel)) {
+                    counts.moved++
+                }
+            } else {
+                try {
+                    const hashes = await hashFile(f.path, manifest.algorithms)
+                    manifest.files[rel] = { size: fileSize(f), mtimeMs: fileMtime(f), ...hashes }
+                    counts.hashed++
+                } catch (error) {
+                    log.warn(LOG_TAG, f.path, error.message)
+                    failed.push({ path: f.path, error })
+                }
+            }
+            onProgress?.(++done, current.size)
+        },
+        { concurrency },
+    )
+    counts.dropped = Object.keys(replayed.files).filter((rel) => !current.has(rel)).length
+    return { manifest, counts, suspicious: suspicious.sort(), failed }
+}
+
+/**
+ * 按清单校验目录
+ * 修改时间变化为 modified，不计算校验值；修改时间不变时比较大小和校验值，不同为 corrupted；
+ * 不在原位置的条目先按操作日志，再按大小和校验值与新文件配对，配上的为 moved
+ *
+ * @param {string} root - 目录
+ * @param {Array<Object>} files - 文件条目列表，需要 stats
+ * @param {Object} manifest - 清单
+ * @param {Object} options - 选项
+ * @param {Array<Object>} [options.ops] - 清单更新之后的操作记录
+ * @param {boolean} [options.quick] - 只比较大小和修改时间，不计算校验值
+ * @param {string} [options.manifestPath] - 清单文件路径
+ * @param {number} [options.concurrency] - 并发数
+ * @param {Function} [options.onProgress] - 进度回调 (done, total)
+ * @returns {Promise<Array<Object>>} 结果 {path, status, from, runId, error}，path 为相对路径
+ */
+export async function verifyManifest(root, files, manifest, options = {}) {
+    const { ops = [], quick = false, concurrency = 4, onProgress } = options
+    const manifestRel = toRel(root, options.manifestPath || path.join(root, MANIFEST_NAME))
+    const replayed = replayJournal(manifest.files, root, ops, manifestRel)
+    const current = trackedFiles(root, files, manifestRel)
+    const results = []
+    const added = []
+    let done = 0
+    await pMap(
+        [...current],
+        async ([rel, f]) => {
+            const old = replayed.files[rel]
+            // 新文件需要计算校验值，用于和缺少的条目配对
+            const needHash = !quick && (!old || old.mtimeMs === fileMtime(f))
+            let hashes
+            try {
+                hashes = needHash
+                    ? await hashFile(f.path, old ? manifest.algorithms : ["xxh64"])
+                    : null
+            } catch (error) {
+                log.warn(LOG_TAG, f.path, error.message)
+                results.push({ path: rel, status: ManifestStatus.CORRUPTED, error })
+                onProgress?.(++done, current.size)
+                return
+            }
+            if (!old) {
+                added.push({ rel, f, hashes })
+            } else {
+                const result = { path: rel, status: compareEntry(old, f, hashes) }
+                const move = replayed.moved.get(rel)
+                results.push(
+                    move ? { ...result, ...move, status: movedStatus(result.status) } : result,
+                )
+            }
+            onProgress?.(++done, current.size)
+        },
+        { concurrency },
+    )
+
+    // 缺少的条目按大小和校验值与新文件配对，快速模式下按大小和修改时间
+    const missing = Object.keys(replayed.files).filter((rel) => !current.has(rel))
+    const byKey = new Map()
+    for (const rel of missing) {
+        const e = replayed.files[rel]
+        const key = quick ? `${e.size}:${e.mtimeMs}` : `${e.size}:${e.xxh64}`
+        byKey.set(key, [...(byKey.get(key) || []), rel])
+    }
+    const matched = new Set()
+    for (const { rel, f, hashes } of added) {
+        const key = quick ? `${fileSize(f)}:${fileMtime(f)}` : `${fileSize(f)}:${hashes?.xxh64}`
+        const from = byKey.get(key)?.find((m) => !matched.has(m))
+        if (from) {
+            matched.add(from)
+            results.push({
+                path: rel,
+                status: ManifestStatus.MOVED,
+                from: replayed.moved.get(from)?.from ?? from,
+            })
+        } else {
+            results.push({ path: rel, status: ManifestStatus.NEW })
+        }
+    }
+    for (const rel of missing.filter((m) => !matched.has(m))) {
+        const move = replayed.moved.get(rel)
+        results.push({
+            path: rel,
+            status: ManifestStatus.MISSING,
+            ...(move && { from: move.from }),
+        })
+    }
+    for (const [rel, { to, runId }] of replayed.removed) {
+        results.push({ path: rel, status: ManifestStatus.REMOVED, to, runId })
+    }
+    return results.sort((a, b) => a.path.localeCompare(b.path))
+}
+
+// 比较一个清单条目和当前文件
+function compareEntry(old, f, hashes) {
+    if (old.mtimeMs !== fileMtime(f)) {
+        return ManifestStatus.MODIFIED
+    }
+    if (old.size !== fileSize(f)) {
+        return ManifestStatus.CORRUPTED
+    }
+    if (hashes && Object.keys(hashes).some((k) => old[k] && old[k] !== hashes[k])) {
+        return ManifestStatus.CORRUPTED
+    }
+    return ManifestStatus.OK
+}
+
+// 移动过的文件内容没有问题时为 moved，否则保留校验结果
+function movedStatus(status) {
+    return status === ManifestStatus.OK ? ManifestStatus.MOVED : status
+}
+
+/**
+ * 统计各种结果的数量
+ * @param {Array<Object>} results - verifyManifest 的结果
+ * @returns {Object} 状态 => 数量，包含所有状态
+ */
+export function countResults(results) {
+    const counts = Object.fromEntries(Object.values(ManifestStatus).map((s) => [s, 0]))
+    for (const r of results) {
+        counts[r.status]++
+    }
+    return counts
+}
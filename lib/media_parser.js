@@ -71,6 +71,9 @@ class Video extends MediaStreamBase {
         height, // 视频高度
         aspectRatio, // 宽高比
         pixelFormat, // 像素格式
+        colorTransfer, // 传输特性 smpte2084(PQ) arib-std-b67(HLG)
+        colorPrimaries, // 色域 bt709 bt2020
+        hdrFormat, // HDR格式，仅 mediainfo 提供，如 Dolby Vision
     }) {
         super({ type, format, codec, profile, level, size, duration, bitrate, language })
         this.framerate = framerate // 帧率
@@ -79,6 +82,9 @@ class Video extends MediaStreamBase {
         this.height = height // 视频高度
         this.aspectRatio = aspectRatio
         this.pixelFormat = pixelFormat
+        this.colorTransfer = colorTransfer
+        this.colorPrimaries = colorPrimaries
+        this.hdrFormat = hdrFormat
     }
 }
 
@@ -94,9 +100,11 @@ class Audio extends MediaStreamBase {
         bitrate, // 比特率
         language,
         sampleRate, // 采样率
+        channels, // 声道数
     }) {
         super({ type, format, codec, profile, level, size, duration, bitrate, language })
         this.sampleRate = sampleRate
+        this.channels = channels
     }
 }
 
@@ -144,6 +152,9 @@ function fromFFprobe(data) {
         height: data["height"], // 视频高度
         aspectRatio: data["display_aspect_ratio"],
         sampleRate: data["sample_rate"],
+        channels: data["channels"],
+        colorTransfer: data["color_transfer"],
+        colorPrimaries: data["color_primaries"],
         language: data["tags"]?.["language"], // 语言
     }
     return createStreamData(obj)
@@ -170,6 +181,10 @@ function fromMediaInfo(data) {
         height: data["Height"], // 视频高度
         aspectRatio: data["DisplayAspectRatio"],
         sampleRate: data["SamplingRate"],
+        channels: data["Channels"],
+        colorTransfer: data["transfer_characteristics"],
+        colorPrimaries: data["colour_primaries"],
+        hdrFormat: data["HDR_Format"],
         language: data["Language"], // 语言
     }
     return createStreamData(obj)
@@ -266,6 +281,25 @@ export function fromMediaInfoJson(data) {
     return info
 }
 
+/**
+ * 判断视频流的HDR类型
+ * mediainfo 提供 HDR_Format，ffprobe 只能通过传输特性判断 HDR10 和 HLG
+ *
+ * @param {Object} video - 视频流信息
+ * @returns {string|null} Dolby Vision / HDR10+ / HDR10 / HLG，SDR 时返回 null
+ */
+export function getHdrType(video) {
+    const hdrFormat = String(video?.hdrFormat || "")
+    const transfer = String(video?.colorTransfer || "").toLowerCase()
+    if (/dolby vision/i.test(hdrFormat)) return "Dolby Vision"
+    if (/hdr10\+|2094/i.test(hdrFormat)) return "HDR10+"
+    if (transfer === "smpte2084" || transfer === "pq" || /2086|hdr10/i.test(hdrFormat)) {
+        return "HDR10"
+    }
+    if (transfer === "arib-std-b67" || transfer === "hlg") return "HLG"
+    return null
+}
+
 // 计算平均码率的方法
 // 如果是单音频文件，还有一个码率计算方式
 // fileSize / duration * 8 = bitrate
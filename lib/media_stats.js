@@ -0,0 +1,299 @@
+/*
+ * File: media_stats.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Media stats - stats 命令的分组汇总和节省空间估算
+ * 每个文件先规范化为一条记录，再按类型、扩展名、年月、型号、编码和分辨率档位分组，
+ * 估算只根据分辨率、时长和码率计算，不实际压缩或转码，结果只是大致的参考
+ */
+
+import * as core from "./core.js"
+import { ErrorTypes, createError } from "./errors.js"
+import * as helper from "./helper.js"
+
+// 可以分组的字段
+export const STATS_GROUPS = Object.freeze([
+    "type",
+    "ext",
+    "year",
+    "month",
+    "model",
+    "codec",
+    "resolution",
+])
+
+// 没有值的分组
+export const UNKNOWN = "unknown"
+
+const TYPE_NAMES = {
+    [helper.FILE_TYPE_IMAGE]: "image",
+    [helper.FILE_TYPE_VIDEO]: "video",
+    [helper.FILE_TYPE_AUDIO]: "audio",
+    [helper.FILE_TYPE_BOOK]: "book",
+    [helper.FILE_TYPE_ARCHIVE]: "archive",
+    [helper.FILE_TYPE_DEFAULT]: "other",
+}
+
+// 视频按长边分档，容忍少量裁边，如 1916x1076
+const VIDEO_BUCKETS = [
+    [7680, "8K"],
+    [3840, "4K"],
+    [2560, "1440p"],
+    [1920, "1080p"],
+    [1280, "720p"],
+    [854, "480p"],
+]
+const VIDEO_BUCKET_MARGIN = 0.98
+
+// 图片按百万像素分档
+const IMAGE_BUCKETS = [
+    [40, "40MP+"],
+    [20, "20MP+"],
+    [12, "12MP+"],
+    [8, "8MP+"],
+    [2, "2MP+"],
+]
+
+// JPEG 4:4:4 每像素字节数的经验值，按质量分档，照片内容不同会有较大差别
+const JPEG_BYTES_PER_PIXEL = [
+    [95, 0.9],
+    [90, 0.6],
+    [85, 0.45],
+    [80, 0.35],
+    [70, 0.28],
+    [0, 0.2],
+]
+
+// 与 ffmpeg 命令相同，读取不到视频流码率时按 48K 估算音频码率
+const AUDIO_BITRATE_GUESS = 48 * 1000
+const PIXELS_1080P = 1920 * 1080
+
+const num = (v) => {
+    const n = Number(v)
+    return v === undefined || v === null || v === "" || Number.isNaN(n) ? undefined : n
+}
+
+const minNoZero = (a, b) => (a > 0 && b > 0 ? Math.min(a, b) : a || b)
+
+/**
+ * 分辨率档位，视频按长边，如 1080p、4K，图片按像素数，如 12MP+
+ *
+ * @param {string} type - 文件类型 image/video
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {string} 档位名称，没有尺寸时为 unknown
+ */
+export function resolutionBucket(type, width, height) {
+    if (!(width > 0 && height > 0)) {
+        return UNKNOWN
+    }
+    if (type === "video") {
+        const long = Math.max(width, height)
+        const found = VIDEO_BUCKETS.find(([side]) => long >= side * VIDEO_BUCKET_MARGIN)
+        return found ? found[1] : "SD"
+    }
+    const mp = (width * height) / 1e6
+    const found = IMAGE_BUCKETS.find(([min]) => mp >= min)
+    return found ? found[1] : "<2MP"
+}
+
+/**
+ * 把一个文件的各种元数据合并为一条统计记录
+ *
+ * @param {Object} file - 文件条目 {path, size}
+ * @param {Object} sources - 元数据
+ * @param {Object} [sources.exif] - exif.readExifInfo 的结果
+ * @param {Object} [sources.media] - getMediaInfo 的结果
+ * @param {Object} [sources.image] - 图片尺寸 {width, height}
+ * @param {Date} [sources.date] - 没有EXIF日期时使用的日期，如文件名中的日期
+ * @returns {Object} 统计记录，分组字段没有值时为 unknown
+ */
+export function toStatsItem(file, { exif, media, image, date } = {}) {
+    const type = TYPE_NAMES[helper.getFileTypeByExt(file.path)]
+    const video = media?.video
+    const audio = media?.audio
+    const width = num(video?.width ?? image?.width)
+    const height = num(video?.height ?? image?.height)
+    const when = exif?.date ? new Date(exif.date) : date
+    const valid = when instanceof Date && !Number.isNaN(when.getTime())
+    const year = valid ? String(when.getFullYear()) : UNKNOWN
+    const month = valid ? `${year}-${String(when.getMonth() + 1).padStart(2, "0")}` : UNKNOWN
+    return {
+        path: file.path,
+        size: num(file.size ?? file.stats?.size) || 0,
+        type,
+        ext: helper.pathExt(file.path).slice(1).toLowerCase() || UNKNOWN,
+        year,
+        month,
+        model: exif?.model || UNKNOWN,
+        codec: video?.format || audio?.format || UNKNOWN,
+        resolution:
+            type === "video" || type === "image" ? resolutionBucket(type, width, height) : UNKNOWN,
+        width,
+        height,
+        duration: num(media?.duration ?? video?.duration ?? audio?.duration),
+        bitrate: num(media?.bitrate),
+        videoBitrate: num(video?.bitrate),
+        audioBitrate: num(audio?.bitrate),
+    }
+}
+
+/**
+ * 解析 --by 参数
+ *
+ * @param {string} [value] - 逗号分隔的分组字段，多个字段时交叉分组
+ * @returns {Array<string>} 分组字段列表，为空表示每个字段单独分组
+ * @throws {MediaCliError} INVALID_ARGUMENT 未知字段
+ */
+export function parseGroupBy(value) {
+    const keys = String(value || "")
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean)
+    for (const key of keys) {
+        if (!STATS_GROUPS.includes(key)) {
+            throw createError(
+                ErrorTypes.INVALID_ARGUMENT,
+                `unknown group "${key}", groups: ${STATS_GROUPS.join(",")}`,
+            )
+        }
+    }
+    return [...new Set(keys)]
+}
+
+/**
+ * 按一个或多个字段分组汇总
+ *
+ * @param {Array<Object>} items - 统计记录
+ * @param {Array<string>} keys - 分组字段
+ * @returns {Array<Object>} 行 {...分组字段, count, size, percent}，按大小降序
+ */
+export function groupItems(items, keys) {
+    const total = items.reduce((n, item) => n + item.size, 0)
+    const groups = new Map()
+    for (const item of items) {
+        const id = keys.map((k) => item[k]).join("\0")
+        let row = groups.get(id)
+        if (!row) {
+            row = Object.fromEntries(keys.map((k) => [k, item[k]]))
+            row.count = 0
+            row.size = 0
+            groups.set(id, row)
+        }
+        row.count++
+        row.size += item.size
+    }
+    const rows = [...groups.values()]
+    for (const row of rows) {
+        row.percent = total > 0 ? Math.round((row.size / total) * 1000) / 10 : 0
+    }
+    return rows.sort(
+        (a, b) =>
+            b.size - a.size ||
+            keys.map((k) => String(a[k]).localeCompare(String(b[k]))).find((diff) => diff !== 0) ||
+            0,
+    )
+}
+
+/**
+ * 最大的文件
+ *
+ * @param {Array<Object>} items - 统计记录
+ * @param {number} top - 数量
+ * @returns {Array<Object>} 统计记录，按大小降序
+ */
+export function largestItems(items, top) {
+    return [...items].sort((a, b) => b.size - a.size || a.path.localeCompare(b.path)).slice(0, top)
+}
+
+/**
+ * 估算 compress 命令压缩后的大小，参数含义与 compress 相同
+ *
+ * @param {Object} item - 统计记录
+ * @param {Object} options - 压缩参数
+ * @param {number} options.quality - JPEG 质量
+ * @param {number} options.maxWidth - 长边最大值，超过则等比缩小
+ * @param {number} options.minSize - 小于此大小（字节）的文件不压缩
+ * @param {RegExp} [options.exclude] - 跳过的路径，如缩略图和已压缩的文件
+ * @returns {number|null} 估算大小，不会压缩的文件为 null
+ */
+export function estimateCompressSize(item, { quality, maxWidth, minSize, exclude }) {
+    if (item.type !== "image" || !item.width || !item.height || item.size <= minSize) {
+        return null
+    }
+    if (exclude?.test(item.path)) {
+        return null
+    }
+    const scale = Math.min(1, maxWidth / Math.max(item.width, item.height))
+    const pixels = Math.round(item.width * scale) * Math.round(item.height * scale)
+    const [, bpp] = JPEG_BYTES_PER_PIXEL.find(([q]) => quality >= q)
+    return Math.min(item.size, Math.round(pixels * bpp))
+}
+
+/**
+ * 估算使用 ffmpeg 预设转码后的大小，码率计算与 lib/commands/ffmpeg.js 的 calculateDstArgs 一致，
+ * 只考虑预设中的码率和尺寸，预设没有码率时无法估算
+ *
+ * @param {Object} item - 统计记录
+ * @param {FFmpegPreset} preset - ffmpeg 预设，见 lib/ffmpeg_presets.js
+ * @returns {number|null} 估算大小，不适用或无法估算时为 null
+ */
+export function estimatePresetSize(item, preset) {
+    if (!(item.duration > 0) || item.type !== preset.type) {
+        return null
+    }
+    let videoBitrate = 0
+    let audioBitrate
+    if (item.type === "audio") {
+        audioBitrate = minNoZero(preset.audioBitrate, item.audioBitrate || item.bitrate)
+    } else {
+        if (!preset.videoBitrate || !item.width || !item.height) {
+            return null
+        }
+        const srcSide = Math.max(item.width, item.height)
+        const scale = Math.min(1, preset.dimension / srcSide)
+        const dstSide = srcSide * scale
+        const dstPixels = item.width * scale * item.height * scale
+        // 预设尺寸大于视频时按长边比例降低码率
+        videoBitrate =
+            preset.dimension > dstSide
+                ? preset.videoBitrate * (dstSide / preset.dimension) * 1.1
+                : preset.videoBitrate
+        if (dstSide < 1920) {
+            videoBitrate *= core.smoothChange(dstPixels / PIXELS_1080P, 1, 0.3)
+        }
+        const srcVideoBitrate = item.videoBitrate || (item.bitrate || 0) - AUDIO_BITRATE_GUESS
+        videoBitrate = minNoZero(videoBitrate, srcVideoBitrate)
+        audioBitrate = minNoZero(item.audioBitrate, preset.audioBitrate)
+    }
+    if (!(audioBitrate > 0) && !(videoBitrate > 0)) {
+        return null
+    }
+    const estimated = Math.round((item.duration * (videoBitrate + (audioBitrate || 0))) / 8)
+    return Math.min(item.size, estimated)
+}
+
+/**
+ * 汇总估算结果
+ *
+ * @param {Array<Object>} items - 统计记录
+ * @param {Function} estimate - 估算函数，返回估算大小或 null
+ * @returns {{count: number, size: number, estimated: number, saved: number}}
+ *   适用的文件数、原大小、估算大小和可节省的空间
+ */
+export function estimateSavings(items, estimate) {
+    const result = { count: 0, size: 0, estimated: 0, saved: 0 }
+    for (const item of items) {
+        const estimated = estimate(item)
+        if (estimated === null || estimated === undefined) {
+            continue
+        }
+        result.count++
+        result.size += item.size
+        result.estimated += estimated
+    }
+    result.saved = result.size - result.estimated
+    return result
+}
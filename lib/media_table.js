@@ -0,0 +1,276 @@
+/*
+ * File: media_table.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Media table - info 命令的字段规范化、排序和表格/CSV输出，stats 命令也使用这里的表格输出
+ * 把 mediainfo/ffprobe、EXIF 和图片尺寸的结果合并为一行固定字段，
+ * 行中保存原始数值，显示时再格式化，CSV和JSON输出使用原始数值便于再处理
+ */
+
+import path from "path"
+import { ErrorTypes, createError } from "./errors.js"
+import * as helper from "./helper.js"
+import { getHdrType } from "./media_parser.js"
+
+// 所有列，按显示顺序
+export const INFO_COLUMNS = Object.freeze([
+    "name",
+    "path",
+    "size",
+    "container",
+    "vcodec",
+    "acodec",
+    "resolution",
+    "width",
+    "height",
+    "fps",
+    "bitrate",
+    "duration",
+    "channels",
+    "bitDepth",
+    "hdr",
+    "date",
+    "model",
+    "gps",
+    "orientation",
+])
+
+// 默认显示的列
+export const DEFAULT_COLUMNS = Object.freeze([
+    "name",
+    "container",
+    "vcodec",
+    "acodec",
+    "resolution",
+    "fps",
+    "bitrate",
+    "duration",
+    "channels",
+    "hdr",
+    "date",
+    "model",
+])
+
+// 数值列右对齐，排序时按数值比较
+const NUMERIC_COLUMNS = new Set([
+    "size",
+    "width",
+    "height",
+    "fps",
+    "bitrate",
+    "duration",
+    "channels",
+    "bitDepth",
+    "orientation",
+    "count",
+    "percent",
+    "estimated",
+    "saved",
+])
+
+const num = (v) => {
+    const n = Number(v)
+    return v === undefined || v === null || v === "" || Number.isNaN(n) ? undefined : n
+}
+
+/**
+ * 把一个文件的各种元数据合并为一行
+ *
+ * @param {Object} file - 文件条目 {path, size}
+ * @param {Object} sources - 元数据
+ * @param {Object} [sources.media] - getMediaInfo 的结果
+ * @param {Object} [sources.exif] - exif.readExifInfo 的结果
+ * @param {Object} [sources.image] - 图片尺寸 {width, height, type}
+ * @returns {Object} 行，没有的字段为 undefined
+ */
+export function toInfoRow(file, { media, exif, image } = {}) {
+    const video = media?.video
+    const audio = media?.audio
+    const width = num(video?.width ?? image?.width)
+    const height = num(video?.height ?? image?.height)
+    return {
+        name: path.basename(file.path),
+        path: file.path,
+        size: num(file.size ?? file.stats?.size ?? media?.size),
+        container: media?.format || image?.type || helper.pathExt(file.path).slice(1) || undefined,
+        vcodec: video?.format,
+        acodec: audio?.format,
+        resolution: width && height ? `${width}x${height}` : undefined,
+        width,
+        height,
+        fps: video?.framerate ? Math.round(num(video.framerate) * 1000) / 1000 : undefined,
+        bitrate: num(media?.bitrate ?? video?.bitrate ?? audio?.bitrate),
+        duration: num(media?.duration ?? video?.duration ?? audio?.duration),
+        channels: num(audio?.channels),
+        bitDepth: num(video?.bitDepth),
+        hdr: video ? getHdrType(video) || "SDR" : undefined,
+        date: exif?.date || undefined,
+        model: exif?.model || undefined,
+        gps: exif?.gps ? exif.gps.map((v) => Math.round(v * 1e6) / 1e6).join(",") : undefined,
+        orientation: num(exif?.orientation),
+    }
+}
+
+/**
+ * 解析 --columns 参数，all 表示所有列
+ *
+ * @param {string} [value] - 逗号分隔的列名，为空时使用默认列
+ * @returns {Array<string>} 列名列表
+ * @throws {MediaCliError} INVALID_ARGUMENT 未知列名
+ */
+export function parseColumns(value) {
+    if (!value) {
+        return [...DEFAULT_COLUMNS]
+    }
+    if (value === "all") {
+        return [...INFO_COLUMNS]
+    }
+    const columns = String(value)
+        .split(",")
+        .map((c) => c.trim())
+        .filter(Boolean)
+    const byLower = new Map(INFO_COLUMNS.map((c) => [c.toLowerCase(), c]))
+    return columns.map((c) => {
+        const column = byLower.get(c.toLowerCase())
+        if (!column) {
+            throw createError(
+                ErrorTypes.INVALID_ARGUMENT,
+                `Unknown column: ${c}, columns: ${INFO_COLUMNS.join(",")}`,
+            )
+        }
+        return column
+    })
+}
+
+/**
+ * 解析 --sort 参数，如 "-bitrate,name"，减号表示降序
+ *
+ * @param {string} [spec] - 排序列
+ * @returns {Array<{column: string, desc: boolean}>} 排序键
+ * @throws {MediaCliError} INVALID_ARGUMENT 未知列名
+ */
+export function parseSort(spec) {
+    return String(spec || "")
+        .split(",")
+        .map((k) => k.trim())
+        .filter(Boolean)
+        .map((k) => ({ column: parseColumns(k.replace(/^[-+]/, ""))[0], desc: k.startsWith("-") }))
+}
+
+/**
+ * 按排序键排序，没有值的行总是排在最后
+ *
+ * @param {Array<Object>} rows - 行列表，原地排序
+ * @param {string|Array<Object>} [spec] - 排序列或 parseSort 的结果
+ * @returns {Array<Object>} 排序后的行
+ */
+export function sortRows(rows, spec) {
+    const keys = Array.isArray(spec) ? spec : parseSort(spec)
+    return rows.sort((a, b) => {
+        for (const { column, desc } of keys) {
+            const va = a[column]
+            const vb = b[column]
+            if (va === vb) continue
+            if (va === undefined) return 1
+            if (vb === undefined) return -1
+            const diff = NUMERIC_COLUMNS.has(column)
+                ? va - vb
+                : String(va).localeCompare(String(vb), undefined, { numeric: true })
+            if (diff !== 0) return desc ? -diff : diff
+        }
+        return 0
+    })
+}
+
+// 时长显示为 h:mm:ss
+function formatDuration(seconds) {
+    const s = Math.round(seconds)
+    const h = Math.floor(s / 3600)
+    const m = Math.floor((s % 3600) / 60)
+    const two = (n) => String(n).padStart(2, "0")
+    return h > 0 ? `${h}:${two(m)}:${two(s % 60)}` : `${m}:${two(s % 60)}`
+}
+
+/**
+ * 格式化单元格的显示文本
+ * @param {string} column - 列名
+ * @param {any} value - 原始值
+ * @returns {string} 显示文本
+ */
+export function formatCell(column, value) {
+    if (value === undefined || value === null) {
+        return "-"
+    }
+    switch (column) {
+        case "size":
+        case "estimated":
+        case "saved":
+            return helper.humanSize(value)
+        case "percent":
+            return `${value}%`
+        case "bitrate":
+            return value >= 1e6 ? `${(value / 1e6).toFixed(1)}M` : `${Math.round(value / 1e3)}K`
+        case "duration":
+            return formatDuration(value)
+        case "date":
+            return String(value).slice(0, 19).replace("T", " ")
+    }
+    return String(value)
+}
+
+// 按显示宽度补齐，中文字符占两格
+function pad(text, width, right) {
+    const fill = " ".repeat(Math.max(0, width - helper.unicodeLength(text)))
+    return right ? fill + text : text + fill
+}
+
+/**
+ * 输出对齐的文本表格
+ * @param {Array<Object>} rows - 行列表
+ * @param {Array<string>} columns - 列名列表
+ * @returns {Array<string>} 表格的每一行，第一行为表头
+ */
+export function formatTable(rows, columns) {
+    const cells = rows.map((row) => columns.map((c) => formatCell(c, row[c])))
+    const widths = columns.map((c, i) =>
+        Math.max(helper.unicodeLength(c), ...cells.map((r) => helper.unicodeLength(r[i]))),
+    )
+    const line = (values) =>
+        values
+            .map((v, i) => pad(v, widths[i], NUMERIC_COLUMNS.has(columns[i])))
+            .join("  ")
+            .trimEnd()
+    return [line(columns), ...cells.map(line)]
+}
+
+// CSV字段包含逗号、引号或换行时加引号
+function csvField(value) {
+    if (value === undefined || value === null) {
+        return ""
+    }
+    const s = String(value)
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+/**
+ * 输出CSV文本，使用原始数值
+ * @param {Array<Object>} rows - 行列表
+ * @param {Array<string>} columns - 列名列表
+ * @returns {string} CSV文本，包含表头
+ */
+export function formatCsv(rows, columns) {
+    const lines = [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+    return lines.map((values) => values.map(csvField).join(",")).join("\n") + "\n"
+}
+
+/**
+ * 只保留选中的列，用于JSON输出
+ * @param {Object} row - 行
+ * @param {Array<string>} columns - 列名列表
+ * @returns {Object} 新对象
+ */
+export function pickColumns(row, columns) {
+    return Object.fromEntries(columns.map((c) => [c, row[c] ?? null]))
+}
@@ -11,6 +11,7 @@ import iconv from "iconv-lite"
 import os from "node:os"
 import which from "which"
 import * as helper from "../lib/helper.js"
+import * as catalog from "./catalog.js"
 import { roundNum } from "./core.js"
 import * as log from "./debug.js"
 import { hasBadUnicode } from "./encoding.js"
@@ -49,7 +50,7 @@ async function ffprobeCall(filePath) {
     // 只选择需要的字段，避免乱码和非法JSON
     // 有的文件视频和音频duration和bit_rate放在stream_tags里
     const propsSelected =
-        "stream=codec_name,codec_long_name,profile,level,codec_type,codec_tag_string,width,height,display_aspect_ratio,pix_fmt,duration,bit_rate,sample_rate,sample_fmt,time_base,r_frame_rate,avg_frame_rate,channels,bits_per_sample,bits_per_raw_sample:format=format_name,format_long_name,duration,size,bit_rate:stream_tags:format_tags=creation_time"
+        "stream=codec_name,codec_long_name,profile,level,codec_type,codec_tag_string,width,height,display_aspect_ratio,pix_fmt,color_transfer,color_primaries,duration,bit_rate,sample_rate,sample_fmt,time_base,r_frame_rate,avg_frame_rate,channels,bits_per_sample,bits_per_raw_sample:format=format_name,format_long_name,duration,size,bit_rate:stream_tags:format_tags=creation_time"
     const cmdArgs = ["-v", "error"]
     cmdArgs.push("-show_entries", propsSelected)
     cmdArgs.push("-of", "json", filePath)
@@ -127,6 +128,7 @@ async function parseMediaInfo(filePath) {
 /**
  * 获取媒体文件的详细信息
  * 优先使用MediaInfo，如果失败则尝试FFprobe作为备选方案
+ * 索引可用时优先读取索引中的结果，索引只保存默认选项的结果
  *
  * @param {string} filePath - 媒体文件路径
  * @param {Object} options - 选项配置
@@ -135,6 +137,17 @@ async function parseMediaInfo(filePath) {
  * @throws {Error} 当ffprobe和mediainfo都不可用时抛出错误
  */
 export async function getMediaInfo(filePath, options = { useMediaInfo: true }) {
+    // 优先使用FFprobe时结果的字段不同，不读写索引
+    if (!options.useMediaInfo) {
+        return await readMediaInfo(filePath, options)
+    }
+    return await catalog.cached(filePath, catalog.CatalogFields.MEDIA, () =>
+        readMediaInfo(filePath, options),
+    )
+}
+
+// 调用 mediainfo/ffprobe 解析媒体文件，不使用索引
+async function readMediaInfo(filePath, options) {
     // 检查必要的工具是否存在
     if (!HAS_FFPROBE_EXE && !HAS_MEDIAINFO_EXE) {
         throw new Error("both ffprobe and mediainfo binary not found")
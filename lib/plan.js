@@ -0,0 +1,158 @@
+/*
+ * File: plan.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Plan file - 把试运行计算出的操作保存为JSON文件，审阅后由 apply 命令原样执行
+ * 每个操作记录源文件的大小和修改时间，执行前校验，源文件变化过的操作会被跳过
+ */
+
+import fs from "fs-extra"
+import path from "path"
+import * as log from "./debug.js"
+import { ErrorTypes, createError } from "./errors.js"
+import { t } from "./i18n.js"
+import { sanitizeArgv } from "./journal.js"
+
+const LOG_TAG = "Plan"
+
+export const PLAN_VERSION = 1
+
+// 操作类型
+export const PlanOps = Object.freeze({
+    RENAME: "rename",
+    MOVE: "move",
+    // 安全删除，移动到 Deleted_By_Mediac 目录
+    REMOVE: "remove",
+    // 永久删除
+    DELETE: "delete",
+    COMPRESS: "compress",
+})
+
+// 校验结果状态
+export const PlanStatus = Object.freeze({
+    OK: "OK",
+    MISSING: "MISSING",
+    CHANGED: "CHANGED",
+    CONFLICT: "CONFLICT",
+})
+
+// 需要目标路径的操作
+const OPS_WITH_DST = [PlanOps.RENAME, PlanOps.MOVE, PlanOps.COMPRESS]
+
+/**
+ * 创建一个空的计划
+ * @param {string} command - 生成计划的命令名称
+ * @param {Object} argv - 命令行参数
+ * @returns {Object} 计划对象
+ */
+export function createPlan(command, argv = {}) {
+    return {
+        version: PLAN_VERSION,
+        command,
+        argv: sanitizeArgv(argv),
+        cwd: process.cwd(),
+        createdAt: new Date().toISOString(),
+        ops: [],
+    }
+}
+
+/**
+ * 向计划添加一个操作，同时记录源文件当前的大小和修改时间
+ * 源文件不存在时忽略
+ *
+ * @param {Object} plan - 计划对象
+ * @param {string} op - 操作类型，见 PlanOps
+ * @param {string} src - 源路径
+ * @param {string|null} dst - 目标路径，删除操作为 null
+ * @param {Object} extra - 附加字段，如压缩参数
+ * @returns {Promise<Object|undefined>} 添加的操作
+ */
+export async function addOp(plan, op, src, dst = null, extra = {}) {
+    const st = await fs.stat(src).catch(() => null)
+    if (!st) {
+        log.warn(LOG_TAG, `source not found: ${src}`)
+        return
+    }
+    const item = {
+        op,
+        src: path.resolve(src),
+        dst: dst ? path.resolve(dst) : null,
+        isDir: st.isDirectory(),
+        size: st.size,
+        mtimeMs: st.mtimeMs,
+        ...extra,
+    }
+    plan.ops.push(item)
+    return item
+}
+
+/**
+ * 保存计划到JSON文件
+ * @param {Object} plan - 计划对象
+ * @param {string} planPath - 文件路径
+ * @returns {Promise<string>} 文件的绝对路径
+ */
+export async function savePlan(plan, planPath) {
+    const filePath = path.resolve(planPath)
+    await fs.ensureDir(path.dirname(filePath))
+    await fs.writeJson(filePath, { ...plan, count: plan.ops.length }, { spaces: 2 })
+    log.logSuccess(LOG_TAG, t("apply.plan.saved", { count: plan.ops.length, path: filePath }))
+    log.logInfo(LOG_TAG, t("apply.plan.hint", { path: planPath }))
+    return filePath
+}
+
+/**
+ * 读取并校验计划文件
+ * @param {string} planPath - 文件路径
+ * @returns {Promise<Object>} 计划对象
+ */
+export async function loadPlan(planPath) {
+    const filePath = path.resolve(planPath)
+    let plan
+    try {
+        plan = await fs.readJson(filePath)
+    } catch (error) {
+        throw createError(
+            ErrorTypes.INVALID_ARGUMENT,
+            `${t("apply.plan.invalid", { path: filePath })} ${error.message}`,
+        )
+    }
+    const validOps = new Set(Object.values(PlanOps))
+    const valid =
+        plan?.version === PLAN_VERSION &&
+        Array.isArray(plan.ops) &&
+        plan.ops.every(
+            (o) => validOps.has(o.op) && o.src && (o.dst || !OPS_WITH_DST.includes(o.op)),
+        )
+    if (!valid) {
+        throw createError(ErrorTypes.INVALID_ARGUMENT, t("apply.plan.invalid", { path: filePath }))
+    }
+    return plan
+}
+
+/**
+ * 校验单个操作是否仍可执行
+ * 源文件不存在或大小/修改时间变化、目标已存在、依赖文件不存在时不可执行
+ *
+ * @param {Object} op - 计划中的操作
+ * @returns {Promise<string>} 校验状态，见 PlanStatus
+ */
+export async function checkOp(op) {
+    const st = await fs.stat(op.src).catch(() => null)
+    if (!st || st.isDirectory() !== Boolean(op.isDir)) {
+        return PlanStatus.MISSING
+    }
+    // 目录的修改时间会随内容变化，只比较文件
+    if (!op.isDir && (st.size !== op.size || Math.floor(st.mtimeMs) !== Math.floor(op.mtimeMs))) {
+        return PlanStatus.CHANGED
+    }
+    if (op.requires && !(await fs.pathExists(op.requires))) {
+        return PlanStatus.MISSING
+    }
+    if (op.dst && (await fs.pathExists(op.dst))) {
+        return PlanStatus.CONFLICT
+    }
+    return PlanStatus.OK
+}
@@ -0,0 +1,245 @@
+/*
+ * File: skip_policy.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Skip Policy - ffmpeg 命令的跳过规则
+ * 预设的 skipPolicy 按源文件的编码、码率、尺寸和预计节省的空间，
+ * 决定跳过不需要重新编码的文件，或者只复制流不重新编码
+ */
+
+import { ErrorTypes, createError } from "./errors.js"
+
+// 规则匹配后的操作
+export const SkipAction = Object.freeze({
+    // 跳过，不生成目标文件
+    SKIP: "skip",
+    // 复制视频流（音频预设为音频流），其它参数不变
+    COPY: "copy",
+})
+
+// 规则条件
+export const SkipCondition = Object.freeze({
+    // 源文件编码与目标编码相同
+    SAME_CODEC: "sameCodec",
+    // 源文件码率不高于目标码率
+    LOW_BITRATE: "lowBitrate",
+    // 源视频长边不大于 dimension，不需要缩放
+    SMALL_DIMENSION: "smallDimension",
+    // 预计输出文件比源文件小不到 minSavings%
+    LOW_SAVINGS: "lowSavings",
+})
+
+// lowSavings 的默认最小节省比例，百分比
+export const DEFAULT_MIN_SAVINGS = 10
+
+// --skip-policy 对没有规则的预设使用的默认规则
+// 跳过已经是同样编码、码率也不高于目标码率的文件，重新编码只会浪费时间，文件还可能变大
+export const DEFAULT_SKIP_POLICY = Object.freeze({
+    rules: [
+        { when: [SkipCondition.SAME_CODEC, SkipCondition.LOW_BITRATE], action: SkipAction.SKIP },
+    ],
+})
+
+// 编码名称的别名，ffprobe 和 mediainfo 的名称不同
+const CODEC_ALIASES = {
+    avc: "h264",
+    "h.264": "h264",
+    h265: "hevc",
+    "h.265": "hevc",
+}
+
+// 编码器名称 => 编码名称
+const ENCODER_CODECS = [
+    [/hevc|265/, "hevc"],
+    [/h264|264/, "h264"],
+    [/av1/, "av1"],
+    [/vp9/, "vp9"],
+    [/aac/, "aac"],
+    [/mp3/, "mp3"],
+    [/opus/, "opus"],
+    [/flac/, "flac"],
+]
+
+/**
+ * 统一编码名称
+ * @param {string} name - ffprobe 或 mediainfo 的编码名称，如 hevc、AVC
+ * @returns {string|undefined} 小写的编码名称
+ */
+export function normalizeCodec(name) {
+    if (!name) {
+        return undefined
+    }
+    const codec = String(name).toLowerCase()
+    return CODEC_ALIASES[codec] || codec
+}
+
+/**
+ * 编码器对应的编码名称
+ * @param {string} encoder - 编码器名称，如 hevc_nvenc、libx265、libfdk_aac
+ * @returns {string|undefined} 编码名称，如 hevc，未知或 copy 时为空
+ */
+export function encoderCodec(encoder) {
+    if (!encoder || encoder === "copy") {
+        return undefined
+    }
+    return ENCODER_CODECS.find(([re]) => re.test(encoder))?.[1] || normalizeCodec(encoder)
+}
+
+/**
+ * 检查和规范化预设中的跳过规则
+ * YAML 中的格式:
+ *   skipPolicy:
+ *     minSavings: 10
+ *     rules:
+ *       - when: [sameCodec, lowBitrate]
+ *         action: skip
+ *
+ * @param {Object|null} policy - 预设的 skipPolicy
+ * @param {string} [presetName] - 预设名称，错误信息使用
+ * @returns {{minSavings: number, rules: Array<{when: string[], action: string}>}|null}
+ *   没有规则时为空
+ * @throws {MediaCliError} INVALID_ARGUMENT 未知的条件或操作
+ */
+export function parseSkipPolicy(policy, presetName = "") {
+    if (!policy?.rules?.length) {
+        return null
+    }
+    const invalid = (message) =>
+        createError(ErrorTypes.INVALID_ARGUMENT, `invalid skipPolicy of ${presetName}: ${message}`)
+    const minSavings = policy.minSavings ?? DEFAULT_MIN_SAVINGS
+    if (!(minSavings >= 0 && minSavings < 100)) {
+        throw invalid(`minSavings must be between 0 and 100: ${minSavings}`)
+    }
+    const conditions = Object.values(SkipCondition)
+    const actions = Object.values(SkipAction)
+    const rules = policy.rules.map((rule) => {
+        const when = [rule?.when].flat().filter(Boolean)
+        if (when.length === 0) {
+            throw invalid("rule needs at least one condition")
+        }
+        const unknown = when.find((c) => !conditions.includes(c))
+        if (unknown) {
+            throw invalid(`unknown condition ${unknown}, use ${conditions.join("|")}`)
+        }
+        if (!actions.includes(rule.action)) {
+            throw invalid(`unknown action ${rule.action}, use ${actions.join("|")}`)
+        }
+        return { when, action: rule.action }
+    })
+    return { minSavings, rules }
+}
+
+/**
+ * 按命令行选项决定使用的跳过规则，内置预设没有规则，需要用户开启
+ * @param {Object} preset - 预设
+ * @param {boolean} [enabled] - --skip-policy 选项，true 时没有规则的预设使用默认规则，
+ *   false 时不使用任何规则，未指定时只使用预设的规则
+ * @returns {Object|null} parseSkipPolicy 的结果
+ * @throws {MediaCliError} INVALID_ARGUMENT 预设的规则有错误
+ */
+export function resolveSkipPolicy(preset, enabled) {
+    if (enabled === false) {
+        return null
+    }
+    const policy = preset.skipPolicy || (enabled ? DEFAULT_SKIP_POLICY : null)
+    return parseSkipPolicy(policy, preset.name)
+}
+
+/**
+ * 计算规则条件需要的源文件和目标参数
+ * 视频预设比较视频流，音频预设比较音频流
+ *
+ * @param {Object} preset - 预设
+ * @param {Object} dstArgs - lib/commands/ffmpeg.js calculateDstArgs 的结果，目标码率不高于源文件码率
+ * @param {number} [fileSize] - 源文件大小，dstArgs 中没有时使用
+ * @returns {Object} {srcCodec, dstCodec, srcBitrate, dstBitrate, srcSide, dimension, srcSize, dstSize, savings, transform}
+ */
+export function getSkipFacts(preset, dstArgs, fileSize = 0) {
+    const isVideo = preset.type === "video"
+    const stream = isVideo ? "v" : "a"
+    const encoder = (isVideo ? preset.videoArgs : preset.audioArgs)?.match(
+        new RegExp(`-c:${stream}\\s+(\\S+)`),
+    )?.[1]
+    const srcBitrate = (isVideo ? dstArgs.srcVideoBitrate : dstArgs.srcAudioBitrate) || 0
+    const dstBitrate = (isVideo ? dstArgs.dstVideoBitrate : dstArgs.dstAudioBitrate) || 0
+    const srcSize = dstArgs.srcSize || fileSize || 0
+    // 按目标码率估算，CQ/CRF 模式下码率是上限，实际输出通常更小
+    const outBitrate = isVideo ? dstBitrate + (dstArgs.dstAudioBitrate || 0) : dstBitrate
+    const dstSize = Math.round((outBitrate * (dstArgs.srcDuration || 0)) / 8)
+    return {
+        srcCodec: normalizeCodec(isVideo ? dstArgs.srcVideoCodec : dstArgs.srcAudioCodec),
+        dstCodec: encoderCodec(encoder),
+        srcBitrate,
+        dstBitrate,
+        srcSide: Math.max(dstArgs.srcWidth || 0, dstArgs.srcHeight || 0),
+        dimension: dstArgs.dimension || 0,
+        srcSize,
+        dstSize,
+        savings: srcSize > 0 && dstSize > 0 ? (1 - dstSize / srcSize) * 100 : NaN,
+        // 变速或改变帧率必须重新编码
+        transform: (dstArgs.dstSpeed > 0 && dstArgs.dstSpeed !== 1) || dstArgs.dstFrameRate > 0,
+    }
+}
+
+/**
+ * 检查一个条件
+ * @param {string} condition - 条件，见 SkipCondition
+ * @param {Object} facts - getSkipFacts 的结果
+ * @param {number} minSavings - 最小节省比例，百分比
+ * @returns {boolean}
+ */
+function checkCondition(condition, facts, minSavings) {
+    switch (condition) {
+        case SkipCondition.SAME_CODEC:
+            return Boolean(facts.srcCodec) && facts.srcCodec === facts.dstCodec
+        case SkipCondition.LOW_BITRATE:
+            // 目标码率被限制为不高于源文件码率，相等时说明源文件码率更低
+            return facts.srcBitrate > 0 && facts.srcBitrate <= facts.dstBitrate
+        case SkipCondition.SMALL_DIMENSION:
+            return facts.srcSide > 0 && facts.dimension > 0 && facts.srcSide <= facts.dimension
+        case SkipCondition.LOW_SAVINGS:
+            return !Number.isNaN(facts.savings) && facts.savings < minSavings
+    }
+    return false
+}
+
+/**
+ * 按顺序检查规则，返回第一个所有条件都满足的规则
+ * 变速、改变帧率或已经复制视频流时不检查
+ *
+ * @param {Object|null} policy - parseSkipPolicy 的结果
+ * @param {Object} facts - getSkipFacts 的结果
+ * @returns {{action: string, reason: string}|null} reason 为条件名称，用 + 连接
+ */
+export function evaluateSkipPolicy(policy, facts) {
+    if (!policy || facts.transform || !facts.dstCodec) {
+        return null
+    }
+    for (const rule of policy.rules) {
+        if (rule.when.every((c) => checkCondition(c, facts, policy.minSavings))) {
+            return { action: rule.action, reason: rule.when.join("+") }
+        }
+    }
+    return null
+}
+
+/**
+ * 复制流的预设，视频预设复制视频流并去掉滤镜，音频预设复制音频流
+ * @param {Object} preset - 预设
+ * @returns {Object} 新的预设
+ */
+export function toCopyPreset(preset) {
+    const copy = structuredClone(preset)
+    if (preset.type === "video") {
+        copy.videoArgs = "-c:v copy"
+        copy.filters = ""
+        copy.complexFilter = ""
+        copy.userArgs = { ...copy.userArgs, videoCopy: true }
+    } else {
+        copy.audioArgs = "-c:a copy"
+        copy.userArgs = { ...copy.userArgs, audioCopy: true }
+    }
+    return copy
+}
@@ -0,0 +1,259 @@
+/*
+ * File: sync.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Sync - sync 命令的单向镜像，按相对路径比较源目录和目标目录
+ * 比较大小和修改时间，或者大小和 xxHash64，生成复制、更新和删除任务
+ * 复制先写入同目录的临时文件，可选校验后再替换目标文件，中断时不会留下写了一半的目标文件
+ */
+
+import fs from "fs-extra"
+import pMap from "p-map"
+import path from "path"
+import { pipeline } from "stream/promises"
+import xxhash from "xxhash-wasm"
+import { ErrorTypes, createError } from "./errors.js"
+import * as helper from "./helper.js"
+import { hashFileXXH64 } from "./tools.js"
+import { TRASH_DIR_NAME } from "./trash.js"
+
+// 比较方式
+export const SyncCompare = Object.freeze({
+    // 大小和修改时间
+    SIZE: "size",
+    // 大小和 xxHash64，忽略修改时间
+    HASH: "hash",
+})
+
+// 任务类型
+export const SyncActions = Object.freeze({
+    // 目标中没有的文件
+    COPY: "copy",
+    // 目标中不同的文件
+    UPDATE: "update",
+    // 源中没有的目标文件，使用 --delete 时安全删除
+    DELETE: "delete",
+})
+
+// 修改时间的精度误差，部分文件系统（如FAT、SMB）只精确到秒
+const MTIME_TOLERANCE_MS = 2000
+
+// 复制时每次读取的大小，也是限速的粒度
+const CHUNK_SIZE = 1024 * 1024
+
+// 临时文件名，与 compress 和 ffmpeg 的临时文件格式相同
+const TEMP_RE = /_tmp@\d+@tmp_/
+
+/**
+ * 复制时使用的临时文件路径，与目标文件在同一目录，完成后重命名
+ * @param {string} src - 源文件路径
+ * @param {string} dst - 目标文件路径
+ * @returns {string} 临时文件路径
+ */
+export function tempPath(src, dst) {
+    const { dir, name, ext } = path.parse(dst)
+    return path.join(dir, `${name}_tmp@${helper.textHash(src)}@tmp_${ext}`)
+}
+
+// 安全删除目录和临时文件不参与同步
+function isIgnored(rel) {
+    return rel.split("/")[0] === TRASH_DIR_NAME || TEMP_RE.test(path.basename(rel))
+}
+
+/**
+ * 检查源目录和目标目录，两者不能相同或互相包含
+ * @param {string} srcRoot - 源目录
+ * @param {string} dstRoot - 目标目录
+ * @throws {MediaCliError} INVALID_ARGUMENT 目录相同或互相包含
+ */
+export function checkRoots(srcRoot, dstRoot) {
+    const inside = (a, b) => {
+        const rel = path.relative(a, b)
+        return !rel.startsWith("..") && !path.isAbsolute(rel)
+    }
+    if (inside(srcRoot, dstRoot) || inside(dstRoot, srcRoot)) {
+        throw createError(
+            ErrorTypes.INVALID_ARGUMENT,
+            `source and destination must not contain each other: ${srcRoot} ${dstRoot}`,
+        )
+    }
+}
+
+/**
+ * 文件条目按相对路径索引，路径统一使用 / 分隔
+ * @param {string} root - 目录
+ * @param {Array<Object>} files - 文件条目列表，需要 stats，见 lib/file.js walk
+ * @returns {Map<string, Object>} 相对路径 => 文件条目
+ */
+export function toSyncMap(root, files) {
+    const result = new Map()
+    for (const f of files) {
+        const rel = path.relative(root, f.path).split(path.sep).join("/")
+        if (!isIgnored(rel)) {
+            result.set(rel, f)
+        }
+    }
+    return result
+}
+
+const fileSize = (f) => f.stats?.size ?? f.size
+const fileMtime = (f) => f.stats?.mtimeMs ?? f.mtimeMs
+
+/**
+ * 比较源文件和目标文件是否相同
+ * @param {Object} src - 源文件条目
+ * @param {Object} dst - 目标文件条目
+ * @param {string} compare - 比较方式，见 SyncCompare
+ * @returns {Promise<boolean>}
+ */
+export async function isSameFile(src, dst, compare) {
+    if (fileSize(src) !== fileSize(dst)) {
+        return false
+    }
+    if (compare === SyncCompare.HASH) {
+        const [a, b] = await Promise.all([hashFileXXH64(src.path), hashFileXXH64(dst.path)])
+        return a === b
+    }
+    return Math.abs(fileMtime(src) - fileMtime(dst)) <= MTIME_TOLERANCE_MS
+}
+
+/**
+ * 比较两个目录，生成同步任务
+ *
+ * @param {string} srcRoot - 源目录
+ * @param {Array<Object>} srcFiles - 源文件条目列表，需要 stats
+ * @param {string} dstRoot - 目标目录
+ * @param {Array<Object>} dstFiles - 目标文件条目列表，需要 stats
+ * @param {Object} options - 选项
+ * @param {string} [options.compare] - 比较方式，见 SyncCompare
+ * @param {boolean} [options.deleteExtra] - 是否删除源中没有的目标文件
+ * @param {Set<string>} [options.skip] - 断点中已完成或失败的路径，不比较也不生成任务
+ * @param {number} [options.concurrency] - 计算校验值的并发数
+ * @param {Function} [options.onProgress] - 进度回调 (done, total)
+ * @returns {Promise<{tasks: Array<Object>, same: number, skipped: number}>}
+ *   任务 {action, rel, src, dst, tmp, size}，按相对路径排序，same 为相同文件数
+ */
+export async function planSync(srcRoot, srcFiles, dstRoot, dstFiles, options = {}) {
+    const { compare = SyncCompare.SIZE, deleteExtra = false, skip = new Set() } = options
+    const { concurrency = 4, onProgress } = options
+    const srcMap = toSyncMap(srcRoot, srcFiles)
+    const dstMap = toSyncMap(dstRoot, dstFiles)
+    const tasks = []
+    let same = 0
+    let skipped = 0
+    let done = 0
+    await pMap(
+        [...srcMap],
+        async ([rel, f]) => {
+            const old = dstMap.get(rel)
+            const dst = old?.path || path.join(dstRoot, ...rel.split("/"))
+            if (skip.has(f.path)) {
+                skipped++
+            } else if (old && (await isSameFile(f, old, compare))) {
+                same++
+            } else {
+                tasks.push({
+                    action: old ? SyncActions.UPDATE : SyncActions.COPY,
+                    rel,
+                    src: f.path,
+                    dst,
+                    tmp: tempPath(f.path, dst),
+                    size: fileSize(f),
+                })
+            }
+            onProgress?.(++done, srcMap.size)
+        },
+        { concurrency },
+    )
+    if (deleteExtra) {
+        for (const [rel, f] of dstMap) {
+            if (skip.has(f.path)) {
+                skipped++
+            } else if (!srcMap.has(rel)) {
+                tasks.push({ action: SyncActions.DELETE, rel, dst: f.path, size: fileSize(f) })
+            }
+        }
+    }
+    tasks.sort((a, b) => a.rel.localeCompare(b.rel))
+    return { tasks, same, skipped }
+}
+
+/**
+ * 汇总任务数量和大小
+ * @param {Array<Object>} tasks - planSync 的任务
+ * @returns {Object} 任务类型 => {count, size}
+ */
+export function countTasks(tasks) {
+    const counts = Object.fromEntries(
+        Object.values(SyncActions).map((a) => [a, { count: 0, size: 0 }]),
+    )
+    for (const task of tasks) {
+        counts[task.action].count++
+        counts[task.action].size += task.size || 0
+    }
+    return counts
+}
+
+/**
+ * 创建限速器，多个复制任务共用时限制总速度
+ * @param {number} bytesPerSecond - 每秒字节数，不大于0时不限速
+ * @returns {Function|null} 异步函数 (bytes)，按速度等待到可以写入这些字节
+ */
+export function createThrottle(bytesPerSecond) {
+    if (!(bytesPerSecond > 0)) {
+        return null
+    }
+    let next = Date.now()
+    return async (bytes) => {
+        const now = Date.now()
+        const start = Math.max(next, now)
+        next = start + (bytes / bytesPerSecond) * 1000
+        if (start > now) {
+            await new Promise((resolve) => setTimeout(resolve, start - now))
+        }
+    }
+}
+
+/**
+ * 复制一个文件，先写入临时文件并保留修改时间，校验通过后替换目标文件
+ * 失败时删除临时文件，目标文件保持原样
+ *
+ * @param {Object} task - planSync 的复制或更新任务
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.verify] - 复制后重新读取临时文件，比较 xxHash64
+ * @param {Function} [options.throttle] - createThrottle 的限速器
+ * @returns {Promise<{size: number, hash: string}>} 复制的大小，校验时还有源文件的校验值
+ * @throws {MediaCliError} CORRUPTED_FILE 校验不一致
+ */
+export async function copyFile(task, { verify = false, throttle = null } = {}) {
+    const hasher = verify ? (await xxhash()).create64() : null
+    let size = 0
+    try {
+        await fs.ensureDir(path.dirname(task.tmp))
+        await pipeline(
+            fs.createReadStream(task.src, { highWaterMark: CHUNK_SIZE }),
+            async function* (source) {
+                for await (const chunk of source) {
+                    hasher?.update(chunk)
+                    size += chunk.length
+                    await throttle?.(chunk.length)
+                    yield chunk
+                }
+            },
+            fs.createWriteStream(task.tmp),
+        )
+        const st = await fs.stat(task.src)
+        await fs.utimes(task.tmp, st.atimeMs / 1000, st.mtimeMs / 1000)
+        const hash = hasher?.digest().toString(16)
+        if (hasher && (await hashFileXXH64(task.tmp)) !== hash) {
+            throw createError(ErrorTypes.CORRUPTED_FILE, `verify failed: ${task.dst}`)
+        }
+        await fs.move(task.tmp, task.dst, { overwrite: true })
+        return { size, hash }
+    } catch (error) {
+        await fs.remove(task.tmp)
+        throw error
+    }
+}
@@ -0,0 +1,165 @@
+/*
+ * File: target_quality.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Target Quality - ffmpeg 命令的目标画质模式
+ * 用几个 CQ/CRF 值编码源文件中的短片段，用 ffmpeg 的 ssim/psnr 滤镜和源文件比较，
+ * 插值得到刚好达到目标分数的 CQ/CRF，再用它编码整个文件
+ */
+
+import { ErrorTypes, createError } from "./errors.js"
+
+// 画质指标
+export const TargetMetric = Object.freeze({
+    // 结构相似度，0-1，越大越好
+    SSIM: "ssim",
+    // 峰值信噪比，单位 dB，越大越好
+    PSNR: "psnr",
+})
+
+// 指标的有效范围
+const METRIC_RANGES = {
+    [TargetMetric.SSIM]: [0.5, 1],
+    [TargetMetric.PSNR]: [20, 60],
+}
+
+// 每个片段的秒数
+export const SAMPLE_SECONDS = 4
+// 片段数量，均匀分布在视频中
+export const SAMPLE_COUNT = 3
+// 候选的 CQ/CRF 与预设值的差值
+const QUALITY_STEPS = [-4, 0, 4]
+
+/**
+ * 从命令行参数读取目标画质
+ * @param {Object} argv - 命令行参数
+ * @param {number} [argv.targetSsim] - 目标 SSIM
+ * @param {number} [argv.targetPsnr] - 目标 PSNR
+ * @returns {{metric: string, value: number}|null} 没有指定时为空
+ * @throws {MediaCliError} INVALID_ARGUMENT 同时指定或超出范围
+ */
+export function parseTarget(argv) {
+    const targets = [
+        [TargetMetric.SSIM, argv.targetSsim],
+        [TargetMetric.PSNR, argv.targetPsnr],
+    ].filter(([, value]) => value !== undefined && value !== null)
+    if (targets.length === 0) {
+        return null
+    }
+    if (targets.length > 1) {
+        throw createError(
+            ErrorTypes.INVALID_ARGUMENT,
+            "--target-ssim and --target-psnr can not be used together",
+        )
+    }
+    const [metric, value] = targets[0]
+    const [min, max] = METRIC_RANGES[metric]
+    if (!(value > min && value < max)) {
+        throw createError(
+            ErrorTypes.INVALID_ARGUMENT,
+            `--target-${metric} must be between ${min} and ${max}: ${value}`,
+        )
+    }
+    return { metric, value }
+}
+
+/**
+ * 计算采样片段，短视频只用一个从头开始的片段
+ * @param {number} duration - 视频时长，秒
+ * @param {number} [count] - 片段数量
+ * @param {number} [seconds] - 每个片段的秒数
+ * @returns {Array<{start: number, seconds: number}>} 片段列表
+ */
+export function sampleSegments(duration, count = SAMPLE_COUNT, seconds = SAMPLE_SECONDS) {
+    if (!(duration > 0)) {
+        return []
+    }
+    if (duration < count * seconds * 2) {
+        return [{ start: 0, seconds: Math.min(duration, seconds * count) }]
+    }
+    return Array.from({ length: count }, (_, i) => ({
+        start: Math.round((duration * (i + 1)) / (count + 1) - seconds / 2),
+        seconds,
+    }))
+}
+
+/**
+ * 候选的 CQ/CRF 值，以预设值为中心
+ * @param {number} base - 预设或用户指定的 CQ/CRF
+ * @param {string} encoder - 编码器名称，libsvtav1 的上限是 63，其它是 51
+ * @returns {number[]} 从小到大的候选值
+ */
+export function candidateQualities(base, encoder) {
+    const max = encoder === "libsvtav1" ? 63 : 51
+    const values = QUALITY_STEPS.map((step) => Math.min(max, Math.max(1, base + step)))
+    return [...new Set(values)].sort((a, b) => a - b)
+}
+
+/**
+ * 比较画质的滤镜，两路都缩放到目标尺寸，编码后的尺寸可能有1-2像素的差别
+ * 第一个输入是编码后的片段，第二个是源文件
+ * @param {string} metric - 画质指标，见 TargetMetric
+ * @param {number} width - 目标宽度
+ * @param {number} height - 目标高度
+ * @returns {string} -lavfi 参数
+ */
+export function createMeasureFilter(metric, width, height) {
+    const scale = `scale=${width}:${height}:flags=bicubic,setsar=1,format=yuv420p`
+    return `[0:v]${scale}[dist];[1:v]${scale}[ref];[dist][ref]${metric}`
+}
+
+/**
+ * 解析 ssim/psnr 滤镜在 stderr 中输出的总分
+ * SSIM: "SSIM Y:0.995 (23.1) U:... All:0.994612 (22.683)"
+ * PSNR: "PSNR y:43.21 u:... average:44.12 min:38.10 max:50.20"
+ * @param {string} metric - 画质指标，见 TargetMetric
+ * @param {string} stderr - ffmpeg 的 stderr
+ * @returns {number} 分数，完全相同的 PSNR 为 Infinity，没有结果时为 NaN
+ */
+export function parseScore(metric, stderr) {
+    const re = metric === TargetMetric.SSIM ? /SSIM .*All:([\d.]+)/ : /PSNR .*average:([\d.]+|inf)/
+    const m = (stderr || "").match(re)
+    if (!m) {
+        return NaN
+    }
+    return m[1] === "inf" ? Infinity : parseFloat(m[1])
+}
+
+/**
+ * 根据候选值的分数插值，选出达到目标分数的最大 CQ/CRF，即文件最小的值
+ * CQ/CRF 越大分数越低，相邻两个候选值跨过目标时线性插值并向下取整
+ *
+ * @param {Array<{quality: number, score: number}>} samples - 每个候选值的平均分数
+ * @param {number} target - 目标分数
+ * @returns {{quality: number, score: number, bounded: boolean, estimated: boolean}|null}
+ *   bounded 为 false 表示目标不在候选范围内，取了最近的候选值，
+ *   estimated 为 true 表示 quality 不是候选值，score 为插值估计的分数，需要另外测量
+ */
+export function pickQuality(samples, target) {
+    const sorted = samples
+        .filter((s) => !Number.isNaN(s.score))
+        .sort((a, b) => a.quality - b.quality)
+    if (sorted.length === 0) {
+        return null
+    }
+    for (let i = 0; i + 1 < sorted.length; i++) {
+        const a = sorted[i]
+        const b = sorted[i + 1]
+        if (a.score >= target && b.score < target) {
+            if (a.score === Infinity) {
+                return { quality: a.quality, score: a.score, bounded: true, estimated: false }
+            }
+            const ratio = (a.score - target) / (a.score - b.score)
+            const quality = Math.floor(a.quality + ratio * (b.quality - a.quality))
+            const score =
+                a.score - ((quality - a.quality) / (b.quality - a.quality)) * (a.score - b.score)
+            return { quality, score, bounded: true, estimated: quality !== a.quality }
+        }
+    }
+    // 都达到目标时取最大值，都达不到时取最小值
+    const last = sorted.at(-1)
+    const pick = last.score >= target ? last : sorted[0]
+    return { quality: pick.quality, score: pick.score, bounded: false, estimated: false }
+}
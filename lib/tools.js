@@ -154,7 +154,7 @@ export async function hashFileXXH64FrontAndBack(path, maxBytes = 5 * 1024 * 1024
     const size = stat.size
 
     // ---------------- 前 N MB ----------------
-    const hasherFront = create64(seed)
+    const hasherFront = create64(BigInt(seed))
     let readBytes = 0
     const frontStream = fs.createReadStream(path, { highWaterMark: 1024 * 1024 })
     for await (const chunk of frontStream) {
@@ -166,7 +166,7 @@ export async function hashFileXXH64FrontAndBack(path, maxBytes = 5 * 1024 * 1024
     }
 
     // ---------------- 后 N MB ----------------
-    const hasherBack = create64(seed)
+    const hasherBack = create64(BigInt(seed))
     const backStart = Math.max(0, size - maxBytes)
     readBytes = 0
     const backStream = fs.createReadStream(path, {
@@ -0,0 +1,216 @@
+/*
+ * File: trash.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Trash manifest - 安全删除目录 Deleted_By_Mediac 的清单读写
+ * 每个日期目录下有一个JSONL清单，记录每个被删除文件的原始路径
+ * 没有清单记录的旧文件，根据目录结构推算原始路径
+ */
+
+import dayjs from "dayjs"
+import fs from "fs-extra"
+import micromatch from "micromatch"
+import path from "path"
+import * as log from "./debug.js"
+
+const LOG_TAG = "Trash"
+
+export const TRASH_DIR_NAME = "Deleted_By_Mediac"
+export const MANIFEST_NAME = "_mediac_manifest.jsonl"
+
+// 日期目录名，如 20260101
+const RE_DAY_DIR = /^\d{8}$/
+// 同名文件冲突时使用的子目录
+const DUP_DIR_NAME = "_"
+
+/**
+ * 获取文件所在磁盘的安全删除根目录
+ * @param {string} filepath - 任意路径
+ * @returns {string} 安全删除根目录
+ */
+export function getTrashRoot(filepath) {
+    const resolved = path.resolve(filepath)
+    if (path.basename(resolved) === TRASH_DIR_NAME) {
+        return resolved
+    }
+    return path.join(path.parse(resolved).root, TRASH_DIR_NAME)
+}
+
+/**
+ * 在日期目录的清单中记录一个被删除的文件
+ * 同步追加写入，与操作日志保持一致
+ *
+ * @param {string} dayDir - 日期目录
+ * @param {string} src - 原始路径
+ * @param {string} dst - 删除后所在路径
+ * @param {Object} extra - 附加字段，如运行ID
+ */
+export function recordTrash(dayDir, src, dst, extra = {}) {
+    try {
+        const st = fs.statSync(dst, { throwIfNoEntry: false })
+        const entry = {
+            src: path.resolve(src),
+            dst: path.resolve(dst),
+            isDir: st?.isDirectory() || false,
+            size: st?.size,
+            ts: Date.now(),
+            ...extra,
+        }
+        fs.ensureDirSync(dayDir)
+        fs.appendFileSync(path.join(dayDir, MANIFEST_NAME), JSON.stringify(entry) + "\n", "utf8")
+    } catch (error) {
+        log.warn(LOG_TAG, `record failed: ${src} => ${dst}`, error.message)
+    }
+}
+
+/**
+ * 把日期目录名转为日期对象
+ * @param {string} day - 日期目录名，如 20260101
+ * @returns {dayjs.Dayjs}
+ */
+export function parseDay(day) {
+    return dayjs(`${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6, 8)}`)
+}
+
+/**
+ * 列出安全删除根目录下的日期目录，按日期升序
+ * @param {string} trashRoot - 安全删除根目录
+ * @returns {Promise<Array<string>>} 日期目录名列表
+ */
+export async function listTrashDays(trashRoot) {
+    if (!(await fs.pathExists(trashRoot))) {
+        return []
+    }
+    const items = await fs.readdir(trashRoot, { withFileTypes: true })
+    return items
+        .filter((d) => d.isDirectory() && RE_DAY_DIR.test(d.name))
+        .map((d) => d.name)
+        .sort()
+}
+
+/**
+ * 列出安全删除目录中现存的条目
+ * 优先使用清单记录，清单中没有的文件按目录结构推算原始路径，标记为 legacy
+ *
+ * @param {string} trashRoot - 安全删除根目录
+ * @returns {Promise<Array<Object>>} 条目列表 {day, src, dst, size, ts, runId, legacy}
+ */
+export async function listTrash(trashRoot) {
+    const diskRoot = path.parse(path.resolve(trashRoot)).root
+    const results = []
+    for (const day of await listTrashDays(trashRoot)) {
+        const dayDir = path.join(trashRoot, day)
+        // 同一个路径可能被多次删除和恢复，以最后一条记录为准
+        const byDst = new Map()
+        for (const entry of await readManifest(dayDir)) {
+            byDst.set(entry.dst, entry)
+        }
+        const trashedDirs = new Set([...byDst.values()].filter((e) => e.isDir).map((e) => e.dst))
+        for (const file of await walkFiles(dayDir, trashedDirs)) {
+            if (file === path.join(dayDir, MANIFEST_NAME)) {
+                continue
+            }
+            const entry = byDst.get(file)
+            if (entry) {
+                results.push({ ...entry, day, legacy: false })
+                continue
+            }
+            const st = await fs.stat(file).catch(() => null)
+            const parts = path.relative(dayDir, file).split(path.sep)
+            if (parts.length > 1 && parts[parts.length - 2] === DUP_DIR_NAME) {
+                parts.splice(parts.length - 2, 1)
+            }
+            results.push({
+                day,
+                src: path.join(diskRoot, ...parts),
+                dst: file,
+                isDir: false,
+                size: st?.size,
+                ts: st?.mtimeMs,
+                legacy: true,
+            })
+        }
+        // 安全删除的目录作为一个整体记录
+        for (const entry of byDst.values()) {
+            if (entry.isDir && (await fs.pathExists(entry.dst))) {
+                results.push({ ...entry, day, legacy: false })
+            }
+        }
+    }
+    return results
+}
+
+/**
+ * 按条件过滤条目
+ * @param {Array<Object>} entries - 条目列表
+ * @param {Object} options - 过滤条件
+ * @param {string} options.glob - 匹配原始路径的glob模式，不含路径分隔符时只匹配文件名
+ * @param {string} options.date - 日期目录名，多个用逗号分隔
+ * @param {string} options.run - 删除时的运行ID前缀
+ * @returns {Array<Object>} 过滤后的条目
+ */
+export function filterTrash(entries, { glob, date, run } = {}) {
+    const days = date
+        ? new Set(
+              String(date)
+                  .split(",")
+                  .map((d) => d.trim()),
+          )
+        : null
+    return entries.filter((e) => {
+        if (days && !days.has(e.day)) {
+            return false
+        }
+        if (run && !e.runId?.startsWith(run)) {
+            return false
+        }
+        if (glob) {
+            // 同时匹配完整路径和去掉根目录的路径，** 开头的模式也能匹配顶层目录
+            const target = e.src.split(path.sep).join("/")
+            const relative = path.relative(path.parse(e.src).root, e.src).split(path.sep).join("/")
+            return micromatch.some([target, relative], glob, {
+                nocase: true,
+                basename: !glob.includes("/"),
+                dot: true,
+            })
+        }
+        return true
+    })
+}
+
+// 读取清单，损坏的行会被忽略
+async function readManifest(dayDir) {
+    const manifestPath = path.join(dayDir, MANIFEST_NAME)
+    if (!(await fs.pathExists(manifestPath))) {
+        return []
+    }
+    const content = await fs.readFile(manifestPath, "utf8")
+    const entries = []
+    for (const line of content.split(/\r?\n/)) {
+        if (!line.trim()) continue
+        try {
+            entries.push(JSON.parse(line))
+        } catch (error) {
+            log.warn(LOG_TAG, `bad line in ${manifestPath}: ${line.slice(0, 60)}`)
+        }
+    }
+    return entries
+}
+
+// 递归列出目录下所有文件，安全删除的目录内部文件不单独列出
+async function walkFiles(dir, skipDirs = new Set()) {
+    const files = []
+    for (const item of await fs.readdir(dir, { withFileTypes: true })) {
+        const itemPath = path.join(dir, item.name)
+        if (item.isDirectory()) {
+            if (!skipDirs.has(itemPath)) {
+                files.push(...(await walkFiles(itemPath, skipDirs)))
+            }
+        } else {
+            files.push(itemPath)
+        }
+    }
+    return files
+}
@@ -0,0 +1,297 @@
+/*
+ * File: user_config.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * User config loader
+ * 从 ~/.mediac/config.yaml 和当前目录的 .mediac.yaml 加载用户配置
+ * 支持 lib/config.js 中的全局设置（工具路径、编码列表、压缩默认值）和每个命令的默认参数
+ * 命令行参数优先
+ *
+ * 示例:
+ *   tools:
+ *     nconvert: /usr/local/bin/nconvert
+ *   encoding:
+ *     from: [GBK, SHIFT_JIS, UTF8]
+ *   compress:
+ *     quality: 80
+ *   commands:
+ *     compress:
+ *       quality: 80
+ *       thumb-pattern: "Z4K|thumb$"
+ *     pick:
+ *       day-limit: 40
+ */
+
+import fs from "fs-extra"
+import path from "path"
+import yargs from "yargs"
+import defaultConfig from "./config.js"
+import * as log from "./debug.js"
+
+const LOG_TAG = "UserConfig"
+
+// 配置文件的设置项到 lib/config.js 字段的映射，按分组
+export const SETTING_KEYS = Object.freeze({
+    tools: {
+        nconvert: "NCONVERT_BIN_PATH",
+        vips: "VIPS_BIN_PATH",
+    },
+    encoding: {
+        from: "ENCODING.DEFAULT_FROM_ENCODINGS",
+        to: "ENCODING.DEFAULT_TO_ENCODINGS",
+        threshold: "ENCODING.DEFAULT_THRESHOLD",
+        "cache-size": "ENCODING.CACHE_SIZE_LIMIT",
+        concurrency: "ENCODING.CONCURRENCY",
+    },
+    compress: {
+        quality: "COMPRESS.QUALITY",
+        "min-size": "COMPRESS.MIN_SIZE",
+        "max-width": "COMPRESS.MAX_WIDTH",
+    },
+})
+
+const SECTIONS = [...Object.keys(SETTING_KEYS), "commands"]
+
+// 工具路径的内置值为空，其它设置的类型必须与内置值相同
+const SETTING_TYPES = { tools: "string" }
+
+/**
+ * 读取全局配置的字段，字段名可以包含一层分组，如 ENCODING.DEFAULT_THRESHOLD
+ * @param {Object} config - lib/config.js 的全局配置对象
+ * @param {string} configKey - 字段名
+ * @returns {*}
+ */
+function getConfigValue(config, configKey) {
+    return configKey.split(".").reduce((obj, k) => obj?.[k], config)
+}
+
+/**
+ * 检查设置值的类型与内置值是否相同
+ * @param {*} value - 配置文件中的值
+ * @param {*} builtin - 内置值
+ * @param {string} [type] - 指定类型，内置值为空时使用
+ * @returns {boolean}
+ */
+function isSameType(value, builtin, type) {
+    if (type) {
+        return typeof value === type
+    }
+    if (Array.isArray(builtin)) {
+        return Array.isArray(value) && value.every((v) => typeof v === "string")
+    }
+    return typeof value === typeof builtin
+}
+
+let yamlParser = null
+
+/**
+ * 按需加载 js-yaml，未安装时返回 null
+ * @returns {Promise<Object|null>}
+ */
+export async function loadYamlParser() {
+    if (yamlParser) return yamlParser
+    try {
+        yamlParser = await import("js-yaml")
+        return yamlParser
+    } catch (e) {
+        log.logError(LOG_TAG, "js-yaml not installed, config files will not be available")
+        return null
+    }
+}
+
+/**
+ * 获取配置文件查找路径，与预设文件的查找规则相同
+ * 用户目录在前，当前目录在后，后加载的覆盖先加载的
+ * @returns {string[]}
+ */
+export function getConfigPaths() {
+    const paths = []
+    const homeDir = process.env.HOME || process.env.USERPROFILE
+    if (homeDir) {
+        paths.push(path.join(homeDir, ".mediac", "config.yaml"))
+        paths.push(path.join(homeDir, ".mediac", "config.yml"))
+    }
+    paths.push(path.join(process.cwd(), ".mediac.yaml"))
+    paths.push(path.join(process.cwd(), ".mediac.yml"))
+    return paths
+}
+
+/**
+ * 加载并合并所有存在的配置文件
+ * 记录每个值来自哪个文件，供 config show 显示
+ * 全局设置的名称和类型会被检查，无效的值被忽略
+ *
+ * @param {string[]} paths - 配置文件路径列表
+ * @param {Object} config - lib/config.js 的全局配置对象，用于检查设置值的类型
+ * @returns {Promise<{files: string[], settings: Object, commands: Object, sources: Object}>}
+ */
+export async function loadUserConfig(paths = getConfigPaths(), config = defaultConfig) {
+    const result = { files: [], settings: {}, commands: {}, sources: {} }
+    const existing = paths.filter((p) => fs.pathExistsSync(p))
+    if (existing.length === 0) {
+        return result
+    }
+    const yaml = await loadYamlParser()
+    if (!yaml) {
+        return result
+    }
+    for (const configPath of existing) {
+        let data
+        try {
+            data = yaml.load(await fs.readFile(configPath, "utf8"))
+        } catch (e) {
+            log.logWarn(LOG_TAG, `Failed to load config ${configPath}: ${e.message}`)
+            continue
+        }
+        if (!data) {
+            continue
+        }
+        if (typeof data !== "object" || Array.isArray(data)) {
+            log.logWarn(LOG_TAG, `Invalid config file, expected object: ${configPath}`)
+            continue
+        }
+        result.files.push(configPath)
+        for (const key of Object.keys(data)) {
+            if (!SECTIONS.includes(key)) {
+                log.logWarn(LOG_TAG, `Unknown config section '${key}' in ${configPath}`)
+            }
+        }
+        for (const [section, keys] of Object.entries(SETTING_KEYS)) {
+            const values = data[section]
+            if (values === undefined || values === null) {
+                continue
+            }
+            if (typeof values !== "object" || Array.isArray(values)) {
+                log.logWarn(LOG_TAG, `Invalid section '${section}' in ${configPath}`)
+                continue
+            }
+            for (const [name, value] of Object.entries(values)) {
+                const key = `${section}.${name}`
+                if (!keys[name]) {
+                    log.logWarn(LOG_TAG, `Unknown setting '${key}' in ${configPath}`)
+                    continue
+                }
+                const builtin = getConfigValue(config, keys[name])
+                if (!isSameType(value, builtin, SETTING_TYPES[section])) {
+                    log.logWarn(LOG_TAG, `Invalid value for '${key}' in ${configPath}`)
+                    continue
+                }
+                result.settings[key] = value
+                result.sources[key] = configPath
+            }
+        }
+        for (const [cmd, options] of Object.entries(data.commands || {})) {
+            if (!options || typeof options !== "object") {
+                log.logWarn(LOG_TAG, `Invalid options for command '${cmd}' in ${configPath}`)
+                continue
+            }
+            result.commands[cmd] = { ...result.commands[cmd], ...options }
+            for (const key of Object.keys(options)) {
+                result.sources[`commands.${cmd}.${key}`] = configPath
+            }
+        }
+    }
+    log.debug(LOG_TAG, `Loaded config from: ${result.files.join(", ")}`)
+    return result
+}
+
+/**
+ * 把用户配置的全局设置写入全局配置
+ * @param {Object} config - lib/config.js 的全局配置对象
+ * @param {Object} userConfig - loadUserConfig 的结果
+ */
+export function applySettings(config, userConfig) {
+    for (const [key, value] of Object.entries(userConfig.settings)) {
+        const [section, name] = key.split(".")
+        const fields = SETTING_KEYS[section][name].split(".")
+        const field = fields.pop()
+        const target = fields.reduce((obj, k) => (obj[k] ??= {}), config)
+        target[field] = value
+    }
+}
+
+/**
+ * 获取某个命令的默认参数
+ * @param {Object} userConfig - loadUserConfig 的结果
+ * @param {string} commandName - 命令名称，不含别名
+ * @returns {Object} 默认参数
+ */
+export function getCommandDefaults(userConfig, commandName) {
+    return { ...userConfig.commands[commandName] }
+}
+
+/**
+ * 包装 yargs 命令模块，把用户配置的默认参数注入到该命令
+ * yargs 的 config 对象优先级低于命令行参数，高于选项的 default
+ * 只在命令被匹配时调用 builder，不影响其它命令
+ *
+ * @param {Object} commandModule - yargs 命令模块
+ * @param {Object} userConfig - loadUserConfig 的结果
+ * @returns {Object} 新的命令模块
+ */
+export function withCommandDefaults(commandModule, userConfig) {
+    const name = commandModule.command.split(" ")[0]
+    const defaults = getCommandDefaults(userConfig, name)
+    if (Object.keys(defaults).length === 0) {
+        return commandModule
+    }
+    return {
+        ...commandModule,
+        builder: (ya, helpOrVersionSet) =>
+            commandModule.builder(ya, helpOrVersionSet).config(defaults),
+    }
+}
+
+/**
+ * 获取命令 builder 中声明的选项默认值，不含 help、version 和值为 undefined 的默认值
+ * @param {Object} commandModule - yargs 命令模块
+ * @returns {Object} 选项名 => 默认值，选项名与命令行相同
+ */
+export function getBuilderDefaults(commandModule) {
+    const ya = yargs([])
+    commandModule.builder(ya, false)
+    const { default: defaults } = ya.getOptions()
+    return Object.fromEntries(
+        Object.entries(defaults).filter(
+            ([name, value]) => value !== undefined && !["help", "version"].includes(name),
+        ),
+    )
+}
+
+/**
+ * 展开合并后的配置，列出每个值及其来源，供 config show 显示
+ * 未在配置文件中设置的全局设置显示全局配置的值，命令选项显示 builder 的默认值，来源为 builtin
+ *
+ * @param {Object} userConfig - loadUserConfig 的结果
+ * @param {Object} config - lib/config.js 的全局配置对象
+ * @param {Array<Object>} [commandModules] - yargs 命令模块，列出它们的选项默认值
+ * @returns {Array<{key: string, value: *, source: string}>}
+ */
+export function describeConfig(userConfig, config = {}, commandModules = []) {
+    const rows = []
+    const row = (key, builtin) =>
+        userConfig.sources[key]
+            ? { key, value: userConfig.settings[key], source: userConfig.sources[key] }
+            : { key, value: builtin, source: "builtin" }
+    for (const [section, keys] of Object.entries(SETTING_KEYS)) {
+        for (const [name, configKey] of Object.entries(keys)) {
+            rows.push(row(`${section}.${name}`, getConfigValue(config, configKey)))
+        }
+    }
+    const commands = {}
+    for (const m of commandModules) {
+        commands[m.command.split(" ")[0]] = getBuilderDefaults(m)
+    }
+    for (const [cmd, options] of Object.entries(userConfig.commands)) {
+        commands[cmd] = { ...commands[cmd], ...options }
+    }
+    for (const [cmd, options] of Object.entries(commands)) {
+        for (const [name, value] of Object.entries(options)) {
+            const key = `commands.${cmd}.${name}`
+            rows.push({ key, value, source: userConfig.sources[key] || "builtin" })
+        }
+    }
+    return rows
+}
@@ -0,0 +1,283 @@
+/*
+ * File: video_hash.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Video hash - 视频指纹，查找同一视频的不同编码版本
+ * 在固定的相对位置用 ffmpeg 截取若干帧，每帧计算感知哈希，和时长一起组成指纹
+ * 时长相近且大部分帧的哈希相近的视频视为重复，与码率、编码和文件名无关
+ */
+
+import { execa } from "execa"
+import os from "os"
+import pMap from "p-map"
+import sharp from "sharp"
+import * as catalog from "./catalog.js"
+import { CatalogFields } from "./catalog.js"
+import * as log from "./debug.js"
+import * as helper from "./helper.js"
+import { HASH_CONFIG, computePerceptualHash, hammingDistance } from "./image_hash.js"
+import { getMediaInfo } from "./mediainfo.js"
+
+const LOG_TAG = "VideoHash"
+
+const ffmpegBin = os.platform() === "win32" ? "ffmpeg.exe" : "ffmpeg"
+
+/**
+ * 视频指纹配置
+ *
+ * FRAMES: 截取的帧数，位置为时长的 1/(N+1) 到 N/(N+1)，避开片头和片尾
+ * FRAME_WIDTH: 截取帧的缩放宽度，只用于计算哈希
+ * THRESHOLD: 单帧感知哈希的汉明距离阈值
+ * MATCH_RATIO: 相近的帧至少占比较帧数的比例
+ * MIN_FRAMES: 至少比较的帧数，纯色帧（黑屏、转场）不参与比较
+ * BLANK_STDEV: 灰度标准差低于此值的帧视为纯色帧
+ * DURATION_SECONDS / DURATION_RATIO: 时长允许的差异，取两者中较大的，容许剪掉几秒片头
+ * RESOLUTION_MARGIN: 像素数相差超过此比例时才按分辨率选择保留的视频
+ * BITRATE_MARGIN: 码率相差超过此比例时才按码率选择保留的视频
+ */
+export const VIDEO_HASH_CONFIG = Object.freeze({
+    FRAMES: 8,
+    FRAME_WIDTH: 160,
+    THRESHOLD: HASH_CONFIG.THRESHOLD,
+    MATCH_RATIO: 0.75,
+    MIN_FRAMES: 3,
+    BLANK_STDEV: 6,
+    DURATION_SECONDS: 3,
+    DURATION_RATIO: 0.01,
+    RESOLUTION_MARGIN: 0.2,
+    BITRATE_MARGIN: 0.1,
+})
+
+// 同等画质下压缩效率越高排名越高，码率相近时优先保留
+const CODEC_RANKS = {
+    av1: 4,
+    hevc: 3,
+    h265: 3,
+    vp9: 2,
+    avc: 1,
+    h264: 1,
+}
+
+/**
+ * 截取帧的相对位置
+ *
+ * @param {number} count - 帧数
+ * @returns {Array<number>} 0 到 1 之间的位置
+ */
+export function framePositions(count = VIDEO_HASH_CONFIG.FRAMES) {
+    return Array.from({ length: count }, (_, i) => (i + 1) / (count + 1))
+}
+
+/**
+ * 截取一帧并计算感知哈希
+ *
+ * @param {string} filePath - 视频路径
+ * @param {number} seconds - 截取位置，秒
+ * @param {number} width - 缩放宽度
+ * @returns {Promise<string|null>} 哈希，截取失败或纯色帧时为 null
+ */
+async function hashFrameAt(filePath, seconds, width) {
+    const args = ["-v", "error", "-ss", seconds.toFixed(3), "-i", filePath]
+    args.push("-frames:v", "1", "-vf", `scale=${width}:-2`, "-f", "image2pipe", "-c:v", "png", "-")
+    try {
+        const { stdout } = await execa(ffmpegBin, args, { encoding: "buffer" })
+        if (!stdout?.length) return null
+        const frame = Buffer.from(stdout)
+        const { channels } = await sharp(frame).grayscale().stats()
+        if (channels[0].stdev < VIDEO_HASH_CONFIG.BLANK_STDEV) return null
+        return await computePerceptualHash(frame)
+    } catch (error) {
+        log.debug(LOG_TAG, `Failed to hash frame at ${seconds}s of ${filePath}: ${error.message}`)
+        return null
+    }
+}
+
+/**
+ * 计算视频指纹，帧哈希通过索引缓存，见 lib/catalog.js
+ *
+ * @param {string} filePath - 视频路径
+ * @param {Object} [options] - 选项
+ * @param {number} [options.frames] - 截取的帧数
+ * @returns {Promise<Object|null>} {duration, width, height, bitrate, codec, hashes}，不是视频时为 null
+ */
+export async function computeVideoFingerprint(filePath, options = {}) {
+    const count = options.frames || VIDEO_HASH_CONFIG.FRAMES
+    const info = await getMediaInfo(filePath)
+    const video = info?.video
+    const duration = Number(info?.duration || video?.duration) || 0
+    if (!video || duration <= 0) {
+        return null
+    }
+    const compute = async () => {
+        const hashes = []
+        // 逐帧截取，并发由调用方按文件控制
+        for (const p of framePositions(count)) {
+            hashes.push(await hashFrameAt(filePath, duration * p, VIDEO_HASH_CONFIG.FRAME_WIDTH))
+        }
+        // 全部失败时不写入索引
+        return hashes.some(Boolean) ? { hashes } : null
+    }
+    let value = await catalog.cached(filePath, CatalogFields.VIDEO_HASH, compute)
+    // 帧数不同的旧结果无法比较，重新计算
+    if (value && value.hashes.length !== count) {
+        value = await compute()
+        value && (await catalog.update(filePath, { [CatalogFields.VIDEO_HASH]: value }))
+    }
+    if (!value) {
+        return null
+    }
+    return {
+        duration,
+        width: video.width || 0,
+        height: video.height || 0,
+        bitrate: Number(video.bitrate || info.bitrate) || 0,
+        codec: String(video.format || "").toLowerCase(),
+        hashes: value.hashes,
+    }
+}
+
+// 两个时长允许的最大差异
+function durationTolerance(a, b) {
+    const { DURATION_SECONDS, DURATION_RATIO } = VIDEO_HASH_CONFIG
+    return Math.max(DURATION_SECONDS, Math.max(a, b) * DURATION_RATIO)
+}
+
+/**
+ * 比较两个视频指纹
+ * 同一位置的两帧都不是纯色帧时参与比较，相近的帧达到一定比例时视为同一视频
+ *
+ * @param {Object} a - 指纹 {duration, hashes}
+ * @param {Object} b - 指纹 {duration, hashes}
+ * @param {Object} [options] - 选项
+ * @param {number} [options.threshold] - 单帧汉明距离阈值
+ * @returns {{similar: boolean, matched: number, compared: number, distance: number}} 比较结果，distance 为平均汉明距离
+ */
+export function compareVideoFingerprints(a, b, options = {}) {
+    const { threshold = VIDEO_HASH_CONFIG.THRESHOLD } = options
+    const result = { similar: false, matched: 0, compared: 0, distance: 64 }
+    if (
+        a.hashes.length !== b.hashes.length ||
+        Math.abs(a.duration - b.duration) > durationTolerance(a.duration, b.duration)
+    ) {
+        return result
+    }
+    let total = 0
+    a.hashes.forEach((hash, i) => {
+        if (!hash || !b.hashes[i]) return
+        const distance = hammingDistance(hash, b.hashes[i])
+        result.compared++
+        total += distance
+        distance <= threshold && result.matched++
+    })
+    if (result.compared > 0) {
+        result.distance = Math.round((total / result.compared) * 10) / 10
+    }
+    result.similar =
+        result.compared >= Math.min(VIDEO_HASH_CONFIG.MIN_FRAMES, a.hashes.length) &&
+        result.matched >= result.compared * VIDEO_HASH_CONFIG.MATCH_RATIO
+    return result
+}
+
+/**
+ * 按指纹把视频分组，分组是传递的，A 与 B 相似、B 与 C 相似时三者在同一组
+ * 按时长排序后只比较时长相近的视频
+ *
+ * @param {Array<Object>} items - 条目列表，需要 duration 和 hashes 字段
+ * @param {Object} [options] - 选项，见 compareVideoFingerprints
+ * @returns {Array<Array<Object>>} 两个以上条目的分组，组内保持输入顺序
+ */
+export function clusterVideos(items, options = {}) {
+    const valid = items.filter((item) => item?.hashes?.length > 0)
+    const parent = valid.map((_, i) => i)
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]]
+            i = parent[i]
+        }
+        return i
+    }
+    const order = valid.map((_, i) => i).sort((i, j) => valid[i].duration - valid[j].duration)
+    order.forEach((i, k) => {
+        for (const j of order.slice(k + 1)) {
+            const [a, b] = [valid[i], valid[j]]
+            if (b.duration - a.duration > durationTolerance(a.duration, b.duration)) break
+            if (find(i) !== find(j) && compareVideoFingerprints(a, b, options).similar) {
+                parent[find(j)] = find(i)
+            }
+        }
+    })
+    const groups = new Map()
+    valid.forEach((item, i) => {
+        const root = find(i)
+        const group = groups.get(root)
+        group ? group.push(item) : groups.set(root, [item])
+    })
+    return [...groups.values()].filter((group) => group.length > 1)
+}
+
+// a 比 b 大超过 margin 时返回正数，小超过 margin 时返回负数，否则为 0
+function compareWithMargin(a, b, margin) {
+    return Math.max(a, b) > Math.min(a, b) * (1 + margin) ? a - b : 0
+}
+
+/**
+ * 重复视频排序，最好的在前
+ * 依次比较分辨率、码率、编码，都相近时比较文件大小和路径
+ *
+ * @param {Array<Object>} items - 条目列表 {path, size, width, height, bitrate, codec}
+ * @returns {Array<Object>} 排序后的新数组
+ */
+export function rankVideos(items) {
+    const { RESOLUTION_MARGIN, BITRATE_MARGIN } = VIDEO_HASH_CONFIG
+    const pixels = (item) => (item.width || 0) * (item.height || 0)
+    const codecRank = (item) => CODEC_RANKS[item.codec] || 0
+    return [...items].sort(
+        (a, b) =>
+            compareWithMargin(pixels(b), pixels(a), RESOLUTION_MARGIN) ||
+            compareWithMargin(b.bitrate || 0, a.bitrate || 0, BITRATE_MARGIN) ||
+            codecRank(b) - codecRank(a) ||
+            (b.size || 0) - (a.size || 0) ||
+            a.path.localeCompare(b.path),
+    )
+}
+
+/**
+ * 计算所有视频的指纹并查找重复的视频
+ *
+ * @param {Array<Object>} files - 文件条目 {path, size}
+ * @param {Object} [options] - 选项
+ * @param {number} [options.frames] - 截取的帧数
+ * @param {number} [options.threshold] - 单帧汉明距离阈值
+ * @param {number} [options.concurrency] - 同时处理的视频数
+ * @param {Function} [options.onProgress] - 回调 (done, total)
+ * @returns {Promise<{groups: Array<Object>, failed: number}>} 分组 {keep, duplicates, distance}，failed 为无法计算指纹的视频数
+ */
+export async function findVideoDuplicates(files, options = {}) {
+    const { frames, threshold, concurrency = 2, onProgress } = options
+    let done = 0
+    const items = await pMap(
+        files,
+        async (f) => {
+            let fingerprint = null
+            try {
+                fingerprint = await computeVideoFingerprint(f.path, { frames })
+            } catch (error) {
+                log.warn(LOG_TAG, helper.pathShort(f.path), error.message)
+            }
+            onProgress?.(++done, files.length)
+            return fingerprint && { path: f.path, size: f.size ?? f.stats?.size, ...fingerprint }
+        },
+        { concurrency },
+    )
+    const valid = items.filter(Boolean)
+    const groups = clusterVideos(valid, { threshold }).map((group) => {
+        const [keep, ...duplicates] = rankVideos(group)
+        const distance = Math.max(
+            ...duplicates.map((d) => compareVideoFingerprints(keep, d, { threshold }).distance),
+        )
+        return { keep, duplicates, distance }
+    })
+    return { groups, failed: files.length - valid.length }
+}
@@ -0,0 +1,155 @@
+/*
+ * File: watch.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Watch - watch 命令使用的文件稳定检测和已处理记录
+ * 文件大小和修改时间在一段时间内不再变化才认为写入完成
+ * 已处理的文件以 路径+大小+修改时间 记录在 ~/.mediac/watch/ 下，重启后不会再次处理
+ */
+
+import crypto from "crypto"
+import fs from "fs-extra"
+import os from "os"
+import path from "path"
+import * as log from "./debug.js"
+
+const LOG_TAG = "Watch"
+
+// 格式变化时需要更新，旧版本的记录会被忽略
+const RECORD_VERSION = 1
+
+let stateDir = path.join(os.homedir(), ".mediac", "watch")
+
+/**
+ * 设置记录存储目录，主要用于测试
+ * @param {string} dir - 目录路径
+ */
+export function setStateDir(dir) {
+    stateDir = path.resolve(dir)
+}
+
+/**
+ * 获取监视目录对应的记录文件路径
+ * @param {string} watchDir - 监视的目录
+ * @returns {string} 记录文件路径
+ */
+export function getRecordPath(watchDir) {
+    const hash = crypto.createHash("md5").update(path.resolve(watchDir)).digest("hex")
+    return path.join(stateDir, `${hash.slice(0, 16)}.json`)
+}
+
+/**
+ * 读取监视目录的已处理记录，文件不存在或无法解析时返回空记录
+ * @param {string} watchDir - 监视的目录
+ * @returns {Promise<Map<string, {size: number, mtime: number}>>} 路径 => 大小和修改时间
+ */
+export async function loadProcessed(watchDir) {
+    const processed = new Map()
+    const recordPath = getRecordPath(watchDir)
+    try {
+        const data = await fs.readJson(recordPath)
+        if (data?.version === RECORD_VERSION && data.files) {
+            for (const [p, v] of Object.entries(data.files)) {
+                processed.set(p, v)
+            }
+        }
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            log.warn(LOG_TAG, "ignore invalid record", recordPath, error.message)
+        }
+    }
+    return processed
+}
+
+/**
+ * 保存已处理记录，先写临时文件再替换，避免中断时损坏记录
+ * @param {string} watchDir - 监视的目录
+ * @param {Map<string, Object>} processed - 已处理记录
+ * @returns {Promise<string>} 记录文件路径
+ */
+export async function saveProcessed(watchDir, processed) {
+    const recordPath = getRecordPath(watchDir)
+    const data = {
+        version: RECORD_VERSION,
+        dir: path.resolve(watchDir),
+        updatedAt: new Date().toISOString(),
+        files: Object.fromEntries(processed),
+    }
+    const tmpPath = `${recordPath}.tmp`
+    await fs.outputJson(tmpPath, data)
+    await fs.move(tmpPath, recordPath, { overwrite: true })
+    return recordPath
+}
+
+/**
+ * 文件是否已处理，大小或修改时间变化后视为新文件
+ * @param {Map<string, Object>} processed - 已处理记录
+ * @param {{path: string, size: number, mtimeMs: number}} file - 文件
+ * @returns {boolean}
+ */
+export function isProcessed(processed, file) {
+    const v = processed.get(file.path)
+    return Boolean(v) && v.size === file.size && v.mtime === file.mtimeMs
+}
+
+/**
+ * 记录文件已处理
+ * @param {Map<string, Object>} processed - 已处理记录
+ * @param {{path: string, size: number, mtimeMs: number}} file - 文件
+ */
+export function markProcessed(processed, file) {
+    processed.set(file.path, { size: file.size, mtime: file.mtimeMs })
+}
+
+/**
+ * 删除记录中已不存在的文件
+ * @param {Map<string, Object>} processed - 已处理记录
+ * @param {Set<string>} existing - 目录中现有的文件路径
+ * @returns {number} 删除的数量
+ */
+export function pruneProcessed(processed, existing) {
+    let count = 0
+    for (const p of processed.keys()) {
+        if (!existing.has(p)) {
+            processed.delete(p)
+            count++
+        }
+    }
+    return count
+}
+
+/**
+ * 更新等待中的文件状态，返回已经稳定的文件
+ * 新出现或大小、修改时间变化的文件重新计时，超过 stableMs 未变化即为稳定
+ * 稳定的文件和已经消失的文件从 pending 中移除
+ *
+ * @param {Map<string, Object>} pending - 路径 => {size, mtimeMs, since}，会被修改
+ * @param {Array<{path: string, size: number, mtimeMs: number}>} files - 本次扫描的未处理文件
+ * @param {number} now - 当前时间（毫秒）
+ * @param {number} stableMs - 稳定时间（毫秒）
+ * @returns {Array<Object>} 稳定的文件
+ */
+export function findStableFiles(pending, files, now, stableMs) {
+    const stable = []
+    const seen = new Set()
+    for (const f of files) {
+        seen.add(f.path)
+        const p = pending.get(f.path)
+        if (!p || p.size !== f.size || p.mtimeMs !== f.mtimeMs) {
+            pending.set(f.path, { size: f.size, mtimeMs: f.mtimeMs, since: now })
+            continue
+        }
+        if (now - p.since >= stableMs) {
+            pending.delete(f.path)
+            stable.push(f)
+        }
+    }
+    for (const p of pending.keys()) {
+        if (!seen.has(p)) {
+            pending.delete(p)
+        }
+    }
+    return stable
+}
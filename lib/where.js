@@ -0,0 +1,525 @@
+/*
+ * File: where.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Where - 各命令共用的 --where 文件过滤表达式
+ *
+ *   ext in (jpg,heic) and size > 2M and width < 1200 and date < 2020-01-01 and model ~ 'iPhone'
+ *
+ * 比较: = != > >= < <= ~(正则，忽略大小写) !~ in (a,b) not in (a,b)
+ * 组合: and or not 和括号，and 优先于 or
+ * 字段按读取代价分级，同一层 and/or 中先计算代价低的条件并短路，
+ * 只有前面的条件都满足时才会读取文件头、EXIF或媒体信息
+ */
+
+import fs from "fs-extra"
+import imageSizeOfSync from "image-size"
+import { cpus } from "os"
+import pMap from "p-map"
+import path from "path"
+import { promisify } from "util"
+import * as catalog from "./catalog.js"
+import { CatalogFields } from "./catalog.js"
+import * as log from "./debug.js"
+import { ErrorTypes, createError } from "./errors.js"
+import * as helper from "./helper.js"
+import { getMediaInfo } from "./mediainfo.js"
+
+const LOG_TAG = "Where"
+
+const imageSizeOf = promisify(imageSizeOfSync)
+
+// 字段值类型，决定比较值的写法和可用的比较符
+const Kinds = Object.freeze({
+    STRING: "string",
+    NUMBER: "number",
+    // 字节，支持 K/M/G/T 单位，1024进制
+    SIZE: "size",
+    // 秒，支持 s/m/h 单位
+    DURATION: "duration",
+    // 比特每秒，支持 K/M 单位，1000进制
+    BITRATE: "bitrate",
+    // 时间，支持 2020、2020-01、2020-01-01、2020-01-01T10:30 和 7d 这种相对时间
+    DATE: "date",
+})
+
+const STRING_OPS = ["=", "!=", "~", "!~", "in", "not in"]
+const NUMBER_OPS = ["=", "!=", ">", ">=", "<", "<=", "in", "not in"]
+const DATE_OPS = ["=", "!=", ">", ">=", "<", "<="]
+
+// 文件类型名称，用于 type 字段
+function fileTypeName(name) {
+    if (helper.isRawFile(name)) return "raw"
+    if (helper.isImageFile(name)) return "image"
+    if (helper.isVideoFile(name)) return "video"
+    if (helper.isAudioFile(name)) return "audio"
+    return "other"
+}
+
+// 数据来源，每个文件最多读取一次
+const Sources = {
+    stat: async (entry) => entry.stats || (await fs.stat(entry.path)),
+    image: async (entry) =>
+        helper.isImageFile(entry.name)
+            ? await catalog.cached(
+                  entry.path,
+                  CatalogFields.IMAGE,
+                  () => imageSizeOf(entry.path),
+                  entry.stats,
+              )
+            : null,
+    exif: async (entry) => {
+        if (!helper.isMediaFile(entry.name)) {
+            return null
+        }
+        // exiftool 启动开销大，只在用到EXIF字段时加载
+        const { readExifInfo } = await import("./exif.js")
+        return await readExifInfo(entry.path, entry.stats)
+    },
+    media: async (entry) =>
+        helper.isVideoFile(entry.name) || helper.isAudioFile(entry.name)
+            ? await getMediaInfo(entry.path)
+            : null,
+}
+
+// 帧率可能是 30000/1001 这种分数
+function parseFrameRate(value) {
+    const [num, den] = String(value).split("/").map(Number)
+    return den ? num / den : num
+}
+
+// 字段定义 cost: 0=文件名 1=文件状态 2=图片文件头 3=EXIF或媒体信息
+const FIELDS = {
+    name: { kind: Kinds.STRING, cost: 0, get: (e) => e.name },
+    ext: { kind: Kinds.STRING, cost: 0, get: (e) => helper.pathExt(e.name).slice(1) },
+    path: { kind: Kinds.STRING, cost: 0, get: (e) => e.path },
+    dir: { kind: Kinds.STRING, cost: 0, get: (e) => path.basename(path.dirname(e.path)) },
+    type: { kind: Kinds.STRING, cost: 0, get: (e) => fileTypeName(e.name) },
+    size: { kind: Kinds.SIZE, cost: 1, source: "stat", get: (e, st) => st?.size },
+    mtime: { kind: Kinds.DATE, cost: 1, source: "stat", get: (e, st) => st?.mtimeMs },
+    ctime: { kind: Kinds.DATE, cost: 1, source: "stat", get: (e, st) => st?.ctimeMs },
+    width: {
+        kind: Kinds.NUMBER,
+        cost: 2,
+        source: (e) => (helper.isVideoFile(e.name) ? "media" : "image"),
+        get: (e, v) => v?.video?.width ?? v?.width,
+    },
+    height: {
+        kind: Kinds.NUMBER,
+        cost: 2,
+        source: (e) => (helper.isVideoFile(e.name) ? "media" : "image"),
+        get: (e, v) => v?.video?.height ?? v?.height,
+    },
+    date: {
+        kind: Kinds.DATE,
+        cost: 3,
+        source: "exif",
+        get: (e, v) => (v?.date ? Date.parse(v.date) : null),
+    },
+    model: { kind: Kinds.STRING, cost: 3, source: "exif", get: (e, v) => v?.model },
+    duration: { kind: Kinds.DURATION, cost: 3, source: "media", get: (e, v) => v?.duration },
+    bitrate: { kind: Kinds.BITRATE, cost: 3, source: "media", get: (e, v) => v?.bitrate },
+    codec: {
+        kind: Kinds.STRING,
+        cost: 3,
+        source: "media",
+        get: (e, v) => v?.video?.format || v?.audio?.format,
+    },
+    fps: {
+        kind: Kinds.NUMBER,
+        cost: 3,
+        source: "media",
+        get: (e, v) => v?.video?.framerate && parseFrameRate(v.video.framerate),
+    },
+}
+
+// 表达式中可以使用的字段
+export const WHERE_FIELDS = Object.freeze(Object.keys(FIELDS))
+
+function parseError(expr, pos, message) {
+    return createError(
+        ErrorTypes.INVALID_ARGUMENT,
+        `Invalid where expression: ${message} at ${pos + 1}: ${expr}`,
+    )
+}
+
+const TOKEN_RE = /\s*(?:(>=|<=|!=|!~|==|[=<>~(),])|'([^']*)'|"([^"]*)"|([^\s=<>!~(),'"]+))/y
+
+/**
+ * 把表达式拆分为词法单元
+ * @param {string} expr - 表达式
+ * @returns {Array<{type: string, value: string, pos: number}>} type 为 op/punct/string/word
+ */
+export function tokenize(expr) {
+    const tokens = []
+    TOKEN_RE.lastIndex = 0
+    let pos = 0
+    while (pos < expr.length) {
+        if (!expr.slice(pos).trim()) break
+        TOKEN_RE.lastIndex = pos
+        const m = TOKEN_RE.exec(expr)
+        if (!m) {
+            throw parseError(expr, pos, `unexpected "${expr[pos]}"`)
+        }
+        const start = pos + m[0].length - m[0].trimStart().length
+        if (m[1]) {
+            const type = "(),".includes(m[1]) ? "punct" : "op"
+            tokens.push({ type, value: m[1] === "==" ? "=" : m[1], pos: start })
+        } else if (m[2] !== undefined || m[3] !== undefined) {
+            tokens.push({ type: "string", value: m[2] ?? m[3], pos: start })
+        } else {
+            tokens.push({ type: "word", value: m[4], pos: start })
+        }
+        pos = TOKEN_RE.lastIndex
+    }
+    return tokens
+}
+
+const SIZE_UNITS = { "": 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 }
+const DURATION_UNITS = { "": 1, s: 1, m: 60, h: 3600 }
+const BITRATE_UNITS = { "": 1, k: 1000, m: 1000 ** 2, g: 1000 ** 3 }
+const AGE_UNITS = { h: 3600e3, d: 86400e3, w: 7 * 86400e3, m: 30 * 86400e3, y: 365 * 86400e3 }
+
+function parseUnitNumber(value, units, suffix = "") {
+    const m = String(value).match(new RegExp(`^(\\d+(?:\\.\\d+)?)([a-z]?)(?:${suffix})?$`, "i"))
+    const unit = m && units[m[2].toLowerCase()]
+    return unit ? Number(m[1]) * unit : NaN
+}
+
+/**
+ * 解析大小值，与表达式中 size 的写法相同，如 500K、2M、1.5GB
+ * @param {string|number} value - 大小值
+ * @returns {number} 字节数，无法解析时为 NaN
+ */
+export function parseSize(value) {
+    return parseUnitNumber(value, SIZE_UNITS, "i?b")
+}
+
+/**
+ * 解析时间值为时间范围 [lo, hi)，单位为毫秒
+ * 2020-01-01 表示这一整天，7d 表示7天前的时刻（lo = hi）
+ *
+ * @param {string} value - 时间值
+ * @param {number} [now] - 当前时间，用于相对时间
+ * @returns {{lo: number, hi: number}|null} 无法解析时返回 null
+ */
+export function parseDateValue(value, now = Date.now()) {
+    const age = String(value).match(/^(\d+)([hdwmy])$/i)
+    if (age) {
+        const t = now - Number(age[1]) * AGE_UNITS[age[2].toLowerCase()]
+        return { lo: t, hi: t }
+    }
+    const m = String(value).match(
+        /^(\d{4})(?:[-/.](\d{1,2})(?:[-/.](\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?)?)?$/,
+    )
+    if (!m) {
+        return null
+    }
+    const parts = m.slice(1).map((p) => (p === undefined ? undefined : Number(p)))
+    // 最后一个给出的部分决定范围长度
+    const given = parts.findLastIndex((p) => p !== undefined)
+    const [y, mo = 1, d = 1, h = 0, mi = 0, s = 0] = parts
+    const start = [y, mo - 1, d, h, mi, s]
+    const end = [...start]
+    end[given]++
+    return { lo: new Date(...start).getTime(), hi: new Date(...end).getTime() }
+}
+
+// 按字段类型解析比较值，数值统一为范围 {lo, hi}
+function compileValue(expr, field, op, token) {
+    const { kind } = FIELDS[field]
+    const raw = token.value
+    if (kind === Kinds.STRING) {
+        if (op === "~" || op === "!~") {
+            try {
+                return new RegExp(raw, "iu")
+            } catch (error) {
+                throw parseError(expr, token.pos, `bad regex "${raw}"`)
+            }
+        }
+        const s = raw.toLowerCase()
+        return field === "ext" ? s.replace(/^\./, "") : s
+    }
+    if (kind === Kinds.DATE) {
+        const range = parseDateValue(raw)
+        if (!range) {
+            throw parseError(expr, token.pos, `bad date "${raw}"`)
+        }
+        return range
+    }
+    const n =
+        kind === Kinds.SIZE
+            ? parseUnitNumber(raw, SIZE_UNITS, "i?b")
+            : kind === Kinds.DURATION
+              ? parseUnitNumber(raw, DURATION_UNITS)
+              : kind === Kinds.BITRATE
+                ? parseUnitNumber(raw, BITRATE_UNITS, "bps")
+                : Number(raw)
+    if (Number.isNaN(n) || raw === "") {
+        throw parseError(expr, token.pos, `bad ${kind} "${raw}" for ${field}`)
+    }
+    return { lo: n, hi: n }
+}
+
+function allowedOps(field) {
+    const { kind } = FIELDS[field]
+    return kind === Kinds.STRING ? STRING_OPS : kind === Kinds.DATE ? DATE_OPS : NUMBER_OPS
+}
+
+/**
+ * 解析 --where 表达式，返回可重复使用的过滤条件
+ *
+ * @param {string} expr - 表达式
+ * @returns {{expr: string, root: Object, fields: Array<string>}} 编译后的条件
+ * @throws {MediaCliError} INVALID_ARGUMENT 表达式语法错误、未知字段或值无效
+ */
+export function parseWhere(expr) {
+    expr = String(expr ?? "")
+    const tokens = tokenize(expr)
+    if (tokens.length === 0) {
+        throw parseError(expr, 0, "empty expression")
+    }
+    let i = 0
+    const peek = () => tokens[i]
+    const isWord = (tk, word) => tk?.type === "word" && tk.value.toLowerCase() === word
+    const isPunct = (tk, p) => tk?.type === "punct" && tk.value === p
+    const next = (what) => {
+        const tk = tokens[i++]
+        if (!tk) {
+            throw parseError(expr, expr.length, `expected ${what}`)
+        }
+        return tk
+    }
+    const expect = (p) => {
+        const tk = next(`"${p}"`)
+        if (!isPunct(tk, p)) {
+            throw parseError(expr, tk.pos, `expected "${p}"`)
+        }
+    }
+    const readValue = () => {
+        const tk = next("value")
+        if (tk.type !== "word" && tk.type !== "string") {
+            throw parseError(expr, tk.pos, "expected value")
+        }
+        return tk
+    }
+
+    const parseComparison = () => {
+        const ft = next("field")
+        const field = ft.type === "word" ? ft.value.toLowerCase() : null
+        if (!FIELDS[field]) {
+            throw parseError(
+                expr,
+                ft.pos,
+                `unknown field "${ft.value}", fields: ${WHERE_FIELDS.join(",")}`,
+            )
+        }
+        let op
+        const ot = next("operator")
+        if (ot.type === "op") {
+            op = ot.value
+        } else if (isWord(ot, "in")) {
+            op = "in"
+        } else if (isWord(ot, "not") && isWord(peek(), "in")) {
+            i++
+            op = "not in"
+        } else {
+            throw parseError(expr, ot.pos, "expected operator")
+        }
+        if (!allowedOps(field).includes(op)) {
+            throw parseError(expr, ot.pos, `operator "${op}" not supported for ${field}`)
+        }
+        let value
+        if (op === "in" || op === "not in") {
+            expect("(")
+            value = [compileValue(expr, field, op, readValue())]
+            while (isPunct(peek(), ",")) {
+                i++
+                value.push(compileValue(expr, field, op, readValue()))
+            }
+            expect(")")
+        } else {
+            value = compileValue(expr, field, op, readValue())
+        }
+        return { type: "compare", field, op, value, cost: FIELDS[field].cost }
+    }
+
+    const parsePrimary = () => {
+        if (isPunct(peek(), "(")) {
+            i++
+            const node = parseOr()
+            expect(")")
+            return node
+        }
+        if (isWord(peek(), "not") && !isWord(tokens[i + 1], "in")) {
+            i++
+            const child = parsePrimary()
+            return { type: "not", child, cost: child.cost }
+        }
+        return parseComparison()
+    }
+
+    // 同一层的条件按代价排序，计算时先检查代价低的
+    const group = (type, children) =>
+        children.length === 1
+            ? children[0]
+            : {
+                  type,
+                  children: children.sort((a, b) => a.cost - b.cost),
+                  cost: Math.max(...children.map((c) => c.cost)),
+              }
+
+    const parseAnd = () => {
+        const children = [parsePrimary()]
+        while (isWord(peek(), "and")) {
+            i++
+            children.push(parsePrimary())
+        }
+        return group("and", children)
+    }
+
+    function parseOr() {
+        const children = [parseAnd()]
+        while (isWord(peek(), "or")) {
+            i++
+            children.push(parseAnd())
+        }
+        return group("or", children)
+    }
+
+    const root = parseOr()
+    if (i < tokens.length) {
+        throw parseError(expr, tokens[i].pos, `unexpected "${tokens[i].value}"`)
+    }
+    const fields = new Set()
+    const collect = (node) => {
+        node.field && fields.add(node.field)
+        node.child && collect(node.child)
+        node.children?.forEach(collect)
+    }
+    collect(root)
+    return { expr, root, fields: [...fields] }
+}
+
+// 数值与范围比较，点值时 lo = hi
+function compareRange(v, op, { lo, hi }) {
+    switch (op) {
+        case "=":
+            return hi > lo ? v >= lo && v < hi : v === lo
+        case "!=":
+            return !compareRange(v, "=", { lo, hi })
+        case ">":
+            return hi > lo ? v >= hi : v > lo
+        case ">=":
+            return v >= lo
+        case "<":
+            return v < lo
+        case "<=":
+            return hi > lo ? v < hi : v <= lo
+    }
+    return false
+}
+
+function compare(field, op, actual, value) {
+    const { kind } = FIELDS[field]
+    if (kind === Kinds.STRING) {
+        const s = String(actual)
+        switch (op) {
+            case "~":
+                return value.test(s)
+            case "!~":
+                return !value.test(s)
+            case "=":
+                return s.toLowerCase() === value
+            case "!=":
+                return s.toLowerCase() !== value
+            case "in":
+                return value.includes(s.toLowerCase())
+            case "not in":
+                return !value.includes(s.toLowerCase())
+        }
+        return false
+    }
+    const v = Number(actual)
+    if (Number.isNaN(v)) {
+        return false
+    }
+    if (op === "in") {
+        return value.some((r) => compareRange(v, "=", r))
+    }
+    if (op === "not in") {
+        return !value.some((r) => compareRange(v, "=", r))
+    }
+    return compareRange(v, op, value)
+}
+
+// 读取字段值，同一文件的数据来源只读取一次，读取失败视为没有值
+async function fieldValue(field, entry, loaded) {
+    const def = FIELDS[field]
+    if (!def.source) {
+        return def.get(entry)
+    }
+    const source = typeof def.source === "function" ? def.source(entry) : def.source
+    if (!loaded.has(source)) {
+        loaded.set(
+            source,
+            Sources[source](entry).catch((error) => {
+                log.info(LOG_TAG, source, entry.path, error.message)
+                return null
+            }),
+        )
+    }
+    return def.get(entry, await loaded.get(source))
+}
+
+async function evaluate(node, entry, loaded) {
+    switch (node.type) {
+        case "and":
+            for (const child of node.children) {
+                if (!(await evaluate(child, entry, loaded))) return false
+            }
+            return true
+        case "or":
+            for (const child of node.children) {
+                if (await evaluate(child, entry, loaded)) return true
+            }
+            return false
+        case "not":
+            return !(await evaluate(node.child, entry, loaded))
+    }
+    const actual = await fieldValue(node.field, entry, loaded)
+    // 没有该字段的文件（如没有EXIF日期）不满足任何比较
+    if (actual === null || actual === undefined || actual === "") {
+        return false
+    }
+    return compare(node.field, node.op, actual, node.value)
+}
+
+/**
+ * 检查单个文件是否满足条件
+ *
+ * @param {Object|string} where - parseWhere 的结果或表达式
+ * @param {Object} entry - 文件条目，至少包含 path 和 name，有 stats 时不再读取文件状态
+ * @returns {Promise<boolean>}
+ */
+export async function matchEntry(where, entry) {
+    const compiled = typeof where === "string" ? parseWhere(where) : where
+    return await evaluate(compiled.root, entry, new Map())
+}
+
+/**
+ * 按条件过滤文件列表，保持原有顺序
+ *
+ * @param {Array<Object>} entries - 文件条目列表，见 lib/file.js walk
+ * @param {Object|string} where - parseWhere 的结果或表达式
+ * @returns {Promise<Array<Object>>} 满足条件的条目
+ */
+export async function filterEntries(entries, where) {
+    const compiled = typeof where === "string" ? parseWhere(where) : where
+    const results = await pMap(entries, (entry) => matchEntry(compiled, entry), {
+        concurrency: cpus().length,
+    })
+    return entries.filter((entry, index) => results[index])
+}
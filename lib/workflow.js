@@ -0,0 +1,203 @@
+/*
+ * File: workflow.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ *
+ * Workflow - 读取和校验工作流文件，一个工作流按顺序执行多个命令
+ * 每个步骤指定命令名、输入目录和选项，可以只处理之前某一步输出的文件
+ *
+ * 文件格式（YAML 或 JSON）:
+ *   input: /photos/ingest
+ *   stopOnError: true
+ *   steps:
+ *     - command: zipu
+ *     - command: rename
+ *       from: previous
+ *       options: { fixenc: true }
+ *     - name: library
+ *       command: move
+ *       options: { output: /photos/library }
+ */
+
+import fs from "fs-extra"
+import path from "path"
+import { ErrorTypes, createError } from "./errors.js"
+import { t } from "./i18n.js"
+import { EntryStatus } from "./json_output.js"
+import { loadYamlParser } from "./user_config.js"
+
+// 步骤执行结果
+export const StepStatus = Object.freeze({
+    DONE: "done",
+    FAILED: "failed",
+    SKIPPED: "skipped",
+})
+
+// from 的特殊值，表示上一步
+export const FROM_PREVIOUS = "previous"
+
+// 删除类操作的文件不再作为输出
+const REMOVE_ACTIONS = ["remove", "delete", "purge"]
+const STEP_KEYS = ["name", "command", "input", "from", "options"]
+// 由工作流统一控制的选项，步骤中设置无效
+const RESERVED_OPTIONS = ["doit", "d", "json", "json-stream", "jsonStream"]
+
+function invalid(filePath, message) {
+    return createError(
+        ErrorTypes.INVALID_ARGUMENT,
+        `${t("workflow.invalid", { path: filePath })} ${message}`,
+    )
+}
+
+/**
+ * 读取并校验工作流文件
+ * @param {string} flowPath - 工作流文件路径，.json 以外按 YAML 解析
+ * @returns {Promise<Object>} 工作流对象，见 normalizeWorkflow
+ */
+export async function loadWorkflow(flowPath) {
+    const filePath = path.resolve(flowPath)
+    let data
+    try {
+        const text = await fs.readFile(filePath, "utf8")
+        if (path.extname(filePath).toLowerCase() === ".json") {
+            data = JSON.parse(text)
+        } else {
+            const yaml = await loadYamlParser()
+            if (!yaml) {
+                throw new Error("js-yaml not installed")
+            }
+            data = yaml.load(text)
+        }
+    } catch (error) {
+        throw invalid(filePath, error.message)
+    }
+    return normalizeWorkflow(data, filePath)
+}
+
+/**
+ * 校验工作流数据并规范化步骤，相对路径以工作流文件所在目录为准
+ *
+ * @param {Object} data - 工作流数据
+ * @param {string} filePath - 工作流文件路径
+ * @returns {{file: string, input: string, stopOnError: boolean, steps: Array<Object>}}
+ */
+export function normalizeWorkflow(data, filePath) {
+    const baseDir = path.dirname(filePath)
+    const resolve = (p) => (p ? path.resolve(baseDir, String(p)) : undefined)
+    if (!data || typeof data !== "object" || !Array.isArray(data.steps) || !data.steps.length) {
+        throw invalid(filePath, "steps must be a non-empty list")
+    }
+    const names = new Set()
+    const steps = data.steps.map((raw, index) => {
+        const step = typeof raw === "string" ? { command: raw } : raw
+        const where = `steps[${index}]`
+        if (!step || typeof step !== "object" || typeof step.command !== "string") {
+            throw invalid(filePath, `${where}: command is required`)
+        }
+        const unknown = Object.keys(step).filter((k) => !STEP_KEYS.includes(k))
+        if (unknown.length > 0) {
+            throw invalid(filePath, `${where}: unknown keys ${unknown.join(",")}`)
+        }
+        if (step.options !== undefined && !isPlainObject(step.options)) {
+            throw invalid(filePath, `${where}: options must be a mapping`)
+        }
+        if (step.from !== undefined) {
+            const ok = step.from === FROM_PREVIOUS ? index > 0 : names.has(step.from)
+            if (!ok) {
+                throw invalid(filePath, `${where}: unknown step in from: ${step.from}`)
+            }
+        }
+        const name = step.name ? String(step.name) : `${index + 1}-${step.command}`
+        if (names.has(name)) {
+            throw invalid(filePath, `${where}: duplicate step name ${name}`)
+        }
+        names.add(name)
+        const options = { ...step.options }
+        for (const key of RESERVED_OPTIONS) {
+            delete options[key]
+        }
+        return {
+            index,
+            name,
+            command: step.command,
+            input: resolve(step.input),
+            from: step.from,
+            options,
+        }
+    })
+    return {
+        file: filePath,
+        input: resolve(data.input),
+        stopOnError: data.stopOnError !== false,
+        steps,
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value)
+}
+
+/**
+ * 把步骤选项转为命令行参数，交给命令自己的 yargs builder 解析和校验
+ * true => --key，false => --no-key，数组重复 --key
+ *
+ * @param {Object} options - 步骤选项
+ * @returns {Array<string>} 命令行参数
+ */
+export function toArgs(options = {}) {
+    const args = []
+    for (const [key, value] of Object.entries(options)) {
+        if (value === undefined || value === null) {
+            continue
+        }
+        if (value === true) {
+            args.push(`--${key}`)
+        } else if (value === false) {
+            args.push(`--no-${key}`)
+        } else if (Array.isArray(value)) {
+            value.forEach((v) => args.push(`--${key}=${v}`))
+        } else {
+            args.push(`--${key}=${value}`)
+        }
+    }
+    return args
+}
+
+/**
+ * 从步骤记录的条目得到输出文件列表，供之后的步骤使用
+ * 完成的条目取目标路径，测试模式和跳过的条目文件未变化，取源路径
+ * 失败和删除的文件不包括在内
+ *
+ * @param {Array<Object>} entries - 步骤的条目，见 lib/json_output.js
+ * @returns {Array<string>} 路径列表
+ */
+export function outputFiles(entries) {
+    const files = new Set()
+    for (const e of entries) {
+        if (e.status === EntryStatus.FAILED || REMOVE_ACTIONS.includes(e.action)) {
+            continue
+        }
+        const p = e.status === EntryStatus.DONE ? e.dst || e.src : e.src
+        p && files.add(p)
+    }
+    return [...files]
+}
+
+/**
+ * 测试模式下步骤计划移动或重命名到的路径，这些文件还不存在，
+ * 使用这一步输出的步骤在测试模式下无法预览
+ *
+ * @param {Array<Object>} entries - 步骤的条目，见 lib/json_output.js
+ * @returns {Array<string>} 计划的目标路径
+ */
+export function plannedFiles(entries) {
+    const files = new Set()
+    for (const e of entries) {
+        if (e.status !== EntryStatus.PLANNED || REMOVE_ACTIONS.includes(e.action)) {
+            continue
+        }
+        e.dst && e.dst !== e.src && files.add(e.dst)
+    }
+    return [...files]
+}
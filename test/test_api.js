@@ -0,0 +1,123 @@
+/*
+ * File: test_api.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { describe, it, before, after } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as api from '../lib/api.js'
+import { ErrorTypes } from '../lib/errors.js'
+import { getConfirmHandler } from '../lib/command_utils.js'
+
+const testDir = path.join(__dirname, 'test_api_temp')
+
+describe('api.js - options', () => {
+  it('normalizeOptions should use camelCase option names', () => {
+    assert.deepStrictEqual(api.normalizeOptions({ 'save-plan': 'a.json', keepRoot: false, jobs: 2 }), {
+      savePlan: 'a.json',
+      keepRoot: false,
+      jobs: 2,
+    })
+  })
+
+  it('should reject missing arguments and unknown commands', async () => {
+    await assert.rejects(api.moveup(undefined), { type: ErrorTypes.INVALID_ARGUMENT })
+    await assert.rejects(api.sync('/photos'), /missing dest/)
+    await assert.rejects(api.run('nope', '/photos'), /Unknown command: nope/)
+  })
+})
+
+describe('api.js - package', () => {
+  it('should export the entry point and the lib modules', async () => {
+    const entry = await import('mediac')
+    assert.strictEqual(entry.run, api.run)
+    const core = await import('mediac/lib/core.js')
+    assert.strictEqual(typeof core.deepClone, 'function')
+  })
+})
+
+describe('api.js - moveup', () => {
+  const fileA = path.join(testDir, 'sub', 'deep', 'a.jpg')
+  const fileB = path.join(testDir, 'sub', 'b.mp4')
+
+  before(async () => {
+    await fs.outputFile(fileA, 'a')
+    await fs.outputFile(fileB, 'b')
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should preview operations without changing files', async () => {
+    const seen = []
+    const prompts = []
+    const result = await api.moveup(
+      testDir,
+      { flat: true },
+      {
+        onEntry: (e) => seen.push(e),
+        confirm: (message, { dangerous }) => {
+          prompts.push(dangerous)
+          return true
+        },
+      }
+    )
+    assert.strictEqual(result.command, 'moveup')
+    assert.strictEqual(result.doit, false)
+    assert.strictEqual(result.ok, true)
+    assert.ok(prompts.length > 0)
+    assert.deepStrictEqual(seen, result.entries)
+    const moves = result.entries.filter((e) => e.action === 'move')
+    assert.deepStrictEqual(moves.map((e) => path.basename(e.src)).sort(), ['a.jpg', 'b.mp4'])
+    assert.ok(moves.every((e) => e.status === api.EntryStatus.PLANNED))
+    assert.ok(await fs.pathExists(fileA))
+    // 调用结束后恢复原来的确认处理
+    assert.strictEqual(getConfirmHandler(), null)
+  })
+
+  it('should stop when a prompt is declined', async () => {
+    const result = await api.moveup(testDir, { flat: true }, { confirm: () => false })
+    assert.strictEqual(result.entries.length, 0)
+  })
+
+  it('should report progress and keep the console of the caller', async () => {
+    const consoleLog = console.log
+    const progress = []
+    let logged = 0
+    console.log = () => logged++
+    try {
+      await api.moveup(
+        testDir,
+        { flat: true },
+        { onProgress: (current, total, phase) => progress.push([current, total, phase]) }
+      )
+      // 其它代码的输出不受影响
+      console.log('caller')
+    } finally {
+      console.log = consoleLog
+    }
+    assert.strictEqual(logged, 1)
+    assert.deepStrictEqual(progress.at(-1), [2, 2, api.ProgressPhase.PROCESS])
+  })
+
+  it('should only use command defaults from config files when asked', async () => {
+    const configFile = path.join(testDir, 'config.yaml')
+    await fs.outputFile(configFile, 'commands:\n  moveup:\n    flat: true\n')
+    const dsts = (result) => result.entries.filter((e) => e.action === 'move').map((e) => e.dst)
+    const flat = await api.moveup(testDir, { flat: true })
+    const plain = await api.moveup(testDir, {})
+    assert.notDeepStrictEqual(dsts(plain), dsts(flat))
+    const configured = await api.moveup(testDir, {}, { userConfig: [configFile] })
+    assert.deepStrictEqual(dsts(configured), dsts(flat))
+  })
+})
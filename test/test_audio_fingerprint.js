@@ -0,0 +1,149 @@
+/*
+ * File: test_audio_fingerprint.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { describe, it, before, after } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as catalog from '../lib/catalog.js'
+import * as fp from '../lib/audio_fingerprint.js'
+
+const testDir = path.join(__dirname, 'test_audio_fingerprint_temp')
+// 不存在的索引目录，不读写用户的索引
+catalog.setCatalogDir(path.join(testDir, 'catalog'))
+
+const SAMPLE_RATE = fp.AUDIO_FP_CONFIG.SAMPLE_RATE
+
+let seed = 1
+const random = () => (seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0) / 2 ** 32
+
+// 随机旋律，每半秒两个音
+const melody = (s, seconds = 60) => {
+  seed = s
+  const note = () => 110 * 2 ** (Math.floor(random() * 24) / 12)
+  return Array.from({ length: seconds * 2 }, () => [note(), note()])
+}
+
+// 合成带泛音的 PCM，可以改变音量、加噪声和开头静音
+const render = (notes, { gain = 1, noise = 0, delay = 0, seconds = 60 } = {}) => {
+  seed = 99
+  const out = new Float32Array(SAMPLE_RATE * seconds)
+  for (let i = 0; i < out.length; i++) {
+    const t = i / SAMPLE_RATE - delay
+    let v = 0
+    if (t >= 0) {
+      for (const f of notes[Math.floor(t * 2) % notes.length]) {
+        for (let h = 1; h <= 3; h++) v += Math.sin(2 * Math.PI * f * h * t) / h
+      }
+    }
+    out[i] = (gain * v) / 4 + noise * (random() * 2 - 1)
+  }
+  return out
+}
+
+const song = (name, codes, props = {}) => ({
+  path: `/music/${name}`,
+  size: 1000,
+  duration: 240,
+  bitrate: 320000,
+  sampleRate: 44100,
+  lossless: false,
+  title: '',
+  artist: '',
+  codes,
+  ...props,
+})
+
+describe('audio_fingerprint.js', () => {
+  const original = fp.computeFingerprintFromPcm(render(melody(1)))
+  const copy = fp.computeFingerprintFromPcm(render(melody(1), { gain: 0.4, noise: 0.05, delay: 1.3 }))
+  const other = fp.computeFingerprintFromPcm(render(melody(2)))
+
+  it('should compute about ten frames per second', () => {
+    assert.ok(original.length > 600 && original.length < 700)
+    assert.ok(original.every((code) => code > 0 && code < 2 ** 24))
+    const silent = fp.computeFingerprintFromPcm(new Float32Array(SAMPLE_RATE * 5))
+    assert.ok(silent.every((code) => code === 0))
+  })
+
+  it('should match a quieter, noisy and delayed copy', () => {
+    const result = fp.compareFingerprints(original, copy)
+    assert.ok(result.similarity > 0.8, `similarity ${result.similarity}`)
+    assert.strictEqual(result.offset, 1.3)
+  })
+
+  it('should not match a different song', () => {
+    const result = fp.compareFingerprints(original, other)
+    assert.ok(result.similarity < 0.4, `similarity ${result.similarity}`)
+  })
+
+  it('should only pair songs with shared frames and close durations', () => {
+    const items = [
+      song('a.mp3', original),
+      song('b.flac', copy),
+      song('c.mp3', other),
+      song('d.mp3', copy, { duration: 300 }),
+    ]
+    assert.deepStrictEqual(fp.findCandidatePairs(items), [[0, 1]])
+  })
+
+  it('should adjust the score by tags', () => {
+    const tagged = { title: 'Song (Live)', artist: 'Singer' }
+    assert.strictEqual(fp.compareTags(tagged, { title: 'song', artist: 'SINGER' }), 1)
+    assert.strictEqual(fp.compareTags(tagged, { title: 'Other', artist: 'Someone' }), -1)
+    assert.strictEqual(fp.compareTags(tagged, { title: 'Other', artist: 'Singer' }), 0)
+    assert.strictEqual(fp.compareTags(tagged, { title: '', artist: '' }), 0)
+
+    const a = song('a.mp3', original, tagged)
+    const b = song('b.mp3', copy, { title: 'Other', artist: 'Someone' })
+    const { similarity, score } = fp.matchAudio(a, b)
+    assert.strictEqual(score, Math.round((similarity - fp.AUDIO_FP_CONFIG.TAG_WEIGHT) * 1000) / 1000)
+    assert.strictEqual(fp.matchAudio(a, song('c.mp3', copy, { duration: 250 })).same, false)
+  })
+
+  it('should cluster copies and keep the lossless one', () => {
+    const groups = fp.clusterAudio([
+      song('Singer - Song.mp3', copy),
+      song('other.mp3', other),
+      song('Singer - Song.flac', original, { lossless: true, bitrate: 900000 }),
+      song('song.mp3', original, { bitrate: 128000 }),
+    ])
+    assert.strictEqual(groups.length, 1)
+    assert.ok(groups[0].every((item) => item.score > 0.8))
+    assert.deepStrictEqual(
+      fp.rankAudio(groups[0]).map((item) => path.basename(item.path)),
+      ['Singer - Song.flac', 'Singer - Song.mp3', 'song.mp3']
+    )
+  })
+
+  it('should keep the longer name when quality is the same', () => {
+    const ranked = fp.rankAudio([song('a.mp3', copy), song('Singer - a.mp3', copy, { bitrate: 310000 })])
+    assert.strictEqual(path.basename(ranked[0].path), 'Singer - a.mp3')
+  })
+
+  describe('findAudioDuplicates', () => {
+    before(async () => {
+      await fs.ensureDir(testDir)
+      await fs.writeFile(path.join(testDir, 'broken.mp3'), 'not audio')
+    })
+
+    after(async () => {
+      await fs.remove(testDir)
+    })
+
+    it('should skip files that cannot be fingerprinted', async () => {
+      const file = path.join(testDir, 'broken.mp3')
+      const result = await fp.findAudioDuplicates([{ path: file, size: 9 }])
+      assert.deepStrictEqual(result, { groups: [], failed: 1 })
+    })
+  })
+})
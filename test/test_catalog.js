@@ -0,0 +1,177 @@
+/*
+ * File: test_catalog.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import { spawnSync } from 'child_process'
+import crypto from 'crypto'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+import { describe, it, before, after } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as catalog from '../lib/catalog.js'
+import { CatalogFields } from '../lib/catalog.js'
+import { getMediaInfo } from '../lib/mediainfo.js'
+
+const testDir = path.join(__dirname, 'test_catalog_temp')
+const catalogDir = path.join(testDir, 'catalog')
+const dataDir = path.join(testDir, 'data')
+
+describe('catalog.js - disabled', () => {
+  it('should compute without storing when the catalog folder does not exist', async () => {
+    catalog.setCatalogDir(path.join(testDir, 'missing'))
+    assert.strictEqual(catalog.isEnabled(), false)
+    let calls = 0
+    const value = await catalog.cached(__filename, CatalogFields.TYPE, async () => ++calls)
+    assert.strictEqual(value, 1)
+    assert.strictEqual(await catalog.lookup(__filename), null)
+  })
+})
+
+describe('catalog.js - cached entries', () => {
+  const fileA = path.join(dataDir, 'a.jpg')
+  const fileB = path.join(dataDir, 'sub', 'b.mp4')
+
+  before(async () => {
+    await fs.outputFile(fileA, 'aaa')
+    await fs.outputFile(fileB, 'bbbb')
+    await fs.ensureDir(catalogDir)
+    catalog.setCatalogDir(catalogDir)
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should compute once and reuse the stored value', async () => {
+    assert.strictEqual(catalog.isEnabled(), true)
+    let calls = 0
+    const compute = async () => {
+      calls++
+      return { width: 10, height: 20 }
+    }
+    const v1 = await catalog.cached(fileA, CatalogFields.IMAGE, compute)
+    const v2 = await catalog.cached(fileA, CatalogFields.IMAGE, compute)
+    assert.deepStrictEqual(v1, { width: 10, height: 20 })
+    assert.deepStrictEqual(v2, v1)
+    assert.strictEqual(calls, 1)
+  })
+
+  it('should not store null results', async () => {
+    let calls = 0
+    await catalog.cached(fileB, CatalogFields.MEDIA, async () => (calls++, null))
+    await catalog.cached(fileB, CatalogFields.MEDIA, async () => (calls++, null))
+    assert.strictEqual(calls, 2)
+  })
+
+  it('should only use stored media info for the default parser', async () => {
+    const media = { duration: 10, bitrate: 1000 }
+    await catalog.update(fileB, { [CatalogFields.MEDIA]: media })
+    assert.deepStrictEqual(await getMediaInfo(fileB), media)
+    assert.deepStrictEqual(await getMediaInfo(fileB, { useMediaInfo: true }), media)
+    // 优先使用 ffprobe 时重新解析，没有安装时出错
+    const other = await getMediaInfo(fileB, { useMediaInfo: false }).catch(() => null)
+    assert.notDeepStrictEqual(other, media)
+  })
+
+  it('should persist entries across loads', async () => {
+    await catalog.update(fileB, { [CatalogFields.HASH]: 'abc' })
+    assert.ok((await catalog.flush()) > 0)
+    catalog.setCatalogDir(catalogDir)
+    const entry = await catalog.lookup(fileB)
+    assert.strictEqual(entry.hash, 'abc')
+    assert.strictEqual(entry.size, 4)
+    assert.deepStrictEqual((await catalog.lookup(fileA)).image, { width: 10, height: 20 })
+  })
+
+  it('should drop stale fields when the file changes', async () => {
+    await fs.appendFile(fileA, 'changed')
+    assert.strictEqual(await catalog.lookup(fileA), null)
+    const entry = await catalog.update(fileA, { [CatalogFields.HASH]: 'new' })
+    assert.strictEqual(entry.hash, 'new')
+    assert.strictEqual(entry.image, undefined)
+  })
+
+  it('should prune entries of files that no longer exist', async () => {
+    await fs.remove(fileB)
+    const pruned = await catalog.prune(dataDir, new Set([path.resolve(fileA)]))
+    assert.strictEqual(pruned, 1)
+    assert.ok(await catalog.lookup(fileA))
+    assert.strictEqual(await catalog.remove(fileA), true)
+    assert.strictEqual(await catalog.lookup(fileA), null)
+  })
+})
+
+describe('catalog.js - shards', () => {
+  const shardDir = path.join(testDir, 'shards')
+  // 不读取文件，直接提供文件状态
+  const stats = { size: 100, mtimeMs: 1000 }
+
+  before(async () => {
+    await fs.ensureDir(shardDir)
+    catalog.setCatalogDir(shardDir)
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should split large shards and release them after flush', async () => {
+    // 目录哈希以 0 开头的目录，条目都在同一个初始分片中
+    const dirs = []
+    for (let i = 0; dirs.length < 60; i++) {
+      const dir = path.join(dataDir, `dir${i}`)
+      if (crypto.createHash('md5').update(dir).digest('hex').startsWith('0')) dirs.push(dir)
+    }
+    const files = dirs.flatMap((dir) => Array.from({ length: 100 }, (_, i) => path.join(dir, `${i}.jpg`)))
+    for (const file of files) {
+      await catalog.update(file, { [CatalogFields.HASH]: path.basename(file) }, stats)
+    }
+    assert.ok(catalog.getStats().loaded > 0)
+    assert.ok((await catalog.flush()) > 0)
+    assert.strictEqual(catalog.getStats().loaded, 0)
+
+    assert.strictEqual((await fs.readJson(path.join(shardDir, '0.json'))).split, true)
+    const names = await fs.readdir(shardDir)
+    assert.ok(names.filter((n) => /^0[0-9a-f]\.json$/.test(n)).length > 1)
+    assert.ok(!names.some((n) => n.endsWith('.lock') || n.endsWith('.tmp')))
+
+    catalog.setCatalogDir(shardDir)
+    for (const file of [files[0], files[2999], files[5999]]) {
+      assert.strictEqual((await catalog.lookup(file, stats)).hash, path.basename(file))
+    }
+    // 拆分后的修改写入下一级分片
+    await catalog.update(files[0], { [CatalogFields.HASH]: 'changed' }, stats)
+    await catalog.flush()
+    catalog.setCatalogDir(shardDir)
+    assert.strictEqual((await catalog.lookup(files[0], stats)).hash, 'changed')
+  })
+
+  it('should merge entries written by another process', async () => {
+    const fileA = path.join(dataDir, 'merge', 'a.jpg')
+    const fileB = path.join(dataDir, 'merge', 'b.jpg')
+    await catalog.update(fileA, { [CatalogFields.HASH]: 'a' }, stats)
+    // 另一个进程写入同一个分片
+    const url = pathToFileURL(path.join(__dirname, '..', 'lib', 'catalog.js')).href
+    const code = `
+      const catalog = await import(${JSON.stringify(url)})
+      catalog.setCatalogDir(${JSON.stringify(shardDir)})
+      await catalog.update(${JSON.stringify(fileB)}, { hash: 'b' }, ${JSON.stringify(stats)})
+      await catalog.flush()
+    `
+    const child = spawnSync(process.execPath, ['--input-type=module', '-e', code], { encoding: 'utf8' })
+    assert.strictEqual(child.status, 0, child.stderr)
+    await catalog.flush()
+
+    catalog.setCatalogDir(shardDir)
+    assert.strictEqual((await catalog.lookup(fileA, stats)).hash, 'a')
+    assert.strictEqual((await catalog.lookup(fileB, stats)).hash, 'b')
+  })
+})
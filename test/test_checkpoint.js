@@ -0,0 +1,98 @@
+/*
+ * File: test_checkpoint.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { describe, it, before, after } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as cp from '../lib/checkpoint.js'
+
+const testDir = path.join(__dirname, 'test_checkpoint_temp')
+const dataDir = path.join(testDir, 'data')
+const params = { quality: 85, suffix: '_Z4K' }
+
+const task = (name) => ({
+  src: path.join(dataDir, `${name}.jpg`),
+  dst: path.join(dataDir, `${name}_Z4K.jpg`),
+  tmp: path.join(dataDir, `${name}_Z4K_tmp.jpg`),
+})
+
+describe('checkpoint.js', () => {
+  before(async () => {
+    await fs.ensureDir(dataDir)
+    cp.setCheckpointDir(path.join(testDir, 'checkpoint'))
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should use different files for different parameters', () => {
+    assert.notStrictEqual(
+      cp.getCheckpointPath('compress', dataDir, params),
+      cp.getCheckpointPath('compress', dataDir, { ...params, quality: 80 })
+    )
+  })
+
+  it('should not write anything in test mode or before the first task', async () => {
+    const { checkpoint } = await cp.beginCheckpoint('compress', dataDir, params, {
+      resume: false,
+      testMode: true,
+    })
+    assert.strictEqual(checkpoint, null)
+    const opened = cp.openCheckpoint('compress', dataDir, params)
+    assert.strictEqual(await fs.pathExists(opened.path), false)
+  })
+
+  it('should record tasks and resume from the last state of each file', async () => {
+    const { checkpoint } = await cp.beginCheckpoint('compress', dataDir, params, {
+      resume: false,
+      testMode: false,
+    })
+    const [a, b, c] = [task('a'), task('b'), task('c')]
+    await cp.markStarted(checkpoint, a)
+    await cp.markDone(checkpoint, a)
+    await cp.markStarted(checkpoint, b)
+    await cp.markFailed(checkpoint, b, 'corrupt')
+    await cp.markStarted(checkpoint, c)
+    // c 被中断，留下临时文件和写了一半的输出
+    await fs.outputFile(c.tmp, 'tmp')
+    await fs.outputFile(c.dst, 'half')
+    await fs.appendFile(checkpoint.path, '{"type":"done","src":')
+    await cp.closeCheckpoint(checkpoint)
+
+    const state = await cp.readCheckpoint(checkpoint.path)
+    assert.deepStrictEqual([...state.done.keys()], [a.src])
+    assert.deepStrictEqual([...state.failed.keys()], [b.src])
+    assert.deepStrictEqual([...state.interrupted.keys()], [c.src])
+
+    const resumed = await cp.beginCheckpoint('compress', dataDir, params, {
+      resume: true,
+      testMode: false,
+    })
+    assert.deepStrictEqual([...resumed.skip].sort(), [a.src, b.src])
+    assert.strictEqual(resumed.summary.resumed, true)
+    assert.deepStrictEqual(resumed.summary.recovered, [{ src: c.src, removed: [c.tmp, c.dst] }])
+    assert.strictEqual(await fs.pathExists(c.tmp), false)
+    assert.strictEqual(await fs.pathExists(c.dst), false)
+  })
+
+  it('should keep target files that existed before the task started', async () => {
+    const d = task('d')
+    await fs.outputFile(d.dst, 'old')
+    const old = new Date(Date.now() - 60 * 1000)
+    await fs.utimes(d.dst, old, old)
+    const recovered = await cp.cleanInterrupted(new Map([[d.src, { ...d, at: Date.now() }]]))
+    assert.deepStrictEqual(recovered, [{ src: d.src, removed: [] }])
+    assert.ok(await fs.pathExists(d.dst))
+  })
+})
@@ -0,0 +1,52 @@
+/*
+ * File: test_command_utils.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import { describe, it } from 'node:test'
+
+import * as cu from '../lib/command_utils.js'
+
+describe('command_utils.js - confirm handlers', () => {
+  it('should auto-confirm only inside withAutoConfirm', async () => {
+    const prompts = []
+    cu.setConfirmHandler((message, { dangerous }) => {
+      prompts.push([message, dangerous])
+      return false
+    })
+    try {
+      const inside = cu.withAutoConfirm(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 10))
+        return [await cu.confirmAction('a'), await cu.confirmDangerousAction('b')]
+      })
+      // 同时进行的其它提示不受影响
+      assert.strictEqual(await cu.confirmDangerousAction('c'), false)
+      assert.deepStrictEqual(await inside, [true, true])
+      assert.strictEqual(await cu.confirmAction('d'), false)
+      assert.deepStrictEqual(prompts, [
+        ['c', true],
+        ['d', false],
+      ])
+    } finally {
+      cu.setConfirmHandler(null)
+    }
+    assert.strictEqual(cu.getConfirmHandler(), null)
+  })
+
+  it('should answer prompts without asking in non-interactive mode', async () => {
+    try {
+      cu.setConfirmHandler(cu.createNonInteractiveConfirm(true))
+      assert.strictEqual(await cu.confirmDangerousAction('a'), true)
+      cu.setConfirmHandler(cu.createNonInteractiveConfirm(false))
+      await assert.rejects(cu.confirmAction('Move files?'), {
+        type: 'INVALID_ARGUMENT',
+        message: /--yes.*Move files\?/,
+      })
+    } finally {
+      cu.setConfirmHandler(null)
+    }
+  })
+})
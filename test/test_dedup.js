@@ -0,0 +1,163 @@
+/*
+ * File: test_dedup.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { describe, it, before, after } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as api from '../lib/api.js'
+import * as catalog from '../lib/catalog.js'
+import * as dedup from '../lib/dedup.js'
+import { ErrorTypes } from '../lib/errors.js'
+
+const testDir = path.join(__dirname, 'test_dedup_temp')
+// 不存在的索引目录，不读写用户的索引
+catalog.setCatalogDir(path.join(testDir, 'catalog'))
+
+const entry = (p, mtimeMs, rootIndex = 0) => ({ path: p, size: 10, mtimeMs, rootIndex })
+
+async function scan(files) {
+  const entries = []
+  for (const [rootIndex, p] of files) {
+    entries.push(dedup.toDedupEntry({ path: p, stats: await fs.stat(p) }, rootIndex))
+  }
+  return dedup.groupBySize(entries)
+}
+
+describe('dedup.js - keeper', () => {
+  it('should detect copy names', () => {
+    for (const name of ['a (1).jpg', 'a copy.jpg', 'a - Copy 2.jpg', 'a - 副本.jpg', 'Copy of a.jpg']) {
+      assert.strictEqual(dedup.isCopyName(`/x/${name}`), true, name)
+    }
+    for (const name of ['a.jpg', 'IMG_0001.JPG', 'copyright.txt', 'a (b).jpg']) {
+      assert.strictEqual(dedup.isCopyName(`/x/${name}`), false, name)
+    }
+  })
+
+  it('should pick the keeper by policy', () => {
+    const files = [
+      entry('/b/photos/a (1).jpg', 1000, 1),
+      entry('/a/2020/backup/a.jpg', 3000, 0),
+      entry('/b/a.jpg', 2000, 1),
+    ]
+    const keep = (policy) => dedup.pickKeeper(files, policy).keep.path
+    assert.strictEqual(keep('oldest'), '/b/photos/a (1).jpg')
+    assert.strictEqual(keep('shortest'), '/b/a.jpg')
+    assert.strictEqual(keep('root'), '/a/2020/backup/a.jpg')
+    assert.strictEqual(keep('name'), '/b/a.jpg')
+    assert.strictEqual(dedup.pickKeeper(files, 'oldest').duplicates.length, 2)
+    assert.throws(() => dedup.pickKeeper(files, 'newest'), { type: ErrorTypes.INVALID_ARGUMENT })
+  })
+})
+
+describe('dedup.js - find', () => {
+  const file = (name) => path.join(testDir, name)
+
+  before(async () => {
+    await fs.ensureDir(path.join(testDir, 'b'))
+    const big = Buffer.alloc(4096, 1)
+    const bigOther = Buffer.from(big)
+    // 只有中间不同，部分哈希相同
+    bigOther[2048] = 2
+    await fs.writeFile(file('a.bin'), big)
+    await fs.writeFile(file('b/a.bin'), big)
+    await fs.writeFile(file('b/a (1).bin'), big)
+    await fs.writeFile(file('other.bin'), bigOther)
+    await fs.writeFile(file('small.txt'), 'hello')
+    await fs.writeFile(file('b/small.txt'), 'hello')
+    await fs.writeFile(file('b/small2.txt'), 'world')
+    await fs.writeFile(file('empty1.txt'), '')
+    await fs.writeFile(file('empty2.txt'), '')
+    await fs.link(file('small.txt'), file('small_link.txt'))
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should group by size and skip hardlinks and empty files', async () => {
+    const groups = await scan([
+      [0, file('small.txt')],
+      [0, file('small_link.txt')],
+      [0, file('empty1.txt')],
+      [0, file('empty2.txt')],
+      [1, file('b/small2.txt')],
+    ])
+    assert.deepStrictEqual([...groups.keys()], [5])
+    assert.strictEqual(groups.get(5).length, 2)
+  })
+
+  it('should find groups with identical content only', async () => {
+    const names = ['a.bin', 'other.bin', 'small.txt', 'small_link.txt', 'b/a.bin', 'b/a (1).bin', 'b/small.txt', 'b/small2.txt']
+    const sizeGroups = await scan(names.map((n) => [n.startsWith('b/') ? 1 : 0, file(n)]))
+    const found = []
+    const stats = await dedup.findDuplicates(sizeGroups, {
+      partialBytes: 512,
+      onGroup: (g) => found.push(g),
+    })
+    assert.strictEqual(sizeGroups.size, 0)
+    assert.deepStrictEqual(
+      found.sort((a, b) => b.size - a.size).map((g) => g.files.map((f) => path.relative(testDir, f.path)).sort()),
+      [['a.bin', 'b/a (1).bin', 'b/a.bin'], ['b/small.txt', 'small.txt']]
+    )
+    assert.deepStrictEqual(stats, { groups: 2, files: 3, wasted: 4096 * 2 + 5 })
+  })
+
+  it('should replace duplicates with hardlinks', async () => {
+    assert.strictEqual(await dedup.replaceWithHardlink(file('a.bin'), file('b/a.bin')), true)
+    const [a, b] = await Promise.all([fs.stat(file('a.bin')), fs.stat(file('b/a.bin'))])
+    assert.strictEqual(a.ino, b.ino)
+    assert.strictEqual(await dedup.replaceWithHardlink(file('a.bin'), file('b/a.bin')), false)
+    await assert.rejects(dedup.replaceWithHardlink(file('a.bin'), file('small.txt')), {
+      type: ErrorTypes.PROCESSING_FAILED,
+    })
+    assert.deepStrictEqual(await fs.readdir(path.join(testDir, 'b')), ['a (1).bin', 'a.bin', 'small.txt', 'small2.txt'])
+  })
+})
+
+describe('dedup command - apply', () => {
+  const dir = path.join(testDir, 'apply')
+  const file = (name) => path.join(dir, name)
+
+  before(async () => {
+    for (const [i, name] of ['a.txt', 'b.txt', 'c.txt'].entries()) {
+      await fs.outputFile(file(name), 'same content')
+      // a.txt 最旧，按默认规则保留
+      await fs.utimes(file(name), 1000 + i, 1000 + i)
+    }
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should skip files changed after the scan', async () => {
+    const result = await api.dedup(
+      [dir],
+      { action: 'hardlink', doit: true },
+      {
+        // 确认期间另一个程序修改了 c.txt
+        confirm: async () => {
+          await fs.utimes(file('c.txt'), 2000, 2000)
+          return true
+        },
+      }
+    )
+    const entries = Object.fromEntries(result.entries.map((e) => [path.basename(e.src), e]))
+    assert.strictEqual(entries['b.txt'].status, api.EntryStatus.DONE)
+    assert.strictEqual(entries['c.txt'].status, api.EntryStatus.SKIPPED)
+    assert.strictEqual(entries['c.txt'].reason, 'changed')
+    const [a, b, c] = await Promise.all(['a.txt', 'b.txt', 'c.txt'].map((n) => fs.stat(file(n))))
+    assert.strictEqual(a.ino, b.ino)
+    assert.notStrictEqual(a.ino, c.ino)
+  })
+})
@@ -0,0 +1,186 @@
+/*
+ * File: test_encode_queue.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import { spawn, spawnSync } from 'child_process'
+import { fileURLToPath, pathToFileURL } from 'url'
+import { describe, it, after, beforeEach } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as eq from '../lib/encode_queue.js'
+import { JobStatus } from '../lib/encode_queue.js'
+
+const testDir = path.join(__dirname, 'test_encode_queue_temp')
+
+const entry = (name, dst = `/out/${name}`) => ({
+  path: `/videos/${name}`,
+  fileDst: dst,
+  size: 1000,
+  preset: { name: 'hevc_2k' },
+  dstArgs: { srcDuration: 60 },
+})
+
+describe('encode_queue.js - persistent encode queue', () => {
+  beforeEach(async () => {
+    await fs.remove(testDir)
+    eq.setQueueDir(testDir)
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should add jobs and skip jobs already waiting', async () => {
+    const added = await eq.updateQueue((q) => eq.addJobs(q, [entry('a.mp4'), entry('b.mp4')]))
+    assert.deepStrictEqual(added.map((j) => j.id), [1, 2])
+    assert.strictEqual(added[0].preset, 'hevc_2k')
+    assert.strictEqual(added[0].duration, 60)
+    const again = await eq.updateQueue((q) =>
+      eq.addJobs(q, [entry('a.mp4'), entry('a.mp4', '/out/a_x265.mp4'), entry('c.mp4')]),
+    )
+    assert.deepStrictEqual(again.map((j) => j.id), [3, 4])
+    const queue = await eq.loadQueue()
+    assert.strictEqual(queue.jobs.length, 4)
+    assert.strictEqual(queue.nextId, 5)
+    assert.strictEqual(queue.jobs[0].entry.path, '/videos/a.mp4')
+    // 完成的任务可以再次添加
+    eq.finishJob(queue, 1, { ok: true, outputSize: 500 })
+    assert.strictEqual(eq.addJobs(queue, [entry('a.mp4')]).length, 1)
+  })
+
+  it('should run jobs in order and stop picking when paused', async () => {
+    const queue = await eq.loadQueue()
+    eq.addJobs(queue, [entry('a.mp4'), entry('b.mp4')])
+    const job = eq.startNextJob(queue)
+    assert.strictEqual(job.id, 1)
+    assert.strictEqual(job.status, JobStatus.RUNNING)
+    assert.strictEqual(job.attempts, 1)
+    queue.paused = true
+    assert.strictEqual(eq.startNextJob(queue), null)
+    queue.paused = false
+    assert.strictEqual(eq.startNextJob(queue).id, 2)
+    assert.strictEqual(eq.startNextJob(queue), null)
+  })
+
+  it('should keep the stderr tail of failed jobs and retry them', async () => {
+    const queue = await eq.loadQueue()
+    eq.addJobs(queue, [entry('a.mp4'), entry('b.mp4'), entry('c.mp4')])
+    for (const job of queue.jobs) {
+      eq.startNextJob(queue)
+      const stderr = Array.from({ length: 30 }, (_, i) => `line ${i}`).join('\n')
+      eq.finishJob(queue, job.id, { ok: job.id === 1, error: 'exit code 1', stderr })
+    }
+    const failed = queue.jobs[1]
+    assert.strictEqual(failed.status, JobStatus.FAILED)
+    assert.strictEqual(failed.stderrTail.length, eq.STDERR_TAIL_LINES)
+    assert.strictEqual(failed.stderrTail.at(-1), 'line 29')
+    assert.strictEqual(queue.jobs[0].stderrTail, undefined)
+    assert.deepStrictEqual(eq.countJobs(queue), { pending: 0, running: 0, done: 1, failed: 2 })
+
+    assert.deepStrictEqual(eq.retryJobs(queue, [3]).map((j) => j.id), [3])
+    assert.strictEqual(queue.jobs[2].error, undefined)
+    assert.deepStrictEqual(eq.retryJobs(queue).map((j) => j.id), [2])
+    assert.deepStrictEqual(eq.countJobs(queue), { pending: 2, running: 0, done: 1, failed: 0 })
+  })
+
+  it('should reset jobs interrupted by a restart', async () => {
+    await eq.updateQueue((q) => {
+      eq.addJobs(q, [entry('a.mp4'), entry('b.mp4')])
+      eq.startNextJob(q)
+      q.runner = { pid: process.pid, startedAt: Date.now() }
+    })
+    const queue = await eq.loadQueue()
+    // 当前进程不算其它运行中的进程
+    assert.strictEqual(eq.isRunnerAlive(queue.runner), false)
+    assert.strictEqual(eq.isRunnerAlive(null), false)
+    const jobs = eq.resetInterrupted(queue)
+    assert.deepStrictEqual(jobs.map((j) => j.id), [1])
+    assert.strictEqual(eq.startNextJob(queue).id, 1)
+    assert.strictEqual(queue.jobs[0].attempts, 2)
+  })
+
+  it('should reject a corrupted queue file', async () => {
+    await fs.outputFile(eq.getQueuePath(), '{"jobs": ')
+    await assert.rejects(() => eq.loadQueue(), /invalid encode queue/)
+    await fs.outputJson(eq.getQueuePath(), { version: 99, jobs: [] })
+    await assert.rejects(() => eq.loadQueue(), /invalid encode queue/)
+    // 失败的修改不影响之后的修改
+    await assert.rejects(() => eq.updateQueue(() => {}), /invalid encode queue/)
+    await fs.remove(eq.getQueuePath())
+    assert.strictEqual(await eq.updateQueue((q) => q.jobs.length), 0)
+  })
+
+  it('should wait for the lock of another process and remove stale locks', async () => {
+    // 父进程还在运行，锁有效，释放后才能修改
+    await fs.outputFile(eq.getLockPath(), `${process.ppid}`)
+    let done = false
+    const update = eq.updateQueue((q) => eq.addJobs(q, [entry('a.mp4')])).then(() => (done = true))
+    await new Promise((resolve) => setTimeout(resolve, 200))
+    assert.strictEqual(done, false)
+    await fs.remove(eq.getLockPath())
+    await update
+    assert.strictEqual(done, true)
+    assert.strictEqual(await fs.pathExists(eq.getLockPath()), false)
+    // 已退出进程留下的锁
+    const { pid } = spawnSync(process.execPath, ['-e', ''])
+    await fs.outputFile(eq.getLockPath(), `${pid}`)
+    assert.strictEqual(await eq.updateQueue((q) => q.jobs.length), 1)
+    assert.strictEqual(await fs.pathExists(eq.getLockPath()), false)
+  })
+
+  it('should not lose updates from several processes', async () => {
+    const moduleUrl = pathToFileURL(path.join(__dirname, '../lib/encode_queue.js')).href
+    const script = [
+      `const eq = await import(${JSON.stringify(moduleUrl)})`,
+      `eq.setQueueDir(${JSON.stringify(testDir)})`,
+      `for (let i = 0; i < 10; i++) {`,
+      `  await eq.updateQueue((q) => eq.addJobs(q, [{ path: process.pid + '_' + i, fileDst: 'x' }]))`,
+      `}`,
+    ].join('\n')
+    const run = () =>
+      new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, ['--input-type=module', '-e', script], {
+          stdio: 'inherit',
+        })
+        child.on('error', reject)
+        child.on('exit', (code) => (code === 0 ? resolve() : reject(new Error(`exit ${code}`))))
+      })
+    await Promise.all([run(), run(), run()])
+    const queue = await eq.loadQueue()
+    assert.strictEqual(queue.jobs.length, 30)
+    assert.strictEqual(new Set(queue.jobs.map((j) => j.id)).size, 30)
+  })
+
+  it('should parse progress output split into chunks', () => {
+    const updates = []
+    const parse = eq.createProgressParser((s) => updates.push(s))
+    parse('frame=120\nfps=30.5\nout_time_us=N/A\nspeed=N/A\nprogress=cont')
+    assert.strictEqual(updates.length, 0)
+    parse('inue\nframe=240\nfps=31.2\ntotal_size=1048576\nout_time_us=8000')
+    parse('000\nspeed=1.5x\nprogress=end\n')
+    assert.strictEqual(updates.length, 2)
+    assert.deepStrictEqual(updates[0], {
+      frame: 120,
+      fps: 30.5,
+      speed: 0,
+      outSeconds: 0,
+      totalSize: 0,
+      done: false,
+    })
+    assert.strictEqual(updates[1].frame, 240)
+    assert.strictEqual(updates[1].outSeconds, 8)
+    assert.strictEqual(updates[1].totalSize, 1048576)
+    assert.strictEqual(updates[1].done, true)
+    assert.strictEqual(eq.estimateSeconds(updates[1], 20), 8)
+    assert.ok(Number.isNaN(eq.estimateSeconds(updates[0], 20)))
+    assert.ok(Number.isNaN(eq.estimateSeconds(updates[1], 0)))
+  })
+})
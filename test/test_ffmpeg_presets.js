@@ -0,0 +1,119 @@
+/*
+ * File: test_ffmpeg_presets.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import { describe, it } from 'node:test'
+
+import presets from '../lib/ffmpeg_presets.js'
+
+// QSV 预设只在 presets.yaml 中定义
+const qsvPreset = {
+  name: 'hevc_qsv2k',
+  type: 'video',
+  videoArgs: '-c:v hevc_qsv -look_ahead 1 -global_quality {videoQuality}',
+  filters: "scale_qsv='if(gte(iw,ih),min({dimension},iw),-2)':'if(lt(iw,ih),min({dimension},ih),-2)'",
+  complexFilter: '',
+}
+
+describe('ffmpeg_presets.js - software encoders', () => {
+  it('should register software preset families with the same tiers', () => {
+    for (const family of ['x264', 'x265', 'svtav1']) {
+      for (const tier of ['4k', '2kh', '2k', '2km', '2kl']) {
+        const preset = presets.getPreset(`${family}_${tier}`)
+        assert.ok(preset, `${family}_${tier}`)
+        assert.strictEqual(preset.type, 'video')
+        assert.strictEqual(preset.dimension, tier === '4k' ? 3840 : 1920)
+        assert.strictEqual(presets.isCudaPreset(preset), false)
+        assert.match(preset.filters, /^scale=/)
+      }
+    }
+    const x265 = presets.getPreset('x265_2k')
+    const hevc = presets.getPreset('hevc_2k')
+    assert.strictEqual(presets.getVideoEncoder(x265), 'libx265')
+    assert.strictEqual(x265.videoQuality, hevc.videoQuality)
+    assert.strictEqual(x265.videoBitrate, hevc.videoBitrate)
+    assert.strictEqual(presets.getVideoEncoder(presets.getPreset('svtav1_2k')), 'libsvtav1')
+  })
+
+  it('should detect hardware encoders and CUDA usage', () => {
+    const hevc = presets.getPreset('hevc_2k')
+    assert.strictEqual(presets.getVideoEncoder(hevc), 'hevc_nvenc')
+    assert.strictEqual(presets.isHardwareEncoder('hevc_nvenc'), true)
+    assert.strictEqual(presets.isHardwareEncoder('hevc_qsv'), true)
+    assert.strictEqual(presets.isHardwareEncoder('libx265'), false)
+    assert.strictEqual(presets.isHardwareEncoder(undefined), false)
+    assert.strictEqual(presets.isCudaPreset(hevc), true)
+    assert.strictEqual(presets.isCudaPreset(qsvPreset), false)
+    assert.strictEqual(presets.getVideoEncoder({ videoArgs: '-c:v copy' }), undefined)
+    assert.strictEqual(presets.getVideoEncoder(presets.getPreset('aac_high')), undefined)
+  })
+
+  it('should map hardware presets to software equivalents', () => {
+    const hevc = presets.createFromArgv({ preset: 'hevc_2km', videoQuality: 30 })
+    const sw = presets.toSoftwarePreset(hevc)
+    assert.ok(sw instanceof presets.FFmpegPreset)
+    assert.strictEqual(sw.name, 'hevc_2km')
+    assert.strictEqual(sw.videoArgs, presets.getPreset('x265_2km').videoArgs)
+    assert.strictEqual(sw.filters, presets.getPreset('x265_2km').filters)
+    assert.strictEqual(sw.videoBitrate, hevc.videoBitrate)
+    assert.strictEqual(sw.userArgs.videoQuality, 30)
+    // 原预设不变
+    assert.match(hevc.videoArgs, /hevc_nvenc/)
+
+    const h264 = presets.toSoftwarePreset(presets.getPreset('h264_2k'))
+    assert.strictEqual(presets.getVideoEncoder(h264), 'libx264')
+    const qsv = presets.toSoftwarePreset(qsvPreset)
+    assert.strictEqual(presets.getVideoEncoder(qsv), 'libx265')
+    assert.strictEqual(presets.isCudaPreset(qsv), false)
+
+    const speed = presets.toSoftwarePreset(presets.getPreset('hevc_speed'))
+    assert.strictEqual(speed.filters, '')
+    assert.doesNotMatch(speed.complexFilter, /cuda|interp_algo/)
+    assert.match(speed.complexFilter, /,scale='if.*:flags=lanczos,fps=/)
+    assert.strictEqual(presets.isCudaPreset(speed), false)
+
+    assert.strictEqual(presets.toSoftwarePreset(presets.getPreset('x265_2k')), undefined)
+    // 软件编码预设使用内置的 aac
+    assert.strictEqual(presets.getAudioEncoder(presets.getPreset('x265_2k')), 'aac')
+  })
+
+  it('should map libfdk_aac to the built-in aac encoder', () => {
+    const hevc = presets.createFromArgv({ preset: 'hevc_2k', audioBitrate: 128 })
+    assert.strictEqual(presets.getAudioEncoder(hevc), 'libfdk_aac')
+    assert.strictEqual(presets.getAudioFallback('libfdk_aac'), 'aac')
+    assert.strictEqual(presets.getAudioFallback('aac'), undefined)
+    const native = presets.toNativeAudioPreset(hevc)
+    assert.ok(native instanceof presets.FFmpegPreset)
+    assert.strictEqual(native.audioArgs, '-c:a aac -b:a {audioBitrateK}')
+    assert.strictEqual(native.videoArgs, hevc.videoArgs)
+    assert.strictEqual(native.userArgs.audioBitrate, hevc.userArgs.audioBitrate)
+    assert.match(hevc.audioArgs, /libfdk_aac/)
+    // 去掉 HE-AAC 和 VBR 等级
+    const voice = presets.toNativeAudioPreset(presets.getPreset('aac_voice'))
+    assert.strictEqual(voice.audioArgs, '-c:a aac -b:a {audioBitrateK}')
+    const vbr = presets.toNativeAudioPreset(presets.getPreset('aac_vbr'))
+    assert.strictEqual(vbr.audioArgs, '-map 0:a -c:a aac')
+    assert.strictEqual(presets.toNativeAudioPreset(presets.getPreset('x265_2k')), undefined)
+    const copy = presets.createFromArgv({ preset: 'aac_medium', audioCopy: true })
+    assert.strictEqual(presets.getAudioEncoder(copy), undefined)
+  })
+
+  it('should parse the ffmpeg encoder list', () => {
+    const text = [
+      'Encoders:',
+      ' V..... = Video',
+      ' A..... = Audio',
+      ' ------',
+      ' V....D libx264              libx264 H.264 / AVC / MPEG-4 AVC (codec h264)',
+      ' V....D hevc_nvenc           NVIDIA NVENC hevc encoder (codec hevc)',
+      ' A....D libfdk_aac           Fraunhofer FDK AAC (codec aac)',
+    ].join('\r\n')
+    const encoders = presets.parseEncoders(text)
+    assert.deepStrictEqual([...encoders], ['libx264', 'hevc_nvenc', 'libfdk_aac'])
+    assert.strictEqual(presets.parseEncoders('').size, 0)
+  })
+})
@@ -0,0 +1,123 @@
+/*
+ * File: test_ffmpeg_script.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { describe, it, after } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as fscript from '../lib/ffmpeg_script.js'
+import { ScriptFormat } from '../lib/ffmpeg_script.js'
+
+const testDir = path.join(__dirname, 'test_ffmpeg_script_temp')
+
+// 与 lib/commands/ffmpeg.js createFFmpegArgs 生成的参数相同的形式
+const cmdline = [
+  '-hide_banner -n -v error -progress - -nostats -hwaccel auto -i "/videos/My Movie\'s 100%.mkv"',
+  '-vf scale=1920:-2:flags=lanczos -c:v libx265 -crf 24',
+  '-metadata title="My Movie s 100%" -metadata comment="-c:v libx265 -crf 24"',
+  '"/out/My Movie_tmp@abc@tmp_.mp4"',
+].join(' ')
+
+const job = {
+  src: "/videos/My Movie's 100%.mkv",
+  dst: '/out/My Movie.mp4',
+  tmp: '/out/My Movie_tmp@abc@tmp_.mp4',
+  args: fscript.toScriptArgs(fscript.splitCommandLine(cmdline)),
+}
+
+describe('ffmpeg_script.js - export ffmpeg batch as a script', () => {
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should split shell command lines and replace progress output', () => {
+    assert.deepStrictEqual(fscript.splitCommandLine(' -i  "a b.mkv" title="x  y" ""'), [
+      '-i',
+      'a b.mkv',
+      'title=x  y',
+      '',
+    ])
+    assert.deepStrictEqual(job.args.slice(0, 8), [
+      '-hide_banner',
+      '-n',
+      '-v',
+      'error',
+      '-stats',
+      '-hwaccel',
+      'auto',
+      '-i',
+    ])
+    assert.strictEqual(job.args[8], "/videos/My Movie's 100%.mkv")
+    assert.ok(job.args.includes('title=My Movie s 100%'))
+    assert.ok(job.args.includes('comment=-c:v libx265 -crf 24'))
+    assert.strictEqual(job.args.at(-1), job.tmp)
+  })
+
+  it('should quote arguments for each shell', () => {
+    const { SH, PS1, BAT } = ScriptFormat
+    assert.strictEqual(fscript.quoteArg('scale=1920:-2', SH), 'scale=1920:-2')
+    assert.strictEqual(fscript.quoteArg("it's $HOME", SH), "'it'\\''s $HOME'")
+    assert.strictEqual(fscript.quoteArg('-c:v', PS1), "'-c:v'")
+    assert.strictEqual(fscript.quoteArg("it's", PS1), "'it''s'")
+    assert.strictEqual(fscript.quoteArg('C:\\out\\a.mp4', BAT), 'C:\\out\\a.mp4')
+    assert.strictEqual(fscript.quoteArg('100% a&b', BAT), '"100%% a&b"')
+  })
+
+  it('should pick the format from the extension', () => {
+    assert.strictEqual(fscript.getScriptFormat('run.sh'), ScriptFormat.SH)
+    assert.strictEqual(fscript.getScriptFormat('C:\\x\\RUN.PS1'), ScriptFormat.PS1)
+    assert.strictEqual(fscript.getScriptFormat('run.cmd'), ScriptFormat.BAT)
+    assert.throws(() => fscript.getScriptFormat('run.txt'), /script must end with/)
+  })
+
+  it('should create scripts with temp files and optional source deletion', () => {
+    const sh = fscript.createScript(ScriptFormat.SH, [job], { title: 'test $& batch' })
+    assert.ok(sh.startsWith('#!/bin/sh\n# test $& batch\n'))
+    assert.ok(sh.includes('DELETE_SOURCE=0'))
+    assert.ok(
+      sh.includes(
+        "run_job '/videos/My Movie'\\''s 100%.mkv' '/out/My Movie.mp4' '/out/My Movie_tmp@abc@tmp_.mp4' -hide_banner",
+      ),
+    )
+    assert.ok(!sh.includes('\r\n'))
+    const shExists = sh.slice(sh.indexOf('if [ -e "$dst" ]'), sh.indexOf('echo "Converting'))
+    assert.ok(!shExists.includes('rm -f -- "$src"'))
+
+    const ps1 = fscript.createScript(ScriptFormat.PS1, [job], { deleteSource: true })
+    assert.ok(ps1.includes('$DeleteSource = $true\r\n'))
+    assert.ok(ps1.includes("Invoke-Job '/videos/My Movie''s 100%.mkv' '/out/My Movie.mp4'"))
+    assert.ok(ps1.includes("@('-hide_banner', '-n', "))
+
+    const bat = fscript.createScript(ScriptFormat.BAT, [job, job], { deleteSource: true })
+    const lines = bat.split('\r\n')
+    assert.ok(lines.includes('ffmpeg ' + job.args.map((a) => fscript.quoteArg(a, ScriptFormat.BAT)).join(' ')))
+    assert.ok(lines.includes('move /y "/out/My Movie_tmp@abc@tmp_.mp4" "/out/My Movie.mp4" >nul'))
+    // 只在转码成功后删除源文件，目标文件已存在时不删除
+    assert.strictEqual(lines.filter((l) => l.trim() === 'del /f /q "/videos/My Movie\'s 100%%.mkv"').length, 2)
+    const exists = lines.slice(0, lines.indexOf('echo Converting: "/videos/My Movie\'s 100%%.mkv"'))
+    assert.ok(!exists.some((l) => l.includes('del /f /q "/videos')))
+    assert.ok(lines.includes(':job2_failed'))
+    assert.ok(!fscript.createScript(ScriptFormat.BAT, [job]).includes('del /f /q "/videos'))
+  })
+
+  it('should write scripts with the right encoding and mode', async () => {
+    const shFile = path.join(testDir, 'run.sh')
+    assert.strictEqual(await fscript.writeScript(shFile, [job]), ScriptFormat.SH)
+    if (process.platform !== 'win32') {
+      assert.strictEqual((await fs.stat(shFile)).mode & 0o111, 0o111)
+    }
+    const ps1File = path.join(testDir, 'run.ps1')
+    await fscript.writeScript(ps1File, [job])
+    const data = await fs.readFile(ps1File)
+    assert.deepStrictEqual([...data.subarray(0, 3)], [0xef, 0xbb, 0xbf])
+  })
+})
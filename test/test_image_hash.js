@@ -0,0 +1,210 @@
+/*
+ * File: test_image_hash.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import sharp from 'sharp'
+import { fileURLToPath } from 'url'
+import { describe, it, before, after } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as catalog from '../lib/catalog.js'
+import * as imageHash from '../lib/image_hash.js'
+import { ErrorTypes } from '../lib/errors.js'
+
+const testDir = path.join(__dirname, 'test_image_hash_temp')
+// 不存在的索引目录，不读写用户的索引
+catalog.setCatalogDir(path.join(testDir, 'catalog'))
+
+// 固定种子的随机 64 位哈希
+let seed = 42
+const random32 = () => {
+  seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0
+  return seed
+}
+const randomHash = () =>
+  random32().toString(16).padStart(8, '0') + random32().toString(16).padStart(8, '0')
+// 翻转哈希中的 n 个不同的位
+const flipBits = (hash, n) => {
+  let value = BigInt('0x' + hash)
+  const bits = new Set()
+  while (bits.size < n) bits.add(random32() % 64)
+  for (const bit of bits) value ^= 1n << BigInt(bit)
+  return value.toString(16).padStart(16, '0')
+}
+
+const item = (name, pHash, extra = {}) => ({
+  file: { path: `/photos/${name}`, size: extra.size || 1000 },
+  aHash: pHash,
+  pHash,
+  ...extra,
+})
+
+describe('image_hash.js - similar', () => {
+  it('should compute hamming distance', () => {
+    assert.strictEqual(imageHash.hammingDistance('ff', 'ff'), 0)
+    assert.strictEqual(imageHash.hammingDistance('f0', '0f'), 8)
+    assert.strictEqual(imageHash.hammingDistance(null, 'ff'), 64)
+  })
+
+  it('should cluster similar hashes transitively', () => {
+    const items = [
+      item('a.jpg', '0000000000000000'),
+      item('b.jpg', '000000000000000f'),
+      item('c.jpg', '00000000000000ff'),
+      item('d.jpg', 'ffffffffffffffff'),
+      item('e.jpg', null),
+      item('f.jpg', 'fffffffffffffff0'),
+    ]
+    const groups = imageHash.clusterSimilarImages(items, 4)
+    assert.deepStrictEqual(
+      groups.map((g) => g.map((i) => i.file.path.slice(8))),
+      [
+        ['a.jpg', 'b.jpg', 'c.jpg'],
+        ['d.jpg', 'f.jpg'],
+      ]
+    )
+    assert.deepStrictEqual(imageHash.clusterSimilarImages(items, 0), [])
+  })
+
+  it('should rank larger images first, then quality and size', () => {
+    const small = item('small.jpg', '0', { width: 200, height: 150, quality: { score: 9 } })
+    const large = item('large.jpg', '0', { width: 400, height: 300, quality: { score: 3 } })
+    const sharp = item('sharp.jpg', '0', { width: 390, height: 300, quality: { score: 5 } })
+    const big = item('big.jpg', '0', { width: 390, height: 300, quality: { score: 5 }, size: 5000 })
+    assert.deepStrictEqual(
+      imageHash.rankSimilarImages([small, large, sharp, big]).map((i) => i.file.path.slice(8)),
+      ['big.jpg', 'sharp.jpg', 'large.jpg', 'small.jpg']
+    )
+  })
+})
+
+describe('image_hash.js - HashIndex', () => {
+  it('should find the same results as a linear scan', () => {
+    const index = new imageHash.HashIndex()
+    const hashes = []
+    for (let i = 0; i < 2000; i++) {
+      // 一部分是已有哈希的近似值
+      const hash = i > 0 && i % 4 === 0 ? flipBits(hashes[random32() % i], random32() % 16) : randomHash()
+      hashes.push(hash)
+      index.insert(i, hash)
+    }
+    assert.strictEqual(index.size, 2000)
+    for (const radius of [0, 3, 8, 12, 17]) {
+      for (let q = 0; q < 50; q++) {
+        const query = flipBits(hashes[random32() % hashes.length], random32() % 10)
+        const expected = hashes
+          .map((h, id) => ({ id, distance: imageHash.hammingDistance(h, query) }))
+          .filter((r) => r.distance <= radius)
+        const actual = index.query(query, radius)
+        assert.deepStrictEqual(
+          actual.map((r) => r.id).sort((a, b) => a - b),
+          expected.map((r) => r.id),
+          `radius ${radius}`
+        )
+        for (const r of actual) {
+          assert.strictEqual(r.distance, imageHash.hammingDistance(hashes[r.id], query))
+        }
+      }
+    }
+  })
+
+  it('should replace, remove and restore entries', () => {
+    const index = new imageHash.HashIndex({ chunks: 8 })
+    index.insert('a.jpg', '00000000000000ff')
+    index.insert('b.jpg', 'ffffffffffffffff')
+    index.insert('a.jpg', 'FFFFFFFFFFFFFFF0')
+    assert.strictEqual(index.get('a.jpg'), 'fffffffffffffff0')
+    assert.deepStrictEqual(index.query('ffffffffffffffff', 4), [
+      { id: 'b.jpg', hash: 'ffffffffffffffff', distance: 0 },
+      { id: 'a.jpg', hash: 'fffffffffffffff0', distance: 4 },
+    ])
+    assert.deepStrictEqual(index.query('00000000000000ff', 12), [])
+
+    const restored = imageHash.HashIndex.fromJSON(JSON.parse(JSON.stringify(index)))
+    assert.strictEqual(restored.chunks, 8)
+    assert.deepStrictEqual(restored.query('ffffffffffffffff', 4), index.query('ffffffffffffffff', 4))
+    assert.strictEqual(imageHash.HashIndex.fromJSON({ version: 0 }), null)
+
+    assert.strictEqual(index.remove('b.jpg'), true)
+    assert.strictEqual(index.remove('b.jpg'), false)
+    assert.deepStrictEqual(index.query('ffffffffffffffff', 4).map((r) => r.id), ['a.jpg'])
+  })
+
+  it('should find near misses with every chunks value', () => {
+    for (const chunks of [4, 8]) {
+      const index = new imageHash.HashIndex({ chunks })
+      index.insert('a.jpg', 'ffffffffffffffff')
+      index.insert('b.jpg', 'fffffffffffffff0')
+      index.insert('c.jpg', '0000000000000000')
+      assert.deepStrictEqual(
+        index.query('fffffffffffffffe', 4),
+        [
+          { id: 'a.jpg', hash: 'ffffffffffffffff', distance: 1 },
+          { id: 'b.jpg', hash: 'fffffffffffffff0', distance: 3 },
+        ],
+        `chunks ${chunks}`
+      )
+    }
+  })
+
+  it('should reject invalid hashes and options', () => {
+    const index = new imageHash.HashIndex()
+    assert.throws(() => index.insert('a', 'abc'), { type: ErrorTypes.INVALID_ARGUMENT })
+    assert.throws(() => index.query('zzzzzzzzzzzzzzzz', 1), { type: ErrorTypes.INVALID_ARGUMENT })
+    assert.throws(() => new imageHash.HashIndex({ chunks: 3 }), { type: ErrorTypes.INVALID_ARGUMENT })
+    // 32 位的段无法枚举掩码
+    assert.throws(() => new imageHash.HashIndex({ chunks: 2 }), { type: ErrorTypes.INVALID_ARGUMENT })
+  })
+})
+
+describe('image_hash.js - dHash and persistence', () => {
+  const image = path.join(testDir, 'noise.png')
+  const cropped = path.join(testDir, 'noise_crop.jpg')
+
+  before(async () => {
+    await fs.ensureDir(testDir)
+    const pixels = Buffer.alloc(16 * 12 * 3)
+    for (let i = 0; i < pixels.length; i++) pixels[i] = random32() & 0xff
+    const noise = () => sharp(pixels, { raw: { width: 16, height: 12, channels: 3 } }).resize(320, 240)
+    await noise().png().toFile(image)
+    await noise().extract({ left: 8, top: 6, width: 304, height: 228 }).jpeg().toFile(cropped)
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should compute dHash from pixel differences', () => {
+    const size = 2
+    // 每行 3 个像素：第一行递减，第二行递增
+    const hash = imageHash.computeDifferenceHashFromPixels(Uint8Array.from([9, 5, 1, 1, 5, 9]), size)
+    assert.strictEqual(hash, '3')
+  })
+
+  it('should give close dHash values for a cropped copy', async () => {
+    const [a, b] = await Promise.all([
+      imageHash.computeDifferenceHash(image),
+      imageHash.computeDifferenceHash(cropped),
+    ])
+    assert.match(a, /^[0-9a-f]{16}$/)
+    assert.ok(imageHash.hammingDistance(a, b) <= imageHash.HASH_CONFIG.THRESHOLD)
+    assert.strictEqual(await imageHash.computeDifferenceHash(path.join(testDir, 'missing.png')), null)
+  })
+
+  it('should save and load the index next to the cache file', async () => {
+    const indexPath = path.join(testDir, imageHash.CACHE_CONFIG.INDEX_FILENAME)
+    const index = new imageHash.HashIndex().insert('a/b.jpg', '0123456789abcdef')
+    await imageHash.saveHashIndex(indexPath, testDir, index)
+    const loaded = await imageHash.loadHashIndex(indexPath, testDir)
+    assert.strictEqual(loaded.get('a/b.jpg'), '0123456789abcdef')
+    assert.strictEqual(await imageHash.loadHashIndex(indexPath, path.join(testDir, 'other')), null)
+  })
+})
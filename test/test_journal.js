@@ -0,0 +1,132 @@
+/*
+ * File: test_journal.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { describe, it, before, after } from 'node:test'
+import inquirer from 'inquirer'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import { ErrorTypes } from '../lib/errors.js'
+import * as journal from '../lib/journal.js'
+import { handler as undoHandler } from '../cmd/cmd_undo.js'
+
+const testDir = path.join(__dirname, 'test_journal_temp')
+const journalDir = path.join(testDir, 'journal')
+
+describe('journal.js - record and undo', () => {
+  before(async () => {
+    await fs.ensureDir(testDir)
+    journal.setJournalDir(journalDir)
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should not create journal file without operations', async () => {
+    journal.beginRun('move', { input: testDir })
+    const run = await journal.endRun()
+    assert.strictEqual(run, null)
+    assert.deepStrictEqual(await journal.listJournals(), [])
+  })
+
+  it('should record operations and read them back', async () => {
+    const src = path.join(testDir, 'a.txt')
+    const dst = path.join(testDir, 'sub', 'b.txt')
+    await fs.writeFile(src, 'hello')
+    journal.beginRun('rename', { input: testDir, doit: true })
+    await fs.move(src, dst)
+    journal.record(journal.JournalOps.RENAME, src, dst)
+    const run = await journal.endRun()
+    assert.ok(run)
+    assert.strictEqual(run.count, 1)
+
+    const j = await journal.readJournal(run.path)
+    assert.strictEqual(j.run.command, 'rename')
+    assert.strictEqual(j.ops.length, 1)
+    assert.strictEqual(j.ops[0].src, src)
+    assert.strictEqual(j.ops[0].size, 5)
+    assert.ok(j.ended)
+    assert.strictEqual(await journal.resolveJournal('last'), run.path)
+    assert.strictEqual(await journal.resolveJournal(run.runId), run.path)
+  })
+
+  it('should undo last run and skip changed targets', async () => {
+    const src1 = path.join(testDir, 'c1.txt')
+    const src2 = path.join(testDir, 'c2.txt')
+    const dst1 = path.join(testDir, 'out', 'c1.txt')
+    const dst2 = path.join(testDir, 'out', 'c2.txt')
+    await fs.writeFile(src1, 'one')
+    await fs.writeFile(src2, 'two')
+    journal.beginRun('move', { doit: true })
+    await fs.move(src1, dst1)
+    journal.record(journal.JournalOps.MOVE, src1, dst1)
+    await fs.move(src2, dst2)
+    journal.record(journal.JournalOps.MOVE, src2, dst2)
+    const run = await journal.endRun()
+    // 目标文件在运行后被修改，撤销时应跳过
+    await fs.appendFile(dst2, 'changed')
+
+    const originalPrompt = inquirer.prompt
+    const originalLog = console.log
+    inquirer.prompt = async () => ({ yes: true })
+    console.log = () => {}
+    try {
+      const results = await undoHandler({ journal: run.runId, doit: true })
+      await journal.endRun()
+      const statusOf = (p) => results.find((r) => r.src === p).status
+      assert.strictEqual(statusOf(src1), 'DONE')
+      assert.strictEqual(statusOf(src2), 'CHANGED')
+    } finally {
+      inquirer.prompt = originalPrompt
+      console.log = originalLog
+    }
+    assert.ok(await fs.pathExists(src1))
+    assert.ok(!(await fs.pathExists(src2)))
+    const j = await journal.readJournal(run.path)
+    assert.ok(j.undone)
+  })
+
+  it('should refuse to undo a journal twice without --force', async () => {
+    let undone = null
+    for (const f of await journal.listJournals()) {
+      if ((await journal.readJournal(f)).undone) undone = f
+    }
+    assert.ok(undone)
+    await assert.rejects(undoHandler({ journal: undone }), { type: ErrorTypes.INVALID_ARGUMENT })
+
+    const originalPrompt = inquirer.prompt
+    const originalLog = console.log
+    inquirer.prompt = async () => ({ yes: true })
+    console.log = () => {}
+    try {
+      // 只预览，已恢复的文件目标不存在，未恢复的仍然是修改过的
+      const results = await undoHandler({ journal: undone, force: true })
+      assert.deepStrictEqual(results.map((r) => r.status).sort(), ['CHANGED', 'MISSING'])
+    } finally {
+      inquirer.prompt = originalPrompt
+      console.log = originalLog
+    }
+  })
+})
+
+describe('journal.js - argv', () => {
+  it('should keep only long option names', () => {
+    journal.setOptionAliases(['d', 'v', 'fc'])
+    try {
+      const argv = { _: ['move'], $0: 'mediac', doit: true, d: true, verbose: 1, v: 1, 'file-count': 3, fileCount: 3, fc: 3 }
+      assert.deepStrictEqual(journal.sanitizeArgv(argv), { _: ['move'], doit: true, verbose: 1, fileCount: 3 })
+    } finally {
+      journal.setOptionAliases([])
+    }
+  })
+})
@@ -0,0 +1,168 @@
+/*
+ * File: test_json_output.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import { spawnSync } from 'child_process'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { describe, it, before, beforeEach, after } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as log from '../lib/debug.js'
+import { ErrorTypes, createError } from '../lib/errors.js'
+import * as jsonOutput from '../lib/json_output.js'
+import { EntryStatus, JsonMode } from '../lib/json_output.js'
+
+let lines = []
+
+describe('json_output.js - options and error codes', () => {
+  it('getJsonMode should pick the mode from --json and --json-stream', () => {
+    assert.strictEqual(jsonOutput.getJsonMode({ json: true }), JsonMode.DOCUMENT)
+    assert.strictEqual(jsonOutput.getJsonMode({ jsonStream: true }), JsonMode.STREAM)
+    assert.strictEqual(jsonOutput.getJsonMode({ json: true, jsonStream: true }), JsonMode.STREAM)
+    assert.strictEqual(jsonOutput.getJsonMode({ json: false }), undefined)
+    assert.strictEqual(jsonOutput.getJsonMode({}), undefined)
+    assert.strictEqual(jsonOutput.getJsonMode(), undefined)
+  })
+
+  it('errorCode should map error types, errno codes and unknown errors', () => {
+    assert.strictEqual(jsonOutput.errorCode(createError(ErrorTypes.FILE_NOT_FOUND, 'x')), 1000)
+    const enoent = Object.assign(new Error('missing'), { code: 'ENOENT' })
+    assert.strictEqual(jsonOutput.errorCode(enoent), 1000)
+    assert.strictEqual(jsonOutput.errorCode(new Error('boom')), 9000)
+  })
+
+  it('toEntryStatus should map command results', () => {
+    assert.deepStrictEqual(jsonOutput.toEntryStatus('DONE'), { status: EntryStatus.DONE })
+    assert.deepStrictEqual(jsonOutput.toEntryStatus('DONE', true), { status: EntryStatus.PLANNED })
+    assert.deepStrictEqual(jsonOutput.toEntryStatus('FAILED'), { status: EntryStatus.FAILED })
+    assert.deepStrictEqual(jsonOutput.toEntryStatus('CONFLICT'), {
+      status: EntryStatus.SKIPPED,
+      reason: 'conflict',
+    })
+  })
+})
+
+describe('json_output.js - document and stream', () => {
+  beforeEach(() => {
+    lines = []
+    jsonOutput.setWriter((text) => lines.push(text))
+  })
+
+  after(() => {
+    jsonOutput.setWriter(null)
+    log.setSilent(false)
+  })
+
+  it('should ignore entries when not enabled', () => {
+    assert.strictEqual(jsonOutput.isEnabled(), false)
+    jsonOutput.addEntry({ action: 'move', src: 'a', status: EntryStatus.DONE })
+    assert.strictEqual(jsonOutput.end(), undefined)
+    assert.strictEqual(lines.length, 0)
+  })
+
+  it('should capture entries without --json', () => {
+    jsonOutput.startCapture()
+    jsonOutput.addEntry({ action: 'move', src: 'a', dst: 'b', status: EntryStatus.DONE })
+    const entries = jsonOutput.stopCapture()
+    assert.strictEqual(entries.length, 1)
+    assert.strictEqual(entries[0].dst, 'b')
+    assert.strictEqual(lines.length, 0)
+  })
+
+  it('should emit one document with entries and summary', () => {
+    jsonOutput.begin(JsonMode.DOCUMENT, 'move', { input: '/tmp', doit: true })
+    assert.strictEqual(jsonOutput.isEnabled(), true)
+    jsonOutput.addEntry({ action: 'move', src: 'a', dst: 'b', status: EntryStatus.DONE })
+    jsonOutput.addEntry({ action: 'move', src: 'c', status: EntryStatus.FAILED })
+    jsonOutput.setSummary({ extra: 1 })
+    jsonOutput.addReport('/tmp/report.json')
+    jsonOutput.end()
+
+    assert.strictEqual(lines.length, 1)
+    const doc = JSON.parse(lines[0])
+    assert.strictEqual(doc.command, 'move')
+    assert.strictEqual(doc.ok, true)
+    assert.strictEqual(doc.argv.input, '/tmp')
+    assert.strictEqual(doc.entries.length, 2)
+    assert.strictEqual(doc.entries[0].dst, 'b')
+    assert.strictEqual(doc.entries[1].error.code, 2002)
+    assert.strictEqual(doc.entries[1].error.type, ErrorTypes.PROCESSING_FAILED)
+    assert.deepStrictEqual(doc.summary, {
+      total: 2,
+      done: 1,
+      failed: 1,
+      extra: 1,
+      reports: ['/tmp/report.json'],
+    })
+    assert.strictEqual(jsonOutput.isEnabled(), false)
+  })
+
+  it('should emit JSONL events in stream mode', () => {
+    jsonOutput.begin(JsonMode.STREAM, 'remove', {})
+    jsonOutput.addEntry({ action: 'remove', src: 'a', status: EntryStatus.PLANNED })
+    jsonOutput.end({ error: createError(ErrorTypes.FFMPEG_ERROR, 'no') })
+
+    const events = lines.map((line) => JSON.parse(line))
+    assert.deepStrictEqual(
+      events.map((e) => e.type),
+      ['start', 'entry', 'summary']
+    )
+    assert.strictEqual(events[1].status, EntryStatus.PLANNED)
+    assert.strictEqual(events[2].ok, false)
+    assert.strictEqual(events[2].summary.planned, 1)
+    assert.strictEqual(events[2].error.type, ErrorTypes.FFMPEG_ERROR)
+    assert.strictEqual(events[2].entries, undefined)
+  })
+})
+
+// 命令行程序使用 using 语法，找到当前 Node 版本需要的参数，不支持时跳过
+const nodeArgs = [[], ['--js-explicit-resource-management']].find(
+  (args) => spawnSync(process.execPath, [...args, '-e', '{ using x = null }']).status === 0
+)
+
+describe('json_output.js - prompts in JSON mode', { skip: !nodeArgs && 'no using syntax' }, () => {
+  const testDir = path.join(__dirname, 'test_json_prompt_temp')
+  const runCli = (...args) =>
+    spawnSync(process.execPath, [...nodeArgs, path.join(__dirname, '..', 'index.js'), ...args], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout: 60000,
+    })
+
+  before(async () => {
+    await fs.outputFile(path.join(testDir, 'sub', 'deep', 'a.jpg'), 'a')
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should stop at the first prompt without --yes and still output the document', () => {
+    const result = runCli('moveup', testDir, '--json')
+    assert.strictEqual(result.status, 1)
+    const doc = JSON.parse(result.stdout)
+    assert.strictEqual(doc.command, 'moveup')
+    assert.strictEqual(doc.ok, false)
+    assert.strictEqual(doc.error.type, 'INVALID_ARGUMENT')
+    assert.match(doc.error.message, /--yes/)
+    assert.strictEqual(doc.summary.total, 0)
+  })
+
+  it('should answer prompts with --yes', () => {
+    const result = runCli('moveup', testDir, '--json-stream', '--yes')
+    assert.strictEqual(result.status, 0)
+    const events = result.stdout.trim().split('\n').map((line) => JSON.parse(line))
+    const summary = events.at(-1)
+    assert.strictEqual(summary.type, 'summary')
+    assert.strictEqual(summary.ok, true)
+    assert.ok(summary.summary.planned > 0)
+  })
+})
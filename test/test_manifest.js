@@ -0,0 +1,195 @@
+/*
+ * File: test_manifest.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import crypto from 'crypto'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { describe, it, before, after, beforeEach } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as mf from '../lib/file.js'
+import * as journal from '../lib/journal.js'
+import * as manifest from '../lib/manifest.js'
+
+const { ManifestStatus } = manifest
+
+const testDir = path.join(__dirname, 'test_manifest_temp')
+const root = path.join(testDir, 'library')
+const journalDir = path.join(testDir, 'journal')
+
+const walkFiles = () => mf.walk(root, { needStats: true, entryFilter: (e) => e.isFile })
+const p = (rel) => path.join(root, ...rel.split('/'))
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+// 整秒的修改时间，utimes 只能精确到毫秒
+const mtime = new Date('2024-01-01T00:00:00Z')
+
+async function writeFile(rel, content) {
+  await fs.outputFile(p(rel), content)
+  await fs.utimes(p(rel), mtime, mtime)
+}
+
+async function create(previous, options = {}) {
+  const result = await manifest.createManifest(root, await walkFiles(), { previous, ...options })
+  await manifest.saveManifest(path.join(root, manifest.MANIFEST_NAME), result.manifest)
+  return result
+}
+
+async function verify(m, options = {}) {
+  const results = await manifest.verifyManifest(root, await walkFiles(), m, options)
+  return Object.fromEntries(results.map((r) => [r.path, r]))
+}
+
+describe('manifest.js - checksum manifests', () => {
+  before(() => {
+    journal.setJournalDir(journalDir)
+  })
+
+  beforeEach(async () => {
+    await fs.remove(testDir)
+    await writeFile('a.jpg', 'photo a')
+    await writeFile('b.jpg', 'photo b')
+    await writeFile('sub/c.mp4', 'video c')
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should create a manifest and verify unchanged files', async () => {
+    const { manifest: m, counts } = await create()
+    assert.deepStrictEqual(Object.keys(m.files).sort(), ['a.jpg', 'b.jpg', 'sub/c.mp4'])
+    assert.strictEqual(counts.hashed, 3)
+    assert.strictEqual(m.files['a.jpg'].size, 7)
+    assert.match(m.files['a.jpg'].xxh64, /^[0-9a-f]+$/)
+    assert.strictEqual(m.files['a.jpg'].sha256, undefined)
+
+    const loaded = await manifest.loadManifest(path.join(root, manifest.MANIFEST_NAME))
+    assert.deepStrictEqual(loaded.files, m.files)
+    const results = await verify(loaded)
+    assert.deepStrictEqual(Object.keys(results), ['a.jpg', 'b.jpg', 'sub/c.mp4'])
+    assert.ok(Object.values(results).every((r) => r.status === ManifestStatus.OK))
+  })
+
+  it('should tell edits from corruption by modification time', async () => {
+    const { manifest: m } = await create()
+    // 正常编辑，修改时间变化
+    await fs.writeFile(p('a.jpg'), 'edited photo')
+    // 大小不变的内容变化，修改时间不变
+    await writeFile('b.jpg', 'photo B')
+
+    const results = await verify(m)
+    assert.strictEqual(results['a.jpg'].status, ManifestStatus.MODIFIED)
+    assert.strictEqual(results['b.jpg'].status, ManifestStatus.CORRUPTED)
+    assert.strictEqual(results['sub/c.mp4'].status, ManifestStatus.OK)
+    // 快速模式不读取内容，发现不了损坏
+    const quick = await verify(m, { quick: true })
+    assert.strictEqual(quick['b.jpg'].status, ManifestStatus.OK)
+
+    // 增量更新只计算编辑过的文件，损坏的文件保留原来的校验值
+    const { manifest: updated, counts } = await create(m)
+    assert.strictEqual(counts.hashed, 1)
+    assert.strictEqual(counts.reused, 2)
+    assert.strictEqual(updated.files['b.jpg'].xxh64, m.files['b.jpg'].xxh64)
+    assert.notStrictEqual(updated.files['a.jpg'].xxh64, m.files['a.jpg'].xxh64)
+    assert.strictEqual((await verify(updated))['b.jpg'].status, ManifestStatus.CORRUPTED)
+  })
+
+  it('should report missing, new and moved files', async () => {
+    const { manifest: m } = await create()
+    await fs.remove(p('a.jpg'))
+    await fs.move(p('b.jpg'), p('sub/b2.jpg'))
+    await writeFile('d.jpg', 'photo d')
+
+    const results = await verify(m)
+    assert.strictEqual(results['a.jpg'].status, ManifestStatus.MISSING)
+    assert.strictEqual(results['d.jpg'].status, ManifestStatus.NEW)
+    assert.strictEqual(results['sub/b2.jpg'].status, ManifestStatus.MOVED)
+    assert.strictEqual(results['sub/b2.jpg'].from, 'b.jpg')
+    assert.strictEqual(results['b.jpg'], undefined)
+
+    const counts = manifest.countResults(Object.values(results))
+    assert.strictEqual(counts.missing, 1)
+    assert.strictEqual(counts.new, 1)
+    assert.strictEqual(counts.moved, 1)
+    assert.strictEqual(counts.ok, 1)
+    assert.strictEqual(counts.corrupted, 0)
+  })
+
+  it('should follow moves recorded in the journal', async () => {
+    const { manifest: m } = await create()
+    await sleep(5)
+    journal.beginRun('rename', { doit: true })
+    await fs.move(p('a.jpg'), p('renamed/a1.jpg'))
+    journal.record(journal.JournalOps.RENAME, p('a.jpg'), p('renamed/a1.jpg'))
+    const run = await journal.endRun()
+
+    const ops = await manifest.readJournalOps(m.updatedAt)
+    assert.strictEqual(ops.length, 1)
+    assert.strictEqual(ops[0].runId, run.runId)
+    const results = await verify(m, { ops })
+    assert.strictEqual(results['renamed/a1.jpg'].status, ManifestStatus.MOVED)
+    assert.strictEqual(results['renamed/a1.jpg'].from, 'a.jpg')
+    assert.strictEqual(results['renamed/a1.jpg'].runId, run.runId)
+
+    // 增量更新沿用移动过的文件的校验值
+    const { manifest: updated, counts } = await create(m, { ops })
+    assert.strictEqual(counts.hashed, 0)
+    assert.strictEqual(counts.moved, 1)
+    assert.deepStrictEqual(updated.files['renamed/a1.jpg'], m.files['a.jpg'])
+    assert.strictEqual(updated.files['a.jpg'], undefined)
+    // 更新后的清单不再读取之前的操作
+    assert.deepStrictEqual(await manifest.readJournalOps(updated.updatedAt), [])
+  })
+
+  it('should replay directory moves and removals', () => {
+    const files = { 'a.jpg': { size: 1 }, 'sub/c.mp4': { size: 2 }, 'sub/d.mp4': { size: 3 } }
+    const trash = path.join(root, 'Deleted_By_Mediac', 'a.jpg')
+    const ops = [
+      { src: p('sub'), dst: p('videos/2020'), isDir: true, runId: 'r1' },
+      { src: p('a.jpg'), dst: trash, isDir: false, runId: 'r2' },
+      { src: p('videos/2020/d.mp4'), dst: path.join(testDir, 'd.mp4'), isDir: false, runId: 'r3' },
+    ]
+    const replayed = manifest.replayJournal(files, root, ops)
+    assert.deepStrictEqual(Object.keys(replayed.files), ['videos/2020/c.mp4'])
+    assert.deepStrictEqual(replayed.moved.get('videos/2020/c.mp4'), { from: 'sub/c.mp4', runId: 'r1' })
+    assert.deepStrictEqual(replayed.removed.get('a.jpg'), { to: trash, runId: 'r2' })
+    assert.deepStrictEqual(replayed.removed.get('sub/d.mp4'), {
+      to: path.join(testDir, 'd.mp4'),
+      runId: 'r3',
+    })
+
+    // 移出后又移回来的条目恢复
+    const back = [...ops, { src: trash, dst: p('b.jpg'), isDir: false, runId: 'r4' }]
+    const restored = manifest.replayJournal(files, root, back)
+    assert.deepStrictEqual(restored.moved.get('b.jpg'), { from: 'a.jpg', runId: 'r4' })
+    assert.strictEqual(restored.removed.has('a.jpg'), false)
+  })
+
+  it('should add sha256 checksums when asked', async () => {
+    const { manifest: m } = await create()
+    const { manifest: updated, counts } = await create(m, { sha256: true })
+    assert.deepStrictEqual(updated.algorithms, ['xxh64', 'sha256'])
+    assert.strictEqual(counts.hashed, 3)
+    const expected = crypto.createHash('sha256').update('photo a').digest('hex')
+    assert.strictEqual(updated.files['a.jpg'].sha256, expected)
+    // 之后的更新保留 sha256
+    const { manifest: again, counts: counts2 } = await create(updated)
+    assert.deepStrictEqual(again.algorithms, ['xxh64', 'sha256'])
+    assert.strictEqual(counts2.hashed, 0)
+  })
+
+  it('should reject invalid manifests', async () => {
+    const file = path.join(testDir, 'bad.json')
+    assert.strictEqual(await manifest.loadManifest(file), null)
+    await fs.outputJson(file, { version: 99, files: {} })
+    await assert.rejects(() => manifest.loadManifest(file), /invalid checksum manifest/)
+  })
+})
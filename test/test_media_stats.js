@@ -0,0 +1,153 @@
+/*
+ * File: test_media_stats.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import { describe, it } from 'node:test'
+
+import presets from '../lib/ffmpeg_presets.js'
+import * as stats from '../lib/media_stats.js'
+import * as table from '../lib/media_table.js'
+
+const MB = 1000 * 1000
+
+const video = (name, props = {}) => ({
+  path: `/videos/${name}`,
+  size: 1000 * MB,
+  type: 'video',
+  width: 1920,
+  height: 1080,
+  duration: 1000,
+  bitrate: 8 * MB,
+  videoBitrate: 7.7 * MB,
+  audioBitrate: 256000,
+  ...props,
+})
+
+describe('media_stats.js', () => {
+  it('should bucket videos by the long side and images by megapixels', () => {
+    assert.strictEqual(stats.resolutionBucket('video', 1920, 1080), '1080p')
+    assert.strictEqual(stats.resolutionBucket('video', 1916, 800), '1080p')
+    assert.strictEqual(stats.resolutionBucket('video', 2160, 3840), '4K')
+    assert.strictEqual(stats.resolutionBucket('video', 640, 360), 'SD')
+    assert.strictEqual(stats.resolutionBucket('image', 4032, 3024), '12MP+')
+    assert.strictEqual(stats.resolutionBucket('image', 1200, 800), '<2MP')
+    assert.strictEqual(stats.resolutionBucket('image', 0, 0), stats.UNKNOWN)
+  })
+
+  it('should build items from exif, media info and file name dates', () => {
+    const photo = stats.toStatsItem(
+      { path: '/photos/IMG_0001.JPG', size: 3 * MB },
+      { exif: { date: '2019-05-02T10:00:00', model: 'iPhone 8' }, image: { width: 4032, height: 3024 } }
+    )
+    assert.strictEqual(photo.type, 'image')
+    assert.strictEqual(photo.ext, 'jpg')
+    assert.strictEqual(photo.year, '2019')
+    assert.strictEqual(photo.month, '2019-05')
+    assert.strictEqual(photo.model, 'iPhone 8')
+    assert.strictEqual(photo.resolution, '12MP+')
+    assert.strictEqual(photo.codec, stats.UNKNOWN)
+
+    const clip = stats.toStatsItem(
+      { path: '/videos/VID_20200101_120000.mp4', stats: { size: 5 * MB } },
+      {
+        date: new Date(2020, 0, 1, 12),
+        media: { duration: 60, bitrate: 2 * MB, video: { format: 'AVC', width: 1280, height: 720 } },
+      }
+    )
+    assert.strictEqual(clip.size, 5 * MB)
+    assert.strictEqual(clip.month, '2020-01')
+    assert.strictEqual(clip.codec, 'AVC')
+    assert.strictEqual(clip.resolution, '720p')
+
+    const book = stats.toStatsItem({ path: '/books/a.epub', size: 100 })
+    assert.strictEqual(book.type, 'book')
+    assert.strictEqual(book.year, stats.UNKNOWN)
+    assert.strictEqual(book.resolution, stats.UNKNOWN)
+  })
+
+  it('should group by one or several fields', () => {
+    const items = [
+      { path: '/a', size: 300, type: 'video', year: '2019', codec: 'AVC' },
+      { path: '/b', size: 100, type: 'video', year: '2019', codec: 'HEVC' },
+      { path: '/c', size: 500, type: 'video', year: '2020', codec: 'AVC' },
+      { path: '/d', size: 100, type: 'image', year: '2019', codec: stats.UNKNOWN },
+    ]
+    assert.deepStrictEqual(stats.groupItems(items, ['type']), [
+      { type: 'video', count: 3, size: 900, percent: 90 },
+      { type: 'image', count: 1, size: 100, percent: 10 },
+    ])
+    const rows = stats.groupItems(items, ['year', 'codec'])
+    assert.deepStrictEqual(
+      rows.map((r) => [r.year, r.codec, r.count, r.size]),
+      [
+        ['2020', 'AVC', 1, 500],
+        ['2019', 'AVC', 1, 300],
+        ['2019', 'HEVC', 1, 100],
+        ['2019', stats.UNKNOWN, 1, 100],
+      ]
+    )
+    assert.deepStrictEqual(
+      stats.largestItems(items, 2).map((item) => item.path),
+      ['/c', '/a']
+    )
+  })
+
+  it('should parse group fields', () => {
+    assert.deepStrictEqual(stats.parseGroupBy(), [])
+    assert.deepStrictEqual(stats.parseGroupBy('year, codec,year'), ['year', 'codec'])
+    assert.throws(() => stats.parseGroupBy('year,camera'), /unknown group "camera"/)
+  })
+
+  it('should estimate compress sizes like the compress command', () => {
+    const options = { quality: 85, maxWidth: 3000, minSize: 2 * 1024 * 1024, exclude: /thumb$/i }
+    const photo = { path: '/p/a.jpg', type: 'image', size: 10 * MB, width: 6000, height: 4000 }
+    // 缩小到 3000x2000，每像素约 0.45 字节
+    assert.strictEqual(stats.estimateCompressSize(photo, options), 2.7 * MB)
+    assert.strictEqual(stats.estimateCompressSize({ ...photo, size: MB }, options), null)
+    assert.strictEqual(stats.estimateCompressSize({ ...photo, path: '/p/a_thumb' }, options), null)
+    assert.strictEqual(stats.estimateCompressSize({ ...photo, type: 'video' }, options), null)
+    // 估算不会超过原大小
+    assert.strictEqual(stats.estimateCompressSize({ ...photo, size: 2.5 * MB }, options), 2.5 * MB)
+  })
+
+  it('should estimate preset sizes from the target bitrate', () => {
+    const preset = presets.getPreset('hevc_2k')
+    // 1080p 视频使用预设码率
+    const expected = (1000 * (preset.videoBitrate + preset.audioBitrate)) / 8
+    assert.strictEqual(stats.estimatePresetSize(video('a.mp4'), preset), expected)
+    // 720p 视频码率更低
+    const small = stats.estimatePresetSize(video('b.mp4', { width: 1280, height: 720 }), preset)
+    assert.ok(small < expected)
+    // 码率已经很低的视频不会变大
+    const low = video('c.mp4', { size: 80 * MB, videoBitrate: 600000, audioBitrate: 128000 })
+    assert.strictEqual(stats.estimatePresetSize(low, preset), 80 * MB)
+    // 类型不同或缺少时长时无法估算
+    assert.strictEqual(stats.estimatePresetSize(video('d.mp4', { type: 'audio' }), preset), null)
+    assert.strictEqual(stats.estimatePresetSize(video('e.mp4', { duration: undefined }), preset), null)
+  })
+
+  it('should sum up the savings', () => {
+    const items = [video('a.mp4'), video('b.mp4', { type: 'image' }), video('c.mp4', { size: 100 })]
+    const savings = stats.estimateSavings(items, (item) =>
+      item.type === 'video' ? Math.min(item.size, 400 * MB) : null
+    )
+    assert.deepStrictEqual(savings, {
+      count: 2,
+      size: 1000 * MB + 100,
+      estimated: 400 * MB + 100,
+      saved: 600 * MB,
+    })
+  })
+
+  it('should format stats columns in tables', () => {
+    const lines = table.formatTable(
+      [{ name: 'compress', count: 2, size: 2e9, estimated: 5e8, saved: 1.5e9, percent: 12.5 }],
+      ['name', 'count', 'size', 'estimated', 'saved', 'percent']
+    )
+    assert.match(lines[1], /^compress\s+2\s+2\.00GB\s+500\.00MB\s+1\.50GB\s+12\.5%$/)
+  })
+})
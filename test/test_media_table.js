@@ -0,0 +1,137 @@
+/*
+ * File: test_media_table.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import { describe, it } from 'node:test'
+
+import * as table from '../lib/media_table.js'
+import { getHdrType } from '../lib/media_parser.js'
+import { ErrorTypes } from '../lib/errors.js'
+
+const hdrVideo = {
+  path: '/videos/hdr.mkv',
+  size: 8000000,
+}
+const hdrMedia = {
+  format: 'matroska',
+  duration: 3725.4,
+  bitrate: 12500000,
+  video: {
+    format: 'hevc',
+    width: 3840,
+    height: 2160,
+    framerate: 23.976023,
+    bitDepth: 10,
+    colorTransfer: 'smpte2084',
+  },
+  audio: { format: 'eac3', channels: 6 },
+}
+
+describe('media_parser.js - getHdrType', () => {
+  it('should detect HDR types', () => {
+    assert.strictEqual(getHdrType({ hdrFormat: 'Dolby Vision, Version 1.0' }), 'Dolby Vision')
+    assert.strictEqual(getHdrType({ hdrFormat: 'SMPTE ST 2094 App 4' }), 'HDR10+')
+    assert.strictEqual(getHdrType({ colorTransfer: 'smpte2084' }), 'HDR10')
+    assert.strictEqual(getHdrType({ colorTransfer: 'arib-std-b67' }), 'HLG')
+    assert.strictEqual(getHdrType({ colorTransfer: 'bt709' }), null)
+  })
+})
+
+describe('media_table.js - rows', () => {
+  it('should merge media and exif into one row', () => {
+    const row = table.toInfoRow(hdrVideo, {
+      media: hdrMedia,
+      exif: { date: new Date(2020, 5, 1), model: 'iPhone 12', gps: [31.2304161, 121.4737012] },
+    })
+    assert.strictEqual(row.name, 'hdr.mkv')
+    assert.strictEqual(row.container, 'matroska')
+    assert.strictEqual(row.resolution, '3840x2160')
+    assert.strictEqual(row.fps, 23.976)
+    assert.strictEqual(row.channels, 6)
+    assert.strictEqual(row.hdr, 'HDR10')
+    assert.strictEqual(row.model, 'iPhone 12')
+    assert.strictEqual(row.gps, '31.230416,121.473701')
+  })
+
+  it('should use image size and file extension for images', () => {
+    const row = table.toInfoRow(
+      { path: '/photos/a.heic', size: 100 },
+      { image: { width: 400, height: 300 } }
+    )
+    assert.strictEqual(row.container, 'heic')
+    assert.strictEqual(row.resolution, '400x300')
+    assert.strictEqual(row.hdr, undefined)
+    assert.strictEqual(row.vcodec, undefined)
+  })
+
+  it('should parse columns', () => {
+    assert.deepStrictEqual(table.parseColumns(), [...table.DEFAULT_COLUMNS])
+    assert.deepStrictEqual(table.parseColumns('all'), [...table.INFO_COLUMNS])
+    assert.deepStrictEqual(table.parseColumns('Name, bitdepth'), ['name', 'bitDepth'])
+    assert.throws(() => table.parseColumns('name,foo'), { type: ErrorTypes.INVALID_ARGUMENT })
+    assert.throws(() => table.parseSort('-foo'), { type: ErrorTypes.INVALID_ARGUMENT })
+  })
+
+  it('should sort rows with missing values last', () => {
+    const rows = [
+      { name: 'b', bitrate: 1000 },
+      { name: 'c' },
+      { name: 'a', bitrate: 1000 },
+      { name: 'd', bitrate: 5000 },
+    ]
+    table.sortRows(rows, '-bitrate,name')
+    assert.deepStrictEqual(
+      rows.map((r) => r.name),
+      ['d', 'a', 'b', 'c']
+    )
+    table.sortRows(rows, 'bitrate')
+    assert.deepStrictEqual(
+      rows.map((r) => r.name),
+      ['a', 'b', 'd', 'c']
+    )
+  })
+})
+
+describe('media_table.js - output', () => {
+  it('should format cells', () => {
+    assert.strictEqual(table.formatCell('bitrate', 12500000), '12.5M')
+    assert.strictEqual(table.formatCell('bitrate', 128000), '128K')
+    assert.strictEqual(table.formatCell('duration', 3725.4), '1:02:05')
+    assert.strictEqual(table.formatCell('duration', 65), '1:05')
+    assert.strictEqual(table.formatCell('model', undefined), '-')
+  })
+
+  it('should align table columns', () => {
+    const lines = table.formatTable(
+      [
+        { name: 'long_name.mp4', bitrate: 12500000 },
+        { name: 'a.mp4', bitrate: 128000 },
+      ],
+      ['name', 'bitrate']
+    )
+    assert.deepStrictEqual(lines, [
+      'name           bitrate',
+      'long_name.mp4    12.5M',
+      'a.mp4             128K',
+    ])
+  })
+
+  it('should quote csv fields and keep raw values', () => {
+    const csv = table.formatCsv(
+      [
+        { name: 'a,b.mp4', bitrate: 128000 },
+        { name: 'say "hi".mp4' },
+      ],
+      ['name', 'bitrate']
+    )
+    assert.strictEqual(csv, 'name,bitrate\n"a,b.mp4",128000\n"say ""hi"".mp4",\n')
+    assert.deepStrictEqual(table.pickColumns({ name: 'x' }, ['name', 'fps']), {
+      name: 'x',
+      fps: null,
+    })
+  })
+})
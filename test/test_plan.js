@@ -0,0 +1,83 @@
+/*
+ * File: test_plan.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { describe, it, before, after } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as plan from '../lib/plan.js'
+
+const testDir = path.join(__dirname, 'test_plan_temp')
+
+describe('plan.js - save, load and check', () => {
+  before(async () => {
+    await fs.ensureDir(testDir)
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should save and load plan with source stats', async () => {
+    const src = path.join(testDir, 'a.txt')
+    await fs.writeFile(src, 'hello')
+    const p = plan.createPlan('rename', { input: testDir, savePlan: 'p.json', $0: 'mediac' })
+    await plan.addOp(p, plan.PlanOps.RENAME, src, path.join(testDir, 'b.txt'))
+    await plan.addOp(p, plan.PlanOps.REMOVE, path.join(testDir, 'not-exists.txt'))
+    const planPath = await plan.savePlan(p, path.join(testDir, 'plan.json'))
+
+    const loaded = await plan.loadPlan(planPath)
+    assert.strictEqual(loaded.command, 'rename')
+    assert.strictEqual(loaded.argv.$0, undefined)
+    assert.strictEqual(loaded.ops.length, 1)
+    assert.strictEqual(loaded.ops[0].src, src)
+    assert.strictEqual(loaded.ops[0].size, 5)
+    assert.strictEqual(await plan.checkOp(loaded.ops[0]), plan.PlanStatus.OK)
+  })
+
+  it('should detect changed, missing and conflicting operations', async () => {
+    const src = path.join(testDir, 'c.txt')
+    const dst = path.join(testDir, 'd.txt')
+    await fs.writeFile(src, 'hello')
+    const p = plan.createPlan('move')
+    const op = await plan.addOp(p, plan.PlanOps.MOVE, src, dst)
+
+    await fs.writeFile(dst, 'other')
+    assert.strictEqual(await plan.checkOp(op), plan.PlanStatus.CONFLICT)
+    await fs.remove(dst)
+
+    await fs.writeFile(src, 'hello world')
+    assert.strictEqual(await plan.checkOp(op), plan.PlanStatus.CHANGED)
+
+    await fs.remove(src)
+    assert.strictEqual(await plan.checkOp(op), plan.PlanStatus.MISSING)
+  })
+
+  it('should check required file of remove operation', async () => {
+    const src = path.join(testDir, 'e.jpg')
+    const required = path.join(testDir, 'e_Z4K.jpg')
+    await fs.writeFile(src, 'image')
+    const p = plan.createPlan('compress')
+    const op = await plan.addOp(p, plan.PlanOps.REMOVE, src, null, { requires: required })
+    assert.strictEqual(await plan.checkOp(op), plan.PlanStatus.MISSING)
+    await fs.writeFile(required, 'thumb')
+    assert.strictEqual(await plan.checkOp(op), plan.PlanStatus.OK)
+  })
+
+  it('should reject invalid plan files', async () => {
+    const bad = path.join(testDir, 'bad.json')
+    await fs.writeJson(bad, { version: 1, ops: [{ op: 'move', src: '/a' }] })
+    await assert.rejects(() => plan.loadPlan(bad))
+    await fs.writeFile(bad, 'not json')
+    await assert.rejects(() => plan.loadPlan(bad))
+  })
+})
@@ -0,0 +1,161 @@
+/*
+ * File: test_skip_policy.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import { describe, it } from 'node:test'
+
+import presets from '../lib/ffmpeg_presets.js'
+import * as sp from '../lib/skip_policy.js'
+import { SkipAction } from '../lib/skip_policy.js'
+
+// 与 lib/commands/ffmpeg.js calculateDstArgs 的结果相同的字段，目标码率不高于源文件码率
+const hevcSource = {
+  srcVideoCodec: 'hevc',
+  srcAudioCodec: 'aac',
+  srcVideoBitrate: 1200 * 1000,
+  dstVideoBitrate: 1200 * 1000,
+  dstAudioBitrate: 128 * 1000,
+  srcWidth: 1920,
+  srcHeight: 1080,
+  srcDuration: 600,
+  srcSize: 100 * 1000 * 1000,
+  dimension: 1920,
+  dstSpeed: 0,
+  dstFrameRate: 0,
+}
+
+const facts = (preset, dstArgs) => sp.getSkipFacts(preset, { ...hevcSource, ...dstArgs })
+
+describe('skip_policy.js - skip sources that need no re-encoding', () => {
+  it('should map codec and encoder names', () => {
+    assert.strictEqual(sp.normalizeCodec('AVC'), 'h264')
+    assert.strictEqual(sp.normalizeCodec('HEVC'), 'hevc')
+    assert.strictEqual(sp.encoderCodec('hevc_nvenc'), 'hevc')
+    assert.strictEqual(sp.encoderCodec('libx265'), 'hevc')
+    assert.strictEqual(sp.encoderCodec('libx264'), 'h264')
+    assert.strictEqual(sp.encoderCodec('libsvtav1'), 'av1')
+    assert.strictEqual(sp.encoderCodec('libfdk_aac'), 'aac')
+    assert.strictEqual(sp.encoderCodec('copy'), undefined)
+  })
+
+  it('should validate policies from presets', () => {
+    assert.strictEqual(sp.parseSkipPolicy(null), null)
+    assert.strictEqual(sp.parseSkipPolicy({ rules: [] }), null)
+    const policy = sp.parseSkipPolicy({ rules: [{ when: 'lowSavings', action: 'copy' }] })
+    assert.deepStrictEqual(policy, {
+      minSavings: sp.DEFAULT_MIN_SAVINGS,
+      rules: [{ when: ['lowSavings'], action: 'copy' }],
+    })
+    assert.throws(
+      () => sp.parseSkipPolicy({ rules: [{ when: ['hevc'], action: 'skip' }] }, 'my_preset'),
+      /invalid skipPolicy of my_preset: unknown condition hevc/,
+    )
+    assert.throws(
+      () => sp.parseSkipPolicy({ rules: [{ when: ['sameCodec'], action: 'remove' }] }),
+      /unknown action remove/,
+    )
+    assert.throws(
+      () => sp.parseSkipPolicy({ minSavings: 100, rules: [{ when: 'sameCodec', action: 'skip' }] }),
+      /minSavings must be between 0 and 100/,
+    )
+  })
+
+  it('should only use skip rules when the preset or --skip-policy asks for them', () => {
+    const preset = presets.getPreset('hevc_2k')
+    // 内置预设没有规则，默认不跳过
+    assert.strictEqual(preset.skipPolicy, null)
+    assert.strictEqual(presets.getPreset('x265_2k').skipPolicy, null)
+    assert.strictEqual(sp.resolveSkipPolicy(preset, undefined), null)
+    assert.strictEqual(sp.resolveSkipPolicy(preset, false), null)
+    assert.deepStrictEqual(sp.resolveSkipPolicy(preset, true), {
+      minSavings: sp.DEFAULT_MIN_SAVINGS,
+      rules: [{ when: ['sameCodec', 'lowBitrate'], action: 'skip' }],
+    })
+    // 预设自己的规则优先，--no-skip-policy 关闭
+    const own = { name: 'my_preset', skipPolicy: { rules: [{ when: 'lowSavings', action: 'copy' }] } }
+    assert.strictEqual(sp.resolveSkipPolicy(own, undefined).rules[0].action, 'copy')
+    assert.strictEqual(sp.resolveSkipPolicy(own, true).rules[0].action, 'copy')
+    assert.strictEqual(sp.resolveSkipPolicy(own, false), null)
+    assert.throws(
+      () => sp.resolveSkipPolicy({ name: 'bad', skipPolicy: { rules: [{ when: 'x' }] } }),
+      /invalid skipPolicy of bad/,
+    )
+  })
+
+  it('should skip HEVC sources at low bitrate with the default rules', () => {
+    const preset = presets.getPreset('hevc_2k')
+    const policy = sp.resolveSkipPolicy(preset, true)
+    assert.deepStrictEqual(sp.evaluateSkipPolicy(policy, facts(preset)), {
+      action: SkipAction.SKIP,
+      reason: 'sameCodec+lowBitrate',
+    })
+    // 源文件码率高于目标码率
+    assert.strictEqual(
+      sp.evaluateSkipPolicy(policy, facts(preset, { srcVideoBitrate: 8000 * 1000 })),
+      null,
+    )
+    // 源文件是 H264
+    assert.strictEqual(sp.evaluateSkipPolicy(policy, facts(preset, { srcVideoCodec: 'h264' })), null)
+    // 变速和改变帧率必须重新编码
+    assert.strictEqual(sp.evaluateSkipPolicy(policy, facts(preset, { dstSpeed: 1.5 })), null)
+    assert.strictEqual(sp.evaluateSkipPolicy(policy, facts(preset, { dstFrameRate: 25 })), null)
+    // H264 预设和 HEVC 源文件的编码不同
+    const h264 = presets.getPreset('h264_2k')
+    assert.strictEqual(sp.evaluateSkipPolicy(sp.resolveSkipPolicy(h264, true), facts(h264)), null)
+  })
+
+  it('should check dimension and estimated savings in order', () => {
+    const preset = presets.getPreset('x265_2k')
+    const policy = sp.parseSkipPolicy({
+      minSavings: 20,
+      rules: [
+        { when: ['sameCodec', 'smallDimension'], action: 'copy' },
+        { when: ['lowSavings'], action: 'skip' },
+      ],
+    })
+    const h264 = { srcVideoCodec: 'h264', srcVideoBitrate: 4000 * 1000 }
+    // 预计 (1.2M + 128K) * 600 / 8 = 99.6MB，只节省 0.4%
+    const f = facts(preset, h264)
+    assert.strictEqual(f.dstSize, 99600000)
+    assert.ok(Math.abs(f.savings - 0.4) < 1e-9)
+    assert.deepStrictEqual(sp.evaluateSkipPolicy(policy, f), {
+      action: SkipAction.SKIP,
+      reason: 'lowSavings',
+    })
+    assert.strictEqual(
+      sp.evaluateSkipPolicy(policy, facts(preset, { ...h264, srcSize: 200 * 1000 * 1000 })),
+      null,
+    )
+    assert.deepStrictEqual(sp.evaluateSkipPolicy(policy, facts(preset)), {
+      action: SkipAction.COPY,
+      reason: 'sameCodec+smallDimension',
+    })
+    // 需要缩小的视频
+    const big = facts(preset, { srcWidth: 3840, srcHeight: 2160, srcSize: 500 * 1000 * 1000 })
+    assert.strictEqual(sp.evaluateSkipPolicy(policy, big), null)
+  })
+
+  it('should compare audio streams with audio presets and copy streams', () => {
+    const preset = presets.getPreset('aac_medium')
+    const policy = sp.parseSkipPolicy({ rules: [{ when: ['sameCodec', 'lowBitrate'], action: 'copy' }] })
+    const audio = { srcAudioBitrate: 96 * 1000, dstAudioBitrate: 96 * 1000 }
+    assert.strictEqual(sp.evaluateSkipPolicy(policy, facts(preset, audio)).action, SkipAction.COPY)
+    const mp3 = { ...audio, srcAudioCodec: 'mp3' }
+    assert.strictEqual(sp.evaluateSkipPolicy(policy, facts(preset, mp3)), null)
+
+    const copy = sp.toCopyPreset(preset)
+    assert.strictEqual(copy.audioArgs, '-c:a copy')
+    assert.strictEqual(copy.userArgs.audioCopy, true)
+    assert.notStrictEqual(preset.audioArgs, '-c:a copy')
+    const video = sp.toCopyPreset(presets.getPreset('hevc_2k'))
+    assert.strictEqual(video.videoArgs, '-c:v copy')
+    assert.strictEqual(video.filters, '')
+    assert.strictEqual(video.userArgs.videoCopy, true)
+    // 复制视频流的预设不再检查规则
+    assert.strictEqual(sp.evaluateSkipPolicy(policy, facts(video)), null)
+  })
+})
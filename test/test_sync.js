@@ -0,0 +1,145 @@
+/*
+ * File: test_sync.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { describe, it, after, beforeEach } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as mf from '../lib/file.js'
+import { SyncCompare } from '../lib/sync.js'
+import * as sync from '../lib/sync.js'
+import { parseSize } from '../lib/where.js'
+
+const testDir = path.join(__dirname, 'test_sync_temp')
+const src = path.join(testDir, 'src')
+const dst = path.join(testDir, 'dst')
+const mtime = new Date('2024-01-01T00:00:00Z')
+
+const walkFiles = (root) => mf.walk(root, { needStats: true, entryFilter: (e) => e.isFile })
+
+async function writeFile(root, rel, content, date = mtime) {
+  const p = path.join(root, ...rel.split('/'))
+  await fs.outputFile(p, content)
+  await fs.utimes(p, date, date)
+}
+
+async function plan(options) {
+  return sync.planSync(src, await walkFiles(src), dst, await walkFiles(dst), options)
+}
+
+const summary = (tasks) => tasks.map((t) => `${t.action} ${t.rel}`)
+
+describe('sync.js - one-way mirror', () => {
+  beforeEach(async () => {
+    await fs.remove(testDir)
+    await writeFile(src, 'a.jpg', 'photo a')
+    await writeFile(src, 'b.jpg', 'photo b')
+    await writeFile(src, 'sub/c.mp4', 'video c')
+    await writeFile(dst, 'a.jpg', 'photo a')
+    // 大小相同，修改时间不同
+    await writeFile(dst, 'b.jpg', 'photo B', new Date('2023-01-01T00:00:00Z'))
+    await writeFile(dst, 'old.jpg', 'old photo')
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should plan copies, updates and deletes by size and mtime', async () => {
+    const { tasks, same } = await plan()
+    assert.deepStrictEqual(summary(tasks), ['update b.jpg', 'copy sub/c.mp4'])
+    assert.strictEqual(same, 1)
+    const copy = tasks[1]
+    assert.strictEqual(copy.src, path.join(src, 'sub', 'c.mp4'))
+    assert.strictEqual(copy.dst, path.join(dst, 'sub', 'c.mp4'))
+    assert.match(path.basename(copy.tmp), /^c_tmp@\d+@tmp_\.mp4$/)
+    assert.strictEqual(copy.size, 7)
+
+    const withDelete = await plan({ deleteExtra: true })
+    assert.deepStrictEqual(summary(withDelete.tasks), [
+      'update b.jpg',
+      'delete old.jpg',
+      'copy sub/c.mp4',
+    ])
+    const counts = sync.countTasks(withDelete.tasks)
+    assert.deepStrictEqual(counts.delete, { count: 1, size: 9 })
+    assert.deepStrictEqual(counts.copy, { count: 1, size: 7 })
+  })
+
+  it('should compare content in hash mode', async () => {
+    // 内容相同，修改时间不同
+    await writeFile(dst, 'b.jpg', 'photo b', new Date('2023-01-01T00:00:00Z'))
+    // 内容不同，大小和修改时间相同
+    await writeFile(dst, 'a.jpg', 'photo A')
+    assert.deepStrictEqual(summary((await plan()).tasks), ['update b.jpg', 'copy sub/c.mp4'])
+    const { tasks, same } = await plan({ compare: SyncCompare.HASH })
+    assert.deepStrictEqual(summary(tasks), ['update a.jpg', 'copy sub/c.mp4'])
+    assert.strictEqual(same, 1)
+  })
+
+  it('should ignore temp files, the trash and skipped paths', async () => {
+    await writeFile(dst, 'x_tmp@123@tmp_.jpg', 'partial')
+    await writeFile(dst, 'Deleted_By_Mediac/y.jpg', 'trashed')
+    const skip = new Set([path.join(src, 'sub', 'c.mp4'), path.join(dst, 'old.jpg')])
+    const { tasks, skipped } = await plan({ deleteExtra: true, skip })
+    assert.deepStrictEqual(summary(tasks), ['update b.jpg'])
+    assert.strictEqual(skipped, 2)
+  })
+
+  it('should copy through a temp file and keep the mtime', async () => {
+    const { tasks } = await plan()
+    for (const task of tasks) {
+      const result = await sync.copyFile(task, { verify: true })
+      assert.strictEqual(result.size, task.size)
+      assert.match(result.hash, /^[0-9a-f]+$/)
+      assert.strictEqual(await fs.pathExists(task.tmp), false)
+    }
+    assert.strictEqual(await fs.readFile(path.join(dst, 'b.jpg'), 'utf8'), 'photo b')
+    assert.strictEqual(await fs.readFile(path.join(dst, 'sub', 'c.mp4'), 'utf8'), 'video c')
+    const st = await fs.stat(path.join(dst, 'sub', 'c.mp4'))
+    assert.strictEqual(st.mtimeMs, mtime.getTime())
+    // 复制后再比较没有变化
+    const again = await plan()
+    assert.deepStrictEqual(again.tasks, [])
+    assert.strictEqual(again.same, 3)
+  })
+
+  it('should remove the temp file and keep the target when copying fails', async () => {
+    const [task] = (await plan()).tasks
+    await fs.remove(task.src)
+    await assert.rejects(() => sync.copyFile(task), /ENOENT/)
+    assert.strictEqual(await fs.pathExists(task.tmp), false)
+    assert.strictEqual(await fs.readFile(task.dst, 'utf8'), 'photo B')
+  })
+
+  it('should throttle copies to the byte rate', async () => {
+    assert.strictEqual(sync.createThrottle(0), null)
+    const throttle = sync.createThrottle(1000)
+    const startMs = Date.now()
+    await throttle(100)
+    await throttle(100)
+    await throttle(100)
+    // 前100字节不等待，之后每100字节等待0.1秒
+    assert.ok(Date.now() - startMs >= 190)
+    assert.strictEqual(parseSize('20M'), 20 * 1024 * 1024)
+    assert.strictEqual(parseSize('1.5KB'), 1536)
+    assert.ok(Number.isNaN(parseSize('fast')))
+  })
+
+  it('should reject nested folders', () => {
+    assert.throws(() => sync.checkRoots(src, src), /must not contain/)
+    assert.throws(() => sync.checkRoots(src, path.join(src, 'backup')), /must not contain/)
+    assert.throws(() => sync.checkRoots(path.join(dst, 'a'), dst), /must not contain/)
+    sync.checkRoots(src, dst)
+    sync.checkRoots(src, `${src}-backup`)
+  })
+})
@@ -0,0 +1,107 @@
+/*
+ * File: test_target_quality.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import { describe, it } from 'node:test'
+
+import * as tq from '../lib/target_quality.js'
+
+const { TargetMetric } = tq
+
+describe('target_quality.js - target quality encoding', () => {
+  it('should parse and validate the target options', () => {
+    assert.strictEqual(tq.parseTarget({}), null)
+    assert.deepStrictEqual(tq.parseTarget({ targetSsim: 0.97 }), { metric: 'ssim', value: 0.97 })
+    assert.deepStrictEqual(tq.parseTarget({ targetPsnr: 42 }), { metric: 'psnr', value: 42 })
+    assert.throws(() => tq.parseTarget({ targetSsim: 0.97, targetPsnr: 42 }), /together/)
+    assert.throws(() => tq.parseTarget({ targetSsim: 97 }), /between 0.5 and 1/)
+    assert.throws(() => tq.parseTarget({ targetPsnr: 0.97 }), /between 20 and 60/)
+    assert.throws(() => tq.parseTarget({ targetSsim: NaN }), /between/)
+  })
+
+  it('should spread sample segments over the video', () => {
+    assert.deepStrictEqual(tq.sampleSegments(0), [])
+    assert.deepStrictEqual(tq.sampleSegments(10), [{ start: 0, seconds: 10 }])
+    assert.deepStrictEqual(tq.sampleSegments(20), [{ start: 0, seconds: 12 }])
+    assert.deepStrictEqual(tq.sampleSegments(400), [
+      { start: 98, seconds: 4 },
+      { start: 198, seconds: 4 },
+      { start: 298, seconds: 4 },
+    ])
+  })
+
+  it('should pick candidate qualities around the preset value', () => {
+    assert.deepStrictEqual(tq.candidateQualities(24, 'hevc_nvenc'), [20, 24, 28])
+    assert.deepStrictEqual(tq.candidateQualities(49, 'libx265'), [45, 49, 51])
+    assert.deepStrictEqual(tq.candidateQualities(60, 'libsvtav1'), [56, 60, 63])
+    assert.deepStrictEqual(tq.candidateQualities(2, 'libx264'), [1, 2, 6])
+  })
+
+  it('should parse scores from the ffmpeg output', () => {
+    const ssim =
+      '[Parsed_ssim_4 @ 0x5581] SSIM Y:0.981234 (17.26) U:0.990000 (20.00) V:0.991000 (20.46) All:0.984512 (18.10)'
+    const psnr =
+      '[Parsed_psnr_4 @ 0x5581] PSNR y:41.20 u:45.10 v:45.60 average:42.35 min:38.01 max:50.22'
+    assert.strictEqual(tq.parseScore(TargetMetric.SSIM, `frame=100\n${ssim}\n`), 0.984512)
+    assert.strictEqual(tq.parseScore(TargetMetric.PSNR, psnr), 42.35)
+    assert.strictEqual(tq.parseScore(TargetMetric.PSNR, 'PSNR y:inf average:inf min:inf'), Infinity)
+    assert.ok(Number.isNaN(tq.parseScore(TargetMetric.SSIM, psnr)))
+    assert.ok(Number.isNaN(tq.parseScore(TargetMetric.SSIM, undefined)))
+    assert.strictEqual(
+      tq.createMeasureFilter('ssim', 1920, 1080),
+      '[0:v]scale=1920:1080:flags=bicubic,setsar=1,format=yuv420p[dist];' +
+        '[1:v]scale=1920:1080:flags=bicubic,setsar=1,format=yuv420p[ref];[dist][ref]ssim',
+    )
+  })
+
+  it('should interpolate the largest quality that reaches the target', () => {
+    const samples = [
+      { quality: 28, score: 0.95 },
+      { quality: 20, score: 0.99 },
+      { quality: 24, score: 0.97 },
+    ]
+    assert.deepStrictEqual(tq.pickQuality(samples, 0.97), {
+      quality: 24,
+      score: 0.97,
+      bounded: true,
+      estimated: false,
+    })
+    const picked = tq.pickQuality(samples, 0.96)
+    assert.strictEqual(picked.quality, 26)
+    assert.ok(Math.abs(picked.score - 0.96) < 1e-9)
+    assert.strictEqual(picked.estimated, true)
+    assert.strictEqual(tq.pickQuality(samples, 0.98).quality, 22)
+    // 向下取整，分数不低于目标
+    const rounded = tq.pickQuality(samples, 0.965)
+    assert.strictEqual(rounded.quality, 25)
+    assert.ok(rounded.score >= 0.965)
+    // 目标不在范围内
+    assert.deepStrictEqual(tq.pickQuality(samples, 0.9), {
+      quality: 28,
+      score: 0.95,
+      bounded: false,
+      estimated: false,
+    })
+    assert.deepStrictEqual(tq.pickQuality(samples, 0.995), {
+      quality: 20,
+      score: 0.99,
+      bounded: false,
+      estimated: false,
+    })
+    assert.strictEqual(tq.pickQuality([{ quality: 24, score: NaN }], 0.97), null)
+    const lossless = [
+      { quality: 20, score: Infinity },
+      { quality: 24, score: 40 },
+    ]
+    assert.deepStrictEqual(tq.pickQuality(lossless, 45), {
+      quality: 20,
+      score: Infinity,
+      bounded: true,
+      estimated: false,
+    })
+  })
+})
@@ -0,0 +1,94 @@
+/*
+ * File: test_trash.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { describe, it, before, after } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as api from '../lib/api.js'
+import * as trash from '../lib/trash.js'
+
+const testDir = path.join(__dirname, 'test_trash_temp')
+const trashRoot = path.join(testDir, trash.TRASH_DIR_NAME)
+const diskRoot = path.parse(testDir).root
+
+describe('trash.js - manifest and listing', () => {
+  before(async () => {
+    const dayDir = path.join(trashRoot, '20260101')
+    // 有清单记录的文件
+    const dst = path.join(dayDir, 'photos', 'a.jpg')
+    await fs.outputFile(dst, 'hello')
+    trash.recordTrash(dayDir, '/original/photos/a.jpg', dst, { runId: '20260101120000_abcd' })
+    // 没有清单记录的旧文件，位于同名冲突目录
+    await fs.outputFile(path.join(dayDir, 'videos', '_', 'b.mp4'), 'world!')
+    await fs.outputFile(path.join(trashRoot, '20260102', 'docs', 'c.txt'), 'c')
+    // 非日期目录会被忽略
+    await fs.outputFile(path.join(trashRoot, 'other', 'd.txt'), 'd')
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should resolve trash root', () => {
+    assert.strictEqual(trash.getTrashRoot(trashRoot), trashRoot)
+    assert.strictEqual(
+      trash.getTrashRoot(testDir),
+      path.join(diskRoot, trash.TRASH_DIR_NAME)
+    )
+  })
+
+  it('should list entries with manifest and legacy paths', async () => {
+    assert.deepStrictEqual(await trash.listTrashDays(trashRoot), ['20260101', '20260102'])
+    const entries = await trash.listTrash(trashRoot)
+    assert.strictEqual(entries.length, 3)
+
+    const a = entries.find((e) => e.dst.endsWith('a.jpg'))
+    assert.strictEqual(a.src, path.resolve('/original/photos/a.jpg'))
+    assert.strictEqual(a.runId, '20260101120000_abcd')
+    assert.strictEqual(a.legacy, false)
+
+    const b = entries.find((e) => e.dst.endsWith('b.mp4'))
+    assert.strictEqual(b.src, path.join(diskRoot, 'videos', 'b.mp4'))
+    assert.strictEqual(b.size, 6)
+    assert.strictEqual(b.legacy, true)
+  })
+
+  it('should filter entries by glob, date and run', async () => {
+    const entries = await trash.listTrash(trashRoot)
+    assert.strictEqual(trash.filterTrash(entries, { glob: '*.jpg' }).length, 1)
+    assert.strictEqual(trash.filterTrash(entries, { glob: '**/videos/**' }).length, 1)
+    assert.strictEqual(trash.filterTrash(entries, { date: '20260102' }).length, 1)
+    assert.strictEqual(trash.filterTrash(entries, { date: '20260101,20260102' }).length, 3)
+    assert.strictEqual(trash.filterTrash(entries, { run: '20260101120000' }).length, 1)
+    assert.strictEqual(trash.filterTrash(entries, {}).length, 3)
+  })
+
+  it('should preview restore and purge through the API', async () => {
+    const restored = await api.trashRestore(trashRoot, { glob: '*.jpg' })
+    assert.deepStrictEqual(
+      restored.entries.map((e) => [e.action, e.src, e.status]),
+      [['restore', path.join(trashRoot, '20260101', 'photos', 'a.jpg'), api.EntryStatus.PLANNED]]
+    )
+    const purged = await api.trashPurge(trashRoot, { days: 0 })
+    assert.deepStrictEqual(
+      purged.entries.map((e) => path.basename(e.src)),
+      ['20260101', '20260102']
+    )
+    assert.ok(purged.entries.every((e) => e.status === api.EntryStatus.PLANNED))
+    assert.ok(await fs.pathExists(path.join(trashRoot, '20260101')))
+  })
+
+  it('should parse day folder names', () => {
+    assert.strictEqual(trash.parseDay('20260305').format('YYYY-MM-DD'), '2026-03-05')
+  })
+})
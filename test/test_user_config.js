@@ -0,0 +1,133 @@
+/*
+ * File: test_user_config.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import yargs from 'yargs'
+import { fileURLToPath } from 'url'
+import { describe, it, before, after } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as uc from '../lib/user_config.js'
+
+const testDir = path.join(__dirname, 'test_user_config_temp')
+const userFile = path.join(testDir, 'home', 'config.yaml')
+const projectFile = path.join(testDir, 'project', '.mediac.yaml')
+
+describe('user_config.js - load, merge and inject defaults', () => {
+  before(async () => {
+    await fs.outputFile(
+      userFile,
+      [
+        'tools:',
+        '  nconvert: /opt/nconvert',
+        'encoding:',
+        '  from: [GBK, UTF8]',
+        '  threshold: high',
+        '  unknown: 1',
+        'compress:',
+        '  quality: 80',
+        'commands:',
+        '  compress:',
+        '    quality: 70',
+        '    thumb-pattern: "thumb$"',
+      ].join('\n')
+    )
+    await fs.outputFile(
+      projectFile,
+      ['commands:', '  compress:', '    quality: 60', '  pick:', '    day-limit: 40'].join('\n')
+    )
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should merge files with later files winning', async () => {
+    const missing = path.join(testDir, 'missing.yaml')
+    const cfg = await uc.loadUserConfig([userFile, missing, projectFile])
+    assert.deepStrictEqual(cfg.files, [userFile, projectFile])
+    assert.deepStrictEqual(cfg.commands.compress, { quality: 60, 'thumb-pattern': 'thumb$' })
+    assert.strictEqual(cfg.sources['commands.compress.quality'], projectFile)
+    assert.strictEqual(cfg.sources['commands.compress.thumb-pattern'], userFile)
+    assert.strictEqual(cfg.sources['tools.nconvert'], userFile)
+
+    // 类型与内置值不同和未知的设置被忽略
+    assert.deepStrictEqual(cfg.settings, {
+      'tools.nconvert': '/opt/nconvert',
+      'encoding.from': ['GBK', 'UTF8'],
+      'compress.quality': 80,
+    })
+
+    const config = { ENCODING: { DEFAULT_THRESHOLD: 50 }, COMPRESS: { QUALITY: 85, MIN_SIZE: 2048 } }
+    const rows = uc.describeConfig(cfg, config)
+    assert.deepStrictEqual(rows.find((r) => r.key === 'tools.vips'), {
+      key: 'tools.vips',
+      value: undefined,
+      source: 'builtin',
+    })
+    assert.deepStrictEqual(rows.find((r) => r.key === 'encoding.threshold'), {
+      key: 'encoding.threshold',
+      value: 50,
+      source: 'builtin',
+    })
+    assert.strictEqual(rows.find((r) => r.key === 'compress.quality').source, userFile)
+    assert.strictEqual(rows.find((r) => r.key === 'commands.pick.day-limit').value, 40)
+
+    uc.applySettings(config, cfg)
+    assert.strictEqual(config.NCONVERT_BIN_PATH, '/opt/nconvert')
+    assert.deepStrictEqual(config.ENCODING, { DEFAULT_THRESHOLD: 50, DEFAULT_FROM_ENCODINGS: ['GBK', 'UTF8'] })
+    assert.deepStrictEqual(config.COMPRESS, { QUALITY: 80, MIN_SIZE: 2048 })
+  })
+
+  it('should list builder defaults of commands with their source', async () => {
+    const cfg = await uc.loadUserConfig([userFile, projectFile])
+    const compress = {
+      command: 'compress <input>',
+      builder: (ya) =>
+        ya
+          .option('quality', { type: 'number', default: 85 })
+          .option('force', { type: 'boolean', default: false })
+          .option('suffix', { type: 'string' }),
+    }
+    assert.deepStrictEqual(uc.getBuilderDefaults(compress), { quality: 85, force: false })
+    const rows = uc.describeConfig(cfg, {}, [compress]).filter((r) => r.key.startsWith('commands.compress.'))
+    assert.deepStrictEqual(rows, [
+      { key: 'commands.compress.quality', value: 60, source: projectFile },
+      { key: 'commands.compress.force', value: false, source: 'builtin' },
+      { key: 'commands.compress.thumb-pattern', value: 'thumb$', source: userFile },
+    ])
+  })
+
+  it('should inject defaults only into the matching command', async () => {
+    const cfg = await uc.loadUserConfig([userFile, projectFile])
+    const makeModule = (name) => ({
+      command: `${name} <input>`,
+      describe: name,
+      builder: (ya) => ya.option('quality', { type: 'number', default: 85 }),
+      handler: () => {},
+    })
+    const parse = async (args) => {
+      let result
+      await yargs(args)
+        .command(uc.withCommandDefaults(makeModule('compress'), cfg))
+        .command(uc.withCommandDefaults(makeModule('ffmpeg'), cfg))
+        .middleware((argv) => {
+          result = argv
+        })
+        .parse()
+      return result
+    }
+    assert.strictEqual((await parse(['compress', 'a'])).quality, 60)
+    assert.strictEqual((await parse(['compress', 'a', '--quality', '90'])).quality, 90)
+    assert.strictEqual((await parse(['compress', 'a'])).thumbPattern, 'thumb$')
+    assert.strictEqual((await parse(['ffmpeg', 'a'])).quality, 85)
+  })
+})
@@ -0,0 +1,131 @@
+/*
+ * File: test_video_hash.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { describe, it, before, after } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as catalog from '../lib/catalog.js'
+import * as videoHash from '../lib/video_hash.js'
+
+const testDir = path.join(__dirname, 'test_video_hash_temp')
+// 不存在的索引目录，不读写用户的索引
+catalog.setCatalogDir(path.join(testDir, 'catalog'))
+
+const HASHES = [
+  '0f0f0f0f0f0f0f0f',
+  'ff00ff00ff00ff00',
+  '00ff00ff00ff00ff',
+  'f0f0f0f0f0f0f0f0',
+  '0123456789abcdef',
+  'fedcba9876543210',
+  'aaaaaaaaaaaaaaaa',
+  '5555555555555555',
+]
+
+// 翻转每个哈希最后 n 位
+const flip = (hashes, n) =>
+  hashes.map((h) => {
+    if (!h) return h
+    const mask = (1n << BigInt(n)) - 1n
+    return (BigInt('0x' + h) ^ mask).toString(16).padStart(16, '0')
+  })
+
+const video = (name, props = {}) => ({
+  path: `/videos/${name}`,
+  size: 1000,
+  duration: 1420,
+  width: 1920,
+  height: 1080,
+  bitrate: 4000000,
+  codec: 'hevc',
+  hashes: HASHES,
+  ...props,
+})
+
+describe('video_hash.js', () => {
+  it('should sample frames away from both ends', () => {
+    assert.deepStrictEqual(videoHash.framePositions(3), [0.25, 0.5, 0.75])
+    const positions = videoHash.framePositions()
+    assert.strictEqual(positions.length, videoHash.VIDEO_HASH_CONFIG.FRAMES)
+    assert.ok(positions[0] > 0 && positions.at(-1) < 1)
+  })
+
+  it('should match re-encoded copies with a close duration', () => {
+    const a = video('a.mkv')
+    const b = video('[SHANA] a.mp4', { duration: 1418.5, hashes: flip(HASHES, 4) })
+    const result = videoHash.compareVideoFingerprints(a, b)
+    assert.strictEqual(result.similar, true)
+    assert.strictEqual(result.matched, 8)
+    assert.strictEqual(result.distance, 4)
+  })
+
+  it('should not match videos with different durations or frames', () => {
+    const a = video('a.mkv')
+    assert.strictEqual(
+      videoHash.compareVideoFingerprints(a, video('b.mkv', { duration: 1300 })).similar,
+      false
+    )
+    const different = HASHES.map((h, i) => (i < 3 ? h : HASHES[(i + 4) % 8]))
+    assert.strictEqual(
+      videoHash.compareVideoFingerprints(a, video('c.mkv', { hashes: different })).similar,
+      false
+    )
+  })
+
+  it('should skip blank frames and require enough compared frames', () => {
+    const blanks = HASHES.map((h, i) => (i % 2 ? null : h))
+    const result = videoHash.compareVideoFingerprints(video('a.mkv'), video('b.mkv', { hashes: blanks }))
+    assert.strictEqual(result.compared, 4)
+    assert.strictEqual(result.similar, true)
+    const mostlyBlank = HASHES.map((h, i) => (i < 2 ? h : null))
+    assert.strictEqual(
+      videoHash.compareVideoFingerprints(video('a.mkv'), video('c.mkv', { hashes: mostlyBlank })).similar,
+      false
+    )
+  })
+
+  it('should cluster copies and keep the best one', () => {
+    const items = [
+      video('a_720p.mp4', { width: 1280, height: 720, bitrate: 8000000, codec: 'avc' }),
+      video('other.mp4', { duration: 600 }),
+      video('a_1080p_h264.mp4', { codec: 'avc', hashes: flip(HASHES, 3) }),
+      video('a_1080p_hevc.mkv', { bitrate: 3900000, hashes: flip(HASHES, 2) }),
+      video('a_1080p_low.mp4', { bitrate: 2000000, codec: 'av1' }),
+    ]
+    const groups = videoHash.clusterVideos(items)
+    assert.strictEqual(groups.length, 1)
+    assert.strictEqual(groups[0].length, 4)
+    // 分辨率优先，码率相近时比较编码，码率低很多时排在后面
+    assert.deepStrictEqual(
+      videoHash.rankVideos(groups[0]).map((v) => path.basename(v.path)),
+      ['a_1080p_hevc.mkv', 'a_1080p_h264.mp4', 'a_1080p_low.mp4', 'a_720p.mp4']
+    )
+  })
+
+  describe('findVideoDuplicates', () => {
+    before(async () => {
+      await fs.ensureDir(testDir)
+      await fs.writeFile(path.join(testDir, 'broken.mp4'), 'not a video')
+    })
+
+    after(async () => {
+      await fs.remove(testDir)
+    })
+
+    it('should skip files that cannot be fingerprinted', async () => {
+      const file = path.join(testDir, 'broken.mp4')
+      const result = await videoHash.findVideoDuplicates([{ path: file, size: 11 }])
+      assert.deepStrictEqual(result, { groups: [], failed: 1 })
+    })
+  })
+})
@@ -0,0 +1,83 @@
+/*
+ * File: test_watch.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { describe, it, before, after } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as watch from '../lib/watch.js'
+
+const testDir = path.join(__dirname, 'test_watch_temp')
+const watchDir = path.join(testDir, 'drop')
+
+describe('watch.js - stable files', () => {
+  it('should return files only after they stop changing', () => {
+    const pending = new Map()
+    const a = { path: '/drop/a.jpg', size: 10, mtimeMs: 1000 }
+    const b = { path: '/drop/b.mp4', size: 20, mtimeMs: 1000 }
+    assert.deepStrictEqual(watch.findStableFiles(pending, [a, b], 0, 5000), [])
+    // b 仍在写入
+    const b2 = { ...b, size: 40, mtimeMs: 4000 }
+    assert.deepStrictEqual(watch.findStableFiles(pending, [a, b2], 4000, 5000), [])
+    assert.deepStrictEqual(watch.findStableFiles(pending, [a, b2], 5000, 5000), [a])
+    assert.deepStrictEqual(watch.findStableFiles(pending, [b2], 9000, 5000), [b2])
+    assert.strictEqual(pending.size, 0)
+  })
+
+  it('should forget files that disappear while waiting', () => {
+    const pending = new Map()
+    watch.findStableFiles(pending, [{ path: '/drop/c.jpg', size: 1, mtimeMs: 1 }], 0, 1000)
+    assert.deepStrictEqual(watch.findStableFiles(pending, [], 2000, 1000), [])
+    assert.strictEqual(pending.size, 0)
+  })
+})
+
+describe('watch.js - processed record', () => {
+  before(async () => {
+    await fs.ensureDir(watchDir)
+    watch.setStateDir(path.join(testDir, 'state'))
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should treat changed files as new', () => {
+    const processed = new Map()
+    const file = { path: '/drop/a.jpg', size: 10, mtimeMs: 1000 }
+    assert.strictEqual(watch.isProcessed(processed, file), false)
+    watch.markProcessed(processed, file)
+    assert.strictEqual(watch.isProcessed(processed, file), true)
+    assert.strictEqual(watch.isProcessed(processed, { ...file, size: 11 }), false)
+    assert.strictEqual(watch.isProcessed(processed, { ...file, mtimeMs: 2000 }), false)
+  })
+
+  it('should persist the record across loads', async () => {
+    assert.strictEqual((await watch.loadProcessed(watchDir)).size, 0)
+    const processed = new Map()
+    watch.markProcessed(processed, { path: path.join(watchDir, 'a.jpg'), size: 1, mtimeMs: 2 })
+    watch.markProcessed(processed, { path: path.join(watchDir, 'b.jpg'), size: 3, mtimeMs: 4 })
+    const recordPath = await watch.saveProcessed(watchDir, processed)
+    assert.strictEqual(recordPath, watch.getRecordPath(watchDir))
+    const loaded = await watch.loadProcessed(watchDir)
+    assert.deepStrictEqual(loaded, processed)
+  })
+
+  it('should prune files that no longer exist', () => {
+    const processed = new Map([
+      ['/drop/a.jpg', { size: 1, mtime: 1 }],
+      ['/drop/b.jpg', { size: 1, mtime: 1 }],
+    ])
+    assert.strictEqual(watch.pruneProcessed(processed, new Set(['/drop/a.jpg'])), 1)
+    assert.deepStrictEqual([...processed.keys()], ['/drop/a.jpg'])
+  })
+})
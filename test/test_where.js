@@ -0,0 +1,135 @@
+/*
+ * File: test_where.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import sharp from 'sharp'
+import { fileURLToPath } from 'url'
+import { describe, it, before, after } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as catalog from '../lib/catalog.js'
+import * as where from '../lib/where.js'
+import { ErrorTypes } from '../lib/errors.js'
+
+const testDir = path.join(__dirname, 'test_where_temp')
+// 不存在的索引目录，不读写用户的索引
+catalog.setCatalogDir(path.join(testDir, 'catalog'))
+
+const entry = (name, size, mtime) => ({
+  name,
+  path: path.join(testDir, 'Camera', name),
+  stats: { size, mtimeMs: new Date(mtime).getTime(), ctimeMs: new Date(mtime).getTime() },
+})
+
+describe('where.js - parse', () => {
+  it('should reject invalid expressions', () => {
+    for (const expr of [
+      '',
+      'foo > 1',
+      'size > big',
+      'ext > jpg',
+      '(ext = jpg',
+      'ext = jpg and',
+      "name ~ '['",
+      'date in (2020)',
+      'mtime < yesterday',
+    ]) {
+      assert.throws(() => where.parseWhere(expr), { type: ErrorTypes.INVALID_ARGUMENT }, expr)
+    }
+  })
+
+  it('should check cheaper conditions first', () => {
+    const { root, fields } = where.parseWhere("model ~ 'iPhone' and width < 1200 and size > 2M")
+    assert.deepStrictEqual(
+      root.children.map((c) => c.field),
+      ['size', 'width', 'model']
+    )
+    assert.deepStrictEqual(fields.sort(), ['model', 'size', 'width'])
+  })
+
+  it('should parse date ranges', () => {
+    const day = where.parseDateValue('2020-06-01')
+    assert.strictEqual(day.lo, new Date(2020, 5, 1).getTime())
+    assert.strictEqual(day.hi, new Date(2020, 5, 2).getTime())
+    const year = where.parseDateValue('2020')
+    assert.strictEqual(year.hi, new Date(2021, 0, 1).getTime())
+    const now = Date.now()
+    assert.deepStrictEqual(where.parseDateValue('7d', now), {
+      lo: now - 7 * 86400e3,
+      hi: now - 7 * 86400e3,
+    })
+    assert.strictEqual(where.parseDateValue('June'), null)
+  })
+})
+
+describe('where.js - match', () => {
+  const big = entry('IMG_0001.JPG', 3 * 1024 * 1024, '2019-05-01T10:00:00')
+  const small = entry('clip.mp4', 500 * 1024, '2021-01-01T10:00:00')
+
+  it('should match name and stat fields', async () => {
+    const cases = [
+      ['ext in (jpg,heic) and size > 2M', true, false],
+      ['ext = .JPG', true, false],
+      ['ext not in (jpg)', false, true],
+      ['type = video or size >= 3MB', true, true],
+      ["name ~ '^img_\\d+'", true, false],
+      ['dir = camera', true, true],
+      ['mtime < 2020', true, false],
+      ['mtime = 2019-05', true, false],
+      ['mtime > 2019-05-01', false, true],
+      ['mtime <= 2019-05-01', true, false],
+      ['not (size < 1M)', true, false],
+      ['size < 1M or ext = jpg and size > 1M', true, true],
+    ]
+    for (const [expr, a, b] of cases) {
+      assert.strictEqual(await where.matchEntry(expr, big), a, `${expr} ${big.name}`)
+      assert.strictEqual(await where.matchEntry(expr, small), b, `${expr} ${small.name}`)
+    }
+  })
+
+  it('should not match files without the field', async () => {
+    // 不存在的文件读取失败，视为没有宽度
+    assert.strictEqual(await where.matchEntry('width > 0', big), false)
+    assert.strictEqual(await where.matchEntry('width != 100', big), false)
+    assert.strictEqual(await where.matchEntry('not width > 0', big), true)
+  })
+})
+
+describe('where.js - filter', () => {
+  const wide = path.join(testDir, 'wide.png')
+  const tall = path.join(testDir, 'tall.png')
+
+  before(async () => {
+    await fs.ensureDir(testDir)
+    const image = (width, height) =>
+      sharp({ create: { width, height, channels: 3, background: '#336699' } }).png()
+    await image(40, 10).toFile(wide)
+    await image(10, 40).toFile(tall)
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should read image size and keep the input order', async () => {
+    const entries = [tall, wide].map((p) => ({ name: path.basename(p), path: p }))
+    const result = await where.filterEntries(entries, 'type = image and width > 20')
+    assert.deepStrictEqual(
+      result.map((e) => e.name),
+      ['wide.png']
+    )
+    const all = await where.filterEntries(entries, 'size > 0 and height in (10,40)')
+    assert.deepStrictEqual(
+      all.map((e) => e.name),
+      ['tall.png', 'wide.png']
+    )
+  })
+})
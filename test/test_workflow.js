@@ -0,0 +1,134 @@
+/*
+ * File: test_workflow.js
+ * Created: 2026-10-19
+ * Author: mcxiaoke
+ * License: Apache License 2.0
+ */
+
+import assert from 'assert'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { describe, it, before, after } from 'node:test'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+import * as mf from '../lib/file.js'
+import { ErrorTypes } from '../lib/errors.js'
+import { EntryStatus } from '../lib/json_output.js'
+import * as wf from '../lib/workflow.js'
+
+const testDir = path.join(__dirname, 'test_workflow_temp')
+const flowFile = path.join(testDir, 'flow.yaml')
+
+describe('workflow.js - loading', () => {
+  before(async () => {
+    await fs.outputFile(
+      flowFile,
+      [
+        'input: ingest',
+        'steps:',
+        '  - zipu',
+        '  - command: rename',
+        '    from: previous',
+        '    options: { fixenc: true, doit: true }',
+        '  - name: library',
+        '    command: move',
+        '    input: /photos/library',
+        '    from: 2-rename',
+      ].join('\n')
+    )
+  })
+
+  after(async () => {
+    await fs.remove(testDir)
+  })
+
+  it('should load steps and resolve paths against the workflow file', async () => {
+    const flow = await wf.loadWorkflow(flowFile)
+    assert.strictEqual(flow.input, path.join(testDir, 'ingest'))
+    assert.strictEqual(flow.stopOnError, true)
+    assert.deepStrictEqual(
+      flow.steps.map((s) => s.name),
+      ['1-zipu', '2-rename', 'library']
+    )
+    assert.strictEqual(flow.steps[1].from, wf.FROM_PREVIOUS)
+    // doit 由工作流统一控制
+    assert.deepStrictEqual(flow.steps[1].options, { fixenc: true })
+    assert.strictEqual(flow.steps[2].input, path.resolve('/photos/library'))
+  })
+
+  it('should reject invalid workflows', () => {
+    const check = (data) =>
+      assert.throws(() => wf.normalizeWorkflow(data, flowFile), {
+        type: ErrorTypes.INVALID_ARGUMENT,
+      })
+    check({})
+    check({ steps: [] })
+    check({ steps: [{ options: {} }] })
+    check({ steps: [{ command: 'zipu', extra: 1 }] })
+    check({ steps: [{ command: 'zipu', from: 'previous' }] })
+    check({ steps: ['zipu', { command: 'move', from: 'nope' }] })
+    check({ steps: [{ command: 'zipu', name: 'a' }, { command: 'move', name: 'a' }] })
+  })
+})
+
+describe('workflow.js - arguments and outputs', () => {
+  it('toArgs should convert options to command line arguments', () => {
+    assert.deepStrictEqual(
+      wf.toArgs({ fixenc: true, purge: false, quality: 85, e: ['jpg', 'png'], skip: null }),
+      ['--fixenc', '--no-purge', '--quality=85', '--e=jpg', '--e=png']
+    )
+  })
+
+  it('outputFiles should use targets of done entries and sources otherwise', () => {
+    const files = wf.outputFiles([
+      { action: 'rename', src: '/a/1.jpg', dst: '/a/2.jpg', status: EntryStatus.DONE },
+      { action: 'rename', src: '/a/3.jpg', dst: '/a/4.jpg', status: EntryStatus.PLANNED },
+      { action: 'rename', src: '/a/5.jpg', status: EntryStatus.SKIPPED },
+      { action: 'rename', src: '/a/6.jpg', status: EntryStatus.FAILED },
+      { action: 'remove', src: '/a/7.jpg', dst: '/trash/7.jpg', status: EntryStatus.DONE },
+    ])
+    assert.deepStrictEqual(files, ['/a/2.jpg', '/a/3.jpg', '/a/5.jpg'])
+  })
+
+  it('plannedFiles should list planned targets that do not exist yet', () => {
+    const files = wf.plannedFiles([
+      { action: 'rename', src: '/a/1.jpg', dst: '/a/2.jpg', status: EntryStatus.DONE },
+      { action: 'rename', src: '/a/3.jpg', dst: '/a/4.jpg', status: EntryStatus.PLANNED },
+      { action: 'compress', src: '/a/5.jpg', dst: '/a/5.jpg', status: EntryStatus.PLANNED },
+      { action: 'remove', src: '/a/7.jpg', dst: '/trash/7.jpg', status: EntryStatus.PLANNED },
+      { action: 'rename', src: '/a/8.jpg', status: EntryStatus.PLANNED },
+    ])
+    assert.deepStrictEqual(files, ['/a/4.jpg'])
+    assert.deepStrictEqual(wf.plannedFiles([]), [])
+  })
+})
+
+describe('file.js - walk scope', () => {
+  const scopeDir = path.join(testDir, 'scope')
+
+  before(async () => {
+    await fs.outputFile(path.join(scopeDir, 'a', 'one.jpg'), '1')
+    await fs.outputFile(path.join(scopeDir, 'a', 'two.jpg'), '2')
+    await fs.outputFile(path.join(scopeDir, 'b', 'three.jpg'), '3')
+    await fs.outputFile(path.join(scopeDir, 'c', 'four.jpg'), '4')
+  })
+
+  after(async () => {
+    mf.setWalkScope(null)
+    await fs.remove(testDir)
+  })
+
+  it('should only return entries inside the scope', async () => {
+    mf.setWalkScope([path.join(scopeDir, 'a', 'one.jpg'), path.join(scopeDir, 'b')])
+    const files = await mf.walk(scopeDir, { needStats: true, entryFilter: (e) => e.isFile })
+    assert.deepStrictEqual(files.map((f) => path.basename(f.path)).sort(), ['one.jpg', 'three.jpg'])
+    const dirs = await mf.walk(scopeDir, { needStats: true, withDirs: true, withFiles: false })
+    assert.deepStrictEqual(dirs.map((f) => path.basename(f.path)).sort(), ['a', 'b', 'scope'])
+    mf.setWalkScope(null)
+    const all = await mf.walk(scopeDir, { needStats: true, entryFilter: (e) => e.isFile })
+    assert.strictEqual(all.length, 4)
+  })
+})